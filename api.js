@@ -0,0 +1,334 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { DEFAULT_CONFIG } from './config.js';
+import { globToRegex } from './gitignore.js';
+import { scanStructure } from './build-structure.js';
+import { scanFiles, loadAllowlist, redactSecrets } from './secrets.js';
+import { minifyContent, getOutlineMinifyOptions } from './minifiers.js';
+import { estimateTokens, parseTokenCount } from './tokens.js';
+import { readSelection, truncateFiles, mergePlaceholders } from './classify.js';
+import { applyLevels } from './outline.js';
+import { renderStructure } from './tree.js';
+import { detectWorkspaces } from './workspaces.js';
+import { OUTPUT_FORMATS, formatBundle, splitBundle, getPartFileName } from './formatters.js';
+
+// Secrets policies of the library API ("confirm" needs a terminal, so it behaves like "block")
+const API_SECRET_POLICIES = ['block', 'redact', 'off'];
+
+/**
+ * Wraps an optional logger ({ info, warn }, e.g. console) so the API stays silent without one.
+ */
+function createLogger(logger) {
+    return {
+        info: (message) => logger && typeof logger.info === 'function' && logger.info(message),
+        warn: (message) => logger && typeof logger.warn === 'function' && logger.warn(message)
+    };
+}
+
+/**
+ * Minifies every file with the minifier for its type. Outlines only get the whitespace minifier, which keeps
+ * the JSDoc comments they are made of.
+ *
+ * @param {object} code - Map of relative file path to content
+ * @param {object} minifyOptions - { mode, languages }
+ * @param {string[]} outlined - Files of `code` that are outlines (see applyLevels)
+ * @returns {{files: object, report: object[], before: number, after: number}} - Minified contents and
+ *   per-file counts ({ path, before, after, minifier })
+ */
+function minifyBundleFiles(code, minifyOptions = DEFAULT_CONFIG.minify, outlined = []) {
+    const files = {};
+    const report = [];
+    let before = 0;
+    let after = 0;
+    const outlineOptions = getOutlineMinifyOptions(minifyOptions);
+    for (const [filePath, content] of Object.entries(code)) {
+        const result = minifyContent(filePath, content, outlined.includes(filePath) ? outlineOptions : minifyOptions);
+        files[filePath] = result.content;
+        report.push({ path: filePath, before: content.length, after: result.content.length, minifier: result.minifier });
+        before += content.length;
+        after += result.content.length;
+    }
+    return { files, report, before, after };
+}
+
+/**
+ * Returns the function that measures a text in the split unit: characters or estimated tokens.
+ */
+function createMeasure(splitUnit, model) {
+    return splitUnit === 'characters' ? (text) => text.length : (text) => estimateTokens(text, model);
+}
+
+/**
+ * Formats the bundle, split into parts when it is larger than `splitLimit`.
+ *
+ * @param {object} files - Map of relative file path to (minified) content
+ * @param {object} options - { format, structure, changes, splitLimit, splitUnit, model, wrap } where `wrap` returns
+ *   the final text from the formatted bundle (or its first part), e.g. to put it in a prompt template
+ * @returns {{bundle: string|null, parts: string[]|null, manifest: object|null}} - `bundle` for a single file,
+ *   `parts` and `manifest` for a split bundle
+ */
+function renderBundle(files, options = {}) {
+    const { format = 'json', structure = null, changes = null, splitLimit = null, splitUnit = 'tokens', model, wrap = null } = options;
+    const formatted = formatBundle(files, { format, structure, changes });
+    const bundle = wrap ? wrap(formatted) : formatted;
+    const measure = createMeasure(splitUnit, model);
+    if (!splitLimit || measure(bundle) <= splitLimit) {
+        return { bundle, parts: null, manifest: null };
+    }
+    const { parts, manifest } = splitBundle(files, { format, structure, changes, wrap, limit: splitLimit, measure });
+    return { bundle: null, parts, manifest };
+}
+
+/**
+ * Removes part files of an earlier split bundle (e.g. project-code.part-03.min.json),
+ * so a smaller bundle does not leave stale parts behind.
+ */
+async function removeStaleParts(outFile) {
+    const dir = path.dirname(outFile);
+    if (!(await fs.pathExists(dir))) return;
+    const [prefix, suffix] = path.basename(getPartFileName(outFile, 0, 1)).split('.part-00');
+    const isPart = (fileName) => fileName.startsWith(`${prefix}.part-`) && fileName.endsWith(suffix)
+        && /^\d+$/.test(fileName.slice(prefix.length + 6, fileName.length - suffix.length));
+    for (const fileName of await fs.readdir(dir)) {
+        if (isPart(fileName)) {
+            await fs.remove(path.join(dir, fileName));
+        }
+    }
+}
+
+/**
+ * Writes a bundle returned by renderBundle: one file, or one file per part next to it.
+ *
+ * @param {string} outFile - Path of the bundle (part files get a .part-NN suffix)
+ * @param {{bundle: string|null, parts: string[]|null}} rendered - Result of renderBundle
+ * @returns {Promise<string[]>} - Paths of the written files
+ */
+async function writeBundle(outFile, rendered) {
+    await fs.ensureDir(path.dirname(outFile));
+    await removeStaleParts(outFile);
+    if (!rendered.parts) {
+        await fs.writeFile(outFile, rendered.bundle);
+        return [outFile];
+    }
+    const partFiles = rendered.parts.map((part, index) => getPartFileName(outFile, index + 1, rendered.parts.length));
+    for (let i = 0; i < rendered.parts.length; i++) {
+        await fs.writeFile(partFiles[i], rendered.parts[i]);
+    }
+    return partFiles;
+}
+
+/**
+ * Scans a project and returns its structure. Nothing is written or printed unless
+ * `outFile` or `logger` is given.
+ *
+ * @param {object} options - Optional settings
+ * @param {string} options.root - Project root (default: the current working directory)
+ * @param {string[]} options.include - Directories and files to scan, relative to root (default: the whole project)
+ * @param {string[]} options.exclude - Globs of entries to skip, matched against the path from the root like the globs
+ *   of the command line, e.g. ["node_modules", "**\/*.log", "src/generated/**"] (default: excludedDirs of the config)
+ * @param {boolean} options.gitignore - Skip files and folders ignored by git (default: respectGitignore of the config)
+ * @param {string} options.mode - "compact" or "rich" (default: structure.mode of the config)
+ * @param {string} options.symlinks - "follow" or "skip"
+ * @param {number|null} options.maxDepth - Deepest level scanned
+ * @param {number|null} options.maxFiles - Maximum number of files
+ * @param {number} options.concurrency - Maximum number of parallel file system calls
+ * @param {string} options.format - "json", "tree", "markdown" or "paths" for `text` (default: structure.format of the config)
+ * @param {number|null} options.depth - Deepest level listed in `text` by the text formats
+ * @param {number|null} options.collapse - Files listed per folder in `text` by the text formats
+ * @param {boolean} options.workspaces - Add a section per workspace package to `text` (default: workspaces of the config)
+ * @param {string} options.outFile - Also write `text` to this path (optional)
+ * @param {object} options.logger - Receives progress and warnings: { info(message), warn(message) } (optional)
+ * @param {object} options.config - Resolved config (from loadConfig) used for the defaults (default: DEFAULT_CONFIG)
+ * @returns {Promise<object>} - { structure, json, text, workspace, stats: { files, errors, durationMs }, warnings, errors,
+ *   truncated, outFile }; `workspace` holds the workspace packages (see detectWorkspaces) or null
+ */
+async function buildStructure(options = {}) {
+    const config = options.config || DEFAULT_CONFIG;
+    const logger = createLogger(options.logger);
+    const root = path.resolve(options.root || process.cwd());
+    // Exclude globs match the path from the root, as the globs of the command line do; "dir/**" also skips the folder
+    const excluded = (options.exclude || config.excludedDirs || []).map(pattern => globToRegex(pattern.replace(/^\.?\//, '').replace(/\/$/, '/**')));
+    const started = Date.now();
+
+    // Included paths are split into directories and files, like the selective scan of build-structure
+    const dirs = [];
+    const files = [];
+    const warnings = [];
+    for (const item of options.include || []) {
+        const itemPath = path.join(root, item);
+        if (!(await fs.pathExists(itemPath))) {
+            warnings.push(`Not found: ${itemPath}`);
+            continue;
+        }
+        ((await fs.stat(itemPath)).isDirectory() ? dirs : files).push(item);
+    }
+
+    const structureOptions = { ...DEFAULT_CONFIG.structure, ...config.structure };
+    for (const key of ['mode', 'symlinks', 'maxDepth', 'maxFiles', 'concurrency', 'format', 'depth', 'collapse']) {
+        if (options[key] !== undefined) structureOptions[key] = options[key];
+    }
+    logger.info(`Scanning ${root}`);
+    const result = await scanStructure(root, {
+        dirs,
+        files,
+        scanAll: !options.include,
+        respectGitignore: options.gitignore ?? config.respectGitignore,
+        filter: (relativePath, isDirectory) => !excluded.some(regex => regex.test(relativePath) || (isDirectory && regex.test(`${relativePath}/`))),
+        structure: structureOptions
+    });
+    warnings.push(...result.warnings);
+    result.errors.forEach(({ path: entryPath, code, message }) => logger.warn(`${entryPath} (${code}): ${message}`));
+    warnings.forEach(warning => logger.warn(warning));
+
+    const json = JSON.stringify(result.structure);
+    const { format, depth, collapse } = structureOptions;
+    const workspace = (options.workspaces ?? config.workspaces) ? await detectWorkspaces(root) : null;
+    const packages = workspace ? workspace.packages : [];
+    const text = format === 'json' ? json : renderStructure(result.structure, { format, depth, collapse, packages });
+    if (options.outFile) {
+        await fs.ensureDir(path.dirname(path.resolve(options.outFile)));
+        await fs.writeFile(options.outFile, text);
+        logger.info(`${options.outFile} written`);
+    }
+    return {
+        structure: result.structure,
+        json,
+        text,
+        workspace,
+        stats: { files: result.files, errors: result.errors.length, durationMs: Date.now() - started },
+        warnings,
+        errors: result.errors,
+        truncated: result.truncated,
+        outFile: options.outFile || null
+    };
+}
+
+/**
+ * Reads, scans for secrets, minifies and formats files, and returns the bundle. Nothing is written
+ * or printed unless `outFile` or `logger` is given.
+ *
+ * @param {object} options - Settings
+ * @param {string[]} options.files - Files to bundle, relative to root (or use `contents`)
+ * @param {object} options.contents - Map of relative file path to content, bundled without reading files
+ * @param {string} options.root - Project root (default: the current working directory)
+ * @param {string} options.format - "json", "markdown", "xml" or "txt" (default: output.format of the config)
+ * @param {object|string|null} options.structure - Structure to embed at the top of the bundle (e.g. from buildStructure),
+ *   or its text in another format (e.g. from renderStructure)
+ * @param {string} options.minify - "auto", "whitespace" or "none" (default: minify.mode of the config)
+ * @param {object} options.languages - Minifier overrides per extension (default: minify.languages of the config)
+ * @param {string} options.secrets - "block" (default), "redact" or "off"
+ * @param {object} options.content - Overrides of the content settings: { maxFileSize, binary, huge, generated, truncate }
+ *   (default: content of the config); binary, huge and generated files get a placeholder or are skipped
+ * @param {object} options.levels - Inclusion levels: path -> "outline" (signatures without bodies, JS/TS) or
+ *   "path" (the path only); other files are bundled in full
+ * @param {number|null} options.splitLimit - Split the bundle into parts under this size (default: output.splitLimit)
+ * @param {string} options.splitUnit - "tokens" or "characters" (default: output.splitUnit)
+ * @param {string} options.model - Tokenizer profile for the token counts (default: tokens.model)
+ * @param {string} options.outFile - Also write the bundle (or its parts) to this path (optional)
+ * @param {object} options.logger - Receives progress and warnings: { info(message), warn(message) } (optional)
+ * @param {object} options.config - Resolved config (from loadConfig) used for the defaults (default: DEFAULT_CONFIG)
+ * @returns {Promise<object>} - { bundle, parts, manifest, files, stats, secrets, blocked, omitted, truncated, warnings, outFiles }
+ */
+async function bundleCode(options = {}) {
+    const config = options.config || DEFAULT_CONFIG;
+    const logger = createLogger(options.logger);
+    const root = path.resolve(options.root || process.cwd());
+    const output = { ...DEFAULT_CONFIG.output, ...config.output };
+    const secrets = { ...DEFAULT_CONFIG.secrets, ...config.secrets };
+    const format = options.format || output.format;
+    if (!OUTPUT_FORMATS[format]) {
+        throw new Error(`Unknown output format "${format}" (available: ${Object.keys(OUTPUT_FORMATS).join(', ')})`);
+    }
+    const policy = options.secrets || (secrets.policy === 'confirm' ? 'block' : secrets.policy);
+    if (!API_SECRET_POLICIES.includes(policy)) {
+        throw new Error(`Unknown secrets policy "${policy}" (available: ${API_SECRET_POLICIES.join(', ')})`);
+    }
+    const model = options.model || { ...DEFAULT_CONFIG.tokens, ...config.tokens }.model;
+    const content = { ...DEFAULT_CONFIG.content, ...config.content, ...options.content };
+    for (const key of ['maxFileSize', 'truncate']) {
+        content[key] = content[key] === null ? null : parseTokenCount(content[key]);
+    }
+    const warnings = [];
+
+    let code = options.contents ? { ...options.contents } : {};
+    let placeholders = {};
+    let omitted = [];
+    let outlined = [];
+    if (!options.contents) {
+        const selection = await readSelection(options.files || [], content, root);
+        ({ code, placeholders, omitted } = selection);
+        selection.errors.forEach(({ filePath, error }) => warnings.push(`Error reading file: ${filePath} (${error.code || error.message})`));
+        omitted.forEach(file => logger.info(`${file.path}: ${file.kind} file ${file.skipped ? 'skipped' : 'replaced by a placeholder'}`));
+    }
+    if (options.levels) {
+        const leveled = applyLevels(code, options.levels);
+        code = leveled.code;
+        outlined = leveled.outlined;
+        placeholders = { ...placeholders, ...leveled.placeholders };
+        leveled.failed.forEach(({ filePath, error }) => warnings.push(`${filePath}: cannot outline (${error.message}), bundled in full`));
+    }
+
+    let findings = [];
+    if (policy !== 'off') {
+        const allowlistPath = secrets.allowlistFile ? path.resolve(root, secrets.allowlistFile) : null;
+        findings = scanFiles(code, { allowlist: await loadAllowlist(allowlistPath), entropy: secrets.entropy });
+        if (findings.length > 0) {
+            warnings.push(`Possible secrets found (${findings.length} in ${new Set(findings.map(finding => finding.file)).size} file(s))`);
+            if (policy === 'block') {
+                warnings.forEach(warning => logger.warn(warning));
+                return {
+                    bundle: null, parts: null, manifest: null, files: {}, stats: null,
+                    secrets: findings, blocked: true, omitted, truncated: [], warnings, outFiles: []
+                };
+            }
+            code = redactSecrets(code, findings);
+        }
+    }
+
+    const minified = minifyBundleFiles(code, {
+        ...DEFAULT_CONFIG.minify,
+        ...config.minify,
+        ...(options.minify ? { mode: options.minify } : {}),
+        ...(options.languages ? { languages: options.languages } : {})
+    }, outlined);
+    minified.report.forEach(({ path: filePath, before, after, minifier }) => logger.info(`${filePath}: ${before} -> ${after} characters (${minifier})`));
+    const { files: truncatedFiles, truncated } = truncateFiles(minified.files, content.truncate);
+    const files = mergePlaceholders(options.contents ? Object.keys(options.contents) : options.files || [], truncatedFiles, placeholders);
+
+    const splitUnit = options.splitUnit || output.splitUnit;
+    const rendered = renderBundle(files, {
+        format,
+        structure: options.structure || null,
+        splitLimit: options.splitLimit !== undefined ? options.splitLimit : output.splitLimit,
+        splitUnit,
+        model
+    });
+    const texts = rendered.parts || [rendered.bundle];
+    const stats = {
+        files: Object.keys(files).length,
+        originalCharacters: minified.before,
+        minifiedCharacters: minified.after,
+        characters: texts.reduce((sum, text) => sum + text.length, 0),
+        tokens: texts.reduce((sum, text) => sum + estimateTokens(text, model), 0),
+        model,
+        perFile: minified.report
+    };
+
+    let outFiles = [];
+    if (options.outFile) {
+        outFiles = await writeBundle(options.outFile, rendered);
+        logger.info(`Written: ${outFiles.join(', ')}`);
+    }
+    warnings.forEach(warning => logger.warn(warning));
+    return { ...rendered, files, stats, secrets: findings, blocked: false, omitted, truncated, warnings, outFiles };
+}
+
+export {
+    API_SECRET_POLICIES,
+    buildStructure,
+    bundleCode,
+    minifyBundleFiles,
+    renderBundle,
+    writeBundle,
+    createMeasure
+};
@@ -0,0 +1,439 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import chalk from 'chalk';
+import pkg from 'enquirer';
+import { GitignoreMatcher } from './gitignore.js';
+import { parseBundle, applyPatch, createUnifiedDiff } from './patch.js';
+import { OUTLINE_HEADER, PATH_ONLY_PLACEHOLDER } from './outline.js';
+
+const { Select } = pkg;
+
+// Version of the backup manifest format
+const BACKUP_SCHEMA_VERSION = 1;
+
+// Bytes of an existing file checked for NUL bytes before it is replaced
+const BINARY_SNIFF_BYTES = 8000;
+
+// Contents the bundles hold instead of a file: applying them would replace the file with the placeholder
+const PLACEHOLDER_PATTERN = /^\[(binary|huge file|generated file) [^\]\n]* omitted[^\]\n]*\]$/;
+const TRUNCATED_PATTERN = /\n\[truncated: \d+ more characters\]$/;
+const SPLIT_CHUNK_PATTERN = /#L\d+-L\d+(~\d+)?$/;
+
+/**
+ * Returns why the contents of a bundle entry are not a whole file (a placeholder, an outline, a truncated
+ * file or a chunk of a split file), or null if they are.
+ */
+function getStandInReason(filePath, content) {
+    if (SPLIT_CHUNK_PATTERN.test(filePath)) return 'chunk of a split file, not the whole file';
+    const text = content.trim();
+    if (PLACEHOLDER_PATTERN.test(text) || text === PATH_ONLY_PLACEHOLDER) return 'placeholder, not the file contents';
+    if (text.startsWith(`${OUTLINE_HEADER}\n`) || text === OUTLINE_HEADER) return 'outline, not the file contents';
+    if (TRUNCATED_PATTERN.test(text)) return 'truncated file, not the whole contents';
+    return null;
+}
+
+/**
+ * Returns true if the path is inside the directory (or is the directory).
+ */
+function isInside(dir, target) {
+    const relative = path.relative(dir, target);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Resolves the path of a bundle entry inside the project root.
+ *
+ * @param {string} rootDir - Project root (absolute)
+ * @param {string} filePath - Path from the bundle
+ * @param {string[]} protectedDirs - Absolute directories nothing is written to (e.g. the backups)
+ * @returns {Promise<{relPath: string, absPath: string}>}
+ * @throws {Error} - If the path is absolute, leaves the root (also through a symbolic link) or is protected
+ */
+async function resolveTarget(rootDir, filePath, protectedDirs = []) {
+    const cleaned = String(filePath).replace(/\\/g, '/').trim();
+    if (!cleaned || cleaned.includes('\0')) throw new Error('invalid path');
+    if (cleaned.startsWith('/') || /^[a-zA-Z]:/.test(cleaned)) throw new Error('absolute path');
+    const relPath = path.posix.normalize(cleaned).replace(/^\.\//, '').replace(/\/+$/, '');
+    if (relPath === '..' || relPath.startsWith('../')) throw new Error('outside the project root');
+    if (relPath === '.' || relPath === '') throw new Error('invalid path');
+    if (relPath === '.git' || relPath.startsWith('.git/')) throw new Error('inside .git');
+
+    const absPath = path.resolve(rootDir, relPath);
+    if (protectedDirs.some(dir => isInside(dir, absPath))) throw new Error('inside the apply-code backups');
+
+    // A symbolic link along the way may point out of the root: compare the real path of the nearest existing ancestor
+    let existing = absPath;
+    while (existing !== rootDir) {
+        try {
+            await fs.lstat(existing);
+            break;
+        } catch (error) {
+            if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') throw error;
+            existing = path.dirname(existing);
+        }
+    }
+    const realRoot = await fs.realpath(rootDir);
+    let realExisting;
+    try {
+        realExisting = await fs.realpath(existing);
+    } catch {
+        throw new Error('broken symbolic link');
+    }
+    if (!isInside(realRoot, realExisting)) throw new Error('outside the project root (symbolic link)');
+    return { relPath, absPath };
+}
+
+/**
+ * Reads a file the way it is compared and patched: without BOM and with \n line endings.
+ *
+ * @returns {Promise<object|null>} - { text, bom, crlf } or { binary: true }, null if the file does not exist
+ * @throws {Error} - If the path is a directory
+ */
+async function readTarget(absPath) {
+    let buffer;
+    try {
+        buffer = await fs.readFile(absPath);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        if (error.code === 'EISDIR') throw new Error('is a directory');
+        throw error;
+    }
+    if (buffer.subarray(0, BINARY_SNIFF_BYTES).includes(0)) return { binary: true };
+    const raw = buffer.toString('utf-8');
+    const bom = raw.startsWith('\uFEFF');
+    const withoutBom = bom ? raw.slice(1) : raw;
+    return { text: withoutBom.replace(/\r\n/g, '\n'), bom, crlf: withoutBom.includes('\r\n') };
+}
+
+/**
+ * Restores the BOM and line endings of the file being replaced.
+ */
+function toFileText(text, original) {
+    if (!original) return text;
+    const lines = original.crlf ? text.replace(/\n/g, '\r\n') : text;
+    return original.bom ? `\uFEFF${lines}` : lines;
+}
+
+function hashText(text) {
+    return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+/**
+ * Works out what applying the entries of a bundle would do to each file, without writing anything.
+ *
+ * @param {object[]} entries - Entries from parseBundle: { path, content } or { path, patch }; entries with an
+ *   `error` are refused
+ * @param {object} options - Settings
+ * @param {string} options.rootDir - Project root
+ * @param {boolean} options.force - Also write files ignored by git
+ * @param {string[]} options.protectedDirs - Directories nothing is written to
+ * @returns {Promise<object[]>} - One change per file, in bundle order: { path, absPath, action, before, after, text, reason }
+ *   where action is "create", "modify", "delete", "unchanged", "refused" or "failed"; `before`/`after` are the contents
+ *   compared in the preview (null for a missing file) and `text` what is written
+ */
+async function planApply(entries, options = {}) {
+    const rootDir = path.resolve(options.rootDir || process.cwd());
+    const gitignore = new GitignoreMatcher(rootDir);
+    const protectedDirs = (options.protectedDirs || []).map(dir => path.resolve(rootDir, dir));
+    const changes = new Map();
+
+    for (const entry of entries) {
+        let change = changes.get(entry.path);
+        if (!change) {
+            change = { path: entry.path, absPath: null, action: null, before: null, after: null, original: null, reason: null };
+            changes.set(entry.path, change);
+            try {
+                const target = await resolveTarget(rootDir, entry.path, protectedDirs);
+                change.path = target.relPath;
+                change.absPath = target.absPath;
+                if (!options.force && gitignore.isIgnored(target.relPath)) throw new Error('ignored by git (use --force to write it)');
+                change.original = await readTarget(target.absPath);
+                if (change.original && change.original.binary) throw new Error('binary file');
+                change.before = change.original ? change.original.text : null;
+                change.after = change.before;
+            } catch (error) {
+                change.action = 'refused';
+                change.reason = error.message;
+            }
+        }
+        if (change.action === 'refused' || change.action === 'failed') continue;
+
+        if (entry.patch) {
+            if (change.after === null && entry.patch.oldPath !== null) {
+                change.action = 'failed';
+                change.reason = 'the diff changes a file that does not exist';
+                continue;
+            }
+            try {
+                change.after = applyPatch(change.after, entry.patch);
+            } catch (error) {
+                change.action = 'failed';
+                change.reason = error.message;
+            }
+            continue;
+        }
+        const standIn = entry.error || getStandInReason(entry.path, entry.content);
+        if (standIn) {
+            change.action = 'refused';
+            change.reason = standIn;
+            continue;
+        }
+        // Headings and fences lose the final newline: keep the one of the file (new files get one)
+        const keepNewline = (change.before === null || change.before.endsWith('\n')) && entry.content !== '';
+        change.after = keepNewline && !entry.content.endsWith('\n') ? `${entry.content}\n` : entry.content;
+    }
+
+    return [...changes.values()].map(change => {
+        if (!change.action) {
+            if (change.before === change.after) change.action = 'unchanged';
+            else if (change.after === null) change.action = 'delete';
+            else change.action = change.before === null ? 'create' : 'modify';
+        }
+        const text = change.after === null ? null : toFileText(change.after, change.original);
+        return { path: change.path, absPath: change.absPath, action: change.action, before: change.before, after: change.after, text, reason: change.reason };
+    });
+}
+
+/**
+ * Returns the id of a new backup, a timestamp usable as a directory name.
+ */
+function createBackupId(date = new Date()) {
+    return date.toISOString().replace(/[:.]/g, '-');
+}
+
+/**
+ * Writes the planned changes, after copying the files they replace into a new backup.
+ *
+ * @param {object[]} changes - Changes from planApply to write ("create", "modify" and "delete" ones)
+ * @param {object} options - Settings
+ * @param {string} options.rootDir - Project root
+ * @param {string} options.backupsDir - Directory of the backups
+ * @param {string} options.source - Where the bundle came from, recorded in the backup
+ * @returns {Promise<object>} - The backup manifest: { version, id, createdAt, source, files: [{ path, existed, hash }], undoneAt }
+ */
+async function writeChanges(changes, options) {
+    const rootDir = path.resolve(options.rootDir || process.cwd());
+    const backupsDir = path.resolve(rootDir, options.backupsDir);
+    let id = createBackupId();
+    for (let attempt = 2; await fs.pathExists(path.join(backupsDir, id)); attempt++) {
+        id = `${createBackupId()}-${attempt}`;
+    }
+    const backupDir = path.join(backupsDir, id);
+    const manifest = {
+        version: BACKUP_SCHEMA_VERSION,
+        id,
+        createdAt: new Date().toISOString(),
+        source: options.source || null,
+        files: [],
+        undoneAt: null
+    };
+
+    for (const change of changes) {
+        const existed = change.before !== null;
+        if (existed) await fs.copy(change.absPath, path.join(backupDir, 'files', change.path));
+        manifest.files.push({ path: change.path, existed, hash: change.text === null ? null : hashText(change.text) });
+    }
+    // The manifest is written before the files so an interrupted apply can still be undone
+    await fs.outputJson(path.join(backupDir, 'manifest.json'), manifest, { spaces: 2 });
+
+    for (const change of changes) {
+        if (change.text === null) {
+            await fs.remove(change.absPath);
+        } else {
+            await fs.ensureDir(path.dirname(change.absPath));
+            await fs.writeFile(change.absPath, change.text, 'utf-8');
+        }
+    }
+    return manifest;
+}
+
+/**
+ * Lists the backups of apply-code, oldest first.
+ *
+ * @param {string} backupsDir - Directory of the backups
+ * @returns {Promise<object[]>} - Backup manifests
+ */
+async function listBackups(backupsDir) {
+    if (!(await fs.pathExists(backupsDir))) return [];
+    const backups = [];
+    for (const entry of await fs.readdir(backupsDir, { withFileTypes: true })) {
+        if (!entry.isDirectory()) continue;
+        try {
+            const manifest = await fs.readJson(path.join(backupsDir, entry.name, 'manifest.json'));
+            backups.push({ ...manifest, id: entry.name });
+        } catch (error) {
+            console.warn(chalk.yellow(`Warning: Could not read backup ${entry.name}: ${error.message}`));
+        }
+    }
+    return backups.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+}
+
+/**
+ * Undoes an apply: restores the files it replaced or deleted and removes the files it created.
+ * Files changed since the apply are left alone unless forced.
+ *
+ * @param {object} options - Settings
+ * @param {string} options.rootDir - Project root
+ * @param {string} options.backupsDir - Directory of the backups
+ * @param {string|null} options.id - Backup to undo (default: the latest one not undone yet)
+ * @param {boolean} options.force - Also restore files changed since the apply
+ * @returns {Promise<{id: string, restored: string[], removed: string[]}>}
+ * @throws {Error} - If there is no such backup, it was undone already, or files changed since the apply
+ */
+async function undoApply(options) {
+    const rootDir = path.resolve(options.rootDir || process.cwd());
+    const backupsDir = path.resolve(rootDir, options.backupsDir);
+    const backups = await listBackups(backupsDir);
+    const backup = options.id
+        ? backups.find(item => item.id === options.id)
+        : backups.filter(item => !item.undoneAt).pop();
+    if (!backup) {
+        throw new Error(options.id ? `Backup "${options.id}" not found in ${backupsDir}` : 'Nothing to undo: no apply-code backup left.');
+    }
+    if (backup.undoneAt && !options.force) {
+        throw new Error(`Backup "${backup.id}" was already undone on ${backup.undoneAt} (use --force to restore it again).`);
+    }
+
+    const targets = [];
+    const modified = [];
+    for (const file of backup.files) {
+        const { absPath } = await resolveTarget(rootDir, file.path);
+        const current = await fs.pathExists(absPath) ? hashText(await fs.readFile(absPath, 'utf-8')) : null;
+        if (current !== file.hash) modified.push(file.path);
+        targets.push({ ...file, absPath });
+    }
+    if (modified.length > 0 && !options.force) {
+        throw new Error(`Changed since the apply: ${modified.join(', ')} (use --force to undo anyway).`);
+    }
+
+    const restored = [];
+    const removed = [];
+    for (const file of targets) {
+        if (file.existed) {
+            await fs.copy(path.join(backupsDir, backup.id, 'files', file.path), file.absPath, { overwrite: true });
+            restored.push(file.path);
+        } else if (await fs.pathExists(file.absPath)) {
+            await fs.remove(file.absPath);
+            removed.push(file.path);
+        }
+    }
+    const { id, ...manifest } = backup;
+    await fs.writeJson(path.join(backupsDir, id, 'manifest.json'), { ...manifest, id, undoneAt: new Date().toISOString() }, { spaces: 2 });
+    return { id, restored, removed };
+}
+
+/**
+ * Prints the diff of a change with colors: removed lines in red, added lines in green.
+ */
+function printChange(change) {
+    const { diff, added, removed } = createUnifiedDiff(change.path, change.before, change.after);
+    const labels = { create: chalk.green('new file'), modify: chalk.yellow('modified'), delete: chalk.red('deleted') };
+    console.log(`\n${chalk.bold(change.path)} ${labels[change.action]} ${chalk.green(`+${added}`)} ${chalk.red(`-${removed}`)}`);
+    for (const line of diff.split('\n').slice(2)) {
+        if (line.startsWith('@@')) console.log(chalk.cyan(line));
+        else if (line.startsWith('+')) console.log(chalk.green(line));
+        else if (line.startsWith('-')) console.log(chalk.red(line));
+        else console.log(chalk.dim(line));
+    }
+}
+
+/**
+ * Asks whether to apply a change.
+ *
+ * @returns {Promise<string>} - "apply", "skip", "all" or "quit"
+ */
+async function askChange(change, index, total) {
+    const prompt = new Select({
+        name: 'answer',
+        message: chalk.bold(`Apply ${change.path}? (${index + 1}/${total})`),
+        choices: [
+            { name: 'apply', message: 'Apply' },
+            { name: 'skip', message: 'Skip' },
+            { name: 'all', message: 'Apply this file and all the remaining ones' },
+            { name: 'quit', message: 'Quit (apply the files accepted so far)' }
+        ]
+    });
+    return prompt.run();
+}
+
+/**
+ * Applies a bundle returned by a chat to the project: shows the diff of every file, asks which ones to apply
+ * (unless `yes`), backs up the files that change and writes them.
+ *
+ * @param {object} options - Settings
+ * @param {string} options.text - Bundle text
+ * @param {string|null} options.format - Bundle format (null to detect it)
+ * @param {string} options.source - Where the bundle came from (file path or "stdin")
+ * @param {string} options.rootDir - Project root
+ * @param {object} options.config - Loaded config (for backupsDir)
+ * @param {boolean} options.force - Also write files ignored by git
+ * @param {boolean} options.yes - Apply every file without asking
+ * @param {boolean} options.dryRun - Only show the diffs
+ * @returns {Promise<object|null>} - The backup manifest, or null if nothing was written; the exit code is set
+ *   to 1 when a file was refused or could not be applied
+ */
+async function applyBundle(options) {
+    const rootDir = path.resolve(options.rootDir || process.cwd());
+    const { backupsDir } = options.config;
+    const { format, entries } = parseBundle(options.text, options.format || null);
+    if (entries.length === 0) {
+        throw new Error(`No files found in the bundle (read as ${format}).`);
+    }
+    const changes = await planApply(entries, { rootDir, force: options.force, protectedDirs: [backupsDir] });
+
+    console.log(chalk.cyan(`Read ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'} from ${options.source} (${format})`));
+    for (const change of changes.filter(item => item.action === 'refused')) {
+        console.log(chalk.yellow(`Refused ${change.path}: ${change.reason}`));
+    }
+    for (const change of changes.filter(item => item.action === 'failed')) {
+        console.log(chalk.red(`Cannot apply ${change.path}: ${change.reason}`));
+    }
+    // A partial apply exits with 1, so scripts can tell it from a clean one
+    if (changes.some(item => item.action === 'refused' || item.action === 'failed')) {
+        process.exitCode = 1;
+    }
+    const unchanged = changes.filter(item => item.action === 'unchanged').length;
+    if (unchanged > 0) {
+        console.log(chalk.dim(`${unchanged} file(s) unchanged`));
+    }
+
+    const pending = changes.filter(item => ['create', 'modify', 'delete'].includes(item.action));
+    if (pending.length === 0) {
+        console.log(chalk.yellow('Nothing to apply.'));
+        return null;
+    }
+
+    const accepted = [];
+    let acceptAll = Boolean(options.yes);
+    for (const [index, change] of pending.entries()) {
+        printChange(change);
+        if (options.dryRun) continue;
+        if (acceptAll) {
+            accepted.push(change);
+            continue;
+        }
+        const answer = await askChange(change, index, pending.length);
+        if (answer === 'quit') break;
+        if (answer === 'skip') continue;
+        if (answer === 'all') acceptAll = true;
+        accepted.push(change);
+    }
+
+    if (options.dryRun) {
+        console.log(chalk.cyan(`\nDry run: ${pending.length} file(s) would change, nothing written.`));
+        return null;
+    }
+    if (accepted.length === 0) {
+        console.log(chalk.yellow('\nNo files applied.'));
+        return null;
+    }
+
+    const manifest = await writeChanges(accepted, { rootDir, backupsDir, source: options.source });
+    const count = (action) => accepted.filter(change => change.action === action).length;
+    console.log(chalk.green(`\nApplied ${accepted.length} file(s): ${count('modify')} modified, ${count('create')} created, ${count('delete')} deleted`));
+    console.log(chalk.cyan(`Backup ${manifest.id} in ${backupsDir} (undo with apply-code --undo)`));
+    return manifest;
+}
+
+export { getStandInReason, resolveTarget, planApply, writeChanges, listBackups, undoApply, applyBundle };
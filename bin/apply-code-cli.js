@@ -0,0 +1,3 @@
+#!/usr/bin/env node
+import { applyCodeCli } from '../cli.js';
+applyCodeCli(process.argv);
\ No newline at end of file
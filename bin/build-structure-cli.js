@@ -1,3 +1,3 @@
 #!/usr/bin/env node
-import { main } from '../build-structure.js';
-main();
\ No newline at end of file
+import { buildStructureCli } from '../cli.js';
+buildStructureCli(process.argv);
\ No newline at end of file
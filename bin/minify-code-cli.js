@@ -1,3 +1,3 @@
 #!/usr/bin/env node
-import { minifyCode } from '../minify-code.js';
-minifyCode();
\ No newline at end of file
+import { minifyCodeCli } from '../cli.js';
+minifyCodeCli(process.argv);
\ No newline at end of file
@@ -0,0 +1,3 @@
+#!/usr/bin/env node
+import { projectMinifierCli } from '../cli.js';
+projectMinifierCli(process.argv);
\ No newline at end of file
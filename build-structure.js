@@ -1,9 +1,108 @@
 import fs from 'fs-extra';
 import path from 'path';
 import readline from 'readline';
+import { DEFAULT_CONFIG, loadConfig } from './config.js';
+import { GitignoreMatcher } from './gitignore.js';
+import { getLanguageTag } from './formatters.js';
+import { DirectoryWalker } from './walker.js';
+import { STRUCTURE_FORMATS, renderStructure } from './tree.js';
+import { detectWorkspaces } from './workspaces.js';
+import { classifyFile } from './classify.js';
 
-// Constant for the directory where JSON project structure files will be stored
-const JSON_DIR = 'json-project';
+/**
+ * Counts the lines of a file, reading it as a stream so large files are never held in memory.
+ * A last line without a trailing newline counts too.
+ */
+async function countLines(filePath) {
+    let lines = 0;
+    let last = null;
+    for await (const chunk of fs.createReadStream(filePath)) {
+        for (let index = chunk.indexOf(10); index !== -1; index = chunk.indexOf(10, index + 1)) {
+            lines++;
+        }
+        last = chunk[chunk.length - 1];
+    }
+    return last !== null && last !== 10 ? lines + 1 : lines;
+}
+
+/**
+ * Creates the structure node of a file.
+ * Compact mode: the relative path. Rich mode: { type: "file", path, size, lines, language, mtime, binary }
+ * (lines is null for binary files, language is null when the extension is unknown).
+ *
+ * @param {string} filePath - Full path to the file
+ * @param {string} basePath - Base path of the project
+ * @param {fs.Stats|null} stat - File stats (read when not given)
+ * @param {boolean} rich - Rich mode
+ * @returns {Promise<string|object>}
+ */
+async function createFileNode(filePath, basePath, stat, rich) {
+    const relativePath = path.relative(basePath, filePath).replace(/\\/g, '/');
+    if (!rich) return relativePath;
+
+    // Binary files are told from the first bytes, like the bundles do (see classifyFile)
+    const { kind } = await classifyFile(filePath);
+    stat = stat || await fs.stat(filePath);
+    const binary = kind === 'binary';
+    const lines = binary ? null : await countLines(filePath);
+    return {
+        type: 'file',
+        path: relativePath,
+        size: stat.size,
+        lines,
+        language: getLanguageTag(relativePath) || null,
+        mtime: stat.mtime.toISOString(),
+        binary
+    };
+}
+
+/**
+ * Creates the structure node of a directory from its child nodes.
+ * Compact mode: the children themselves. Rich mode: { type: "directory", files, size, lines, mtime, children }
+ * with totals over all nested files (mtime is the latest one).
+ *
+ * @param {object} children - Map of name to child node
+ * @param {boolean} rich - Rich mode
+ * @returns {object}
+ */
+function createDirectoryNode(children, rich) {
+    if (!rich) return children;
+
+    const totals = { type: 'directory', files: 0, size: 0, lines: 0, mtime: null };
+    for (const child of Object.values(children)) {
+        totals.files += child.type === 'file' ? 1 : child.files;
+        totals.size += child.size;
+        totals.lines += child.lines || 0;
+        if (child.mtime && (!totals.mtime || child.mtime > totals.mtime)) {
+            totals.mtime = child.mtime;
+        }
+    }
+    return { ...totals, children };
+}
+
+/**
+ * Creates the walker that builds structure nodes (compact or rich) and skips files ignored by git.
+ *
+ * @param {string} basePath - Base path of the project for calculating relative paths
+ * @param {object} options - Optional settings
+ * @param {GitignoreMatcher} options.gitignore - Matcher used to skip files and folders ignored by git (optional)
+ * @param {boolean} options.rich - Store file details and directory totals instead of bare paths (optional)
+ * @param {Function} options.filter - Additional filter(relativePath, isDirectory), false skips the entry (optional)
+ * @param {object} options.walk - Walker limits: { concurrency, symlinks, maxDepth, maxFiles } (optional)
+ * @returns {DirectoryWalker}
+ */
+function createStructureWalker(basePath, options = {}) {
+    const { gitignore, rich = false, filter = () => true, walk = {} } = options;
+    return new DirectoryWalker(basePath, {
+        ...walk,
+        filter: (relativePath, isDirectory) =>
+            filter(relativePath, isDirectory) && !(gitignore && gitignore.isIgnored(relativePath, isDirectory)),
+        // Compact nodes need no stats and rich nodes read their own
+        statFiles: false,
+        createFile: (filePath, stat) => createFileNode(filePath, basePath, stat, rich),
+        createDirectory: (children) => createDirectoryNode(children, rich)
+    });
+}
 
 /**
  * Recursively parses the structure of a directory, creating an object with files and folders.
@@ -11,106 +110,191 @@ const JSON_DIR = 'json-project';
  *
  * @param {string} dir - Path to the directory to parse
  * @param {string} basePath - Base path of the project for calculating relative paths
+ * @param {object} options - Optional settings, see createStructureWalker
+ * @param {DirectoryWalker} options.walker - Walker to use, so several scans share limits and errors (optional)
  * @returns {Promise<object>} - Promise that resolves to an object representing the directory structure
  */
-async function parseStructure(dir, basePath) {
-    const structure = {}; // Object to store the structure of the current directory
-    const files = await fs.readdir(dir); // Read the contents of the directory (list of files and folders)
-
-    // Iterate over each item in the directory
-    for (const file of files) {
-        const filePath = path.join(dir, file); // Form the full path to the current item
-        const stat = await fs.stat(filePath); // Get information about the file/folder (is it a directory or file)
-
-        if (stat.isDirectory()) {
-            // If it's a directory, recursively parse its contents
-            structure[file] = await parseStructure(filePath, basePath);
-        } else {
-            // If it's a file, save its relative path in the structure object
-            structure[file] = path.relative(basePath, filePath).replace(/\\/g, '/');
-            // path.relative calculates the path relative to basePath; replace backslashes with forward slashes for consistency
-        }
-    }
-    return structure; // Return the formed structure object
+async function parseStructure(dir, basePath, options = {}) {
+    const walker = options.walker || createStructureWalker(basePath, options);
+    return walker.walkDirectory(path.resolve(dir));
 }
 
 /**
- * Creates a JSON file representing the project structure.
- * Can scan the entire project or only specified files/folders.
+ * Scans the project and returns the structure without writing or printing anything.
+ * Scans the whole project (`scanAll`) or only the given directories and files.
  *
- * @param {string} basePath - Base path of the project (usually the current working directory)
- * @param {string[]} initialDirs - Array of directories for selective scanning (optional)
- * @param {string[]} initialFiles - Array of files for selective scanning (optional)
- * @param {boolean} scanAll - Flag: scan the entire project (true) or only specified items (false)
- * @returns {Promise<void>} - Promise that resolves after writing the JSON file
+ * @param {string} basePath - Base path of the project
+ * @param {object} options - Optional settings
+ * @param {string[]} options.dirs - Directories for selective scanning, relative to basePath
+ * @param {string[]} options.files - Files for selective scanning, relative to basePath
+ * @param {boolean} options.scanAll - Scan the entire project instead of dirs and files
+ * @param {boolean} options.respectGitignore - Skip files and folders ignored by git
+ * @param {Function} options.filter - filter(relativePath, isDirectory) returns false to skip an entry (optional)
+ * @param {object} options.structure - Structure settings: { mode, symlinks, maxDepth, maxFiles, concurrency }
+ * @returns {Promise<{structure: object, files: number, errors: object[], warnings: string[], truncated: boolean}>}
  */
-async function buildStructureJSON(basePath, initialDirs = [], initialFiles = [], scanAll = false) {
-    // Ensure the JSON directory exists (create it if it doesn't)
-    await fs.ensureDir(JSON_DIR);
-    const structure = {}; // Object to store the final project structure
-
-    // Helper function to process a single item (file or directory)
-    const processItem = async (itemPath, basePath) => {
-        const stat = await fs.stat(itemPath); // Get information about the item
-        const itemName = path.basename(itemPath); // Extract the name of the file or directory from the path
-
-        if (stat.isDirectory()) {
-            // If it's a directory and scanning is allowed (scanAll or included in initialDirs)
-            if (scanAll || initialDirs.includes(itemName)) {
-                structure[itemName] = await parseStructure(itemPath, basePath);
-            }
-        } else if (stat.isFile()) {
-            // If it's a file and inclusion is allowed (scanAll or included in initialFiles)
-            if (scanAll || initialFiles.includes(itemName)) {
-                structure[itemName] = path.relative(basePath, itemPath).replace(/\\/g, '/');
-            }
-        }
-    };
+async function scanStructure(basePath, options = {}) {
+    const {
+        dirs = [],
+        files = [],
+        scanAll = false,
+        respectGitignore = DEFAULT_CONFIG.respectGitignore,
+        filter,
+        structure: structureOptions = DEFAULT_CONFIG.structure
+    } = options;
+    const { mode, ...walkOptions } = { ...DEFAULT_CONFIG.structure, ...structureOptions };
+    const rich = mode === 'rich';
+    // Matcher for .gitignore rules, shared by the whole scan so every .gitignore file is read once
+    const gitignore = respectGitignore ? new GitignoreMatcher(basePath) : null;
+    // One walker for the whole scan, so the limits and the error list cover every scanned directory
+    const walker = createStructureWalker(basePath, { gitignore, rich, filter, walk: walkOptions });
+    const warnings = [];
+    let structure;
 
-    // Full project scan mode
     if (scanAll) {
-        const items = await fs.readdir(basePath); // Read all items in the base directory
-        // List of directories to exclude from scanning (e.g., utility folders)
-        const excludedDirs = [
-            'dist', '.github', '.cursor', '.vscode', 'node_modules', 
-            '.git', 'docker', 'json-project', 'docs', 'logs'
-        ];
-
-        // Process each item in the base directory
-        for (const item of items) {
-            const itemPath = path.join(basePath, item); // Full path to the item
-            const itemName = path.basename(item); // Item name
-            // Skip the item if it's in the exclusion list
-            if (!excludedDirs.includes(itemName)) {
-                await processItem(itemPath, basePath); // Process the item
-            }
-        }
+        // Full project scan mode: the root node (with the project totals in rich mode)
+        structure = await walker.walkDirectory(path.resolve(basePath));
     } else {
-        // Selective scan mode (only specified files and directories)
-        for (const dir of initialDirs) {
+        // Selective scan mode (only specified files and directories), scanned in parallel
+        const children = {};
+        const dirNodes = await Promise.all(dirs.map(async (dir) => {
             const dirPath = path.join(basePath, dir); // Full path to the directory
             if (await fs.pathExists(dirPath)) {
-                // If the directory exists, parse it
-                structure[dir] = await parseStructure(dirPath, basePath);
-            } else {
-                console.warn(`Directory not found: ${dirPath}`); // Warning if the path is not found
+                return walker.walkDirectory(path.resolve(dirPath));
             }
-        }
-        for (const file of initialFiles) {
+            warnings.push(`Directory not found: ${dirPath}`);
+            return undefined;
+        }));
+        const fileNodes = await Promise.all(files.map(async (file) => {
             const filePath = path.join(basePath, file); // Full path to the file
             if (await fs.pathExists(filePath)) {
-                // If the file exists, add it to the structure
-                structure[path.basename(file)] = path.relative(basePath, filePath).replace(/\\/g, '/');
-            } else {
-                console.warn(`File not found: ${filePath}`); // Warning if the file is not found
+                return walker.walkFile(path.resolve(filePath));
             }
-        }
+            warnings.push(`File not found: ${filePath}`);
+            return undefined;
+        }));
+        dirs.forEach((dir, index) => {
+            if (dirNodes[index] !== undefined) children[dir] = dirNodes[index];
+        });
+        files.forEach((file, index) => {
+            if (fileNodes[index] !== undefined) children[path.basename(file)] = fileNodes[index];
+        });
+        // In rich mode the root gets the totals of the scanned items
+        structure = createDirectoryNode(children, rich);
+    }
+
+    if (walker.truncated) {
+        const limits = [
+            walkOptions.maxDepth ? `maxDepth ${walkOptions.maxDepth}` : null,
+            walkOptions.maxFiles ? `maxFiles ${walkOptions.maxFiles}` : null
+        ].filter(Boolean).join(', ');
+        warnings.push(`The structure is incomplete: the scan reached its limits (${limits}).`);
+    }
+    return { structure, files: walker.fileCount, errors: walker.errors, warnings, truncated: walker.truncated };
+}
+
+/**
+ * Prints the warnings of a scan and the entries that could not be scanned.
+ */
+function reportScanProblems({ errors, warnings }) {
+    if (errors.length > 0) {
+        console.warn(`Skipped ${errors.length} entr${errors.length === 1 ? 'y' : 'ies'} that could not be scanned:`);
+        errors.slice(0, 20).forEach(({ path: entryPath, code, message }) => console.warn(`  ${entryPath} (${code}): ${message}`));
+        if (errors.length > 20) console.warn(`  ... and ${errors.length - 20} more`);
     }
+    warnings.forEach(warning => console.warn(warning));
+}
+
+/**
+ * Returns the entry filter of a scan: the output directory is never scanned, and the full scan
+ * also skips excludedDirs in the project root and in the folder of each workspace package
+ * (e.g. packages/api/node_modules).
+ *
+ * @param {string} basePath - Base path of the project
+ * @param {boolean} scanAll - Full scan (true) or selective scan (false)
+ * @param {object} options - { excludedDirs, outputDir } (usually the resolved project config) and `packageDirs`,
+ *   the folders of the workspace packages
+ * @returns {Function} - filter(relativePath), false skips the entry
+ */
+function createScanFilter(basePath, scanAll = false, options = {}) {
+    const { excludedDirs = DEFAULT_CONFIG.excludedDirs, outputDir = DEFAULT_CONFIG.outputDir, packageDirs = [] } = options;
+    const outputPath = path.relative(basePath, path.resolve(outputDir)).replace(/\\/g, '/');
+    const roots = new Set(['.', ...packageDirs]);
+    return (relativePath) => relativePath !== outputPath &&
+        !(scanAll && excludedDirs.includes(path.posix.basename(relativePath)) && roots.has(path.posix.dirname(relativePath)));
+}
+
+/**
+ * Scans the project and writes project-structure.min.json without printing anything, and with a structure.format
+ * other than "json" also the structure in that format (e.g. project-structure.txt), with a section per workspace package.
+ * Takes the same arguments as buildStructureJSON.
+ *
+ * @returns {Promise<object>} - The scan result (see scanStructure) with `outFiles`, the names of the written files,
+ *   and `workspace`, the detected workspace packages (see detectWorkspaces) or null
+ */
+async function writeStructure(basePath, initialDirs = [], initialFiles = [], scanAll = false, options = {}) {
+    const {
+        outputDir = DEFAULT_CONFIG.outputDir,
+        respectGitignore = DEFAULT_CONFIG.respectGitignore,
+        workspaces = DEFAULT_CONFIG.workspaces,
+        structure: structureOptions = DEFAULT_CONFIG.structure
+    } = options;
+
+    // Ensure the JSON directory exists (create it if it doesn't)
+    await fs.ensureDir(outputDir);
+    const workspace = workspaces ? await detectWorkspaces(basePath) : null;
+    const packageDirs = workspace ? workspace.packages.map(pkg => pkg.dir) : [];
+    const result = await scanStructure(basePath, {
+        dirs: initialDirs,
+        files: initialFiles,
+        scanAll,
+        respectGitignore,
+        filter: createScanFilter(basePath, scanAll, { ...options, packageDirs }),
+        structure: structureOptions
+    });
 
     // Minify the JSON (remove extra spaces) and write it to a file
-    const structureJSON = JSON.stringify(structure).replace(/\s+/g, ' ');
-    await fs.writeFile(path.join(JSON_DIR, 'project-structure.min.json'), structureJSON);
-    console.log('project-structure.min.json created successfully!'); // Notification of successful creation
+    const structureJSON = JSON.stringify(result.structure).replace(/\s+/g, ' ');
+    await fs.writeFile(path.join(outputDir, STRUCTURE_FORMATS.json.fileName), structureJSON);
+    const outFiles = [STRUCTURE_FORMATS.json.fileName];
+
+    // The JSON stays the source of the file selector; other formats are written next to it
+    const { format = 'json', depth = null, collapse = null } = structureOptions;
+    if (format !== 'json') {
+        const { fileName } = STRUCTURE_FORMATS[format];
+        const packages = workspace ? workspace.packages : [];
+        await fs.writeFile(path.join(outputDir, fileName), `${renderStructure(result.structure, { format, depth, collapse, packages })}\n`);
+        outFiles.push(fileName);
+    }
+    return { ...result, outFiles, workspace };
+}
+
+/**
+ * Creates a JSON file representing the project structure.
+ * Can scan the entire project or only specified files/folders.
+ *
+ * @param {string} basePath - Base path of the project (usually the current working directory)
+ * @param {string[]} initialDirs - Array of directories for selective scanning (optional)
+ * @param {string[]} initialFiles - Array of files for selective scanning (optional)
+ * @param {boolean} scanAll - Flag: scan the entire project (true) or only specified items (false)
+ * @param {object} options - Optional settings (usually the resolved project config)
+ * @param {string[]} options.excludedDirs - Directories skipped by the full scan
+ * @param {string} options.outputDir - Directory where the JSON file is written
+ * @param {boolean} options.respectGitignore - Skip files and folders ignored by git (.gitignore files and .git/info/exclude)
+ * @param {boolean} options.workspaces - Skip excludedDirs in the workspace packages too (full scan) and add a section
+ *   per package to the tree, markdown and paths formats
+ * @param {object} options.structure - Structure settings: { mode, symlinks, maxDepth, maxFiles, concurrency, format, depth, collapse }
+ * @returns {Promise<object>} - Promise that resolves to the scan result after writing the JSON file
+ */
+async function buildStructureJSON(basePath, initialDirs = [], initialFiles = [], scanAll = false, options = {}) {
+    const result = await writeStructure(basePath, initialDirs, initialFiles, scanAll, options);
+    reportScanProblems(result);
+    if (result.workspace) {
+        const { manager, packages } = result.workspace;
+        console.log(`${packages.length} workspace package(s) (${manager}): ${packages.map(pkg => pkg.name).join(', ')}`);
+    }
+    result.outFiles.forEach(fileName => console.log(`${fileName} created successfully!`)); // Notification of successful creation
+    return result;
 }
 
 /**
@@ -118,6 +302,16 @@ async function buildStructureJSON(basePath, initialDirs = [], initialFiles = [],
  * Prompts the user for the operating mode via the terminal.
  */
 async function main() {
+    // Load the project config (projectminifier.config.json, .js or the "projectMinifier" key in package.json)
+    let config;
+    try {
+        config = await loadConfig(process.cwd());
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+        return;
+    }
+
     // Create an interface for interacting with the user via the terminal
     const rl = readline.createInterface({
         input: process.stdin,  // Input from the keyboard
@@ -140,20 +334,19 @@ async function main() {
 
     const answer = await question(); // Wait for the user's response
 
-    // Predefined directories and files for selective scanning
-    const dirs = ['src', 'server', 'supabase/migrations'];
-    const files = ['package.json', 'redis.conf', 'README.md', 'game_readme.md'];
+    // Directories and files for selective scanning come from the config
+    const { dirs, files } = config;
 
     // Process the user's choice
     if (answer === '1') {
         // Full scan mode
-        await buildStructureJSON(process.cwd(), [], [], true); // process.cwd() - current working directory
+        await buildStructureJSON(process.cwd(), [], [], true, config); // process.cwd() - current working directory
     } else if (answer === '2') {
         // Selective scan mode
-        await buildStructureJSON(process.cwd(), dirs, files, false);
+        await buildStructureJSON(process.cwd(), dirs, files, false, config);
     } else {
         console.log('Invalid choice. Exiting.'); // Message for invalid input
     }
 }
 
-export { parseStructure, buildStructureJSON, main };
\ No newline at end of file
+export { parseStructure, createStructureWalker, scanStructure, createScanFilter, writeStructure, buildStructureJSON, main };
\ No newline at end of file
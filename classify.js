@@ -0,0 +1,294 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { matchesGlob } from './gitignore.js';
+
+// What to do with binary, huge and generated files in the bundle
+const CONTENT_POLICIES = ['placeholder', 'skip', 'include'];
+
+// Bytes read from the start of a file to classify it (the same amount git checks for NUL bytes)
+const SAMPLE_SIZE = 8000;
+
+// Lockfiles and other files written by tools, matched by name
+const GENERATED_FILES = [
+    'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb',
+    'composer.lock', 'Gemfile.lock', 'Cargo.lock', 'poetry.lock', 'Pipfile.lock', 'go.sum',
+    'flake.lock', 'pubspec.lock', 'mix.lock', 'packages.lock.json'
+];
+
+// Minified bundles, source maps and other build output, matched as globs
+const GENERATED_PATTERNS = ['*.min.js', '*.min.mjs', '*.min.css', '*.map', '*.bundle.js', '*.chunk.js', '*.pb.go', '*_pb2.py'];
+
+// Markers tools put in the comment at the top of the files they generate
+const GENERATED_MARKERS = /@generated|\bDO NOT EDIT\b|\bauto-?generated\b|\bautomatically generated\b/i;
+
+// Lines of the leading comment block searched for GENERATED_MARKERS
+const HEADER_LINES = 20;
+
+/**
+ * Detects the text encoding from the byte order mark; files without one are UTF-8,
+ * or latin1 if they are not valid UTF-8.
+ *
+ * @param {Buffer} buffer - File contents (or their start)
+ * @param {boolean} complete - The buffer holds the whole file (a cut multi-byte character at the end is not an error)
+ * @returns {string} - "utf-8", "utf-8-bom", "utf-16le", "utf-16be" or "latin1"
+ */
+function detectEncoding(buffer, complete = true) {
+    if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return 'utf-8-bom';
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) return 'utf-16le';
+    if (buffer[0] === 0xFE && buffer[1] === 0xFF) return 'utf-16be';
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: !complete });
+        return 'utf-8';
+    } catch {
+        return 'latin1';
+    }
+}
+
+/**
+ * Decodes file contents with the detected encoding (the byte order mark is dropped).
+ */
+function decodeBuffer(buffer, encoding) {
+    switch (encoding) {
+        case 'utf-8-bom':
+            return buffer.subarray(3).toString('utf-8');
+        case 'utf-16le':
+            return buffer.subarray(2).toString('utf16le');
+        case 'utf-16be': {
+            const swapped = Buffer.from(buffer.subarray(2, buffer.length - (buffer.length % 2)));
+            return swapped.swap16().toString('utf16le');
+        }
+        case 'latin1':
+            return buffer.toString('latin1');
+        default:
+            return buffer.toString('utf-8');
+    }
+}
+
+/**
+ * Returns true if the sample looks like binary data: a NUL byte (outside UTF-16 text)
+ * or more than 30% control characters.
+ */
+function isBinarySample(sample, encoding) {
+    if (encoding === 'utf-16le' || encoding === 'utf-16be') return false;
+    if (sample.includes(0)) return true;
+    let control = 0;
+    for (const byte of sample) {
+        // Control characters other than tab, newline, form feed and carriage return (and ESC used by ANSI colors)
+        if (byte < 32 && byte !== 9 && byte !== 10 && byte !== 12 && byte !== 13 && byte !== 27) control++;
+    }
+    return sample.length > 0 && control / sample.length > 0.3;
+}
+
+/**
+ * Returns the comment block a file starts with (after a shebang and blank lines), at most HEADER_LINES lines:
+ * line comments (`//`, `#`, `--`, `;`) and block comments (`/* *\/`, `<!-- -->`, `"""`). The code after it is left out,
+ * so a marker in a string or a later comment does not count.
+ */
+function getLeadingComment(text) {
+    const comment = [];
+    let blockEnd = null; // Closing marker of the open block comment
+    for (const [index, line] of text.split('\n').slice(0, HEADER_LINES).entries()) {
+        const trimmed = line.trim();
+        if (blockEnd) {
+            comment.push(trimmed);
+            if (trimmed.includes(blockEnd)) blockEnd = null;
+            continue;
+        }
+        if (trimmed === '' || (index === 0 && trimmed.startsWith('#!'))) continue;
+        const block = [['/*', '*/'], ['<!--', '-->'], ['"""', '"""']].find(([open]) => trimmed.startsWith(open));
+        if (block) {
+            comment.push(trimmed);
+            if (!trimmed.slice(block[0].length).includes(block[1])) blockEnd = block[1];
+        } else if (/^(\/\/|#|--|;)/.test(trimmed)) {
+            comment.push(trimmed);
+        } else {
+            break;
+        }
+    }
+    return comment.join('\n');
+}
+
+/**
+ * Returns why a file looks generated ("lockfile", "minified", "source map", ...), or null.
+ */
+function getGeneratedReason(filePath, text) {
+    const name = path.basename(filePath);
+    if (GENERATED_FILES.includes(name)) return 'lockfile';
+    if (name.endsWith('.map')) return 'source map';
+    if (GENERATED_PATTERNS.some(pattern => matchesGlob(pattern, filePath))) return 'build output';
+    if (GENERATED_MARKERS.test(getLeadingComment(text))) return 'generated marker';
+    // Minified code: a few very long lines
+    const lines = text.split('\n');
+    if (text.length >= 2000 && text.length / lines.length > 500) return 'minified';
+    return null;
+}
+
+/**
+ * Formats a size in bytes: 512B, 120KB, 3.4MB.
+ */
+function formatSize(bytes) {
+    if (bytes < 1000) return `${bytes}B`;
+    if (bytes < 1000000) return `${Math.round(bytes / 1000)}KB`;
+    return `${(bytes / 1000000).toFixed(1)}MB`;
+}
+
+/**
+ * Classifies a file from its size and first bytes.
+ *
+ * @param {string} filePath - File path
+ * @param {object} options - Optional settings
+ * @param {number} options.maxFileSize - Files larger than this many bytes are "huge"
+ * @returns {Promise<{kind: string, size: number, encoding: string|null, reason: string|null}>} - kind is
+ *   "text", "binary", "huge" or "generated"
+ */
+async function classifyFile(filePath, options = {}) {
+    const { maxFileSize = null } = options;
+    const fd = await fs.open(filePath, 'r');
+    let sample;
+    let size;
+    try {
+        size = (await fs.fstat(fd)).size;
+        const buffer = Buffer.alloc(Math.min(size, SAMPLE_SIZE));
+        const { bytesRead } = await fs.read(fd, buffer, 0, buffer.length, 0);
+        sample = buffer.subarray(0, bytesRead);
+    } finally {
+        await fs.close(fd);
+    }
+
+    const encoding = detectEncoding(sample, size <= SAMPLE_SIZE);
+    if (isBinarySample(sample, encoding)) {
+        return { kind: 'binary', size, encoding: null, reason: null };
+    }
+    const generated = getGeneratedReason(filePath, decodeBuffer(sample, encoding));
+    if (generated) {
+        return { kind: 'generated', size, encoding, reason: generated };
+    }
+    if (maxFileSize && size > maxFileSize) {
+        return { kind: 'huge', size, encoding, reason: null };
+    }
+    return { kind: 'text', size, encoding, reason: null };
+}
+
+/**
+ * Returns the placeholder written instead of an omitted file, e.g. `[binary 120KB omitted]`.
+ */
+function getPlaceholder(classification) {
+    const size = formatSize(classification.size);
+    if (classification.kind === 'binary') return `[binary ${size} omitted]`;
+    if (classification.kind === 'huge') return `[huge file ${size} omitted]`;
+    return `[generated file ${size} omitted: ${classification.reason}]`;
+}
+
+/**
+ * Keeps the first `limit` characters of a text and notes how much was cut.
+ */
+function truncateContent(content, limit) {
+    if (!limit || content.length <= limit) return content;
+    return `${content.slice(0, limit)}\n[truncated: ${content.length - limit} more characters]`;
+}
+
+/**
+ * Truncates every file to `limit` characters.
+ *
+ * @param {object} files - Map of relative file path to content
+ * @param {number|null} limit - Maximum characters per file, null to keep whole files
+ * @returns {{files: object, truncated: string[]}} - Contents and the paths that were cut
+ */
+function truncateFiles(files, limit) {
+    if (!limit) return { files, truncated: [] };
+    const result = {};
+    const truncated = [];
+    for (const [filePath, content] of Object.entries(files)) {
+        result[filePath] = truncateContent(content, limit);
+        if (content.length > limit) truncated.push(filePath);
+    }
+    return { files: result, truncated };
+}
+
+/**
+ * Reads a file for the bundle according to the content settings.
+ *
+ * @param {string} filePath - File path
+ * @param {object} options - Content settings: { maxFileSize, binary, huge, generated } (policies: "placeholder", "skip", "include")
+ * @returns {Promise<{content: string|null, placeholder: string|null, classification: object}>} - `content` for files
+ *   to include, `placeholder` for omitted files; both are null for skipped files
+ */
+async function readFileForBundle(filePath, options = {}) {
+    const classification = await classifyFile(filePath, options);
+    const policy = classification.kind === 'text' ? 'include' : (options[classification.kind] || 'placeholder');
+    // Binary data is never decoded into the bundle
+    if (policy === 'skip') return { content: null, placeholder: null, classification };
+    if (policy === 'placeholder' || classification.kind === 'binary') {
+        return { content: null, placeholder: getPlaceholder(classification), classification };
+    }
+    const buffer = await fs.readFile(filePath);
+    return { content: decodeBuffer(buffer, detectEncoding(buffer)), placeholder: null, classification };
+}
+
+/**
+ * Reads the selected files for the bundle.
+ *
+ * @param {string[]} filePaths - Selected files (keys of the result)
+ * @param {object} options - Content settings, see readFileForBundle
+ * @param {string} root - Directory the paths are relative to (default: the current working directory)
+ * @returns {Promise<{code: object, placeholders: object, omitted: object[], errors: object[]}>} - Contents of the
+ *   included files, placeholders of omitted files (path -> text), every omitted or skipped file
+ *   ({ path, kind, size, reason, skipped }) and read errors ({ filePath, error })
+ */
+async function readSelection(filePaths, options = {}, root = '.') {
+    const code = {};
+    const placeholders = {};
+    const omitted = [];
+    const errors = [];
+    for (const filePath of filePaths) {
+        try {
+            const { content, placeholder, classification } = await readFileForBundle(path.join(root, filePath), options);
+            if (content !== null) {
+                code[filePath] = content;
+                continue;
+            }
+            if (placeholder !== null) placeholders[filePath] = placeholder;
+            omitted.push({ path: filePath, kind: classification.kind, size: classification.size, reason: classification.reason, skipped: placeholder === null });
+        } catch (error) {
+            errors.push({ filePath, error });
+        }
+    }
+    return { code, placeholders, omitted, errors };
+}
+
+/**
+ * Puts the placeholders of omitted files back between the bundled files, in selection order.
+ *
+ * @param {string[]} filePaths - Selected files, in order
+ * @param {object} files - Bundled contents (path -> text)
+ * @param {object} placeholders - Placeholders (path -> text)
+ * @returns {object}
+ */
+function mergePlaceholders(filePaths, files, placeholders) {
+    const merged = {};
+    for (const filePath of filePaths) {
+        if (filePath in files) merged[filePath] = files[filePath];
+        else if (filePath in placeholders) merged[filePath] = placeholders[filePath];
+    }
+    // Keys that are not in the selection (e.g. contents passed directly) keep their place at the end
+    for (const [filePath, content] of Object.entries(files)) {
+        if (!(filePath in merged)) merged[filePath] = content;
+    }
+    return merged;
+}
+
+export {
+    CONTENT_POLICIES,
+    GENERATED_FILES,
+    GENERATED_PATTERNS,
+    detectEncoding,
+    decodeBuffer,
+    classifyFile,
+    formatSize,
+    getPlaceholder,
+    truncateContent,
+    truncateFiles,
+    readFileForBundle,
+    readSelection,
+    mergePlaceholders
+};
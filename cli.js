@@ -0,0 +1,664 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { Command, InvalidArgumentError, Option } from 'commander';
+import fg from 'fast-glob';
+import chalk from 'chalk';
+import { loadConfig } from './config.js';
+import { SECRET_POLICIES } from './secrets.js';
+import { MINIFY_MODES } from './minifiers.js';
+import { TOKEN_MODELS, parseTokenCount, trimToBudget, formatTokenCount } from './tokens.js';
+import { OUTPUT_FORMATS, SPLIT_UNITS } from './formatters.js';
+import { SYMLINK_MODES } from './walker.js';
+import { STRUCTURE_FORMATS } from './tree.js';
+import { getGitFiles, describeSelection } from './git.js';
+import { buildStructureJSON, main as buildStructureInteractive } from './build-structure.js';
+import { watchProject } from './watch.js';
+import { minifyCode as minifyCodeInteractive, minifyAndSave, addImportedFiles, reportTotals, reportSelection, readSave } from './minify-code.js';
+import { IMPORT_EXTENSIONS } from './imports.js';
+import { listSaves, loadSaveFile, writeSaveFile, resolveSave, applySelection } from './saves.js';
+import { matchesGlob } from './gitignore.js';
+import { BUNDLE_FORMATS } from './patch.js';
+import { applyBundle, listBackups, undoApply } from './apply.js';
+import { ProjectServer, serveStdio, serveHttp, DEFAULT_HTTP_PORT } from './server.js';
+import { loadTemplate } from './templates.js';
+import { getReportFormat } from './report.js';
+import { detectWorkspaces, resolvePackage, withWorkspaceDependencies, getPackageGlobs } from './workspaces.js';
+
+const packageJson = fs.readJsonSync(new URL('./package.json', import.meta.url));
+
+/**
+ * Splits a comma-separated value, ignoring commas inside glob braces like `*.{ts,tsx}`.
+ */
+function splitList(value) {
+    const items = [];
+    let depth = 0;
+    let current = '';
+    for (const char of value) {
+        if (char === '{') depth++;
+        if (char === '}') depth = Math.max(0, depth - 1);
+        if (char === ',' && depth === 0) {
+            items.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    items.push(current);
+    return items.map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parses a comma-separated option value and appends it to the previous values,
+ * so both `--files a.js,b.js` and `--files a.js --files b.js` are accepted.
+ */
+function collectList(value, previous = []) {
+    const items = splitList(value);
+    if (items.length === 0) {
+        throw new InvalidArgumentError('Expected a comma-separated list.');
+    }
+    return previous.concat(items);
+}
+
+/**
+ * Parses a `--var name=value` option and adds it to the previous values (the value may contain "=" and commas).
+ */
+function collectVariable(value, previous = {}) {
+    const match = value.match(/^\s*([A-Za-z_][\w.-]*)\s*=(.*)$/s);
+    if (!match) {
+        throw new InvalidArgumentError('Expected name=value.');
+    }
+    return { ...previous, [match[1]]: match[2] };
+}
+
+/**
+ * Parses a token budget option like 100000 or 100k.
+ */
+function parseBudget(value) {
+    const budget = parseTokenCount(value);
+    if (!budget) {
+        throw new InvalidArgumentError('Expected a positive token count like 100000, 100k or 1.5m.');
+    }
+    return budget;
+}
+
+/**
+ * Parses a size option like --max-file-size 500k or --truncate 20000.
+ */
+function parseSize(value) {
+    const size = parseTokenCount(value);
+    if (!size) {
+        throw new InvalidArgumentError('Expected a positive size like 20000, 500k or 1m.');
+    }
+    return size;
+}
+
+/**
+ * Parses --report-file: the extension picks the report format.
+ */
+function parseReportFile(value) {
+    try {
+        getReportFormat(value);
+    } catch (error) {
+        throw new InvalidArgumentError(`${error.message}.`);
+    }
+    return value;
+}
+
+/**
+ * Returns the report settings given on the command line (--report, --report-file).
+ */
+function getReportOverrides(options) {
+    return {
+        ...(options.report ? { show: true } : {}),
+        ...(options.reportFile ? { file: options.reportFile } : {})
+    };
+}
+
+/**
+ * Parses a positive integer option like --max-depth 3.
+ */
+function parsePositiveInteger(value) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number <= 0) {
+        throw new InvalidArgumentError('Expected a positive integer.');
+    }
+    return number;
+}
+
+/**
+ * Returns the paths from the list that do not exist relative to the project root.
+ */
+async function findMissing(rootDir, relativePaths) {
+    const missing = [];
+    for (const relativePath of relativePaths) {
+        if (!(await fs.pathExists(path.join(rootDir, relativePath)))) {
+            missing.push(relativePath);
+        }
+    }
+    return missing;
+}
+
+/**
+ * Runs a CLI action and converts thrown errors into a red message and exit code 1.
+ */
+async function runAction(action) {
+    try {
+        await action();
+    } catch (error) {
+        console.error(chalk.red(error.message));
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Entry point of the `build-structure` bin.
+ * Without flags the interactive menu is shown; with flags the scan runs non-interactively.
+ *
+ * @param {string[]} argv - Process arguments (process.argv)
+ * @returns {Promise<void>}
+ */
+async function buildStructureCli(argv = process.argv) {
+    const program = new Command('build-structure')
+        .description('Scan the project and write project-structure.min.json.')
+        .version(packageJson.version, '-v, --version')
+        .option('--all', 'scan the whole project (except excludedDirs from the config)')
+        .option('--only <dirs>', 'scan only these directories (comma-separated)', collectList)
+        .option('--files <files>', 'scan only these files (comma-separated)', collectList)
+        .option('--gitignore', 'skip files and folders ignored by git (overrides respectGitignore from the config)')
+        .option('--rich', 'store size, lines, language, mtime and binary flag per file and totals per directory')
+        .addOption(new Option('--symlinks <mode>', 'follow or skip symbolic links (overrides the config)').choices(SYMLINK_MODES))
+        .option('--max-depth <levels>', 'deepest level scanned, 1 = entries of the project root only', parsePositiveInteger)
+        .option('--max-files <count>', 'maximum number of files in the structure', parsePositiveInteger)
+        .addOption(new Option('--format <format>', 'also write the structure as an ASCII tree, a Markdown list or a path list (overrides the config)').choices(Object.keys(STRUCTURE_FORMATS)))
+        .option('--depth <levels>', 'deepest level listed by the tree, markdown and paths formats (overrides the config)', parsePositiveInteger)
+        .option('--collapse <files>', 'files listed per folder by the tree, markdown and paths formats before "... N more files" (overrides the config)', parsePositiveInteger)
+        .option('--watch', 'keep scanning: rewrite the structure (and the bundle of --save) when files change, until Ctrl+C')
+        .option('--save <name>', 'with --watch, also keep the bundle of this saved selection up to date')
+        .showHelpAfterError();
+
+    program.parse(argv);
+    const options = program.opts();
+
+    if (!options.all && !options.only && !options.files) {
+        if (options.gitignore || options.rich || options.symlinks || options.maxDepth || options.maxFiles || options.format || options.depth
+            || options.collapse || options.watch || options.save) {
+            console.error(chalk.red('--gitignore, --rich, --symlinks, --max-depth, --max-files, --format, --depth, --collapse, --watch and --save require --all, --only or --files.'));
+            process.exitCode = 1;
+            return;
+        }
+        await buildStructureInteractive();
+        return;
+    }
+
+    await runAction(async () => {
+        if (options.all && (options.only || options.files)) {
+            throw new Error('--all cannot be combined with --only or --files.');
+        }
+        if (options.save && !options.watch) {
+            throw new Error('--save requires --watch (use minify-code --save to bundle once).');
+        }
+
+        const rootDir = process.cwd();
+        const config = await loadConfig(rootDir);
+        if (options.gitignore) {
+            config.respectGitignore = true;
+        }
+        config.structure = {
+            ...config.structure,
+            ...(options.rich ? { mode: 'rich' } : {}),
+            ...(options.symlinks ? { symlinks: options.symlinks } : {}),
+            ...(options.maxDepth ? { maxDepth: options.maxDepth } : {}),
+            ...(options.maxFiles ? { maxFiles: options.maxFiles } : {}),
+            ...(options.format ? { format: options.format } : {}),
+            ...(options.depth ? { depth: options.depth } : {}),
+            ...(options.collapse ? { collapse: options.collapse } : {})
+        };
+
+        const dirs = options.only || [];
+        const files = options.files || [];
+        const missing = await findMissing(rootDir, [...dirs, ...files]);
+        if (missing.length > 0) {
+            throw new Error(`Not found: ${missing.join(', ')}`);
+        }
+        if (options.watch) {
+            const watcher = await watchProject({ rootDir, config, dirs, files, scanAll: Boolean(options.all), save: options.save || null });
+            await new Promise(resolve => process.once('SIGINT', resolve));
+            watcher.close();
+            return;
+        }
+        await buildStructureJSON(rootDir, dirs, files, Boolean(options.all), config);
+    });
+}
+
+/**
+ * Entry point of the `minify-code` bin.
+ * Without flags the interactive menu is shown; with flags the selection is taken
+ * from a saved selection, a file list or glob patterns and bundled non-interactively.
+ *
+ * @param {string[]} argv - Process arguments (process.argv)
+ * @returns {Promise<void>}
+ */
+async function minifyCodeCli(argv = process.argv) {
+    const program = new Command('minify-code')
+        .description('Bundle selected project files into project-code.min.json.')
+        .version(packageJson.version, '-v, --version')
+        .option('--save <name>', 'bundle the files of a saved selection')
+        .option('--save-as <name>', 'save the selection (files, globs and output format) under this name')
+        .option('--description <text>', 'description of the selection saved with --save-as')
+        .option('--files <files>', 'bundle these files (comma-separated)', collectList)
+        .option('--glob <patterns>', 'bundle files matching these glob patterns (comma-separated)', collectList)
+        .option('--package <names>', 'bundle the files of these workspace packages (names or folders, comma-separated)', collectList)
+        .option('--workspace-deps', 'with --package, also bundle the workspace packages they depend on')
+        .option('--changed', 'bundle files modified in the working tree, including untracked files (git)')
+        .option('--staged', 'bundle staged files (git)')
+        .option('--since <ref>', 'bundle files changed since a branch, tag or commit (git)')
+        .option('--commits <count>', 'bundle files touched by the last N commits (git)', parsePositiveInteger)
+        .option('--deps [depth]', 'add the files imported by the selection, following imports up to depth levels (default: imports.depth)', parsePositiveInteger)
+        .option('--dependents [depth]', 'add the files that import the selection, up to depth levels (default: imports.depth)', parsePositiveInteger)
+        .option('--diff', 'add the unified diff of each file of the git selection to the bundle')
+        .option('--diff-only', 'bundle the unified diffs of the git selection instead of the file contents')
+        .option('--outline <patterns>', 'bundle the selected files matching these globs as an outline: signatures, types and exports without bodies (JS/TS)', collectList)
+        .option('--path-only <patterns>', 'list the selected files matching these globs by path, without their contents', collectList)
+        .option('--out <path>', 'write the bundle to this path instead of <outputDir>/project-code.<ext>')
+        .addOption(new Option('--format <format>', 'output format of the bundle (overrides the config)').choices(Object.keys(OUTPUT_FORMATS)))
+        .option('--with-structure', 'embed project-structure.min.json at the top of the bundle')
+        .option('--template <name>', 'wrap the bundle in this prompt template of templatesDir, "none" for no template (overrides the config and the save)')
+        .option('--var <name=value>', 'value of a template input, e.g. --var focus=security (repeatable)', collectVariable)
+        .option('--delta', 'bundle only the files added or modified since the last export of the save (or of the selections without a save), with a changelog')
+        .option('--split <limit>', 'split the bundle into numbered parts under this size, e.g. 50k (overrides the config)', parseBudget)
+        .addOption(new Option('--split-unit <unit>', 'unit of the split limit (overrides the config)').choices(SPLIT_UNITS))
+        .addOption(new Option('--secrets <policy>', 'what to do when secrets are found (overrides the config)').choices(SECRET_POLICIES))
+        .addOption(new Option('--minify <mode>', 'minification of file contents (overrides the config)').choices(MINIFY_MODES))
+        .option('--max-file-size <bytes>', 'replace files larger than this, e.g. 500k, with a placeholder (overrides the config)', parseSize)
+        .option('--truncate <characters>', 'cut every file to this many characters after minification, e.g. 20k (overrides the config)', parseSize)
+        .option('--budget <tokens>', 'token budget of the selection, e.g. 100k (overrides the config)', parseBudget)
+        .option('--trim', 'drop the least important files until the selection fits the budget')
+        .option('--report', 'print the analysis report of the selection: heaviest files, directories, languages, flagged files, minification savings')
+        .option('--report-file <path>', 'also write the analysis report to this file: .md for Markdown, .html for a standalone page', parseReportFile)
+        .addOption(new Option('--model <profile>', 'tokenizer profile for the token estimate').choices(Object.keys(TOKEN_MODELS)))
+        .showHelpAfterError();
+
+    program.parse(argv);
+    const options = program.opts();
+
+    const gitSources = [
+        options.changed && { source: 'changed' },
+        options.staged && { source: 'staged' },
+        options.since && { source: 'since', ref: options.since },
+        options.commits && { source: 'commits', count: options.commits }
+    ].filter(Boolean);
+    if (gitSources.length > 1) {
+        console.error(chalk.red('Use only one of --changed, --staged, --since and --commits.'));
+        process.exitCode = 1;
+        return;
+    }
+    if ((options.diff || options.diffOnly) && gitSources.length === 0) {
+        console.error(chalk.red('--diff and --diff-only require --changed, --staged, --since or --commits.'));
+        process.exitCode = 1;
+        return;
+    }
+    const gitSelection = gitSources[0] || null;
+    if (options.description && !options.saveAs) {
+        console.error(chalk.red('--description requires --save-as.'));
+        process.exitCode = 1;
+        return;
+    }
+    if (options.workspaceDeps && !options.package) {
+        console.error(chalk.red('--workspace-deps requires --package.'));
+        process.exitCode = 1;
+        return;
+    }
+
+    if (!options.save && !options.files && !options.glob && !options.package && !gitSelection) {
+        if (options.out || options.secrets || options.minify || options.trim || options.format || options.withStructure || options.split || options.splitUnit
+            || options.maxFileSize || options.truncate || options.deps || options.dependents || options.saveAs || options.outline || options.pathOnly
+            || options.template || options.var || options.delta) {
+            console.error(chalk.red('--out, --secrets, --minify, --trim, --format, --with-structure, --template, --var, --delta, --split, --max-file-size, --truncate, --deps, --dependents, --outline, --path-only and --save-as require --save, --files, --glob, --package or a git selection.'));
+            process.exitCode = 1;
+            return;
+        }
+        await minifyCodeInteractive({ budget: options.budget, model: options.model, report: getReportOverrides(options) });
+        return;
+    }
+
+    await runAction(async () => {
+        const rootDir = process.cwd();
+        const config = await loadConfig(rootDir);
+        config.tokens = {
+            ...config.tokens,
+            ...(options.budget ? { budget: options.budget } : {}),
+            ...(options.model ? { model: options.model } : {})
+        };
+        config.report = { ...config.report, ...getReportOverrides(options) };
+        if (options.minify) {
+            // The report measures the savings of the minify mode the bundle is written with
+            config.minify = { ...config.minify, mode: options.minify };
+        }
+        config.content = {
+            ...config.content,
+            ...(options.maxFileSize ? { maxFileSize: options.maxFileSize } : {}),
+            ...(options.truncate ? { truncate: options.truncate } : {})
+        };
+        // "none" turns off the template of the config or the save
+        const template = options.template === undefined ? undefined : (options.template === 'none' ? null : options.template);
+        if (template) {
+            // Fails before anything is saved or bundled if the template does not exist
+            await loadTemplate(config.templatesDir, template);
+        }
+        if (options.trim && !config.tokens.budget) {
+            throw new Error('--trim requires a token budget (--budget or tokens.budget in the config).');
+        }
+        const selected = new Set();
+
+        let save = null;
+        if (options.save) {
+            const loaded = await readSave(options.save, config);
+            save = loaded.save;
+            loaded.files.forEach(file => selected.add(file));
+            // The output settings of the save apply unless they are given on the command line
+            if (save.output) {
+                config.output = { ...config.output, ...save.output };
+            }
+        }
+        if (options.files) {
+            const missing = await findMissing(rootDir, options.files);
+            if (missing.length > 0) {
+                throw new Error(`Not found: ${missing.join(', ')}`);
+            }
+            options.files.forEach(file => selected.add(file.replace(/\\/g, '/')));
+        }
+        if (options.glob) {
+            const matches = await fg(options.glob, {
+                cwd: rootDir,
+                dot: true,
+                onlyFiles: true,
+                ignore: [...config.excludedDirs, config.outputDir].map(dir => `${dir}/**`)
+            });
+            if (matches.length === 0) {
+                throw new Error(`No files match: ${options.glob.join(', ')}`);
+            }
+            matches.sort().forEach(file => selected.add(file));
+        }
+        // Packages are selected by globs, so a save of them follows new and removed files
+        let packageGlobs = [];
+        let savePackage = save ? save.package : null;
+        if (options.package) {
+            const workspace = await detectWorkspaces(rootDir);
+            if (!workspace) {
+                throw new Error('--package: no workspace packages found (workspaces in package.json, pnpm-workspace.yaml or lerna.json).');
+            }
+            const packages = options.workspaceDeps
+                ? withWorkspaceDependencies(workspace, options.package)
+                : options.package.map(name => resolvePackage(workspace, name));
+            packageGlobs = getPackageGlobs(workspace, packages);
+            const matches = await fg(packageGlobs, {
+                cwd: rootDir,
+                dot: true,
+                onlyFiles: true,
+                ignore: [...config.excludedDirs, config.outputDir].map(dir => `${dir}/**`)
+            });
+            console.log(chalk.blue(`Workspace packages: ${packages.map(pkg => pkg.name).join(', ')} (${matches.length} file(s))`));
+            matches.sort().forEach(file => selected.add(file));
+            // A save of one package (with or without its dependencies) is a selection of that package
+            if (options.package.length === 1) savePackage = packages[0].name;
+        }
+        if (gitSelection) {
+            const exclude = [...config.excludedDirs, config.outputDir].map(dir => `${dir}/**`);
+            const { files, deleted } = await getGitFiles(gitSelection, rootDir, exclude);
+            if (files.length === 0 && (deleted.length === 0 || !(options.diff || options.diffOnly))) {
+                throw new Error(`No files found in ${describeSelection(gitSelection)}.`);
+            }
+            files.forEach(file => selected.add(file));
+            gitSelection.deleted = deleted;
+        }
+
+        let selectedFiles = [...selected];
+        if (selectedFiles.length === 0 && !(gitSelection && gitSelection.deleted.length > 0)) {
+            throw new Error('No files selected for minification.');
+        }
+        if (options.deps || options.dependents) {
+            // A flag without a value uses the configured depth
+            const depthOf = (value) => value === true ? config.imports.depth : value || null;
+            const candidates = options.dependents ? await fg(IMPORT_EXTENSIONS.map(ext => `**/*${ext}`), {
+                cwd: rootDir,
+                onlyFiles: true,
+                ignore: [...config.excludedDirs, config.outputDir].map(dir => `${dir}/**`)
+            }) : [];
+            selectedFiles = await addImportedFiles(selectedFiles, config, {
+                dependencies: depthOf(options.deps),
+                dependents: depthOf(options.dependents),
+                candidates
+            });
+        }
+
+        // Inclusion levels: those of the save, then --outline and --path-only (--path-only wins over --outline)
+        const levels = { ...(save ? save.levels : {}) };
+        for (const file of selectedFiles) {
+            if (options.outline && options.outline.some(pattern => matchesGlob(pattern, file))) levels[file] = 'outline';
+            if (options.pathOnly && options.pathOnly.some(pattern => matchesGlob(pattern, file))) levels[file] = 'path';
+        }
+
+        const totals = await reportTotals(selectedFiles, config, levels);
+        if (options.trim && totals.tokens > config.tokens.budget) {
+            const { kept, removed, tokens } = trimToBudget(selectedFiles, totals.files, config.tokens.budget, config.tokens.priority);
+            console.log(chalk.yellow(`Trimmed ${removed.length} file(s) to fit the budget (~${formatTokenCount(tokens)} tokens left):`));
+            removed.forEach(file => console.log(chalk.yellow(`  - ${file}`)));
+            selectedFiles = kept;
+            if (selectedFiles.length === 0) {
+                throw new Error('No files left after trimming to the token budget.');
+            }
+        }
+        await reportSelection(selectedFiles, config, levels, totals);
+        if (options.saveAs) {
+            // Files matched by the globs are stored as globs, so the save follows new and removed files
+            const globs = {
+                include: [...(save ? save.include : []), ...(options.glob || []), ...packageGlobs],
+                exclude: save ? save.exclude : []
+            };
+            const ignore = [...config.excludedDirs, config.outputDir].map(dir => `${dir}/**`);
+            const { files: globFiles } = await resolveSave({ ...globs, files: [], exclude: [] }, rootDir, ignore);
+            const previous = (await listSaves(config.savesDir)).includes(options.saveAs.replace(/\.json$/i, ''))
+                ? await loadSaveFile(config.savesDir, options.saveAs)
+                : null;
+            const savePath = await writeSaveFile(config.savesDir, options.saveAs, applySelection({
+                description: options.description ?? (previous ? previous.description : ''),
+                createdAt: previous ? previous.createdAt : null,
+                files: [],
+                ...globs,
+                output: {
+                    format: options.format || config.output.format,
+                    includeStructure: options.withStructure || config.output.includeStructure,
+                    template: template !== undefined ? template : config.output.template
+                },
+                package: savePackage
+            }, selectedFiles, globFiles, levels));
+            console.log(chalk.green(`Selection saved to ${savePath}`));
+        }
+        const outFile = await minifyAndSave(selectedFiles, config, {
+            outFile: options.out,
+            secrets: options.secrets,
+            minify: options.minify,
+            format: options.format,
+            includeStructure: options.withStructure,
+            splitLimit: options.split,
+            splitUnit: options.splitUnit,
+            git: gitSelection,
+            diff: options.diffOnly ? 'only' : (options.diff ? 'with' : null),
+            levels,
+            template,
+            variables: options.var,
+            // The exports of a save are recorded under its name (the new name with --save-as)
+            manifest: options.saveAs || options.save,
+            delta: options.delta
+        });
+        if (!outFile) {
+            throw new Error('Aborted: possible secrets found (use --secrets redact, or add them to the allowlist file).');
+        }
+    });
+}
+
+/**
+ * Reads a bundle from a file, or from stdin for "-".
+ */
+async function readBundle(source) {
+    if (source !== '-') {
+        return fs.readFile(source, 'utf-8');
+    }
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf-8');
+}
+
+/**
+ * Entry point of the `apply-code` bin.
+ * Applies a bundle returned by a chat (files in any output format, or a unified diff) to the project,
+ * showing the diff of every file and asking which ones to write; --undo restores the files of an apply.
+ *
+ * @param {string[]} argv - Process arguments (process.argv)
+ * @returns {Promise<void>}
+ */
+async function applyCodeCli(argv = process.argv) {
+    const program = new Command('apply-code')
+        .description('Apply a bundle of edited files or a unified diff to the project, with a diff preview and backups.')
+        .version(packageJson.version, '-v, --version')
+        .argument('[bundle]', 'bundle file to apply, - for stdin')
+        .addOption(new Option('--format <format>', 'format of the bundle (detected by default)').choices(BUNDLE_FORMATS))
+        .option('-y, --yes', 'apply every file without asking')
+        .option('--dry-run', 'only show the diffs, write nothing')
+        .option('--force', 'also write files ignored by git; with --undo, also restore files changed since the apply')
+        .option('--undo [id]', 'undo an apply: the latest one by default, or the backup with this id')
+        .option('--backups', 'list the backups that can be undone')
+        .showHelpAfterError();
+
+    program.parse(argv);
+    const options = program.opts();
+    const [bundle] = program.args;
+
+    await runAction(async () => {
+        const rootDir = process.cwd();
+        const config = await loadConfig(rootDir);
+
+        if (options.backups) {
+            const backups = await listBackups(path.resolve(rootDir, config.backupsDir));
+            if (backups.length === 0) {
+                console.log(chalk.yellow('No apply-code backups.'));
+                return;
+            }
+            for (const backup of backups) {
+                const state = backup.undoneAt ? chalk.dim(' (undone)') : '';
+                console.log(`${chalk.bold(backup.id)}  ${backup.files.length} file(s) from ${backup.source || 'unknown source'}${state}`);
+            }
+            return;
+        }
+        if (options.undo) {
+            if (bundle) {
+                throw new Error('--undo cannot be combined with a bundle.');
+            }
+            const { id, restored, removed } = await undoApply({
+                rootDir,
+                backupsDir: config.backupsDir,
+                id: typeof options.undo === 'string' ? options.undo : null,
+                force: options.force
+            });
+            console.log(chalk.green(`Undid ${id}: ${restored.length} file(s) restored, ${removed.length} created file(s) removed`));
+            return;
+        }
+
+        const source = bundle || (process.stdin.isTTY ? null : '-');
+        if (!source) {
+            throw new Error('Give the bundle to apply as a file, or - to read it from stdin.');
+        }
+        if ((source === '-' || !process.stdin.isTTY) && !options.yes && !options.dryRun) {
+            throw new Error('Without a terminal to answer the prompts, use --yes to apply every file or --dry-run to preview.');
+        }
+        const text = await readBundle(source);
+        await applyBundle({
+            text,
+            format: options.format || null,
+            source: source === '-' ? 'stdin' : source,
+            rootDir,
+            config,
+            force: options.force,
+            yes: options.yes,
+            dryRun: options.dryRun
+        });
+    });
+}
+
+/**
+ * Parses a TCP port number.
+ */
+function parsePort(value) {
+    const port = Number(value);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        throw new InvalidArgumentError('Expected a port number between 1 and 65535.');
+    }
+    return port;
+}
+
+/**
+ * Serves the project to AI tools until stdin closes (stdio) or Ctrl+C (HTTP).
+ */
+async function serve(options) {
+    if (!options.stdio && !options.http) {
+        throw new Error('--no-stdio requires --http.');
+    }
+    if (options.root) {
+        const rootDir = path.resolve(options.root);
+        if (!(await fs.pathExists(rootDir)) || !(await fs.stat(rootDir)).isDirectory()) {
+            throw new Error(`Not a directory: ${rootDir}`);
+        }
+        // Output, saves and allowlist paths of the config are relative to the project root
+        process.chdir(rootDir);
+    }
+    const rootDir = process.cwd();
+    const config = await loadConfig(rootDir);
+    // stdout carries the protocol, so everything else goes to stderr
+    const log = options.verbose ? (message) => console.error(chalk.gray(message)) : () => {};
+    const server = new ProjectServer({ rootDir, config, version: packageJson.version, log });
+
+    const running = [];
+    if (options.http) {
+        const port = options.http === true ? DEFAULT_HTTP_PORT : options.http;
+        const httpServer = await serveHttp(server, { port });
+        console.error(chalk.green(`Serving ${rootDir} on http://127.0.0.1:${port}/mcp (Ctrl+C to stop)`));
+        running.push(new Promise(resolve => process.once('SIGINT', () => httpServer.close(resolve))));
+    }
+    if (options.stdio) {
+        console.error(chalk.green(`Serving ${rootDir} over stdio`));
+        const stdio = serveStdio(server);
+        // Without HTTP, the server stops when the client closes stdin
+        if (!options.http) running.push(stdio);
+    }
+    await Promise.race(running);
+}
+
+/**
+ * Entry point of the `project-minifier` bin, with commands for the tools that are not
+ * build-structure, minify-code or apply-code.
+ *
+ * @param {string[]} argv - Process arguments (process.argv)
+ * @returns {Promise<void>}
+ */
+async function projectMinifierCli(argv = process.argv) {
+    const program = new Command('project-minifier')
+        .description('Project structure parser and minifier for AI chats.')
+        .version(packageJson.version, '-v, --version')
+        .showHelpAfterError();
+
+    program.command('serve')
+        .description('Serve the structure, files, search and saved selections of the project to AI tools (Model Context Protocol).')
+        .option('--http [port]', `also serve JSON-RPC over HTTP on 127.0.0.1 (default port ${DEFAULT_HTTP_PORT})`, parsePort)
+        .option('--no-stdio', 'do not serve JSON-RPC over stdin/stdout (with --http)')
+        .option('--root <dir>', 'project root (default: the current directory)')
+        .option('--verbose', 'log every tool call to stderr')
+        .action(async (options) => {
+            await runAction(() => serve(options));
+        });
+
+    await program.parseAsync(argv);
+}
+
+export { buildStructureCli, minifyCodeCli, applyCodeCli, projectMinifierCli };
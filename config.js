@@ -0,0 +1,436 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import chalk from 'chalk';
+import { SECRET_POLICIES } from './secrets.js';
+import { MINIFY_MODES, MINIFIERS } from './minifiers.js';
+import { TOKEN_MODELS, parseTokenCount } from './tokens.js';
+import { OUTPUT_FORMATS, SPLIT_UNITS } from './formatters.js';
+import { SYMLINK_MODES } from './walker.js';
+import { CONTENT_POLICIES } from './classify.js';
+import { STRUCTURE_FORMATS } from './tree.js';
+import { findPackage } from './workspaces.js';
+import { REPORT_FORMATS } from './report.js';
+
+// Config file names looked up in the project root, in order of precedence
+const CONFIG_FILES = [
+    'projectminifier.config.json',
+    'projectminifier.config.js',
+    'projectminifier.config.mjs'
+];
+
+// Key used when the config lives inside package.json
+const PACKAGE_JSON_KEY = 'projectMinifier';
+
+// Structure modes: "compact" stores each file's relative path, "rich" adds file details and directory totals
+const STRUCTURE_MODES = ['compact', 'rich'];
+
+// Defaults used when the project does not override them
+const DEFAULT_CONFIG = {
+    // Directories and files used by the selective scan mode of build-structure
+    dirs: ['src', 'server', 'supabase/migrations'],
+    files: ['package.json', 'redis.conf', 'README.md', 'game_readme.md'],
+    // Top-level directories skipped by the full scan mode of build-structure
+    excludedDirs: [
+        'dist', '.github', '.cursor', '.vscode', 'node_modules',
+        '.git', 'docker', 'json-project', 'docs', 'logs'
+    ],
+    // Skip files and folders ignored by git (.gitignore files and .git/info/exclude) when scanning
+    respectGitignore: false,
+    // Directory where project-structure.min.json and project-code.min.json are written
+    outputDir: 'json-project',
+    // Directory for saved selections (defaults to <outputDir>/minify-saves)
+    savesDir: null,
+    // Directory for the backups apply-code makes before writing files (defaults to <outputDir>/apply-backups)
+    backupsDir: null,
+    // Directory of the prompt templates (defaults to <outputDir>/minify-templates)
+    templatesDir: null,
+    // Directory of the manifests of the last export of each saved selection (defaults to <outputDir>/minify-manifests)
+    manifestsDir: null,
+    // Color of each top-level folder in the interactive selector
+    colors: {
+        src: 'blue',
+        server: 'magenta',
+        supabase: 'yellow',
+        DOCUMENTATION: 'cyan',
+        alerts: 'green',
+        docs: 'redBright',
+        grafana: 'blueBright',
+        logs: 'magentaBright',
+        loki: 'yellowBright',
+        promtail: 'cyanBright',
+        prometheus: 'greenBright',
+        public: 'red'
+    },
+    // Color of files outside the folders listed in `colors`
+    defaultColor: 'white',
+    // Detect npm, yarn and pnpm workspaces (and lerna packages): the structure gets a section per package and the
+    // selector colors and groups files by package (`colors` can also map a package name or folder to a color)
+    workspaces: true,
+    // Project structure written by build-structure
+    structure: {
+        // "compact" (file paths only) or "rich" (size, lines, language, mtime and binary flag per file, totals per directory)
+        mode: 'compact',
+        // Symbolic links: "follow" (scan the target; loops are detected and reported) or "skip"
+        symlinks: 'follow',
+        // Deepest level scanned (1 = entries of the project root only), null for no limit
+        maxDepth: null,
+        // Maximum number of files in the structure, null for no limit
+        maxFiles: null,
+        // Maximum number of parallel file system calls
+        concurrency: 32,
+        // "json" only, or also a "tree" (ASCII), "markdown" (indented list) or "paths" (path list) file for chats
+        format: 'json',
+        // Deepest level listed by the tree, markdown and paths formats (deeper folders show their file count), null for all
+        depth: null,
+        // Files listed per folder by the tree, markdown and paths formats before the rest become "... N more files", null for all
+        collapse: 50
+    },
+    // Files that do not belong in the code bundle as text
+    content: {
+        // Files larger than this many bytes (e.g. 1000000 or "1m") are "huge", null for no limit
+        maxFileSize: 1000000,
+        // Binary files (images, archives, fonts...): "placeholder" (e.g. "[binary 120KB omitted]") or "skip"
+        binary: 'placeholder',
+        // Files over maxFileSize: "placeholder", "skip" or "include"
+        huge: 'placeholder',
+        // Lockfiles, minified bundles, source maps and files marked as generated: "placeholder", "skip" or "include"
+        generated: 'placeholder',
+        // Cut every file to this many characters after minification (e.g. 20000 or "20k"), null to keep whole files
+        truncate: null
+    },
+    // Import graph used to add the files imported by the selection (or importing it)
+    imports: {
+        // Levels of imports added at once (1 = direct imports only)
+        depth: 1,
+        // tsconfig file with the path aliases (baseUrl, paths), null for tsconfig.json or jsconfig.json in the project root
+        tsconfig: null
+    },
+    // Secret scan run before the code bundle is written
+    secrets: {
+        // What to do when secrets are found: "block", "redact", "confirm" (ask) or "off"
+        policy: 'confirm',
+        // File with known false positives (globs, glob:rule-id or fingerprint:<hash> per line)
+        allowlistFile: 'projectminifier.allowlist',
+        // Report random-looking strings (Shannon entropy) in addition to known token formats
+        entropy: true
+    },
+    // Minification of file contents in the code bundle
+    minify: {
+        // "auto" (per-language minifiers), "whitespace" (trailing spaces and blank lines only) or "none"
+        mode: 'auto',
+        // Minifier overrides per extension or file name, e.g. { ".py": "whitespace", "Jenkinsfile": "c-like" }
+        languages: {}
+    },
+    // Token estimate and budget
+    tokens: {
+        // Tokenizer profile: "cl100k", "o200k", "claude" or "llama3"
+        model: 'cl100k',
+        // Token budget of the selection (e.g. 100000 or "100k"), null for no budget
+        budget: null,
+        // Globs from the most to the least important; trimming to the budget drops the least important files first
+        priority: []
+    },
+    // Code bundle output
+    output: {
+        // "json", "markdown", "xml" or "txt"
+        format: 'json',
+        // Embed project-structure.min.json at the top of the bundle
+        includeStructure: false,
+        // Split the bundle into numbered parts under this size (e.g. 50000 or "50k"), null to write one file
+        splitLimit: null,
+        // Unit of splitLimit: "tokens" or "characters"
+        splitUnit: 'tokens',
+        // Prompt template (a file of templatesDir) that wraps the bundle, null for none
+        template: null
+    },
+    // Analysis report of the selection (sizes, tokens, languages, flagged files, minification savings)
+    report: {
+        // Print the report after the selection
+        show: false,
+        // Also write it to this file: .md for Markdown, .html for a standalone page; null for no file
+        file: null,
+        // Number of heaviest files listed
+        top: 10
+    }
+};
+
+// Colors of workspace packages that are not listed in `colors`, in package order
+const PACKAGE_COLORS = ['blue', 'magenta', 'yellow', 'cyan', 'green', 'blueBright', 'magentaBright', 'yellowBright', 'cyanBright', 'greenBright'];
+
+// Options that are objects of their own: user values are merged into the defaults
+const MERGED_SECTIONS = ['structure', 'content', 'imports', 'secrets', 'minify', 'tokens', 'output', 'report'];
+
+/**
+ * Error thrown when the project config cannot be read or is invalid.
+ */
+class ConfigError extends Error {
+    constructor(message, source) {
+        super(source ? `${source}: ${message}` : message);
+        this.name = 'ConfigError';
+        this.source = source;
+    }
+}
+
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.length > 0);
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const isBoolean = (value) => typeof value === 'boolean';
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Validates an object option (like `secrets`) with its own validators.
+ * Returns a single error message for all problems, or null.
+ */
+function validateSection(value, validators) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return 'must be an object';
+    }
+    const errors = [];
+    for (const [key, item] of Object.entries(value)) {
+        const validate = validators[key];
+        if (!validate) {
+            errors.push(`unknown option "${key}" (supported options: ${Object.keys(validators).join(', ')})`);
+            continue;
+        }
+        const error = validate(item);
+        if (error) errors.push(`"${key}" ${error}`);
+    }
+    return errors.length > 0 ? `has invalid options: ${errors.join('; ')}` : null;
+}
+
+/**
+ * Checks whether a color can be used by chalk: either a chalk color name (e.g. "blueBright")
+ * or a hex color (e.g. "#ff8800").
+ *
+ * @param {string} color - Color name or hex value
+ * @returns {boolean}
+ */
+function isValidColor(color) {
+    if (typeof color !== 'string') return false;
+    if (/^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(color)) return true;
+    return typeof chalk[color] === 'function';
+}
+
+// Validators for every supported option: each returns an error message or null
+const VALIDATORS = {
+    dirs: (value) => isStringArray(value) ? null : 'must be an array of non-empty strings',
+    files: (value) => isStringArray(value) ? null : 'must be an array of non-empty strings',
+    excludedDirs: (value) => isStringArray(value) ? null : 'must be an array of non-empty strings',
+    respectGitignore: (value) => isBoolean(value) ? null : 'must be a boolean',
+    outputDir: (value) => isNonEmptyString(value) ? null : 'must be a non-empty string',
+    savesDir: (value) => value === null || isNonEmptyString(value) ? null : 'must be a non-empty string or null',
+    backupsDir: (value) => value === null || isNonEmptyString(value) ? null : 'must be a non-empty string or null',
+    templatesDir: (value) => value === null || isNonEmptyString(value) ? null : 'must be a non-empty string or null',
+    manifestsDir: (value) => value === null || isNonEmptyString(value) ? null : 'must be a non-empty string or null',
+    colors: (value) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return 'must be an object mapping folder or package names to colors';
+        }
+        const invalid = Object.entries(value).filter(([, color]) => !isValidColor(color));
+        if (invalid.length > 0) {
+            return `has unknown colors: ${invalid.map(([dir, color]) => `${dir} -> ${JSON.stringify(color)}`).join(', ')}` +
+                ' (use a chalk color name like "blueBright" or a hex value like "#ff8800")';
+        }
+        return null;
+    },
+    defaultColor: (value) => isValidColor(value) ? null : `unknown color ${JSON.stringify(value)}`,
+    workspaces: (value) => isBoolean(value) ? null : 'must be a boolean',
+    structure: (value) => validateSection(value, {
+        mode: (item) => STRUCTURE_MODES.includes(item) ? null : `must be one of: ${STRUCTURE_MODES.join(', ')}`,
+        symlinks: (item) => SYMLINK_MODES.includes(item) ? null : `must be one of: ${SYMLINK_MODES.join(', ')}`,
+        maxDepth: (item) => item === null || isPositiveInteger(item) ? null : 'must be a positive integer or null',
+        maxFiles: (item) => item === null || isPositiveInteger(item) ? null : 'must be a positive integer or null',
+        concurrency: (item) => isPositiveInteger(item) ? null : 'must be a positive integer',
+        format: (item) => Object.keys(STRUCTURE_FORMATS).includes(item) ? null : `must be one of: ${Object.keys(STRUCTURE_FORMATS).join(', ')}`,
+        depth: (item) => item === null || isPositiveInteger(item) ? null : 'must be a positive integer or null',
+        collapse: (item) => item === null || isPositiveInteger(item) ? null : 'must be a positive integer or null'
+    }),
+    content: (value) => validateSection(value, {
+        maxFileSize: (item) => item === null || parseTokenCount(item) ? null : 'must be a positive number like 1000000 or "1m", or null',
+        binary: (item) => ['placeholder', 'skip'].includes(item) ? null : 'must be one of: placeholder, skip',
+        huge: (item) => CONTENT_POLICIES.includes(item) ? null : `must be one of: ${CONTENT_POLICIES.join(', ')}`,
+        generated: (item) => CONTENT_POLICIES.includes(item) ? null : `must be one of: ${CONTENT_POLICIES.join(', ')}`,
+        truncate: (item) => item === null || parseTokenCount(item) ? null : 'must be a positive number like 20000 or "20k", or null'
+    }),
+    imports: (value) => validateSection(value, {
+        depth: (item) => isPositiveInteger(item) ? null : 'must be a positive integer',
+        tsconfig: (item) => item === null || isNonEmptyString(item) ? null : 'must be a non-empty string or null'
+    }),
+    secrets: (value) => validateSection(value, {
+        policy: (item) => SECRET_POLICIES.includes(item) ? null : `must be one of: ${SECRET_POLICIES.join(', ')}`,
+        allowlistFile: (item) => item === null || isNonEmptyString(item) ? null : 'must be a non-empty string or null',
+        entropy: (item) => isBoolean(item) ? null : 'must be a boolean'
+    }),
+    minify: (value) => validateSection(value, {
+        mode: (item) => MINIFY_MODES.includes(item) ? null : `must be one of: ${MINIFY_MODES.join(', ')}`,
+        languages: (item) => {
+            if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                return 'must be an object mapping extensions to minifiers';
+            }
+            const invalid = Object.entries(item).filter(([, name]) => !Object.prototype.hasOwnProperty.call(MINIFIERS, name));
+            return invalid.length > 0
+                ? `has unknown minifiers: ${invalid.map(([ext, name]) => `${ext} -> ${JSON.stringify(name)}`).join(', ')} (available: ${Object.keys(MINIFIERS).join(', ')})`
+                : null;
+        }
+    }),
+    tokens: (value) => validateSection(value, {
+        model: (item) => Object.prototype.hasOwnProperty.call(TOKEN_MODELS, item) ? null : `must be one of: ${Object.keys(TOKEN_MODELS).join(', ')}`,
+        budget: (item) => item === null || parseTokenCount(item) ? null : 'must be a positive number like 100000 or "100k", or null',
+        priority: (item) => isStringArray(item) ? null : 'must be an array of globs'
+    }),
+    output: (value) => validateSection(value, {
+        format: (item) => Object.prototype.hasOwnProperty.call(OUTPUT_FORMATS, item) ? null : `must be one of: ${Object.keys(OUTPUT_FORMATS).join(', ')}`,
+        includeStructure: (item) => isBoolean(item) ? null : 'must be a boolean',
+        splitLimit: (item) => item === null || parseTokenCount(item) ? null : 'must be a positive number like 50000 or "50k", or null',
+        splitUnit: (item) => SPLIT_UNITS.includes(item) ? null : `must be one of: ${SPLIT_UNITS.join(', ')}`,
+        template: (item) => item === null || isNonEmptyString(item) ? null : 'must be a template name or null'
+    }),
+    report: (value) => validateSection(value, {
+        show: (item) => isBoolean(item) ? null : 'must be a boolean',
+        file: (item) => {
+            const extensions = Object.values(REPORT_FORMATS).flatMap(format => format.extensions);
+            return item === null || (isNonEmptyString(item) && extensions.includes(path.extname(item).toLowerCase()))
+                ? null
+                : `must be a file name ending in ${extensions.join(', ')}, or null`;
+        },
+        top: (item) => isPositiveInteger(item) ? null : 'must be a positive integer'
+    })
+};
+
+/**
+ * Validates a user config object. All problems are collected and reported together.
+ *
+ * @param {object} userConfig - Raw config object read from a file or package.json
+ * @param {string} source - Where the config came from (used in error messages)
+ * @throws {ConfigError} - If the config is not an object or contains invalid options
+ */
+function validateConfig(userConfig, source) {
+    if (!userConfig || typeof userConfig !== 'object' || Array.isArray(userConfig)) {
+        throw new ConfigError('config must be an object', source);
+    }
+
+    const errors = [];
+    for (const [key, value] of Object.entries(userConfig)) {
+        const validate = VALIDATORS[key];
+        if (!validate) {
+            errors.push(`unknown option "${key}" (supported options: ${Object.keys(VALIDATORS).join(', ')})`);
+            continue;
+        }
+        const error = validate(value);
+        if (error) errors.push(`"${key}" ${error}`);
+    }
+
+    if (errors.length > 0) {
+        throw new ConfigError(`invalid config:\n  - ${errors.join('\n  - ')}`, source);
+    }
+}
+
+/**
+ * Reads the raw user config from the project root.
+ * Looks for the config files in CONFIG_FILES order, then for the "projectMinifier" key in package.json.
+ *
+ * @param {string} rootDir - Project root directory
+ * @returns {Promise<{config: object, source: string}|null>} - Raw config and its source, or null if none is found
+ */
+async function readUserConfig(rootDir) {
+    for (const fileName of CONFIG_FILES) {
+        const configPath = path.join(rootDir, fileName);
+        if (!(await fs.pathExists(configPath))) continue;
+
+        if (fileName.endsWith('.json')) {
+            try {
+                return { config: await fs.readJson(configPath), source: fileName };
+            } catch (error) {
+                throw new ConfigError(`could not parse JSON: ${error.message}`, fileName);
+            }
+        }
+
+        try {
+            const module = await import(pathToFileURL(configPath).href);
+            return { config: module.default ?? module, source: fileName };
+        } catch (error) {
+            throw new ConfigError(`could not load module: ${error.message}`, fileName);
+        }
+    }
+
+    const packagePath = path.join(rootDir, 'package.json');
+    if (await fs.pathExists(packagePath)) {
+        let packageJson;
+        try {
+            packageJson = await fs.readJson(packagePath);
+        } catch (error) {
+            throw new ConfigError(`could not parse JSON: ${error.message}`, 'package.json');
+        }
+        if (packageJson && packageJson[PACKAGE_JSON_KEY] !== undefined) {
+            return { config: packageJson[PACKAGE_JSON_KEY], source: `package.json#${PACKAGE_JSON_KEY}` };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Loads, validates and resolves the project config.
+ * Options that are not set by the project fall back to DEFAULT_CONFIG.
+ *
+ * @param {string} rootDir - Project root directory (usually the current working directory)
+ * @returns {Promise<object>} - Resolved config; `source` holds the config file name or null for defaults
+ * @throws {ConfigError} - If the config file cannot be read or is invalid
+ */
+async function loadConfig(rootDir = process.cwd()) {
+    const userConfig = await readUserConfig(rootDir);
+    if (userConfig) {
+        validateConfig(userConfig.config, userConfig.source);
+    }
+
+    const config = { ...DEFAULT_CONFIG, ...(userConfig ? userConfig.config : {}) };
+    for (const section of MERGED_SECTIONS) {
+        config[section] = { ...DEFAULT_CONFIG[section], ...(userConfig ? userConfig.config[section] : {}) };
+    }
+    config.tokens.budget = config.tokens.budget === null ? null : parseTokenCount(config.tokens.budget);
+    config.output.splitLimit = config.output.splitLimit === null ? null : parseTokenCount(config.output.splitLimit);
+    config.content.maxFileSize = config.content.maxFileSize === null ? null : parseTokenCount(config.content.maxFileSize);
+    config.content.truncate = config.content.truncate === null ? null : parseTokenCount(config.content.truncate);
+    config.savesDir = config.savesDir || path.join(config.outputDir, 'minify-saves');
+    config.backupsDir = config.backupsDir || path.join(config.outputDir, 'apply-backups');
+    config.templatesDir = config.templatesDir || path.join(config.outputDir, 'minify-templates');
+    config.manifestsDir = config.manifestsDir || path.join(config.outputDir, 'minify-manifests');
+    config.source = userConfig ? userConfig.source : null;
+    return config;
+}
+
+/**
+ * Returns the chalk function for a color name or hex value.
+ *
+ * @param {string} color - Color name or hex value
+ * @returns {Function} - chalk function that colors a string
+ */
+function resolveColor(color) {
+    if (typeof color === 'string' && color.startsWith('#')) return chalk.hex(color);
+    return typeof chalk[color] === 'function' ? chalk[color] : chalk.white;
+}
+
+/**
+ * Returns the chalk function used to display a file in the selector, based on its top-level folder.
+ * Files of a workspace package take the color of the package: the one set in `colors` for its name or folder,
+ * or the next color of PACKAGE_COLORS.
+ *
+ * @param {string} filePath - Relative path of the file
+ * @param {object} config - Resolved config
+ * @param {object|null} workspace - Workspace packages (from detectWorkspaces), null for none
+ * @returns {Function} - chalk function that colors a string
+ */
+function getPathColor(filePath, config = DEFAULT_CONFIG, workspace = null) {
+    const colors = config.colors || {};
+    const has = (key) => Object.prototype.hasOwnProperty.call(colors, key);
+    const pkg = findPackage(workspace, filePath);
+    if (pkg) {
+        if (has(pkg.name)) return resolveColor(colors[pkg.name]);
+        if (has(pkg.dir)) return resolveColor(colors[pkg.dir]);
+        return resolveColor(PACKAGE_COLORS[workspace.packages.indexOf(pkg) % PACKAGE_COLORS.length]);
+    }
+    const firstDir = filePath.split('/')[0];
+    return resolveColor(has(firstDir) ? colors[firstDir] : config.defaultColor);
+}
+
+export { DEFAULT_CONFIG, CONFIG_FILES, STRUCTURE_MODES, ConfigError, loadConfig, validateConfig, resolveColor, getPathColor };
@@ -0,0 +1,347 @@
+import path from 'path';
+
+// Output formats of the code bundle and their file names
+const OUTPUT_FORMATS = {
+    json: { fileName: 'project-code.min.json', label: 'JSON (path -> code)' },
+    markdown: { fileName: 'project-code.md', label: 'Markdown (path headings and fenced code blocks)' },
+    xml: { fileName: 'project-code.xml', label: 'XML-tagged (<file path="..."> wrappers around CDATA)' },
+    txt: { fileName: 'project-code.txt', label: 'Plain text' }
+};
+
+// Units of the split limit
+const SPLIT_UNITS = ['tokens', 'characters'];
+
+// Language tags of Markdown code fences by extension (or file name)
+const LANGUAGE_TAGS = {
+    '.js': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript', '.jsx': 'jsx',
+    '.ts': 'typescript', '.mts': 'typescript', '.cts': 'typescript', '.tsx': 'tsx',
+    '.json': 'json', '.jsonc': 'jsonc', '.md': 'markdown', '.markdown': 'markdown',
+    '.css': 'css', '.scss': 'scss', '.less': 'less', '.html': 'html', '.htm': 'html',
+    '.xml': 'xml', '.svg': 'xml', '.vue': 'vue', '.svelte': 'svelte',
+    '.py': 'python', '.rb': 'ruby', '.go': 'go', '.rs': 'rust', '.java': 'java', '.kt': 'kotlin',
+    '.swift': 'swift', '.php': 'php', '.c': 'c', '.h': 'c', '.cpp': 'cpp', '.hpp': 'cpp', '.cc': 'cpp',
+    '.cs': 'csharp', '.sql': 'sql', '.sh': 'bash', '.bash': 'bash', '.zsh': 'zsh',
+    '.yml': 'yaml', '.yaml': 'yaml', '.toml': 'toml', '.ini': 'ini', '.conf': 'conf',
+    '.diff': 'diff', '.patch': 'diff',
+    Dockerfile: 'dockerfile', Makefile: 'makefile'
+};
+
+/**
+ * Returns the Markdown language tag for a file (or a `path#L1-L400` chunk of it), or an empty string if it is unknown.
+ */
+function getLanguageTag(filePath) {
+    filePath = filePath.replace(/#L\d+-L\d+(~\d+)?$/, '');
+    return LANGUAGE_TAGS[path.basename(filePath)] || LANGUAGE_TAGS[path.extname(filePath).toLowerCase()] || '';
+}
+
+/**
+ * Returns a code fence longer than any run of backticks in the content, so the block cannot be closed early.
+ */
+function getFence(content) {
+    const longestRun = Math.max(0, ...(content.match(/`+/g) || []).map(run => run.length));
+    return '`'.repeat(Math.max(3, longestRun + 1));
+}
+
+/**
+ * Escapes a value for use in an XML attribute.
+ */
+function escapeAttribute(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Wraps text in a CDATA section, so `</file>` or `<file path=` in a file cannot end its element early.
+ * `]]>` in the text would close the section: it is split across two sections instead.
+ */
+function wrapCdata(text) {
+    return `<![CDATA[${text.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/**
+ * Returns the text of an embedded structure: the minified JSON of a structure object, or a structure
+ * already rendered in another format (see renderStructure).
+ */
+function structureText(structure) {
+    return typeof structure === 'string' ? structure : JSON.stringify(structure);
+}
+
+/**
+ * Lists which files are in which part, one line per part.
+ */
+function manifestLines(manifest) {
+    return Object.entries(manifest).map(([index, filePaths]) => `part ${index}: ${filePaths.join(', ')}`);
+}
+
+/**
+ * Returns the title of the changelog of a delta bundle, e.g. "Changes since 2026-10-19T09:12:00.000Z".
+ */
+function changesTitle(changes) {
+    return `Changes since ${changes.since}`;
+}
+
+/**
+ * Lists the added, modified and deleted files of a delta bundle, one line per kind of change.
+ */
+function changesLines(changes) {
+    const lines = ['added', 'modified', 'deleted']
+        .filter(kind => changes[kind].length > 0)
+        .map(kind => `${kind}: ${changes[kind].join(', ')}`);
+    return lines.length > 0 ? lines : ['no changes'];
+}
+
+// Formatters: each receives the files (path -> code), the project structure (or null),
+// for split bundles the part info { index, total, manifest } (or null)
+// and for delta bundles the changelog { since, added, modified, deleted } (or null)
+const FORMATTERS = {
+    json: (files, structure, part, changes) => {
+        if (!structure && !part && !changes) return JSON.stringify(files);
+        const bundle = part ? { part: `${part.index} of ${part.total}`, manifest: part.manifest } : {};
+        if (changes) bundle.changes = { since: changes.since, added: changes.added, modified: changes.modified, deleted: changes.deleted };
+        if (structure) bundle.structure = structure;
+        bundle.files = files;
+        return JSON.stringify(bundle);
+    },
+
+    markdown: (files, structure, part, changes) => {
+        const sections = [];
+        if (part) {
+            sections.push(`# Part ${part.index} of ${part.total}\n\n${manifestLines(part.manifest).map(line => `- ${line}`).join('\n')}`);
+        }
+        if (changes) {
+            sections.push(`# ${changesTitle(changes)}\n\n${changesLines(changes).map(line => `- ${line}`).join('\n')}`);
+        }
+        if (structure) {
+            const text = structureText(structure);
+            const fence = getFence(text);
+            sections.push(`# Project structure\n\n${fence}${typeof structure === 'string' ? '' : 'json'}\n${text}\n${fence}`);
+        }
+        for (const [filePath, content] of Object.entries(files)) {
+            const fence = getFence(content);
+            sections.push(`## ${filePath}\n\n${fence}${getLanguageTag(filePath)}\n${content}\n${fence}`);
+        }
+        return `${sections.join('\n\n')}\n`;
+    },
+
+    xml: (files, structure, part, changes) => {
+        const parts = [part ? `<project part="${part.index}" total="${part.total}">` : '<project>'];
+        if (part) {
+            parts.push(`<manifest>\n${manifestLines(part.manifest).join('\n')}\n</manifest>`);
+        }
+        if (changes) {
+            parts.push(`<changes since="${escapeAttribute(changes.since)}">\n${changesLines(changes).join('\n')}\n</changes>`);
+        }
+        if (structure) {
+            parts.push(`<structure>\n${structureText(structure)}\n</structure>`);
+        }
+        for (const [filePath, content] of Object.entries(files)) {
+            parts.push(`<file path="${escapeAttribute(filePath)}">${wrapCdata(`\n${content}\n`)}</file>`);
+        }
+        parts.push('</project>');
+        return `${parts.join('\n')}\n`;
+    },
+
+    txt: (files, structure, part, changes) => {
+        const parts = [];
+        if (part) {
+            parts.push(`=== Part ${part.index} of ${part.total} ===\n${manifestLines(part.manifest).join('\n')}`);
+        }
+        if (changes) {
+            parts.push(`=== ${changesTitle(changes)} ===\n${changesLines(changes).join('\n')}`);
+        }
+        if (structure) {
+            parts.push(`=== Project structure ===\n${structureText(structure)}`);
+        }
+        for (const [filePath, content] of Object.entries(files)) {
+            parts.push(`=== ${filePath} ===\n${content}`);
+        }
+        return `${parts.join('\n\n')}\n`;
+    }
+};
+
+/**
+ * Formats the code bundle.
+ *
+ * @param {object} files - Map of relative file path to (minified) content
+ * @param {object} options - Optional settings
+ * @param {string} options.format - Key of OUTPUT_FORMATS (default "json")
+ * @param {object|string|null} options.structure - Project structure to embed at the top, or its rendered text (optional)
+ * @param {object|null} options.part - Part header of a split bundle: { index, total, manifest } (optional)
+ * @param {object|null} options.changes - Changelog of a delta bundle: { since, added, modified, deleted } (optional)
+ * @returns {string}
+ */
+function formatBundle(files, options = {}) {
+    const { format = 'json', structure = null, part = null, changes = null } = options;
+    const formatter = FORMATTERS[format];
+    if (!formatter) {
+        throw new Error(`Unknown output format "${format}" (available: ${Object.keys(OUTPUT_FORMATS).join(', ')})`);
+    }
+    return formatter(files, structure, part, changes);
+}
+
+/**
+ * Splits a file that is too large for one part into line ranges named `path#L<from>-L<to>`.
+ * A single line longer than the limit is cut into pieces.
+ */
+function splitLargeFile(filePath, content, fits) {
+    const chunks = [];
+    const lines = content.split('\n');
+    let start = 0;
+    while (start < lines.length) {
+        const fitsUpTo = (to) => fits(`${filePath}#L${start + 1}-L${to}`, lines.slice(start, to).join('\n'));
+        // Grow the chunk by doubling steps while it still fits, then narrow down to the last line that fits:
+        // each chunk is measured a logarithmic number of times instead of once per line
+        let end = start + 1;
+        let over = lines.length + 1;
+        for (let step = 1; end < lines.length; step *= 2) {
+            const next = Math.min(end + step, lines.length);
+            if (!fitsUpTo(next)) {
+                over = next;
+                break;
+            }
+            end = next;
+        }
+        while (over - end > 1 && end < lines.length) {
+            const middle = Math.floor((end + over) / 2);
+            if (fitsUpTo(middle)) end = middle;
+            else over = middle;
+        }
+        const text = lines.slice(start, end).join('\n');
+        const name = `${filePath}#L${start + 1}-L${end}`;
+        if (fits(name, text)) {
+            chunks.push([name, text]);
+        } else {
+            // One very long line (e.g. a minified file): cut it by characters
+            let size = text.length;
+            while (size > 1 && !fits(name, text.slice(0, size))) size = Math.floor(size / 2);
+            for (let offset = 0, piece = 1; offset < text.length; offset += size, piece++) {
+                chunks.push([`${name}~${piece}`, text.slice(offset, offset + size)]);
+            }
+        }
+        start = end;
+    }
+    return chunks;
+}
+
+/**
+ * Splits the bundle into numbered parts that each stay under a size limit.
+ * Files are kept whole unless a single file exceeds the limit; every part starts with a
+ * "part N of M" header and the manifest of all parts. The changelog and the structure (if any) go into part 1,
+ * and `wrap` (e.g. a prompt template around the bundle) is applied to part 1; the room they take is reserved there.
+ *
+ * @param {object} files - Map of relative file path to (minified) content
+ * @param {object} options - Settings
+ * @param {string} options.format - Key of OUTPUT_FORMATS
+ * @param {object|string|null} options.structure - Project structure (or its rendered text) to embed in part 1 (optional)
+ * @param {object|null} options.changes - Changelog of a delta bundle, put in part 1 (optional)
+ * @param {Function|null} options.wrap - Returns the text of part 1 from the formatted part (optional)
+ * @param {number} options.limit - Maximum size of a part
+ * @param {Function} options.measure - Returns the size of a text (characters or tokens)
+ * @returns {{parts: string[], manifest: object}} - Formatted parts and the manifest (part number -> paths)
+ * @throws {Error} - If the limit is too small for the part headers (and what goes into part 1)
+ */
+function splitBundle(files, options) {
+    const { format = 'json', structure = null, changes = null, wrap = null, limit, measure } = options;
+    const entries = Object.entries(files);
+    const emptySize = measure(formatBundle({}, { format }));
+    // Room taken in part 1 by the changelog, the structure and the wrapper
+    const firstPart = formatBundle({}, { format, structure, changes });
+    const structureSize = measure(wrap ? wrap(firstPart) : firstPart) - emptySize;
+
+    // Size of one entry inside a part, without the wrapper shared by all entries
+    const entrySize = (filePath, content) => measure(formatBundle({ [filePath]: content }, { format })) - emptySize;
+    // Header overhead: a part with a manifest of all entries (part numbers padded to the worst case)
+    const headerSize = (names) => measure(formatBundle({}, {
+        format,
+        part: { index: names.length + 1, total: names.length + 1, manifest: { [names.length + 1]: names } }
+    }));
+
+    // Cuts files larger than a part into line ranges and packs the entries in order
+    const plan = (reserved) => {
+        const capacity = limit - reserved;
+        if (capacity <= 0 || structureSize > capacity) {
+            const what = wrap ? 'the part headers and the prompt template' : 'the part headers';
+            throw new Error(`The split limit (${limit}) is too small for ${what} (${reserved + structureSize}).`);
+        }
+        const fits = (filePath, content) => entrySize(filePath, content) <= capacity;
+        const sized = [];
+        for (const [filePath, content] of entries) {
+            const size = entrySize(filePath, content);
+            if (size <= capacity) {
+                sized.push({ filePath, content, size });
+            } else {
+                for (const [chunkPath, chunk] of splitLargeFile(filePath, content, fits)) {
+                    sized.push({ filePath: chunkPath, content: chunk, size: entrySize(chunkPath, chunk) });
+                }
+            }
+        }
+
+        const groups = [[]];
+        let used = structureSize;
+        for (const entry of sized) {
+            const current = groups[groups.length - 1];
+            if (current.length > 0 && used + entry.size > capacity) {
+                groups.push([entry]);
+                used = entry.size;
+            } else {
+                current.push(entry);
+                used += entry.size;
+            }
+        }
+        return { sized, groups };
+    };
+
+    const render = (groups) => {
+        const manifest = Object.fromEntries(groups.map((group, index) => [index + 1, group.map(entry => entry.filePath)]));
+        const parts = groups.map((group, index) => formatBundle(
+            Object.fromEntries(group.map(entry => [entry.filePath, entry.content])),
+            {
+                format,
+                structure: index === 0 ? structure : null,
+                changes: index === 0 ? changes : null,
+                part: { index: index + 1, total: groups.length, manifest }
+            }
+        ));
+        if (wrap) parts[0] = wrap(parts[0]);
+        return { parts, manifest };
+    };
+
+    // Sizes are estimated per entry, so a formatted part can still come out over the limit. The last entry
+    // of such a part moves to the next one; a part with a single entry instead reserves more room for the
+    // header and the files are cut again.
+    let reserved = headerSize(entries.map(([filePath]) => filePath));
+    for (let attempt = 0; ; attempt++) {
+        const { sized, groups } = plan(reserved);
+        let result = render(groups);
+        for (let moves = 0; moves <= sized.length; moves++) {
+            const over = result.parts.findIndex((part, index) => groups[index].length > 1 && measure(part) > limit);
+            if (over === -1) break;
+            const moved = groups[over].pop();
+            if (over + 1 < groups.length) {
+                groups[over + 1].unshift(moved);
+            } else {
+                groups.push([moved]);
+            }
+            result = render(groups);
+        }
+
+        const overflow = Math.max(0, ...result.parts.map(part => measure(part) - limit));
+        if (overflow === 0 || attempt === 3) return result;
+        reserved += overflow;
+    }
+}
+
+/**
+ * Returns the file name of a bundle part: project-code.min.json -> project-code.part-02.min.json.
+ *
+ * @param {string} outFile - Path of the unsplit bundle
+ * @param {number} index - 1-based part number
+ * @param {number} total - Number of parts (used for zero padding)
+ * @returns {string}
+ */
+function getPartFileName(outFile, index, total) {
+    const number = String(index).padStart(Math.max(2, String(total).length), '0');
+    const match = path.basename(outFile).match(/^(.*?)((?:\.min)?\.[^.]+)?$/);
+    return path.join(path.dirname(outFile), `${match[1]}.part-${number}${match[2] || ''}`);
+}
+
+export { OUTPUT_FORMATS, SPLIT_UNITS, LANGUAGE_TAGS, getLanguageTag, formatBundle, splitBundle, getPartFileName };
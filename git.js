@@ -0,0 +1,180 @@
+import { execFile } from 'child_process';
+import { matchesGlob } from './gitignore.js';
+
+// Git selection sources: working tree changes, staged files, changes since a ref, files of the last N commits
+const GIT_SOURCES = ['changed', 'staged', 'since', 'commits'];
+
+// Hash of the empty tree: the base of a diff that covers every commit of the history
+const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+
+/**
+ * Runs git in the project root and returns its output.
+ *
+ * @param {string[]} args - Git arguments
+ * @param {string} cwd - Project root
+ * @param {number[]} okCodes - Exit codes that are not errors (`git diff --no-index` exits with 1 when files differ)
+ * @returns {Promise<string>}
+ * @throws {Error} - If git is not installed, the directory is not a repository or the command fails
+ */
+function runGit(args, cwd, okCodes = [0]) {
+    return new Promise((resolve, reject) => {
+        execFile('git', args, { cwd, maxBuffer: 256 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error && error.code === 'ENOENT') {
+                reject(new Error('git was not found; install git or add it to PATH.'));
+            } else if (error && !okCodes.includes(error.code)) {
+                reject(new Error(`git ${args[0]} failed: ${(stderr || error.message).trim()}`));
+            } else {
+                resolve(stdout);
+            }
+        });
+    });
+}
+
+/**
+ * Splits NUL-separated git output (-z) into paths.
+ */
+function splitPaths(output) {
+    return output.split('\0').filter(Boolean);
+}
+
+/**
+ * Resolves the commit the diffs of a selection start from.
+ *
+ * @param {object} selection - { source, ref, count }
+ * @param {string} cwd - Project root
+ * @returns {Promise<string|null>} - Commit hash, or null for the working tree and staged sources (they diff against HEAD)
+ */
+async function resolveBase(selection, cwd) {
+    if (selection.source === 'since') {
+        // Changes since the branch point, like a pull request: git diff <ref>...
+        return (await runGit(['merge-base', selection.ref, 'HEAD'], cwd)).trim();
+    }
+    if (selection.source === 'commits') {
+        // The commit before the last N, or the empty tree if the history is shorter
+        const base = (await runGit(['rev-list', '-n', '1', '--skip', String(selection.count), 'HEAD'], cwd)).trim();
+        return base || EMPTY_TREE;
+    }
+    return null;
+}
+
+/**
+ * Returns the diff range of a selection: arguments for git diff before the paths.
+ */
+function getDiffRange(selection, base) {
+    switch (selection.source) {
+        case 'staged':
+            return ['--cached'];
+        case 'since':
+            return [base];
+        case 'commits':
+            return [base, 'HEAD'];
+        default:
+            return ['HEAD'];
+    }
+}
+
+/**
+ * Checks a selection ({ source, ref, count }) and throws a readable error if it is incomplete.
+ */
+function validateSelection(selection) {
+    if (!GIT_SOURCES.includes(selection.source)) {
+        throw new Error(`Unknown git source "${selection.source}" (available: ${GIT_SOURCES.join(', ')})`);
+    }
+    if (selection.source === 'since' && !selection.ref) {
+        throw new Error('A ref is required for the "since" source, e.g. main or v1.2.0.');
+    }
+    if (selection.source === 'commits' && !(Number.isInteger(selection.count) && selection.count > 0)) {
+        throw new Error('The number of commits must be a positive integer.');
+    }
+}
+
+/**
+ * Lists the files of a git selection, relative to the project root (the files outside it are left out).
+ *
+ * - changed: files modified in the working tree or the index, and untracked files (not ignored)
+ * - staged: files in the index
+ * - since: files changed between `ref` (its merge base with HEAD) and the working tree
+ * - commits: files touched by the last `count` commits
+ *
+ * @param {object} selection - { source, ref, count }
+ * @param {string} cwd - Project root (default: the current working directory)
+ * @param {string[]} exclude - Globs of files to leave out, e.g. the output directory ["json-project/**"]
+ * @returns {Promise<{files: string[], deleted: string[], base: string|null}>} - Existing files, deleted files and
+ *   the base commit of the diffs
+ * @throws {Error} - If git fails (not a repository, unknown ref, ...)
+ */
+async function getGitFiles(selection, cwd = process.cwd(), exclude = []) {
+    validateSelection(selection);
+    const base = await resolveBase(selection, cwd);
+    const range = getDiffRange(selection, base);
+    const list = async (filter) => splitPaths(await runGit(['diff', '--name-only', '-z', '--relative', `--diff-filter=${filter}`, ...range], cwd));
+
+    const files = await list('d');
+    const deleted = await list('D');
+    if (selection.source === 'changed' || selection.source === 'since') {
+        // New files that were never added are changes of the working tree too
+        files.push(...splitPaths(await runGit(['ls-files', '--others', '--exclude-standard', '-z'], cwd)));
+    }
+    const keep = (filePath) => !exclude.some(pattern => matchesGlob(pattern, filePath));
+    return { files: [...new Set(files)].filter(keep).sort(), deleted: deleted.filter(keep).sort(), base };
+}
+
+/**
+ * Returns the unified diff of each file of a git selection.
+ *
+ * @param {string[]} filePaths - Files (relative to the project root), e.g. from getGitFiles
+ * @param {object} selection - { source, ref, count }, the same as for getGitFiles
+ * @param {string} cwd - Project root (default: the current working directory)
+ * @returns {Promise<object>} - Map of file path to its diff; files without changes are left out
+ */
+async function getGitDiffs(filePaths, selection, cwd = process.cwd()) {
+    validateSelection(selection);
+    const range = getDiffRange(selection, await resolveBase(selection, cwd));
+    const untracked = new Set(selection.source === 'changed' || selection.source === 'since'
+        ? splitPaths(await runGit(['ls-files', '--others', '--exclude-standard', '-z'], cwd))
+        : []);
+
+    const diffs = {};
+    for (const filePath of filePaths) {
+        const diff = untracked.has(filePath)
+            // An untracked file is all new: diff it against an empty file
+            ? await runGit(['diff', '--no-index', '--no-color', '--', '/dev/null', filePath], cwd, [0, 1])
+            : await runGit(['diff', '--no-color', '--relative', ...range, '--', filePath], cwd);
+        if (diff) diffs[filePath] = diff.replace(/\n$/, '');
+    }
+    return diffs;
+}
+
+/**
+ * Returns the current branch, the short commit hash on a detached HEAD, or null outside a repository
+ * (or without git).
+ *
+ * @param {string} cwd - Project root
+ * @returns {Promise<string|null>}
+ */
+async function getGitBranch(cwd = process.cwd()) {
+    try {
+        const branch = (await runGit(['rev-parse', '--abbrev-ref', 'HEAD'], cwd)).trim();
+        return branch === 'HEAD' ? (await runGit(['rev-parse', '--short', 'HEAD'], cwd)).trim() : branch;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Describes a selection for messages: "working tree changes", "changes since main", ...
+ */
+function describeSelection(selection) {
+    switch (selection.source) {
+        case 'staged':
+            return 'staged changes';
+        case 'since':
+            return `changes since ${selection.ref}`;
+        case 'commits':
+            return `the last ${selection.count} commit(s)`;
+        default:
+            return 'working tree changes';
+    }
+}
+
+export { GIT_SOURCES, runGit, getGitFiles, getGitDiffs, getGitBranch, describeSelection };
@@ -0,0 +1,269 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Escapes a character so it is matched literally inside a regular expression.
+ */
+function escapeRegex(char) {
+    return char.replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&');
+}
+
+/**
+ * Converts a bracket expression like `[a-z]` or `[!abc]` starting at `start` into a regex class.
+ * Returns null if the bracket is not closed (git then treats `[` literally).
+ */
+function convertBracket(pattern, start) {
+    let i = start + 1;
+    let negate = false;
+    if (pattern[i] === '!' || pattern[i] === '^') {
+        negate = true;
+        i++;
+    }
+    let body = '';
+    // A `]` right after the opening bracket is part of the set
+    if (pattern[i] === ']') {
+        body += '\\]';
+        i++;
+    }
+    while (i < pattern.length && pattern[i] !== ']') {
+        const char = pattern[i];
+        if (char === '\\' && i + 1 < pattern.length) {
+            body += escapeRegex(pattern[i + 1]);
+            i += 2;
+            continue;
+        }
+        body += char === '-' ? '-' : escapeRegex(char);
+        i++;
+    }
+    if (i >= pattern.length) return null;
+    // Classes never match a slash, just like wildcards
+    return { source: negate ? `[^/${body}]` : `[${body}]`, end: i };
+}
+
+/**
+ * Converts a gitignore glob (without the leading `!`, leading `/` and trailing `/`) to a RegExp.
+ * Implements git's wildmatch rules: `*`, `?`, `[...]`, `\` escapes and the special `**` forms.
+ *
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp}
+ */
+function globToRegex(pattern) {
+    let source = '';
+    let i = 0;
+    while (i < pattern.length) {
+        const char = pattern[i];
+
+        if (char === '*') {
+            if (pattern[i + 1] === '*') {
+                const atStart = i === 0 || pattern[i - 1] === '/';
+                const atEnd = i + 2 === pattern.length;
+                const beforeSlash = pattern[i + 2] === '/';
+                if (atStart && beforeSlash) {
+                    // "**/" matches zero or more directories
+                    source += '(?:.*/)?';
+                    i += 3;
+                    continue;
+                }
+                if (atStart && atEnd) {
+                    // Trailing "/**" matches everything inside
+                    source += '.*';
+                    i += 2;
+                    continue;
+                }
+                // Other consecutive asterisks are regular asterisks
+                while (pattern[i] === '*') i++;
+                source += '[^/]*';
+                continue;
+            }
+            source += '[^/]*';
+            i++;
+            continue;
+        }
+
+        if (char === '?') {
+            source += '[^/]';
+            i++;
+            continue;
+        }
+
+        if (char === '[') {
+            const bracket = convertBracket(pattern, i);
+            if (bracket) {
+                source += bracket.source;
+                i = bracket.end + 1;
+                continue;
+            }
+        }
+
+        if (char === '\\' && i + 1 < pattern.length) {
+            source += escapeRegex(pattern[i + 1]);
+            i += 2;
+            continue;
+        }
+
+        source += escapeRegex(char);
+        i++;
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Matches a project path against a single glob with gitignore semantics: a glob without a slash
+ * matches the file name at any depth, a glob with a slash matches the path from the project root.
+ *
+ * @param {string} pattern - Glob like `*.md`, `src/**` or `/docs/*.md`
+ * @param {string} filePath - Path relative to the project root, with forward slashes
+ * @returns {boolean}
+ */
+function matchesGlob(pattern, filePath) {
+    const anchored = pattern.includes('/');
+    const regex = globToRegex(pattern.replace(/^\//, '').replace(/\/$/, '/**'));
+    const subject = anchored ? filePath : filePath.slice(filePath.lastIndexOf('/') + 1);
+    return regex.test(subject);
+}
+
+/**
+ * Parses the contents of a .gitignore file into a list of rules.
+ *
+ * @param {string} content - File contents
+ * @param {string} base - Directory of the .gitignore file relative to the project root ('' for the root)
+ * @returns {object[]} - Rules in file order: { pattern, negate, dirOnly, anchored, regex, base }
+ */
+function parseGitignore(content, base = '') {
+    const rules = [];
+    for (const rawLine of content.split(/\r?\n/)) {
+        // Trailing spaces are ignored unless escaped with a backslash
+        let line = rawLine.replace(/(^|[^\\])\s+$/, '$1');
+        if (!line || line.startsWith('#')) continue;
+
+        let negate = false;
+        if (line.startsWith('!')) {
+            negate = true;
+            line = line.slice(1);
+        } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+            line = line.slice(1);
+        }
+
+        let dirOnly = false;
+        if (line.endsWith('/') && !line.endsWith('\\/')) {
+            dirOnly = true;
+            line = line.replace(/\/+$/, '');
+        }
+        if (!line) continue;
+
+        // A slash at the beginning or in the middle anchors the pattern to the .gitignore directory
+        const anchored = line.includes('/');
+        if (line.startsWith('/')) line = line.slice(1);
+
+        rules.push({ pattern: rawLine.trim(), negate, dirOnly, anchored, regex: globToRegex(line), base });
+    }
+    return rules;
+}
+
+/**
+ * Checks a single rule against a path. Returns true if the rule matches.
+ *
+ * @param {object} rule - Rule produced by parseGitignore
+ * @param {string} relPath - Path relative to the project root, with forward slashes
+ * @param {boolean} isDirectory - Whether the path is a directory
+ */
+function ruleMatches(rule, relPath, isDirectory) {
+    if (rule.dirOnly && !isDirectory) return false;
+    if (rule.base && !relPath.startsWith(`${rule.base}/`)) return false;
+    const localPath = rule.base ? relPath.slice(rule.base.length + 1) : relPath;
+    const subject = rule.anchored ? localPath : localPath.slice(localPath.lastIndexOf('/') + 1);
+    return rule.regex.test(subject);
+}
+
+/**
+ * Decides whether project paths are ignored by git, following git's rules:
+ * `.git/info/exclude`, the root `.gitignore` and `.gitignore` files in every subdirectory
+ * (deeper files and later lines take precedence), negation with `!`, anchored patterns,
+ * directory-only patterns and `**`. A file inside an ignored directory cannot be re-included.
+ *
+ * .gitignore files are read lazily and cached, so the matcher can be used both while walking
+ * the tree and for a flat list of paths.
+ */
+class GitignoreMatcher {
+    /**
+     * @param {string} rootDir - Project root directory
+     */
+    constructor(rootDir = process.cwd()) {
+        this.rootDir = rootDir;
+        this.rulesByDir = new Map(); // Directory relative path -> rules of its .gitignore
+        this.cache = new Map(); // "d:" / "f:" + path -> ignored flag
+        this.excludeRules = this.readRules(path.join(rootDir, '.git', 'info', 'exclude'), '');
+    }
+
+    /**
+     * Reads and parses an ignore file. Missing files produce no rules.
+     */
+    readRules(filePath, base) {
+        try {
+            return parseGitignore(fs.readFileSync(filePath, 'utf-8'), base);
+        } catch (error) {
+            if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+                console.warn(`Warning: Could not read ${filePath}: ${error.message}`);
+            }
+            return [];
+        }
+    }
+
+    /**
+     * Returns the rules of the .gitignore file located in a directory (relative path, '' for the root).
+     */
+    getDirRules(dir) {
+        if (!this.rulesByDir.has(dir)) {
+            this.rulesByDir.set(dir, this.readRules(path.join(this.rootDir, dir, '.gitignore'), dir));
+        }
+        return this.rulesByDir.get(dir);
+    }
+
+    /**
+     * Applies all rules that can affect a path, without looking at its parent directories.
+     */
+    matchOwnRules(relPath, isDirectory) {
+        const parts = relPath.split('/');
+        const ruleSets = [this.excludeRules, this.getDirRules('')];
+        for (let i = 1; i < parts.length; i++) {
+            ruleSets.push(this.getDirRules(parts.slice(0, i).join('/')));
+        }
+
+        let ignored = false;
+        for (const rules of ruleSets) {
+            for (const rule of rules) {
+                if (ruleMatches(rule, relPath, isDirectory)) {
+                    ignored = !rule.negate;
+                }
+            }
+        }
+        return ignored;
+    }
+
+    /**
+     * Checks whether a path is ignored.
+     *
+     * @param {string} filePath - Path relative to the project root (forward or back slashes)
+     * @param {boolean} isDirectory - Whether the path is a directory
+     * @returns {boolean}
+     */
+    isIgnored(filePath, isDirectory = false) {
+        const relPath = filePath.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '');
+        if (!relPath || relPath.startsWith('../')) return false;
+        // The repository's own .git directory is never part of the working tree
+        if (relPath === '.git' || relPath.startsWith('.git/')) return true;
+
+        const cacheKey = `${isDirectory ? 'd' : 'f'}:${relPath}`;
+        if (this.cache.has(cacheKey)) return this.cache.get(cacheKey);
+
+        // Git does not look inside ignored directories, so a parent match wins over any negation
+        const parentIndex = relPath.lastIndexOf('/');
+        const ignored = (parentIndex > 0 && this.isIgnored(relPath.slice(0, parentIndex), true)) ||
+            this.matchOwnRules(relPath, isDirectory);
+
+        this.cache.set(cacheKey, ignored);
+        return ignored;
+    }
+}
+
+export { GitignoreMatcher, parseGitignore, globToRegex, matchesGlob };
@@ -0,0 +1,312 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { SYNTAX, MINIFIERS, stripComments } from './minifiers.js';
+
+// Files whose imports are followed: JavaScript/TypeScript modules (and components) and stylesheets
+const SCRIPT_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.mts', '.cts', '.tsx', '.vue', '.svelte'];
+const STYLE_EXTENSIONS = ['.css', '.scss', '.less'];
+const IMPORT_EXTENSIONS = [...SCRIPT_EXTENSIONS, ...STYLE_EXTENSIONS];
+
+// Extensions tried, in order, for an import without one
+const SCRIPT_RESOLVE_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts', '.js', '.jsx', '.mjs', '.cjs', '.json', '.vue', '.svelte'];
+
+// TypeScript ESM imports name the compiled file: `./util.js` is `./util.ts` in the sources
+const COMPILED_EXTENSIONS = {
+    '.js': ['.ts', '.tsx'], '.jsx': ['.tsx'], '.mjs': ['.mts'], '.cjs': ['.cts']
+};
+
+// Config files with path aliases, looked up in the project root
+const TSCONFIG_FILES = ['tsconfig.json', 'jsconfig.json'];
+
+// Import statements: static imports and re-exports, dynamic import(), require() and stylesheet imports
+const SCRIPT_PATTERNS = [
+    /\b(?:import|export)\s+(?:type\s+)?(?:[\w*${}\s,]+?\s+from\s*)?['"]([^'"\n]+)['"]/g,
+    /\bimport\s*\(\s*['"]([^'"\n]+)['"]\s*\)/g,
+    /\brequire\s*\(\s*['"]([^'"\n]+)['"]\s*\)/g
+];
+const STYLE_PATTERN = /@(?:import|use|forward)\s+(?:url\(\s*)?['"]?([^'"()\s;]+)['"]?/g;
+
+/**
+ * Returns the import specifiers of a module or stylesheet, in source order (comments are ignored).
+ *
+ * @param {string} content - File contents
+ * @param {string} filePath - File path (the extension chooses the syntax)
+ * @returns {string[]}
+ */
+function extractImports(content, filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    const isStyle = STYLE_EXTENSIONS.includes(extension);
+    const syntax = isStyle ? (extension === '.css' ? SYNTAX.css : SYNTAX.scss) : SYNTAX.js;
+    let code;
+    try {
+        code = stripComments(content, syntax).code;
+    } catch {
+        code = content;
+    }
+
+    const found = [];
+    for (const pattern of isStyle ? [STYLE_PATTERN] : SCRIPT_PATTERNS) {
+        for (const match of code.matchAll(pattern)) {
+            found.push({ index: match.index, specifier: match[1] });
+        }
+    }
+    const specifiers = found.sort((a, b) => a.index - b.index).map(item => item.specifier);
+    // Remote stylesheets are not project files
+    return [...new Set(specifiers)].filter(specifier => !/^(?:https?:)?\/\//.test(specifier));
+}
+
+/**
+ * Parses a tsconfig.json / jsconfig.json file (comments and trailing commas are allowed).
+ */
+async function readTsconfig(configPath) {
+    const json = MINIFIERS.json(await fs.readFile(configPath, 'utf-8')).replace(/,(?=[}\]])/g, '');
+    return JSON.parse(json);
+}
+
+/**
+ * Resolves the import specifiers of project files to project files. Relative imports, index files,
+ * `.js` imports of TypeScript sources and the `baseUrl` and `paths` aliases of tsconfig.json (or
+ * jsconfig.json) are supported; packages (bare imports that are not aliases) are left out.
+ */
+class ImportResolver {
+    /**
+     * @param {string} basePath - Project root; all paths are relative to it
+     * @param {object} options - Optional settings
+     * @param {string|null} options.tsconfig - tsconfig file with the path aliases, relative to the root
+     *   (default: tsconfig.json or jsconfig.json in the root, if any)
+     */
+    constructor(basePath, options = {}) {
+        this.basePath = path.resolve(basePath);
+        this.tsconfig = options.tsconfig || null;
+        this.aliases = null; // Promise of { baseUrl, paths: [{ prefix, suffix, wildcard, targets }] }, read on first use
+        this.imports = new Map(); // File path -> resolved imports
+    }
+
+    /**
+     * Returns the path relative to the project root, with forward slashes.
+     */
+    relative(filePath) {
+        return path.relative(this.basePath, filePath).replace(/\\/g, '/');
+    }
+
+    /**
+     * Returns baseUrl and paths of the tsconfig file; they are read once, concurrent callers share the read.
+     */
+    loadAliases() {
+        if (!this.aliases) this.aliases = this.readAliases();
+        return this.aliases;
+    }
+
+    /**
+     * Reads baseUrl and paths from the tsconfig file (following relative `extends`).
+     */
+    async readAliases() {
+        const aliases = { baseUrl: null, paths: [] };
+        const candidates = this.tsconfig ? [this.tsconfig] : TSCONFIG_FILES;
+        const configPath = candidates.map(name => path.resolve(this.basePath, name)).find(file => fs.existsSync(file));
+        if (!configPath) return aliases;
+
+        // Options of the extended config come first and are overridden by the extending one
+        const chain = [];
+        const seen = new Set();
+        let file = configPath;
+        while (file && !seen.has(file)) {
+            seen.add(file);
+            let config;
+            try {
+                config = await readTsconfig(file);
+            } catch (error) {
+                throw new Error(`Cannot read ${this.relative(file)}: ${error.message}`);
+            }
+            chain.unshift({ dir: path.dirname(file), options: config.compilerOptions || {} });
+            const parent = typeof config.extends === 'string' && config.extends.startsWith('.') ? path.resolve(path.dirname(file), config.extends) : null;
+            file = parent && !parent.endsWith('.json') && fs.existsSync(`${parent}.json`) ? `${parent}.json` : parent;
+        }
+
+        let pathsDir = null;
+        let paths = {};
+        for (const { dir, options } of chain) {
+            if (options.baseUrl) aliases.baseUrl = path.resolve(dir, options.baseUrl);
+            if (options.paths) {
+                paths = options.paths;
+                pathsDir = dir;
+            }
+        }
+        // Without baseUrl, paths are relative to the config that declares them
+        const pathsBase = aliases.baseUrl || pathsDir;
+        aliases.paths = Object.entries(paths).map(([pattern, targets]) => {
+            const [prefix, suffix = ''] = pattern.split('*');
+            return { prefix, suffix, wildcard: pattern.includes('*'), targets: targets.map(target => path.resolve(pathsBase, target)) };
+        });
+        return aliases;
+    }
+
+    /**
+     * Returns the first existing file for an import path without (or with a compiled) extension.
+     */
+    async findFile(target, isStyle) {
+        const candidates = [target];
+        const extension = path.extname(target).toLowerCase();
+        if (isStyle) {
+            for (const ext of ['', ...STYLE_EXTENSIONS]) {
+                // Sass partials: `@use "base"` loads `_base.scss`
+                candidates.push(`${target}${ext}`, path.join(path.dirname(target), `_${path.basename(target)}${ext}`));
+            }
+        } else {
+            for (const compiled of COMPILED_EXTENSIONS[extension] || []) {
+                candidates.push(target.slice(0, -extension.length) + compiled);
+            }
+            candidates.push(...SCRIPT_RESOLVE_EXTENSIONS.map(ext => `${target}${ext}`));
+            candidates.push(...SCRIPT_RESOLVE_EXTENSIONS.map(ext => path.join(target, `index${ext}`)));
+        }
+        for (const candidate of candidates) {
+            try {
+                if ((await fs.stat(candidate)).isFile()) return candidate;
+            } catch {
+                // Not this candidate
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Resolves an import specifier of a file.
+     *
+     * @param {string} specifier - Import specifier, e.g. "./util", "@/components/Button" or "react"
+     * @param {string} fromFile - Importing file, relative to the project root
+     * @returns {Promise<string|null>} - Imported file relative to the project root, or null for packages,
+     *   files outside the project and imports that do not resolve
+     */
+    async resolve(specifier, fromFile) {
+        const isStyle = STYLE_EXTENSIONS.includes(path.extname(fromFile).toLowerCase());
+        const cleaned = specifier.replace(/[?#].*$/, '').replace(/^~(?=[^/])/, '');
+        let targets;
+        if (cleaned.startsWith('.') || (isStyle && !cleaned.startsWith('@') && !cleaned.includes(':'))) {
+            // Stylesheets also use bare relative paths: @import "base.css"
+            targets = [path.resolve(this.basePath, path.dirname(fromFile), cleaned)];
+        } else if (cleaned.startsWith('/')) {
+            targets = [path.join(this.basePath, cleaned)];
+        } else {
+            const { baseUrl, paths } = await this.loadAliases();
+            targets = [];
+            for (const alias of paths) {
+                if (alias.wildcard && cleaned.startsWith(alias.prefix) && cleaned.endsWith(alias.suffix) && cleaned.length >= alias.prefix.length + alias.suffix.length) {
+                    const star = cleaned.slice(alias.prefix.length, cleaned.length - alias.suffix.length);
+                    targets.push(...alias.targets.map(target => target.replace('*', star)));
+                } else if (!alias.wildcard && cleaned === alias.prefix) {
+                    targets.push(...alias.targets);
+                }
+            }
+            if (baseUrl) targets.push(path.join(baseUrl, cleaned));
+        }
+
+        for (const target of targets) {
+            const file = await this.findFile(target, isStyle);
+            const relativePath = file && this.relative(file);
+            if (relativePath && !relativePath.startsWith('..') && !relativePath.split('/').includes('node_modules')) {
+                return relativePath;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Returns the resolved imports of a project file (cached). Files that are not modules or
+     * stylesheets, and files that cannot be read, have no imports.
+     *
+     * @param {string} filePath - File path relative to the project root
+     * @returns {Promise<{specifier: string, path: string|null}[]>} - `path` is null for packages and unresolved imports
+     */
+    async getImports(filePath) {
+        if (this.imports.has(filePath)) return this.imports.get(filePath);
+        let result = [];
+        if (IMPORT_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+            try {
+                const content = await fs.readFile(path.join(this.basePath, filePath), 'utf-8');
+                result = await Promise.all(extractImports(content, filePath).map(async (specifier) => ({
+                    specifier,
+                    path: await this.resolve(specifier, filePath)
+                })));
+            } catch (error) {
+                if (error.code !== 'ENOENT' && error.code !== 'EISDIR') throw error;
+            }
+        }
+        this.imports.set(filePath, result);
+        return result;
+    }
+}
+
+/**
+ * Adds the files imported by the selection, following imports up to `depth` levels.
+ *
+ * @param {string[]} filePaths - Selected files, relative to the project root
+ * @param {ImportResolver} resolver - Resolver of the project
+ * @param {number} depth - Levels of imports to follow (1 = direct imports only)
+ * @returns {Promise<{files: string[], added: object[], unresolved: object[]}>} - The selection followed by the
+ *   added files, why each file was added ({ path, depth, via }: `via` imports `path`) and relative imports
+ *   that do not resolve ({ specifier, from })
+ */
+async function expandDependencies(filePaths, resolver, depth = 1) {
+    const seen = new Set(filePaths);
+    const added = [];
+    const unresolved = [];
+    let level = [...filePaths];
+    for (let current = 1; current <= depth && level.length > 0; current++) {
+        const next = [];
+        for (const filePath of level) {
+            for (const { specifier, path: imported } of await resolver.getImports(filePath)) {
+                if (!imported) {
+                    if (specifier.startsWith('.')) unresolved.push({ specifier, from: filePath });
+                    continue;
+                }
+                if (seen.has(imported)) continue;
+                seen.add(imported);
+                added.push({ path: imported, depth: current, via: filePath });
+                next.push(imported);
+            }
+        }
+        level = next;
+    }
+    return { files: [...filePaths, ...added.map(item => item.path)], added, unresolved };
+}
+
+/**
+ * Adds the files that import the selection, up to `depth` levels of importers.
+ *
+ * @param {string[]} filePaths - Selected files, relative to the project root
+ * @param {string[]} candidates - Project files that may import them (e.g. all files of the structure)
+ * @param {ImportResolver} resolver - Resolver of the project
+ * @param {number} depth - Levels to follow (1 = files that import the selection directly)
+ * @returns {Promise<{files: string[], added: object[]}>} - The selection followed by the added files and why each
+ *   file was added ({ path, depth, via }: `path` imports `via`)
+ */
+async function findDependents(filePaths, candidates, resolver, depth = 1) {
+    // Reverse import graph of the candidates: imported file -> importing files
+    const importers = new Map();
+    for (const candidate of candidates) {
+        for (const { path: imported } of await resolver.getImports(candidate)) {
+            if (!imported || imported === candidate) continue;
+            if (!importers.has(imported)) importers.set(imported, []);
+            importers.get(imported).push(candidate);
+        }
+    }
+
+    const seen = new Set(filePaths);
+    const added = [];
+    let level = [...filePaths];
+    for (let current = 1; current <= depth && level.length > 0; current++) {
+        const next = [];
+        for (const filePath of level) {
+            for (const importer of importers.get(filePath) || []) {
+                if (seen.has(importer)) continue;
+                seen.add(importer);
+                added.push({ path: importer, depth: current, via: filePath });
+                next.push(importer);
+            }
+        }
+        level = next;
+    }
+    return { files: [...filePaths, ...added.map(item => item.path)], added };
+}
+
+export { IMPORT_EXTENSIONS, extractImports, ImportResolver, expandDependencies, findDependents };
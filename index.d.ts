@@ -0,0 +1,328 @@
+// Type declarations of the project-minifier library API
+
+export type StructureMode = 'compact' | 'rich';
+export type StructureFormat = 'json' | 'tree' | 'markdown' | 'paths';
+export type SymlinkMode = 'follow' | 'skip';
+export type OutputFormat = 'json' | 'markdown' | 'xml' | 'txt';
+export type MinifyMode = 'auto' | 'whitespace' | 'none';
+export type SecretPolicy = 'block' | 'redact' | 'confirm' | 'off';
+export type TokenModel = 'cl100k' | 'o200k' | 'claude' | 'llama3';
+export type SplitUnit = 'tokens' | 'characters';
+export type ContentPolicy = 'placeholder' | 'skip' | 'include';
+export type InclusionLevel = 'full' | 'outline' | 'path';
+
+/** Receives progress messages and warnings; `console` works as a logger. */
+export interface Logger {
+    info?(message: string): void;
+    warn?(message: string): void;
+}
+
+/** A file of a rich structure. */
+export interface RichFileNode {
+    type: 'file';
+    path: string;
+    size: number;
+    /** null for binary files */
+    lines: number | null;
+    /** null when the extension is unknown */
+    language: string | null;
+    /** ISO 8601 timestamp */
+    mtime: string;
+    binary: boolean;
+}
+
+/** A directory of a rich structure, with totals over all nested files. */
+export interface RichDirectoryNode {
+    type: 'directory';
+    files: number;
+    size: number;
+    lines: number;
+    /** Latest mtime of the nested files, null for an empty directory */
+    mtime: string | null;
+    children: { [name: string]: RichFileNode | RichDirectoryNode };
+}
+
+/** A compact structure: files are their relative paths, directories are nested objects. */
+export interface CompactStructure {
+    [name: string]: string | CompactStructure;
+}
+
+export type ProjectStructure = CompactStructure | RichDirectoryNode;
+
+/** An entry that could not be scanned. */
+export interface ScanError {
+    path: string;
+    code: string;
+    message: string;
+}
+
+/** A file that was not bundled as text. */
+export interface OmittedFile {
+    path: string;
+    kind: 'binary' | 'huge' | 'generated';
+    size: number;
+    /** Why a generated file was detected, e.g. "lockfile" or "minified" */
+    reason: string | null;
+    /** true when the file was left out, false when it got a placeholder */
+    skipped: boolean;
+}
+
+export interface SecretFinding {
+    file: string;
+    line: number;
+    column: number;
+    rule: string;
+    value: string;
+    fingerprint: string;
+}
+
+export interface ProjectMinifierConfig {
+    dirs: string[];
+    files: string[];
+    excludedDirs: string[];
+    respectGitignore: boolean;
+    outputDir: string;
+    savesDir: string | null;
+    backupsDir: string | null;
+    /** Directory of the prompt templates, null for <outputDir>/minify-templates */
+    templatesDir: string | null;
+    /** Directory of the manifests of the last export of each save, null for <outputDir>/minify-manifests */
+    manifestsDir: string | null;
+    /** Colors of top-level folders, or of workspace packages by name or folder */
+    colors: { [folderOrPackage: string]: string };
+    defaultColor: string;
+    /** Detect npm, yarn and pnpm workspaces and lerna packages */
+    workspaces: boolean;
+    structure: {
+        mode: StructureMode;
+        symlinks: SymlinkMode;
+        maxDepth: number | null;
+        maxFiles: number | null;
+        concurrency: number;
+        format: StructureFormat;
+        /** Deepest level listed by the text formats, null for all */
+        depth: number | null;
+        /** Files listed per folder by the text formats before "... N more files", null for all */
+        collapse: number | null;
+    };
+    content: {
+        /** Files larger than this many bytes are "huge", null for no limit */
+        maxFileSize: number | null;
+        binary: Exclude<ContentPolicy, 'include'>;
+        huge: ContentPolicy;
+        generated: ContentPolicy;
+        /** Characters kept per file after minification, null to keep whole files */
+        truncate: number | null;
+    };
+    imports: {
+        /** Levels of imports added at once */
+        depth: number;
+        /** tsconfig file with the path aliases, null for tsconfig.json or jsconfig.json in the root */
+        tsconfig: string | null;
+    };
+    secrets: {
+        policy: SecretPolicy;
+        allowlistFile: string | null;
+        entropy: boolean;
+    };
+    minify: {
+        mode: MinifyMode;
+        languages: { [extension: string]: string };
+    };
+    tokens: {
+        model: TokenModel;
+        budget: number | null;
+        priority: string[];
+    };
+    output: {
+        format: OutputFormat;
+        includeStructure: boolean;
+        splitLimit: number | null;
+        splitUnit: SplitUnit;
+        /** Prompt template of templatesDir that wraps the bundle, null for none */
+        template: string | null;
+    };
+    report: {
+        /** Print the analysis report after the selection */
+        show: boolean;
+        /** Report file, Markdown (.md) or HTML (.html) after its extension; null for no file */
+        file: string | null;
+        /** Number of heaviest files listed */
+        top: number;
+    };
+    /** Where the config was loaded from, null for the defaults */
+    source?: string | null;
+}
+
+export interface BuildStructureOptions {
+    /** Project root (default: the current working directory) */
+    root?: string;
+    /** Directories and files to scan, relative to root (default: the whole project) */
+    include?: string[];
+    /**
+     * Globs of entries to skip, matched against the path from root as on the command line: "*.log" only matches
+     * in root, "**\/*.log" at any depth, "src/generated/**" skips the folder (default: excludedDirs of the config)
+     */
+    exclude?: string[];
+    /** Skip files and folders ignored by git */
+    gitignore?: boolean;
+    mode?: StructureMode;
+    symlinks?: SymlinkMode;
+    maxDepth?: number | null;
+    maxFiles?: number | null;
+    concurrency?: number;
+    /** Format of `text` (default: structure.format of the config) */
+    format?: StructureFormat;
+    depth?: number | null;
+    collapse?: number | null;
+    /** Add a section per workspace package to `text` (default: workspaces of the config) */
+    workspaces?: boolean;
+    /** Also write `text` to this path */
+    outFile?: string;
+    logger?: Logger;
+    /** Resolved config used for the defaults (default: DEFAULT_CONFIG) */
+    config?: ProjectMinifierConfig;
+}
+
+export interface WorkspacePackage {
+    /** Name from package.json (the folder when it has none) */
+    name: string;
+    /** Folder relative to the project root */
+    dir: string;
+    version: string | null;
+    /** Workspace packages it depends on */
+    dependencies: string[];
+}
+
+export interface Workspace {
+    manager: 'npm' | 'yarn' | 'pnpm' | 'lerna';
+    packages: WorkspacePackage[];
+}
+
+export interface BuildStructureResult {
+    structure: ProjectStructure;
+    /** The structure as minified JSON */
+    json: string;
+    /** The structure in the requested format (the JSON for "json") */
+    text: string;
+    /** Workspace packages of the project, null if none were detected (or workspaces is off) */
+    workspace: Workspace | null;
+    stats: { files: number; errors: number; durationMs: number };
+    warnings: string[];
+    errors: ScanError[];
+    /** true when maxDepth or maxFiles left entries out */
+    truncated: boolean;
+    outFile: string | null;
+}
+
+export interface BundleCodeOptions {
+    /** Files to bundle, relative to root */
+    files?: string[];
+    /** Contents to bundle (path -> code) instead of reading files */
+    contents?: { [path: string]: string };
+    /** Project root (default: the current working directory) */
+    root?: string;
+    format?: OutputFormat;
+    /** Structure to embed at the top of the bundle, or its text from renderStructure */
+    structure?: ProjectStructure | string | null;
+    minify?: MinifyMode;
+    /** Minifier overrides per extension or file name */
+    languages?: { [extension: string]: string };
+    /** Default "block" */
+    secrets?: Exclude<SecretPolicy, 'confirm'>;
+    /** Overrides of the content settings (sizes also accept strings like "1m") */
+    content?: {
+        maxFileSize?: number | string | null;
+        binary?: Exclude<ContentPolicy, 'include'>;
+        huge?: ContentPolicy;
+        generated?: ContentPolicy;
+        truncate?: number | string | null;
+    };
+    /** Inclusion levels (path -> level): "outline" keeps signatures, types and exports of JS/TS files, "path" only the path */
+    levels?: { [path: string]: InclusionLevel };
+    splitLimit?: number | null;
+    splitUnit?: SplitUnit;
+    model?: TokenModel;
+    /** Also write the bundle (or its parts) to this path */
+    outFile?: string;
+    logger?: Logger;
+    /** Resolved config used for the defaults (default: DEFAULT_CONFIG) */
+    config?: ProjectMinifierConfig;
+}
+
+export interface BundleCodeResult {
+    /** The bundle, or null when it was split or blocked */
+    bundle: string | null;
+    /** Parts of a split bundle */
+    parts: string[] | null;
+    /** Part number -> paths in that part */
+    manifest: { [part: string]: string[] } | null;
+    /** Minified contents (path -> code) */
+    files: { [path: string]: string };
+    /** null when the bundle was blocked */
+    stats: {
+        files: number;
+        originalCharacters: number;
+        minifiedCharacters: number;
+        characters: number;
+        tokens: number;
+        model: TokenModel;
+        perFile: { path: string; before: number; after: number; minifier: string }[];
+    } | null;
+    secrets: SecretFinding[];
+    /** true when possible secrets stopped the bundle (secrets: "block") */
+    blocked: boolean;
+    /** Binary, huge and generated files that got a placeholder or were skipped */
+    omitted: OmittedFile[];
+    /** Files cut to content.truncate */
+    truncated: string[];
+    warnings: string[];
+    /** Paths written because of outFile */
+    outFiles: string[];
+}
+
+export function buildStructure(options?: BuildStructureOptions): Promise<BuildStructureResult>;
+export function bundleCode(options: BundleCodeOptions): Promise<BundleCodeResult>;
+
+export const DEFAULT_CONFIG: ProjectMinifierConfig;
+export function loadConfig(rootDir?: string): Promise<ProjectMinifierConfig>;
+export class ConfigError extends Error {
+    source: string | null;
+    constructor(message: string, source?: string | null);
+}
+
+export function getFilePaths(structure: ProjectStructure): string[];
+export function estimateTokens(text: string, model?: TokenModel): number;
+/** Outline of a JS/TS module (signatures, types, exports); throws a SyntaxError if it does not parse */
+export function outlineCode(source: string, filePath: string): string;
+/** The structure as an ASCII tree, a Markdown list or a path list (or JSON) */
+export function renderStructure(
+    structure: ProjectStructure,
+    options?: {
+        format?: StructureFormat;
+        depth?: number | null;
+        collapse?: number | null;
+        /** Workspace packages listed in sections of their own by the text formats */
+        packages?: { name: string; dir: string }[];
+    }
+): string;
+/** Workspace packages of npm/yarn workspaces, pnpm-workspace.yaml or lerna.json, null if there are none */
+export function detectWorkspaces(rootDir?: string): Promise<Workspace | null>;
+/** The packages with the workspace packages they depend on, directly or not */
+export function withWorkspaceDependencies(workspace: Workspace, names: string[]): WorkspacePackage[];
+/** Inputs of a prompt template: its variables other than TEMPLATE_VARIABLES, with the default after "|" */
+export function findTemplateInputs(content: string): { name: string; default: string | null }[];
+/** Fills in {{name}} and {{name|default}}; throws if a variable has neither a value nor a default */
+export function renderTemplate(content: string, values?: { [name: string]: string | number | null | undefined }): string;
+/** Variables of prompt templates filled in by minify-code, with their descriptions */
+export const TEMPLATE_VARIABLES: { [name in 'structure' | 'files' | 'fileCount' | 'tokens' | 'gitBranch']: string };
+export const STRUCTURE_FORMATS: { [format in StructureFormat]: { fileName: string; label: string } };
+export const TOKEN_MODELS: { [model in TokenModel]: { label: string } & { [key: string]: number | string } };
+export const OUTPUT_FORMATS: { [format in OutputFormat]: { fileName: string; label: string } };
+
+/** The modules of the command-line tools (exports of build-structure.js and minify-code.js) */
+declare const legacy: {
+    buildStructure: { [name: string]: (...args: any[]) => any };
+    minifyCode: { [name: string]: (...args: any[]) => any };
+};
+export default legacy;
@@ -1,7 +1,18 @@
-import * as buildStructure from './build-structure.js';
-import * as minifyCode from './minify-code.js';
+import * as buildStructureModule from './build-structure.js';
+import * as minifyCodeModule from './minify-code.js';
+
+// Library API: in-memory results, no disk writes or console output unless asked for
+export { buildStructure, bundleCode } from './api.js';
+export { DEFAULT_CONFIG, ConfigError, loadConfig } from './config.js';
+export { getFilePaths } from './minify-code.js';
+export { estimateTokens, TOKEN_MODELS } from './tokens.js';
+export { outlineCode } from './outline.js';
+export { renderStructure, STRUCTURE_FORMATS } from './tree.js';
+export { detectWorkspaces, withWorkspaceDependencies } from './workspaces.js';
+export { OUTPUT_FORMATS } from './formatters.js';
+export { findTemplateInputs, renderTemplate, TEMPLATE_VARIABLES } from './templates.js';
 
 export default {
-    buildStructure: buildStructure,
-    minifyCode: minifyCode
-};
\ No newline at end of file
+    buildStructure: buildStructureModule,
+    minifyCode: minifyCodeModule
+};
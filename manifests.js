@@ -0,0 +1,137 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { checkSaveName } from './saves.js';
+import { getLevel } from './outline.js';
+
+// Version of the export manifest format
+const MANIFEST_SCHEMA_VERSION = 1;
+
+// Manifest of the selections bundled without a save
+const DEFAULT_MANIFEST = 'default';
+
+/**
+ * Returns the path of a manifest; manifests are named after the save they record the exports of.
+ */
+function getManifestPath(manifestsDir, name) {
+    return path.join(manifestsDir, `${checkSaveName(name)}.json`);
+}
+
+/**
+ * Hashes the contents of files as they are on disk. Files that cannot be read are left out.
+ *
+ * @param {string[]} filePaths - Files relative to the root
+ * @param {string} rootDir - Project root
+ * @param {object} levels - Inclusion levels (path -> "outline" or "path"); a changed level counts as a change
+ * @returns {Promise<object>} - path -> { hash, level }
+ */
+async function hashFiles(filePaths, rootDir = process.cwd(), levels = {}) {
+    const files = {};
+    for (const filePath of filePaths) {
+        try {
+            const buffer = await fs.readFile(path.join(rootDir, filePath));
+            files[filePath] = { hash: crypto.createHash('sha1').update(buffer).digest('hex'), level: getLevel(levels, filePath) };
+        } catch {
+            // Unreadable files are reported when the bundle is read
+        }
+    }
+    return files;
+}
+
+/**
+ * Reads the manifest of the last export of a selection.
+ *
+ * @param {string} manifestsDir - Manifests directory
+ * @param {string} name - Save name, or DEFAULT_MANIFEST
+ * @returns {Promise<{version: number, name: string, exportedAt: string, files: object}|null>} - null if the
+ *   selection was never exported
+ * @throws {Error} - If the manifest cannot be read
+ */
+async function loadManifest(manifestsDir, name) {
+    const manifestPath = getManifestPath(manifestsDir, name);
+    if (!(await fs.pathExists(manifestPath))) return null;
+    let data;
+    try {
+        data = await fs.readJson(manifestPath);
+    } catch (error) {
+        throw new Error(`Cannot read ${manifestPath}: ${error.message}`);
+    }
+    if (!data || typeof data.files !== 'object' || Array.isArray(data.files) || data.files === null) {
+        throw new Error(`${manifestPath} is not an export manifest (expected { exportedAt, files })`);
+    }
+    return data;
+}
+
+/**
+ * Records an export: the hashes of the bundled files and the time of the export.
+ *
+ * @param {string} manifestsDir - Manifests directory
+ * @param {string} name - Save name, or DEFAULT_MANIFEST
+ * @param {object} files - Result of hashFiles
+ * @returns {Promise<string>} - Path of the written file
+ */
+async function writeManifest(manifestsDir, name, files) {
+    const manifestPath = getManifestPath(manifestsDir, name);
+    await fs.ensureDir(manifestsDir);
+    await fs.writeJson(manifestPath, {
+        version: MANIFEST_SCHEMA_VERSION,
+        name: checkSaveName(name),
+        exportedAt: new Date().toISOString(),
+        files
+    }, { spaces: 2 });
+    return manifestPath;
+}
+
+/**
+ * Moves the manifest of a renamed save; does nothing if the save was never exported.
+ */
+async function renameManifest(manifestsDir, name, newName) {
+    const source = getManifestPath(manifestsDir, name);
+    if (await fs.pathExists(source)) {
+        await fs.move(source, getManifestPath(manifestsDir, newName), { overwrite: true });
+    }
+}
+
+/**
+ * Removes the manifest of a deleted save.
+ */
+async function removeManifest(manifestsDir, name) {
+    await fs.remove(getManifestPath(manifestsDir, name));
+}
+
+/**
+ * Compares the files of an earlier export with the current ones.
+ *
+ * @param {object} previous - path -> { hash, level } of the earlier export
+ * @param {object} current - path -> { hash, level } now (from hashFiles)
+ * @returns {{added: string[], modified: string[], deleted: string[], unchanged: string[]}} - `added`, `modified`
+ *   and `unchanged` in the order of `current`; `deleted` holds the files of the earlier export that are no longer
+ *   in the selection (removed from the disk or from the selection)
+ */
+function compareManifests(previous, current) {
+    const changes = { added: [], modified: [], deleted: [], unchanged: [] };
+    for (const [filePath, entry] of Object.entries(current)) {
+        const before = previous[filePath];
+        if (!before) {
+            changes.added.push(filePath);
+        } else if (before.hash !== entry.hash || (before.level || 'full') !== entry.level) {
+            changes.modified.push(filePath);
+        } else {
+            changes.unchanged.push(filePath);
+        }
+    }
+    changes.deleted = Object.keys(previous).filter(filePath => !Object.prototype.hasOwnProperty.call(current, filePath));
+    return changes;
+}
+
+export {
+    MANIFEST_SCHEMA_VERSION,
+    DEFAULT_MANIFEST,
+    getManifestPath,
+    hashFiles,
+    loadManifest,
+    writeManifest,
+    renameManifest,
+    removeManifest,
+    compareManifests
+};
@@ -0,0 +1,611 @@
+import path from 'path';
+import { parse } from '@babel/parser';
+
+// Global minification modes: per-language pipeline, whitespace cleanup only, or no changes
+const MINIFY_MODES = ['auto', 'whitespace', 'none'];
+
+// Keywords after which a `/` starts a regular expression literal instead of a division
+const REGEX_KEYWORDS = new Set([
+    'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw',
+    'case', 'do', 'else', 'yield', 'await'
+]);
+
+// Comment and string syntax of each family of languages handled by stripComments
+const SYNTAX = {
+    js: { lineComments: ['//'], blockComments: true, quotes: ['"', "'"], templates: true, regex: true, shebang: true },
+    cLike: { lineComments: ['//'], blockComments: true, quotes: ['"', "'"], tripleQuotes: ['"""'], rawBackticks: true, heredocs: 'php' },
+    css: { lineComments: [], blockComments: true, quotes: ['"', "'"], urls: true },
+    scss: { lineComments: ['//'], blockComments: true, quotes: ['"', "'"], urls: true },
+    sql: { lineComments: ['--'], blockComments: true, quotes: ["'", '"'] },
+    shell: { lineComments: ['#'], wordStartComments: true, quotes: ["'", '"'], shebang: true, heredocs: 'shell' },
+    hash: { lineComments: ['#'], quotes: ["'", '"'], heredocs: 'ruby' },
+    python: { lineComments: ['#'], quotes: ["'", '"'], tripleQuotes: ['"""', "'''"], shebang: true },
+    ini: { lineComments: [';', '#'], lineStartComments: true, quotes: [] },
+    json: { lineComments: ['//'], blockComments: true, quotes: ['"'] }
+};
+
+// Heredoc flavors of SYNTAX.heredocs: the opening operator (groups: flag, quote, word) and the test of the terminator line
+const HEREDOCS = {
+    // <<EOF, <<'EOF', <<-EOF (terminator indented with tabs); <<< is a here-string
+    shell: {
+        pattern: /^<<(?!<)(-?)[ \t]*(['"]?)([A-Za-z_][\w-]*)\2/,
+        isEnd: (text, word, flag) => (flag === '-' ? text.replace(/^\t+/, '') : text) === word
+    },
+    // Ruby (and Dockerfile) <<EOS, <<-EOS and <<~EOS (indented terminator); `1<<FLAG` is a shift
+    ruby: {
+        pattern: /^<<(?!<)([~-]?)(['"`]?)([A-Za-z_]\w*)\2/,
+        afterWord: false,
+        isEnd: (text, word, flag) => (flag ? text.trim() : text.replace(/\s+$/, '')) === word
+    },
+    // PHP <<<EOT, <<<'EOT' and <<<"EOT" at the end of a line; the terminator may be indented and followed by `;`
+    php: {
+        pattern: /^<<<[ \t]*()(['"]?)([A-Za-z_]\w*)\2(?=\r?\n)/,
+        isEnd: (text, word) => {
+            const rest = text.trimStart();
+            return rest.startsWith(word) && !/\w/.test(rest[word.length] || '');
+        }
+    }
+};
+
+/**
+ * Removes comments from source code while leaving strings, template literals and regex literals untouched.
+ * Also reports which output lines start inside a multi-line literal, so later whitespace cleanup can keep them.
+ *
+ * @param {string} source - Source code
+ * @param {object} syntax - One of the SYNTAX entries
+ * @returns {{code: string, protectedLines: Set<number>}} - Code without comments and the 0-based indexes
+ *   of lines that start inside a literal
+ */
+function stripComments(source, syntax) {
+    const protectedLines = new Set();
+    const stack = []; // Open template expressions `${ ... }`, each with its own brace depth
+    let out = '';
+    let line = 0;
+    let last = null; // Last significant code token: { type: 'word' | 'punct' | 'literal', value }
+    const heredocs = []; // Heredocs opened on the current line, their bodies start on the next one
+    let i = 0;
+
+    // Appends text to the output; newlines inside literals mark the next line as protected
+    const emit = (text, inLiteral = false) => {
+        for (const char of text) {
+            if (char === '\n') {
+                line++;
+                if (inLiteral) protectedLines.add(line);
+            }
+        }
+        out += text;
+    };
+
+    // Reads a string literal starting at `start` and returns the index after it
+    const readString = (start, quote, multiline = false) => {
+        let j = start + quote.length;
+        while (j < source.length) {
+            if (source[j] === '\\') {
+                j += 2;
+                continue;
+            }
+            if (source.startsWith(quote, j)) return j + quote.length;
+            if (source[j] === '\n' && !multiline) return j;
+            j++;
+        }
+        return j;
+    };
+
+    // Reads template text after a backtick or a closing `}` and returns { end, expression }
+    const readTemplateChunk = (start) => {
+        let j = start;
+        while (j < source.length) {
+            if (source[j] === '\\') {
+                j += 2;
+                continue;
+            }
+            if (source[j] === '`') return { end: j + 1, expression: false };
+            if (source[j] === '$' && source[j + 1] === '{') return { end: j + 2, expression: true };
+            j++;
+        }
+        return { end: j, expression: false };
+    };
+
+    // Reads a regex literal starting at `start` (the opening slash); returns -1 if it is not a valid literal
+    const readRegex = (start) => {
+        let j = start + 1;
+        let inClass = false;
+        while (j < source.length && source[j] !== '\n') {
+            const char = source[j];
+            if (char === '\\') {
+                j += 2;
+                continue;
+            }
+            if (char === '[') inClass = true;
+            else if (char === ']') inClass = false;
+            else if (char === '/' && !inClass) {
+                j++;
+                while (j < source.length && /[a-z]/i.test(source[j])) j++;
+                return j;
+            }
+            j++;
+        }
+        return -1;
+    };
+
+    const regexAllowed = () => {
+        if (!last) return true;
+        if (last.type === 'literal') return false;
+        if (last.type === 'word') return REGEX_KEYWORDS.has(last.value);
+        return last.value !== ')' && last.value !== ']';
+    };
+
+    const startTemplate = (start) => {
+        const chunk = readTemplateChunk(start);
+        emit(source.slice(start, chunk.end), true);
+        if (chunk.expression) {
+            stack.push({ depth: 0 });
+            last = { type: 'punct', value: '{' };
+        } else {
+            last = { type: 'literal', value: '`' };
+        }
+        return chunk.end;
+    };
+
+    // A shebang line is kept as is
+    if (syntax.shebang && source.startsWith('#!')) {
+        const end = source.indexOf('\n');
+        i = end === -1 ? source.length : end;
+        emit(source.slice(0, i));
+    }
+
+    while (i < source.length) {
+        const char = source[i];
+
+        // Braces inside a template expression: the closing one returns to the template text
+        if (stack.length > 0 && (char === '{' || char === '}')) {
+            const top = stack[stack.length - 1];
+            if (char === '}' && top.depth === 0) {
+                stack.pop();
+                emit('}');
+                i = startTemplate(i + 1);
+                continue;
+            }
+            top.depth += char === '{' ? 1 : -1;
+        }
+
+        const lineComment = syntax.lineComments.find(marker => source.startsWith(marker, i));
+        const commentStarts = lineComment
+            && (!syntax.wordStartComments || i === 0 || /\s/.test(source[i - 1]))
+            // INI values like `color = #fff` hold the markers, only whole lines are comments there
+            && (!syntax.lineStartComments || /^[ \t]*$/.test(source.slice(source.lastIndexOf('\n', i - 1) + 1, i)));
+        if (commentStarts) {
+            const end = source.indexOf('\n', i);
+            i = end === -1 ? source.length : end;
+            continue;
+        }
+
+        if (syntax.blockComments && source.startsWith('/*', i)) {
+            const close = source.indexOf('*/', i + 2);
+            const end = close === -1 ? source.length : close + 2;
+            const comment = source.slice(i, end);
+            if (comment.startsWith('/*!')) {
+                // License comments (/*! ... */) are kept
+                emit(comment, true);
+            } else if (comment.includes('\n')) {
+                emit('\n');
+            } else if (out && !/\s$/.test(out) && end < source.length && !/\s/.test(source[end])) {
+                // Keep tokens on both sides of an inline comment apart
+                emit(' ');
+            } else if (/[ \t]$/.test(out)) {
+                // Avoid a double space where the inline comment was
+                let next = end;
+                while (source[next] === ' ' || source[next] === '\t') next++;
+                i = next;
+                continue;
+            }
+            i = end;
+            continue;
+        }
+
+        // A heredoc (<<EOF, <<-'EOF', <<~EOS, <<<EOT) is read like a string from the next line up to its terminator line
+        const flavor = syntax.heredocs && HEREDOCS[syntax.heredocs];
+        const heredoc = flavor && source.startsWith('<<', i) && (flavor.afterWord !== false || !/[\w)\]]/.test(source[i - 1] || ''))
+            ? source.slice(i).match(flavor.pattern)
+            : null;
+        if (heredoc) {
+            heredocs.push({ word: heredoc[3], flag: heredoc[1] });
+            emit(heredoc[0]);
+            last = { type: 'punct', value: '<' };
+            i += heredoc[0].length;
+            continue;
+        }
+        if (char === '\n' && heredocs.length > 0) {
+            let end = i;
+            for (const { word, flag } of heredocs.splice(0)) {
+                while (end < source.length) {
+                    const lineEnd = source.indexOf('\n', end + 1) === -1 ? source.length : source.indexOf('\n', end + 1);
+                    const text = source.slice(end + 1, lineEnd);
+                    end = lineEnd;
+                    if (flavor.isEnd(text, word, flag)) break;
+                }
+            }
+            // The line of the heredoc operator ends outside the literal (a comment may have left spaces)
+            out = out.replace(/[ \t]+$/, '');
+            emit(source.slice(i, end), true);
+            i = end;
+            continue;
+        }
+
+        // Python docstrings, Java text blocks and Kotlin/Swift/C# raw strings
+        const tripleQuote = syntax.tripleQuotes && syntax.tripleQuotes.find(quote => source.startsWith(quote, i));
+        if (tripleQuote) {
+            const end = readString(i, tripleQuote, true);
+            emit(source.slice(i, end), true);
+            last = { type: 'literal', value: char };
+            i = end;
+            continue;
+        }
+
+        // url(http://...) and url(//cdn...) are read like strings: the slashes do not start a comment
+        if (syntax.urls && /^url\(/i.test(source.slice(i, i + 4)) && !/[\w-]/.test(source[i - 1] || '')) {
+            let end = i + 4;
+            while (end < source.length && source[end] !== ')' && source[end] !== '\n') {
+                if (syntax.quotes.includes(source[end])) end = readString(end, source[end]);
+                else end += source[end] === '\\' ? 2 : 1;
+            }
+            if (source[end] === ')') end++;
+            emit(source.slice(i, end), true);
+            last = { type: 'literal', value: ')' };
+            i = end;
+            continue;
+        }
+
+        if (syntax.quotes.includes(char)) {
+            const end = readString(i, char);
+            emit(source.slice(i, end), true);
+            last = { type: 'literal', value: char };
+            i = end;
+            continue;
+        }
+
+        if (char === '`' && (syntax.templates || syntax.rawBackticks)) {
+            if (syntax.templates) {
+                emit('`');
+                i = startTemplate(i + 1);
+                continue;
+            }
+            const end = readString(i, '`', true);
+            emit(source.slice(i, end), true);
+            last = { type: 'literal', value: '`' };
+            i = end;
+            continue;
+        }
+
+        if (syntax.regex && char === '/' && regexAllowed()) {
+            const end = readRegex(i);
+            if (end !== -1) {
+                emit(source.slice(i, end), true);
+                last = { type: 'literal', value: '/' };
+                i = end;
+                continue;
+            }
+        }
+
+        emit(char);
+        if (!/\s/.test(char)) {
+            if (/[\w$]/.test(char)) {
+                const previous = out[out.length - 2];
+                last = previous && /[\w$]/.test(previous) && last && last.type === 'word'
+                    ? { type: 'word', value: last.value + char }
+                    : { type: 'word', value: char };
+            } else {
+                last = { type: 'punct', value: char };
+            }
+        }
+        i++;
+    }
+
+    return { code: out, protectedLines };
+}
+
+/**
+ * Cleans up whitespace line by line: trims trailing whitespace, optionally removes indentation,
+ * and drops blank lines. Lines that start or end inside a multi-line literal are left untouched.
+ *
+ * @param {string} code - Code after stripComments
+ * @param {Set<number>} protectedLines - Lines that start inside a literal
+ * @param {object} options - { stripIndent: boolean }
+ * @returns {string}
+ */
+function cleanLines(code, protectedLines = new Set(), options = {}) {
+    const lines = code.split('\n');
+    const result = [];
+    lines.forEach((line, index) => {
+        const startsInLiteral = protectedLines.has(index);
+        const endsInLiteral = protectedLines.has(index + 1);
+        let cleaned = line;
+        if (!endsInLiteral) cleaned = cleaned.replace(/\s+$/, '');
+        if (options.stripIndent && !startsInLiteral) cleaned = cleaned.replace(/^\s+/, '');
+        if (cleaned.trim() === '' && !startsInLiteral && !endsInLiteral) return;
+        result.push(cleaned);
+    });
+    return result.join('\n');
+}
+
+/**
+ * Minifier for code with C-style or hash comments: strips comments and blank lines.
+ */
+function createCodeMinifier(syntax, stripIndent) {
+    return (content) => {
+        const { code, protectedLines } = stripComments(content, syntax);
+        return cleanLines(code, protectedLines, { stripIndent });
+    };
+}
+
+// Nodes whose text is kept verbatim by the js minifier (line breaks in them are part of the value)
+const JS_LITERAL_TYPES = new Set(['StringLiteral', 'DirectiveLiteral', 'TemplateElement']);
+
+// Parser plugins tried in turn: JSX is common in .js files, but it rules out `<T>value` casts of .ts files
+const JS_PARSER_PLUGINS = [['typescript', 'jsx', 'decorators-legacy'], ['typescript', 'decorators-legacy']];
+
+/**
+ * Minifier for JavaScript and TypeScript (with or without JSX): strips comments, indentation and blank lines.
+ * The comments come from @babel/parser, since `//` and `/* *\/` in JSX text are text, not comments. Indentation
+ * inside JSX text can go (JSX trims it anyway); strings and template literals are untouched. Files that do not
+ * parse fall back to the whitespace minifier (see minifyContent).
+ */
+function minifyJs(content) {
+    let ast;
+    for (const [index, plugins] of JS_PARSER_PLUGINS.entries()) {
+        try {
+            ast = parse(content, { sourceType: 'unambiguous', allowReturnOutsideFunction: true, plugins });
+            break;
+        } catch (error) {
+            if (index === JS_PARSER_PLUGINS.length - 1) throw error;
+        }
+    }
+    const inLiteral = new Uint8Array(content.length);
+    const visit = (node) => {
+        if (Array.isArray(node)) {
+            node.forEach(visit);
+            return;
+        }
+        if (!node || typeof node.type !== 'string') return;
+        if (JS_LITERAL_TYPES.has(node.type)) inLiteral.fill(1, node.start, node.end);
+        for (const [key, value] of Object.entries(node)) {
+            if (key !== 'loc' && key !== 'extra' && !key.endsWith('Comments') && value && typeof value === 'object') visit(value);
+        }
+    };
+    visit(ast.program);
+
+    const protectedLines = new Set();
+    let out = '';
+    let line = 0;
+    // Copies source text; a newline inside a literal marks the next line as protected (as in stripComments)
+    const emit = (start, end, literal = false) => {
+        for (let j = start; j < end; j++) {
+            if (content[j] === '\n') {
+                line++;
+                if (literal || inLiteral[j]) protectedLines.add(line);
+            }
+        }
+        out += content.slice(start, end);
+    };
+    let i = 0;
+    for (const comment of ast.comments) {
+        emit(i, comment.start);
+        i = comment.end;
+        if (comment.type === 'CommentLine') continue;
+        const text = content.slice(comment.start, comment.end);
+        if (text.startsWith('/*!')) {
+            // License comments (/*! ... */) are kept
+            emit(comment.start, comment.end, true);
+        } else if (text.includes('\n')) {
+            out += '\n';
+            line++;
+        } else if (out && !/\s$/.test(out) && i < content.length && !/\s/.test(content[i])) {
+            // Keep tokens on both sides of an inline comment apart
+            out += ' ';
+        } else if (/[ \t]$/.test(out)) {
+            // Avoid a double space where the inline comment was
+            while (content[i] === ' ' || content[i] === '\t') i++;
+        }
+    }
+    emit(i, content.length);
+    return cleanLines(out, protectedLines, { stripIndent: true });
+}
+
+/**
+ * Removes whitespace outside strings from JSON (comments are removed too, so JSONC files like
+ * tsconfig.json also work). Number literals are kept exactly as written.
+ */
+function minifyJson(content) {
+    const { code } = stripComments(content, SYNTAX.json);
+    let out = '';
+    let inString = false;
+    for (let i = 0; i < code.length; i++) {
+        const char = code[i];
+        if (inString) {
+            out += char;
+            if (char === '\\') {
+                out += code[++i] ?? '';
+            } else if (char === '"') {
+                inString = false;
+            }
+        } else if (char === '"') {
+            inString = true;
+            out += char;
+        } else if (!/\s/.test(char)) {
+            out += char;
+        }
+    }
+    return out;
+}
+
+/**
+ * Minifier for YAML: keeps indentation (it is meaningful), removes comment lines,
+ * trailing comments and blank lines. Block scalars (`|` and `>`) are kept verbatim.
+ */
+function minifyYaml(content) {
+    const result = [];
+    let blockIndent = -1; // Indentation of the key that opened a block scalar, -1 outside block scalars
+    for (const line of content.split('\n')) {
+        const indent = line.length - line.trimStart().length;
+        if (blockIndent >= 0) {
+            if (line.trim() === '' || indent > blockIndent) {
+                result.push(line.replace(/\s+$/, ''));
+                continue;
+            }
+            blockIndent = -1;
+        }
+
+        const trimmed = line.trim();
+        if (trimmed === '' || trimmed.startsWith('#')) continue;
+
+        // Remove a trailing comment (" #" outside quotes)
+        let code = line;
+        let quote = null;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '#' && /\s/.test(line[i - 1] || '')) {
+                code = line.slice(0, i);
+                break;
+            }
+        }
+        code = code.replace(/\s+$/, '');
+        if (/(^|[:\-?]\s*)[|>][0-9+-]*$/.test(code.trim())) blockIndent = indent;
+        result.push(code);
+    }
+    return result.join('\n');
+}
+
+/**
+ * Minifier for Markdown: removes HTML comments and trailing whitespace (but keeps the two spaces of a hard
+ * line break) and collapses runs of blank lines. Fenced code blocks are kept verbatim.
+ */
+function minifyMarkdown(content) {
+    const result = [];
+    let fence = null; // Fence marker of the open code block (``` or ~~~)
+    let blank = false;
+    const text = content.replace(/<!--[\s\S]*?-->/g, (comment, offset) => {
+        // Comments inside fenced blocks are content, not comments
+        const before = content.slice(0, offset);
+        const fences = before.match(/^\s*(```|~~~)/gm) || [];
+        return fences.length % 2 === 1 ? comment : '';
+    });
+    for (const line of text.split('\n')) {
+        const fenceMatch = line.match(/^\s*(```|~~~)/);
+        if (fence) {
+            result.push(line);
+            if (fenceMatch && fenceMatch[1] === fence) fence = null;
+            continue;
+        }
+        if (fenceMatch) fence = fenceMatch[1];
+
+        // Two trailing spaces are a hard line break
+        const cleaned = line.trim() === '' ? '' : line.replace(/\s+$/, (space) => (/ {2}$/.test(space) ? '  ' : ''));
+        if (cleaned === '') {
+            if (!blank && result.length > 0) result.push('');
+            blank = true;
+            continue;
+        }
+        blank = false;
+        result.push(cleaned);
+    }
+    return result.join('\n').replace(/\n+$/, '');
+}
+
+/**
+ * Minifier for HTML, XML and SVG: removes comments, trailing whitespace and blank lines.
+ * Indentation is kept because of whitespace-sensitive elements like <pre>.
+ */
+function minifyMarkup(content) {
+    return cleanLines(content.replace(/<!--(?!\[if)[\s\S]*?-->/g, ''));
+}
+
+/**
+ * Generic cleanup for any text: trims trailing whitespace and collapses runs of blank lines.
+ */
+function minifyWhitespace(content) {
+    return content.replace(/[ \t]+$/gm, '').replace(/\n{3,}/g, '\n\n').replace(/\n+$/, '');
+}
+
+// Minifiers by name; config `minify.languages` maps extensions to these names
+const MINIFIERS = {
+    js: minifyJs,
+    'c-like': createCodeMinifier(SYNTAX.cLike, true),
+    css: createCodeMinifier(SYNTAX.css, true),
+    scss: createCodeMinifier(SYNTAX.scss, true),
+    sql: createCodeMinifier(SYNTAX.sql, true),
+    // Indentation is kept for shell scripts (heredoc bodies are also kept as they are)
+    shell: createCodeMinifier(SYNTAX.shell, false),
+    hash: createCodeMinifier(SYNTAX.hash, false),
+    ini: createCodeMinifier(SYNTAX.ini, false),
+    python: createCodeMinifier(SYNTAX.python, false),
+    yaml: minifyYaml,
+    json: minifyJson,
+    markdown: minifyMarkdown,
+    markup: minifyMarkup,
+    whitespace: minifyWhitespace,
+    none: (content) => content
+};
+
+// Default minifier for each extension (or exact file name); everything else uses "whitespace"
+const DEFAULT_LANGUAGES = {
+    '.js': 'js', '.mjs': 'js', '.cjs': 'js', '.jsx': 'js',
+    '.ts': 'js', '.mts': 'js', '.cts': 'js', '.tsx': 'js',
+    '.java': 'c-like', '.c': 'c-like', '.h': 'c-like', '.cpp': 'c-like', '.hpp': 'c-like', '.cc': 'c-like',
+    '.cs': 'c-like', '.go': 'c-like', '.kt': 'c-like', '.swift': 'c-like', '.php': 'c-like',
+    '.css': 'css', '.scss': 'scss', '.less': 'scss',
+    '.sql': 'sql',
+    '.sh': 'shell', '.bash': 'shell', '.zsh': 'shell',
+    '.py': 'python', '.pyw': 'python',
+    '.rb': 'hash', '.toml': 'hash', '.conf': 'hash', '.ini': 'ini', 'Dockerfile': 'hash', 'Makefile': 'hash',
+    '.yml': 'yaml', '.yaml': 'yaml',
+    '.json': 'json', '.jsonc': 'json',
+    '.md': 'markdown', '.markdown': 'markdown',
+    '.html': 'markup', '.htm': 'markup', '.xml': 'markup', '.svg': 'markup', '.vue': 'markup', '.svelte': 'markup'
+};
+
+/**
+ * Returns the name of the minifier used for a file.
+ *
+ * @param {string} filePath - File path
+ * @param {object} options - { mode: 'auto' | 'whitespace' | 'none', languages: extension -> minifier name overrides }
+ * @returns {string}
+ */
+function getMinifierName(filePath, options = {}) {
+    const { mode = 'auto', languages = {} } = options;
+    if (mode !== 'auto') return mode;
+    const baseName = path.basename(filePath);
+    const extension = path.extname(filePath).toLowerCase();
+    const table = { ...DEFAULT_LANGUAGES, ...languages };
+    return table[baseName] || table[extension] || 'whitespace';
+}
+
+/**
+ * Returns the minify options for an outline: whitespace cleanup only, so its JSDoc is kept (unless the mode is "none").
+ */
+function getOutlineMinifyOptions(options = {}) {
+    return options.mode === 'none' ? options : { ...options, mode: 'whitespace' };
+}
+
+/**
+ * Minifies the content of a single file with the minifier chosen for its type.
+ * If a minifier fails, the content is only cleaned up with the whitespace minifier.
+ *
+ * @param {string} filePath - File path (used to choose the minifier)
+ * @param {string} content - File content
+ * @param {object} options - See getMinifierName
+ * @returns {{content: string, minifier: string}}
+ */
+function minifyContent(filePath, content, options = {}) {
+    const minifier = getMinifierName(filePath, options);
+    try {
+        return { content: MINIFIERS[minifier](content), minifier };
+    } catch (error) {
+        return { content: minifyWhitespace(content), minifier: 'whitespace' };
+    }
+}
+
+export { MINIFY_MODES, MINIFIERS, DEFAULT_LANGUAGES, SYNTAX, stripComments, getMinifierName, getOutlineMinifyOptions, minifyContent };
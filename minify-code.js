@@ -4,59 +4,406 @@ import pkg from 'enquirer';
 const { Select, Confirm, Input, prompt } = pkg;
 import chalk from 'chalk';
 import cliBoxes from 'cli-boxes';
-
-// Constants for directories and paths
-const SAVES_DIR = path.join('json-project', 'minify-saves');
-const JSON_DIR = 'json-project';
-const GITIGNORE_PATH = '.gitignore';
+import { DEFAULT_CONFIG, loadConfig, getPathColor } from './config.js';
+import { GitignoreMatcher } from './gitignore.js';
+import { scanFiles, loadAllowlist, redactSecrets, formatSecretReport } from './secrets.js';
+import { TokenCounter, estimateTokens, formatTokenCount, trimToBudget } from './tokens.js';
+import { OUTPUT_FORMATS, formatBundle } from './formatters.js';
+import { readSelection, truncateFiles, mergePlaceholders, formatSize } from './classify.js';
+import { getGitFiles, getGitDiffs, getGitBranch, describeSelection } from './git.js';
+import { ImportResolver, expandDependencies, findDependents } from './imports.js';
+import { filterPaths, buildTree, flattenTree, flattenGroups, SelectionStats } from './selector.js';
+import { INCLUSION_LEVELS, canOutline, getLevel, pickLevels, applyLevels } from './outline.js';
+import { listSaves, loadSaveFile, writeSaveFile, copySave, exportSave, importSave, resolveSave, applySelection, getSavePath } from './saves.js';
+import { minifyBundleFiles, renderBundle, writeBundle, createMeasure } from './api.js';
+import { getEmbeddedStructure } from './tree.js';
+import { listTemplates, loadTemplate, writeExampleTemplate, usesVariable, findTemplateInputs, createTemplateWrapper } from './templates.js';
+import { DEFAULT_MANIFEST, hashFiles, loadManifest, writeManifest, renameManifest, removeManifest, compareManifests } from './manifests.js';
+import { detectWorkspaces, findPackage, findSelectionPackage, withWorkspaceDependencies, groupByPackage } from './workspaces.js';
+import { createReport, renderReport, getReportFormat } from './report.js';
 
 function stripAnsi(str) {
     return str.replace(/\x1B\[[0-9;]*m/g, '');
 }
 
-async function minifyCode() {
-    await fs.ensureDir(JSON_DIR);
-    await fs.ensureDir(SAVES_DIR);
-    const USGS = await fs.readdir(SAVES_DIR);
+/**
+ * Cuts a colored string to `width` visible characters, ending with "…" if it was longer.
+ */
+function truncateAnsi(str, width) {
+    if (stripAnsi(str).length <= width) return str;
+    let visible = 0;
+    let result = '';
+    for (const [token] of str.matchAll(/\x1B\[[0-9;]*m|[\s\S]/g)) {
+        if (token.length > 1) {
+            result += token;
+        } else if (visible < width - 1) {
+            result += token;
+            visible++;
+        }
+    }
+    return `${result}…\x1B[0m`;
+}
 
-    const firstAction = await prompt({
-        type: 'select',
-        name: 'action',
-        message: chalk.bold('What do you want to do?'),
-        choices: [
-            { name: 'minify', message: 'Select files to minify' },
-            { name: 'load', message: 'Load a saved selection' },
-            { name: 'manage', message: 'Manage saved selections' },
-            { name: 'exit', message: 'Exit' },
-        ],
+/**
+ * Colors a text and highlights the characters at `positions` (e.g. the matches of a filter).
+ */
+function highlightMatches(text, positions, color) {
+    if (positions.length === 0) return color(text);
+    const marked = new Set(positions);
+    let result = '';
+    let start = 0;
+    // Consecutive characters of the same kind are colored together
+    for (let i = 1; i <= text.length; i++) {
+        if (i === text.length || marked.has(i) !== marked.has(start)) {
+            const part = text.slice(start, i);
+            result += marked.has(start) ? chalk.bold.underline.yellow(part) : color(part);
+            start = i;
+        }
+    }
+    return result;
+}
+
+/**
+ * Returns the output, saves, templates and manifests directories from the resolved config.
+ */
+function getDirs(config = DEFAULT_CONFIG) {
+    const jsonDir = config.outputDir || DEFAULT_CONFIG.outputDir;
+    return {
+        jsonDir,
+        savesDir: config.savesDir || path.join(jsonDir, 'minify-saves'),
+        templatesDir: config.templatesDir || path.join(jsonDir, 'minify-templates'),
+        manifestsDir: config.manifestsDir || path.join(jsonDir, 'minify-manifests')
+    };
+}
+
+/**
+ * Returns globs of the directories left out of git selections and save globs, as in the structure:
+ * excludedDirs and the output directory.
+ */
+function getIgnoredDirs(config = DEFAULT_CONFIG) {
+    return [...(config.excludedDirs || []), getDirs(config).jsonDir].map(dir => `${dir}/**`);
+}
+
+/**
+ * Detects the workspace packages of the project, or returns null if there are none or `workspaces` is off.
+ */
+async function getWorkspace(config = DEFAULT_CONFIG) {
+    return config.workspaces === false ? null : detectWorkspaces(process.cwd());
+}
+
+/**
+ * Returns the token settings from the config: { model, budget, priority }.
+ */
+function getTokenOptions(config = DEFAULT_CONFIG) {
+    return { ...DEFAULT_CONFIG.tokens, ...config.tokens };
+}
+
+/**
+ * Returns the content settings from the config: { maxFileSize, binary, huge, generated, truncate }.
+ */
+function getContentOptions(config = DEFAULT_CONFIG) {
+    return { ...DEFAULT_CONFIG.content, ...config.content };
+}
+
+/**
+ * Creates the token counter of the selector, the totals line and the report: files count as they are bundled,
+ * minified with the minify settings of the config.
+ */
+function createTokenCounter(config = DEFAULT_CONFIG) {
+    return new TokenCounter({ ...getTokenOptions(config), content: getContentOptions(config), minify: { ...DEFAULT_CONFIG.minify, ...config.minify } });
+}
+
+/**
+ * Returns the import graph settings from the config: { depth, tsconfig }.
+ */
+function getImportOptions(config = DEFAULT_CONFIG) {
+    return { ...DEFAULT_CONFIG.imports, ...config.imports };
+}
+
+/**
+ * Returns the output settings from the config: { format, includeStructure, splitLimit, splitUnit, template }.
+ */
+function getOutputOptions(config = DEFAULT_CONFIG) {
+    return { ...DEFAULT_CONFIG.output, ...config.output };
+}
+
+/**
+ * Lets the user pick the output format (and whether to embed the structure) for this session.
+ */
+async function chooseOutputFormat(config) {
+    const output = getOutputOptions(config);
+    const formatPrompt = new Select({
+        name: 'format',
+        message: chalk.bold('Select output format:'),
+        choices: Object.entries(OUTPUT_FORMATS).map(([name, { label }]) => ({ name, message: label })),
+        initial: Object.keys(OUTPUT_FORMATS).indexOf(output.format),
     });
+    const format = await formatPrompt.run();
+
+    const structurePrompt = new Confirm({
+        name: 'includeStructure',
+        message: chalk.bold('Embed project-structure.min.json at the top of the bundle?'),
+        initial: output.includeStructure,
+    });
+    const includeStructure = await structurePrompt.run();
+
+    config.output = { ...output, format, includeStructure };
+}
+
+/**
+ * Lets the user pick a prompt template; returns its name, or null for none.
+ * Without templates the user is offered to write an example template first.
+ */
+async function chooseTemplate(config, current = null, message = 'Select prompt template:') {
+    const { templatesDir } = getDirs(config);
+    let names = await listTemplates(templatesDir);
+    if (names.length === 0) {
+        const confirmExample = new Confirm({
+            name: 'example',
+            message: chalk.bold(`No prompt templates in ${templatesDir}. Create an example template (review.md)?`),
+            initial: true,
+        });
+        if (!(await confirmExample.run())) return current;
+        console.log(chalk.green(`Created ${await writeExampleTemplate(templatesDir)}; edit it or add more templates next to it.`));
+        names = await listTemplates(templatesDir);
+    }
+    const templatePrompt = new Select({
+        name: 'template',
+        message: chalk.bold(message),
+        choices: [{ name: 'none', message: 'None (bundle only)' }, ...names.map(name => ({ name, message: name }))],
+        initial: current && names.includes(current) ? names.indexOf(current) + 1 : 0,
+    });
+    const template = await templatePrompt.run();
+    return template === 'none' ? null : template;
+}
 
-    switch (firstAction.action) {
+/**
+ * Asks for the inputs of a template (its variables other than the built-in ones) that have no value yet.
+ * Without a terminal nothing is asked: inputs take their default, and an input without one is an error
+ * (reported before the files are read).
+ */
+async function askTemplateInputs(content, variables = {}) {
+    const values = { ...variables };
+    for (const input of findTemplateInputs(content)) {
+        if (values[input.name] !== undefined) continue;
+        if (!process.stdin.isTTY) {
+            if (input.default === null) {
+                throw new Error(`Missing value for the template variable "${input.name}" (use --var ${input.name}=<value>)`);
+            }
+            continue;
+        }
+        const inputPrompt = new Input({
+            name: input.name,
+            message: chalk.bold(`${input.name}:`),
+            initial: input.default || '',
+        });
+        values[input.name] = (await inputPrompt.run()).trim();
+    }
+    return values;
+}
+
+/**
+ * Describes the inclusion levels of a selection for the totals lines, e.g. " ; outlines: 3 ; paths only: 1".
+ */
+function describeLevels(selectedFiles, levels = {}) {
+    const outlines = selectedFiles.filter(file => getLevel(levels, file) === 'outline').length;
+    const paths = selectedFiles.filter(file => getLevel(levels, file) === 'path').length;
+    return `${outlines > 0 ? ` ; outlines: ${outlines}` : ''}${paths > 0 ? ` ; paths only: ${paths}` : ''}`;
+}
+
+/**
+ * Counts the selected files (at their inclusion levels) and prints the totals line, with a warning when
+ * the token budget is exceeded. Returns the totals from TokenCounter.countFiles.
+ */
+async function reportTotals(selectedFiles, config = DEFAULT_CONFIG, levels = {}, counter = createTokenCounter(config)) {
+    const totals = await counter.countFiles(selectedFiles, levels);
+    totals.errors.forEach(({ filePath, error }) => console.error(chalk.red(`Error reading file: ${filePath}`), error));
+    console.log(chalk.blue(`Total characters in selected files: ${totals.characters} ; estimated tokens: ~${formatTokenCount(totals.tokens)} (${counter.model}) ; selected files: ${selectedFiles.length}${describeLevels(selectedFiles, levels)}`));
+
+    const { budget } = getTokenOptions(config);
+    if (budget && totals.tokens > budget) {
+        console.log(chalk.red(`Warning: the selection is over the token budget (~${formatTokenCount(totals.tokens)} of ${formatTokenCount(budget)} tokens).`));
+    }
+    return totals;
+}
+
+/**
+ * Returns the report settings from the config: { show, file, top }.
+ */
+function getReportOptions(config = DEFAULT_CONFIG) {
+    return { ...DEFAULT_CONFIG.report, ...config.report };
+}
+
+/**
+ * Gathers the analysis report of a selection (see createReport) from what the bundle is made of: the `original`
+ * counts of TokenCounter.countFiles (`totals` when already counted for the totals line) before minification, and the files
+ * as readFiles reads them, at their inclusion levels, minified and truncated as in minifyAndSave. Suspected secrets
+ * are scanned whatever the secrets policy; gitignored files are those the selector greys out. Nothing is printed.
+ */
+async function analyzeSelection(selectedFiles, config = DEFAULT_CONFIG, levels = {}, totals = null) {
+    const content = getContentOptions(config);
+    const counter = createTokenCounter(config);
+    const counts = totals || await counter.countFiles(selectedFiles, levels);
+    const selection = await readSelection(selectedFiles, content);
+    const leveled = applyLevels(selection.code, levels);
+    const { files: minified, report: minifiers } = minifyBundleFiles(leveled.code, { ...DEFAULT_CONFIG.minify, ...config.minify }, leveled.outlined);
+    const { files: bundled } = truncateFiles(minified, content.truncate);
+    const placeholders = { ...selection.placeholders, ...leveled.placeholders };
+
+    const secrets = { ...DEFAULT_CONFIG.secrets, ...config.secrets };
+    const findings = scanFiles(leveled.code, { allowlist: await loadAllowlist(secrets.allowlistFile), entropy: secrets.entropy });
+    const gitignore = new GitignoreMatcher(process.cwd());
+    const omitted = new Map(selection.omitted.map(file => [file.path, file]));
+    const minifierOf = new Map(minifiers.map(file => [file.path, file.minifier]));
+
+    const entries = [];
+    for (const filePath of selectedFiles) {
+        const counted = counts.files.get(filePath) || { original: { characters: 0, tokens: 0 } };
+        const stat = await fs.stat(filePath).catch(() => null);
+        const text = filePath in bundled ? bundled[filePath] : placeholders[filePath] || '';
+        entries.push({
+            path: filePath,
+            size: stat ? stat.size : 0,
+            kind: omitted.has(filePath) ? omitted.get(filePath).kind : 'text',
+            level: getLevel(levels, filePath),
+            ignored: gitignore.isIgnored(filePath),
+            secrets: findings.filter(finding => finding.file === filePath).map(finding => finding.rule),
+            original: counted.original,
+            minified: counter.countText(text),
+            minifier: minifierOf.get(filePath)
+        });
+    }
+    return createReport(entries, { model: counter.model, top: getReportOptions(config).top });
+}
+
+/**
+ * Prints the short form of a report: heaviest files, top-level directories, languages, flagged files and savings.
+ */
+function printReport(report) {
+    const { totals, minification } = report;
+    const share = (item) => `~${formatTokenCount(item.tokens)} (${item.share.toFixed(1)}%)`;
+    console.log(chalk.bold(`Bundle analysis: ${totals.files} file(s), ${formatSize(totals.size)} on disk, ~${formatTokenCount(totals.tokens)} tokens after minification (${report.model})`));
+    console.log(chalk.blue(`  Heaviest files (top ${report.heaviest.length}):`));
+    report.heaviest.forEach((file, index) => {
+        console.log(`    ${index + 1}. ${file.path} ${chalk.gray(`${share(file)}, ${formatSize(file.size)}${file.level === 'full' ? '' : `, ${file.level}`}`)}`);
+    });
+    const topDirs = report.dirs.filter(dir => dir.depth === 1).sort((a, b) => b.tokens - a.tokens);
+    if (topDirs.length > 0) {
+        console.log(chalk.blue('  Directories: ') + topDirs.map(dir => `${dir.path}/ ${chalk.gray(share(dir))}`).join(', '));
+    }
+    console.log(chalk.blue('  Languages: ') + report.languages.map(item => `${item.language} ${chalk.gray(share(item))}`).join(', '));
+    if (report.flagged.length > 0) {
+        console.log(chalk.yellow(`  Flagged files (${report.flagged.length}):`));
+        report.flagged.forEach(item => console.log(chalk.yellow(`    ${item.path}: ${item.reasons.join('; ')}`)));
+    }
+    const saved = minification.before.tokens - minification.after.tokens;
+    console.log(chalk.blue('  Minification: ') + `${minification.before.characters} -> ${minification.after.characters} characters (-${minification.saved.toFixed(0)}%), ~${formatTokenCount(saved)} tokens saved`);
+}
+
+/**
+ * Shows the analysis report of a selection and/or writes it to report.file (Markdown or HTML after its extension),
+ * as set in the report settings of the config. `totals` are the counts returned by reportTotals.
+ * Returns the report, or null when it is turned off.
+ */
+async function reportSelection(selectedFiles, config = DEFAULT_CONFIG, levels = {}, totals = null) {
+    const { show, file } = getReportOptions(config);
+    if (!show && !file) return null;
+    const report = await analyzeSelection(selectedFiles, config, levels, totals);
+    if (show) printReport(report);
+    if (file) {
+        await fs.outputFile(file, renderReport(report, getReportFormat(file)));
+        console.log(chalk.green(`Report written to ${file}`));
+    }
+    return report;
+}
+
+/**
+ * Interactive entry point: main menu with selection, saved selections and their management.
+ * `options.budget` and `options.model` override the token settings from the config,
+ * `options.report` ({ show, file }) the report settings.
+ */
+async function minifyCode(options = {}) {
+    let config;
+    try {
+        config = await loadConfig(process.cwd());
+    } catch (error) {
+        console.error(chalk.red(error.message));
+        process.exitCode = 1;
+        return;
+    }
+    const tokenOverrides = Object.fromEntries(Object.entries({ budget: options.budget, model: options.model }).filter(([, value]) => value));
+    config.tokens = { ...getTokenOptions(config), ...tokenOverrides };
+    config.report = { ...getReportOptions(config), ...options.report };
+    const { jsonDir, savesDir } = getDirs(config);
+
+    await fs.ensureDir(jsonDir);
+    await fs.ensureDir(savesDir);
+    const saveNames = await listSaves(savesDir);
+
+    let action;
+    do {
+        const firstAction = await prompt({
+            type: 'select',
+            name: 'action',
+            message: chalk.bold('What do you want to do?'),
+            choices: [
+                { name: 'minify', message: 'Select files to minify' },
+                { name: 'git', message: 'Select changed files (git)' },
+                { name: 'load', message: 'Load a saved selection' },
+                { name: 'manage', message: 'Manage saved selections' },
+                { name: 'format', message: `Change output format (current: ${getOutputOptions(config).format})` },
+                { name: 'template', message: `Change prompt template (current: ${getOutputOptions(config).template || 'none'})` },
+                { name: 'exit', message: 'Exit' },
+            ],
+        });
+        action = firstAction.action;
+        if (action === 'format') {
+            await chooseOutputFormat(config);
+        } else if (action === 'template') {
+            config.output = { ...getOutputOptions(config), template: await chooseTemplate(config, getOutputOptions(config).template) };
+        }
+    } while (action === 'format' || action === 'template');
+
+    switch (action) {
         case 'minify':
-            const structure = await fs.readJson(path.join(JSON_DIR, 'project-structure.min.json'));
+            const structure = await fs.readJson(path.join(jsonDir, 'project-structure.min.json'));
             const filePaths = getFilePaths(structure);
-            const selectedFiles = await interactiveSelect(filePaths);
+            const levels = {};
+            const selectedFiles = await interactiveSelect(filePaths, config, { levels });
             if (selectedFiles && selectedFiles.length > 0) {
-                const totalCharacters = await calculateTotalCharacters(selectedFiles);
-                console.log(chalk.blue(`Total characters in selected files: ${totalCharacters} ; selected files: ${selectedFiles.length}`));
-                await minifyAndSave(selectedFiles);
+                await reportSelection(selectedFiles, config, levels, await reportTotals(selectedFiles, config, levels));
+                await minifyAndSave(selectedFiles, config, { levels });
             } else {
                 console.log(chalk.yellow('No files selected for minification.'));
             }
             break;
+        case 'git': {
+            const gitSelection = await chooseGitSelection(config);
+            if (gitSelection.files.length === 0 && gitSelection.deleted.length === 0) {
+                console.log(chalk.yellow(`No files found in ${describeSelection(gitSelection)}.`));
+                break;
+            }
+            // Deleted files have no contents to select; their diffs are added with the diff modes
+            const levels = {};
+            const gitFiles = gitSelection.files.length > 0 ? await interactiveSelect(gitSelection.files, config, { levels }) : [];
+            if ((gitFiles && gitFiles.length > 0) || (gitSelection.diff && gitSelection.deleted.length > 0)) {
+                await reportSelection(gitFiles || [], config, levels, await reportTotals(gitFiles || [], config, levels));
+                await minifyAndSave(gitFiles || [], config, { git: gitSelection, diff: gitSelection.diff, levels });
+            } else {
+                console.log(chalk.yellow('No files selected for minification.'));
+            }
+            break;
+        }
         case 'load':
-            if (saveFiles.length > 0) {
-                await loadSave(saveFiles);
+            if (saveNames.length > 0) {
+                await loadSave(saveNames, config);
             } else {
                 console.log(chalk.yellow('No saved selections found.'));
             }
             break;
         case 'manage':
-            if (saveFiles.length > 0) {
-                await manageSaves(saveFiles);
-            } else {
-                console.log(chalk.yellow('No saved selections found to manage.'));
-            }
+            // Saves can be imported even when there are none yet
+            await manageSaves(saveNames, config);
             break;
         case 'exit':
             console.log(chalk.gray('Exiting.'));
@@ -64,132 +411,694 @@ async function minifyCode() {
     }
 }
 
-async function calculateTotalCharacters(filePaths) {
-    let totalCharacters = 0;
-    for (const filePath of filePaths) {
-        try {
-            const fileContent = await fs.readFile(filePath, 'utf-8');
-            totalCharacters += fileContent.length;
-        } catch (error) {
-            console.error(chalk.red(`Error reading file: ${filePath}`), error);
+/**
+ * Asks for a git selection source (working tree, staged, since a ref, last N commits) and whether
+ * to bundle diffs, then lists its files.
+ * Returns { source, ref, count, diff, files, deleted }; `diff` is null, "with" or "only".
+ */
+async function chooseGitSelection(config = DEFAULT_CONFIG) {
+    const { source } = await prompt({
+        type: 'select',
+        name: 'source',
+        message: chalk.bold('Which changes?'),
+        choices: [
+            { name: 'changed', message: 'Files modified in the working tree (including untracked files)' },
+            { name: 'staged', message: 'Staged files' },
+            { name: 'since', message: 'Files changed since a branch, tag or commit' },
+            { name: 'commits', message: 'Files touched by the last N commits' },
+        ],
+    });
+    const selection = { source, ref: null, count: null };
+    if (source === 'since') {
+        const refPrompt = new Input({
+            name: 'ref',
+            message: chalk.bold('Branch, tag or commit:'),
+            initial: 'main',
+            validate: (value) => value.trim().length > 0,
+        });
+        selection.ref = (await refPrompt.run()).trim();
+    } else if (source === 'commits') {
+        const countPrompt = new Input({
+            name: 'count',
+            message: chalk.bold('Number of commits:'),
+            initial: '1',
+            validate: (value) => /^[1-9]\d*$/.test(value.trim()),
+        });
+        selection.count = Number(await countPrompt.run());
+    }
+
+    const { diff } = await prompt({
+        type: 'select',
+        name: 'diff',
+        message: chalk.bold('What goes into the bundle?'),
+        choices: [
+            { name: 'none', message: 'Full file contents' },
+            { name: 'with', message: 'Full file contents and unified diffs' },
+            { name: 'only', message: 'Unified diffs only' },
+        ],
+    });
+    const { files, deleted } = await getGitFiles(selection, process.cwd(), getIgnoredDirs(config));
+    return { ...selection, diff: diff === 'none' ? null : diff, files, deleted };
+}
+
+/**
+ * Explains why a file was added by the import graph: "imported by src/a.ts" or "imports src/b.ts, depth 2".
+ */
+function describeImport(item, kind) {
+    const relation = kind === 'dependencies' ? `imported by ${item.via}` : `imports ${item.via}`;
+    return item.depth > 1 ? `${relation}, depth ${item.depth}` : relation;
+}
+
+/**
+ * Prints the files added through imports and why ({ path, reason } each).
+ */
+function reportAddedFiles(added) {
+    if (added.length === 0) return;
+    console.log(chalk.blue(`Added through imports: ${added.length} file(s)`));
+    added.forEach(({ path: filePath, reason }) => console.log(chalk.gray(`  + ${filePath} (${reason})`)));
+}
+
+/**
+ * Adds the files imported by the selection and/or the files importing it, and prints what was added and why.
+ *
+ * @param {string[]} selectedFiles - Selected files, relative to the project root
+ * @param {object} config - Resolved config (imports.tsconfig is used for path aliases)
+ * @param {object} options - { dependencies: depth or null, dependents: depth or null,
+ *   candidates: project files searched for importers (needed for dependents) }
+ * @returns {Promise<string[]>} - The selection followed by the added files
+ */
+async function addImportedFiles(selectedFiles, config = DEFAULT_CONFIG, options = {}) {
+    const resolver = new ImportResolver(process.cwd(), { tsconfig: getImportOptions(config).tsconfig });
+    const files = new Set(selectedFiles);
+    const added = [];
+    if (options.dependencies) {
+        const result = await expandDependencies(selectedFiles, resolver, options.dependencies);
+        result.unresolved.forEach(({ specifier, from }) => console.log(chalk.yellow(`Import not found: "${specifier}" in ${from}`)));
+        added.push(...result.added.map(item => ({ path: item.path, reason: describeImport(item, 'dependencies') })));
+    }
+    if (options.dependents) {
+        const result = await findDependents(selectedFiles, options.candidates || [], resolver, options.dependents);
+        added.push(...result.added.map(item => ({ path: item.path, reason: describeImport(item, 'dependents') })));
+    }
+    const newFiles = [];
+    for (const item of added) {
+        if (files.has(item.path)) continue;
+        files.add(item.path);
+        newFiles.push(item);
+    }
+    reportAddedFiles(newFiles);
+    return [...files];
+}
+
+async function calculateTotalCharacters(filePaths, counter = new TokenCounter()) {
+    const totals = await counter.countFiles(filePaths);
+    totals.errors.forEach(({ filePath, error }) => console.error(chalk.red(`Error reading file: ${filePath}`), error));
+    return totals.characters;
+}
+
+/**
+ * Scans the file contents for secrets and applies the secrets policy from the config
+ * (or `policy` when given): "block", "redact", "confirm" or "off".
+ * Returns the contents to write (redacted if needed), or null if the bundle must not be written.
+ */
+async function applySecretsPolicy(code, config = DEFAULT_CONFIG, policy = null) {
+    const secrets = { ...DEFAULT_CONFIG.secrets, ...config.secrets };
+    const activePolicy = policy || secrets.policy;
+    if (activePolicy === 'off') return code;
+
+    const allowlist = await loadAllowlist(secrets.allowlistFile);
+    const findings = scanFiles(code, { allowlist, entropy: secrets.entropy });
+    if (findings.length === 0) return code;
+
+    const fileCount = new Set(findings.map(finding => finding.file)).size;
+    console.log(chalk.yellow(`Possible secrets found (${findings.length} in ${fileCount} file(s)):`));
+    formatSecretReport(findings).forEach(line => console.log(chalk.yellow(`  ${line}`)));
+    if (secrets.allowlistFile) {
+        console.log(chalk.gray(`Known false positives can be added to ${secrets.allowlistFile} (a glob, glob:rule-id or fingerprint:<hash> per line).`));
+    }
+
+    if (activePolicy === 'redact') {
+        console.log(chalk.yellow('Secrets were replaced with [REDACTED:<rule>] placeholders.'));
+        return redactSecrets(code, findings);
+    }
+
+    if (activePolicy === 'confirm' && process.stdin.isTTY) {
+        const decision = await prompt({
+            type: 'select',
+            name: 'action',
+            message: chalk.bold(chalk.red('Possible secrets found. What do you want to do?')),
+            choices: [
+                { name: 'redact', message: 'Replace them with placeholders and continue' },
+                { name: 'write', message: 'Write the bundle as is' },
+                { name: 'cancel', message: 'Cancel' },
+            ],
+        });
+        if (decision.action === 'redact') return redactSecrets(code, findings);
+        if (decision.action === 'write') return code;
+    }
+
+    console.log(chalk.red('The bundle was not written because of possible secrets.'));
+    return null;
+}
+
+/**
+ * Minifies every file with the minifier for its type and prints the before/after character counts.
+ * `mode` overrides the configured minify mode ("auto", "whitespace" or "none"); `outlined` files keep their
+ * JSDoc (see minifyBundleFiles).
+ */
+function minifyFiles(code, config = DEFAULT_CONFIG, mode = null, outlined = []) {
+    const minifyOptions = { ...DEFAULT_CONFIG.minify, ...config.minify };
+    if (mode) minifyOptions.mode = mode;
+
+    const { files, report, before, after } = minifyBundleFiles(code, minifyOptions, outlined);
+    for (const file of report) {
+        const saved = file.before > 0 ? Math.round((1 - file.after / file.before) * 100) : 0;
+        console.log(chalk.gray(`  ${file.path}: ${file.before} -> ${file.after} characters (${file.minifier}, -${saved}%)`));
+    }
+    const totalSaved = before > 0 ? Math.round((1 - after / before) * 100) : 0;
+    console.log(chalk.blue(`Minified: ${before} -> ${after} characters (-${totalSaved}%)`));
+    return files;
+}
+
+/**
+ * Reads project-structure.min.json from the output directory, or returns null (with a warning) if it is missing.
+ * With a structure.format other than "json" the structure is returned as text in that format
+ * (with a section per workspace package).
+ */
+async function readStructure(config = DEFAULT_CONFIG) {
+    const structurePath = path.join(getDirs(config).jsonDir, 'project-structure.min.json');
+    if (!(await fs.pathExists(structurePath))) {
+        console.log(chalk.yellow(`${structurePath} not found, the bundle is written without the structure (run build-structure first).`));
+        return null;
+    }
+    const workspace = await getWorkspace(config);
+    return getEmbeddedStructure(await fs.readJson(structurePath), { ...config.structure, packages: workspace ? workspace.packages : [] });
+}
+
+/**
+ * Reads the selected files and writes them to a bundle in the configured output format.
+ * By default the bundle is written to <outputDir>/project-code.min.json (or .md, .xml, .txt);
+ * `options.outFile` overrides the path.
+ * Binary, huge and generated files get a placeholder (or are skipped) as set in content of the config.
+ * The contents are scanned for secrets first (`options.secrets` overrides the configured policy)
+ * and then minified per file type (`options.minify` overrides the configured mode) and cut to content.truncate.
+ * `options.levels` (path -> "outline" or "path") bundles files as an outline of their declarations or as
+ * their path only; files that cannot be outlined are bundled in full.
+ * `options.format` and `options.includeStructure` override the output settings.
+ * With a git selection (`options.git`: { source, ref, count, deleted } as returned by getGitFiles) and `options.diff`
+ * set to "with" or "only", the unified diff of every file (and of the deleted files) is bundled as `<path>.diff`
+ * next to the file or instead of it; diffs are scanned for secrets but never minified.
+ * With a split limit (`options.splitLimit` and `options.splitUnit`, or output.splitLimit in the config)
+ * a bundle over the limit is written as numbered parts, e.g. project-code.part-01.min.json.
+ * With a prompt template (`options.template`, or output.template in the config; null for none) the bundle is wrapped
+ * in the template and written to <outputDir>/project-prompt.md (or .txt, after the template); the inputs of the template
+ * are taken from `options.variables` (name -> value) or asked for.
+ * Every export records the content hashes of the selected files in the manifest `options.manifest` (the save name,
+ * DEFAULT_MANIFEST for selections without a save). With `options.delta` only the files added or modified since the
+ * last export of that manifest are bundled, after a changelog that also lists the deleted files; without an earlier
+ * export every file is bundled.
+ * Returns the path of the written file (of the first part for split bundles),
+ * or null if the secrets policy stopped the write.
+ */
+async function minifyAndSave(selectedFiles, config = DEFAULT_CONFIG, options = {}) {
+    const output = getOutputOptions(config);
+    const format = options.format || output.format;
+    const includeStructure = options.includeStructure ?? output.includeStructure;
+    const splitLimit = options.splitLimit || output.splitLimit;
+    const splitUnit = options.splitUnit || output.splitUnit;
+    const templateName = options.template !== undefined ? options.template : output.template;
+    const template = templateName ? await loadTemplate(getDirs(config).templatesDir, templateName) : null;
+    const fileName = template ? `project-prompt${template.extension}` : OUTPUT_FORMATS[format].fileName;
+    const outFile = options.outFile || path.join(getDirs(config).jsonDir, fileName);
+    // A template with {{structure}} places the structure itself, so it is not embedded in the bundle too
+    const templateStructure = Boolean(template) && usesVariable(template.content, 'structure');
+    const variables = template ? await askTemplateInputs(template.content, options.variables) : null;
+
+    const { manifestsDir } = getDirs(config);
+    const manifestName = options.manifest || DEFAULT_MANIFEST;
+    const hashes = await hashFiles(selectedFiles, process.cwd(), options.levels);
+    let changes = null;
+    if (options.delta) {
+        const previous = await loadManifest(manifestsDir, manifestName);
+        if (!previous) {
+            console.log(chalk.yellow(`No earlier export of "${manifestName}" was recorded, every file is bundled.`));
+        } else {
+            const { added, modified, deleted: removed, unchanged } = compareManifests(previous.files, hashes);
+            changes = { since: previous.exportedAt, added, modified, deleted: removed };
+            const changed = new Set([...added, ...modified]);
+            selectedFiles = selectedFiles.filter(filePath => changed.has(filePath));
+            console.log(chalk.blue(`Changes since the last export (${previous.exportedAt}): ${added.length} added, ${modified.length} modified, ${removed.length} deleted; ${unchanged.length} unchanged file(s) left out`));
+            if (changed.size === 0 && removed.length === 0) {
+                console.log(chalk.yellow('Nothing changed since the last export; the bundle only holds the changelog.'));
+            }
+        }
+    }
+
+    const content = getContentOptions(config);
+    const diffMode = options.git ? options.diff : null;
+    const deleted = diffMode ? options.git.deleted || [] : [];
+    const diffs = {};
+    if (diffMode) {
+        for (const [filePath, diff] of Object.entries(await getGitDiffs([...selectedFiles, ...deleted], options.git))) {
+            diffs[`${filePath}.diff`] = diff;
         }
+        console.log(chalk.blue(`Diffs of ${describeSelection(options.git)}: ${Object.keys(diffs).length} file(s)`));
+    }
+    const selection = diffMode === 'only' ? { code: {}, placeholders: {} } : await readFiles(selectedFiles, config);
+    const leveled = applyLevels(selection.code, options.levels);
+    leveled.failed.forEach(({ filePath, error }) => console.log(chalk.yellow(`${filePath}: cannot outline (${error.message}), bundled in full`)));
+    const checked = await applySecretsPolicy({ ...leveled.code, ...diffs }, config, options.secrets);
+    if (!checked) return null;
+    const structure = includeStructure || templateStructure ? await readStructure(config) : null;
+
+    // Diffs skip the minifier: the leading space of context lines and blank lines are part of the format
+    const code = {};
+    const patches = {};
+    for (const [filePath, text] of Object.entries(checked)) {
+        (filePath in diffs ? patches : code)[filePath] = text;
+    }
+    const { files: minified, truncated } = truncateFiles({ ...minifyFiles(code, config, options.minify, leveled.outlined), ...patches }, content.truncate);
+    if (truncated.length > 0) {
+        console.log(chalk.yellow(`${truncated.length} file(s) truncated to ${content.truncate} characters: ${truncated.join(', ')}`));
+    }
+    const order = [...selectedFiles.flatMap(filePath => [filePath, `${filePath}.diff`]), ...deleted.map(filePath => `${filePath}.diff`)];
+    const files = mergePlaceholders(order, minified, { ...selection.placeholders, ...leveled.placeholders });
+
+    const model = getTokenOptions(config).model;
+    const bundleStructure = templateStructure ? null : structure;
+    let wrap = null;
+    if (template) {
+        wrap = createTemplateWrapper(template.content, {
+            ...variables,
+            structure: structure === null || typeof structure === 'string' ? structure || '' : JSON.stringify(structure),
+            fileCount: Object.keys(files).length,
+            tokens: formatTokenCount(estimateTokens(formatBundle(files, { format, structure: bundleStructure, changes }), model)),
+            gitBranch: (await getGitBranch(process.cwd())) || ''
+        });
+        console.log(chalk.blue(`Prompt template: ${template.name}`));
+    }
+    // The template goes around the bundle (or part 1) before it is split, so the split limit covers it
+    const rendered = renderBundle(files, { format, structure: bundleStructure, changes, splitLimit, splitUnit, model, wrap });
+    const partFiles = await writeBundle(outFile, rendered);
+    await writeManifest(manifestsDir, manifestName, hashes);
+    if (!rendered.parts) {
+        console.log(chalk.green(`${path.basename(outFile)} created successfully!`));
+        return outFile;
+    }
+
+    const { parts } = rendered;
+    const measure = createMeasure(splitUnit, model);
+    const unit = splitUnit === 'characters' ? 'characters' : `~tokens (${model})`;
+    console.log(chalk.green(`Bundle split into ${parts.length} part(s) of at most ${splitLimit} ${unit}:`));
+    partFiles.forEach((partFile, index) => console.log(chalk.green(`  ${path.basename(partFile)}`) + chalk.gray(` ${measure(parts[index])}`)));
+    return partFiles[0];
+}
+
+/**
+ * Reads a saved selection by name (with or without the .json extension) and resolves it against
+ * the current tree; listed files that no longer exist are reported.
+ * Returns { name, save, files, missing }. Throws if the save does not exist or is not valid.
+ */
+async function readSave(saveName, config = DEFAULT_CONFIG) {
+    const save = await loadSaveFile(getDirs(config).savesDir, saveName);
+    const { files, missing } = await resolveSave(save, process.cwd(), getIgnoredDirs(config));
+    if (missing.length > 0) {
+        console.log(chalk.yellow(`${missing.length} file(s) of the save "${saveName}" no longer exist:`));
+        missing.forEach(file => console.log(chalk.yellow(`  - ${file}`)));
+    }
+    return { name: saveName, save, files, missing };
+}
+
+/**
+ * Returns the config with the output settings stored in a save (format, includeStructure, template).
+ */
+function withSaveOutput(config, save) {
+    return save.output ? { ...config, output: { ...getOutputOptions(config), ...save.output } } : config;
+}
+
+/**
+ * Describes a save for the menus: package, name, description, number of files and globs, template, last update.
+ */
+async function describeSave(savesDir, name) {
+    try {
+        const save = await loadSaveFile(savesDir, name);
+        const parts = [`${save.files.length} file(s)`];
+        if (save.include.length > 0) parts.push(`globs: ${save.include.join(', ')}`);
+        if (save.output && save.output.template) parts.push(`template: ${save.output.template}`);
+        if (save.updatedAt) parts.push(`updated ${save.updatedAt.slice(0, 10)}`);
+        const description = save.description ? ` — ${save.description}` : '';
+        const pkg = save.package ? `${chalk.cyan(`[${save.package}]`)} ` : '';
+        return `${pkg}${name}${description} ${chalk.gray(`(${parts.join('; ')})`)}`;
+    } catch (error) {
+        return `${name} ${chalk.red(`(${error.message})`)}`;
     }
-    return totalCharacters;
 }
 
-async function minifyAndSave(selectedFiles) {
-    const code = await readFiles(selectedFiles);
-    const codeJSON = JSON.stringify(code);
-    const minifiedCodeJSON = codeJSON.replace(/\s+/g, ' ');
-    await fs.writeFile(path.join(JSON_DIR, 'project-code.min.json'), minifiedCodeJSON);
-    console.log(chalk.green('project-code.min.json created successfully!'));
+/**
+ * Returns the menu choices of the saves: the saves of the whole project first, then the saves of each
+ * workspace package, grouped by package.
+ */
+async function listSaveChoices(savesDir, saveNames) {
+    const choices = [];
+    for (const name of saveNames) {
+        const save = await loadSaveFile(savesDir, name).catch(() => null);
+        choices.push({ name, message: await describeSave(savesDir, name), package: save ? save.package || '' : '' });
+    }
+    return choices.sort((a, b) => a.package.localeCompare(b.package) || a.name.localeCompare(b.name))
+        .map(({ name, message }) => ({ name, message }));
 }
 
-async function loadSave(saveFiles) {
-    const loadSavePrompt = new Select({
-        name: 'selectedSave',
-        message: chalk.bold('Select save to load:'),
-        choices: [...saveFiles, chalk.bold('Back to main menu')],
+/**
+ * Lets the user pick a save; returns its name or null for "back".
+ */
+async function chooseSave(saveNames, config, message) {
+    const { savesDir } = getDirs(config);
+    const choices = await listSaveChoices(savesDir, saveNames);
+    const savePrompt = new Select({
+        name: 'save',
+        message: chalk.bold(message),
+        choices: [...choices, { name: 'back', message: chalk.bold('Back to main menu') }],
     });
+    const saveName = await savePrompt.run();
+    return saveName === 'back' ? null : saveName;
+}
 
-    const selectedSave = await loadSavePrompt.run();
-    if (!selectedSave || selectedSave === chalk.bold('Back to main menu')) return;
+/**
+ * Opens a save in the file selector (its files preselected) and returns the edited selection, or null.
+ * The selector lists the files of the project structure, and the files of the save.
+ * `levels` holds the inclusion levels of the save and is updated with the levels chosen in the selector.
+ */
+async function editSaveSelection(files, config = DEFAULT_CONFIG, levels = {}) {
+    const structurePath = path.join(getDirs(config).jsonDir, 'project-structure.min.json');
+    const structureFiles = (await fs.pathExists(structurePath)) ? getFilePaths(await fs.readJson(structurePath)) : [];
+    const filePaths = [...new Set([...structureFiles, ...files])];
+    if (filePaths.length === 0) {
+        console.log(chalk.yellow('No files to select (run build-structure first).'));
+        return null;
+    }
+    return interactiveSelect(filePaths, config, { selected: files, askToSave: false, levels });
+}
 
-    const savePath = path.join(SAVES_DIR, selectedSave);
-    const selectedFiles = await fs.readJson(savePath);
-    const totalCharacters = await calculateTotalCharacters(selectedFiles);
-    console.log(chalk.blue(`Total characters in selected files: ${totalCharacters} ; selected files: ${selectedFiles.length}`));
-    await minifyAndSave(selectedFiles);
+/**
+ * Stores an edited selection in a save: glob matches stay covered by the globs, deselected ones are excluded.
+ */
+async function updateSaveSelection(saveName, save, selectedFiles, config = DEFAULT_CONFIG, levels = save.levels) {
+    const { files: globFiles } = await resolveSave({ ...save, files: [], exclude: [] }, process.cwd(), getIgnoredDirs(config));
+    const savePath = await writeSaveFile(getDirs(config).savesDir, saveName, applySelection(save, selectedFiles, globFiles, levels));
+    console.log(chalk.green(`Selection saved to ${savePath}`));
 }
 
-async function manageSaves(saveFiles) {
-    const managePrompt = new Select({
-        name: 'saveAction',
-        message: chalk.bold('Manage saved selections:'),
+async function loadSave(saveNames, config = DEFAULT_CONFIG) {
+    const saveName = await chooseSave(saveNames, config, 'Select save to load:');
+    if (!saveName) return;
+
+    const { save, files, missing } = await readSave(saveName, config);
+    if (missing.length > 0) {
+        const confirmPrune = new Confirm({
+            name: 'prune',
+            message: chalk.bold(`Remove the ${missing.length} missing file(s) from the save?`),
+            initial: false,
+        });
+        if (await confirmPrune.run()) {
+            await writeSaveFile(getDirs(config).savesDir, saveName, { ...save, files: save.files.filter(file => !missing.includes(file)) });
+            console.log(chalk.green(`Missing files removed from ${saveName}.`));
+        }
+    }
+    console.log(chalk.blue(`${saveName}: ${files.length} file(s)${save.description ? ` — ${save.description}` : ''}`));
+
+    const { action } = await prompt({
+        type: 'select',
+        name: 'action',
+        message: chalk.bold('What do you want to do with this selection?'),
         choices: [
-            ...saveFiles,
-            { name: 'delete', message: chalk.red('Delete a save') },
+            { name: 'bundle', message: 'Bundle it' },
+            { name: 'delta', message: 'Bundle the changes since its last export' },
+            { name: 'edit', message: 'Edit it in the selector, then bundle it' },
             { name: 'back', message: 'Back to main menu' },
         ],
     });
+    if (action === 'back') return;
 
-    const selectedAction = await managePrompt.run();
-    if (selectedAction === 'delete') {
-        await deleteSave(saveFiles);
-    } else if (selectedAction !== 'back') {
-        console.log(chalk.yellow(`Selected save: ${selectedAction}`));
+    let selectedFiles = files;
+    const levels = { ...save.levels };
+    if (action === 'edit') {
+        selectedFiles = await editSaveSelection(files, config, levels);
+        if (!selectedFiles) return;
+        const confirmUpdate = new Confirm({
+            name: 'update',
+            message: chalk.bold(`Update the save "${saveName}" with this selection?`),
+            initial: true,
+        });
+        if (await confirmUpdate.run()) {
+            await updateSaveSelection(saveName, save, selectedFiles, config, levels);
+        }
     }
+    if (selectedFiles.length === 0) {
+        console.log(chalk.yellow('No files selected for minification.'));
+        return;
+    }
+    const saveConfig = withSaveOutput(config, save);
+    await reportSelection(selectedFiles, saveConfig, levels, await reportTotals(selectedFiles, saveConfig, levels));
+    await minifyAndSave(selectedFiles, saveConfig, { levels, manifest: saveName, delta: action === 'delta' });
 }
 
-async function deleteSave(saveFiles) {
-    const deletePrompt = new Select({
-        name: 'saveToDelete',
-        message: chalk.bold(chalk.red('Select a save to delete:')),
-        choices: [...saveFiles, chalk.bold('Cancel')],
+/**
+ * Asks for a new save name; returns null if it is empty. Existing names are rejected.
+ */
+async function askSaveName(config, message, initial = '') {
+    const existing = new Set(await listSaves(getDirs(config).savesDir));
+    const namePrompt = new Input({
+        name: 'saveName',
+        message: chalk.bold(message),
+        initial,
+        validate: (value) => {
+            const name = value.trim().replace(/\.json$/i, '');
+            if (!name) return 'Enter a name';
+            if (/[\\/]/.test(name)) return 'The name cannot contain slashes';
+            return existing.has(name) ? `A save named "${name}" already exists` : true;
+        },
     });
+    const name = (await namePrompt.run()).trim().replace(/\.json$/i, '');
+    return name || null;
+}
 
-    const saveToDelete = await deletePrompt.run();
-    if (saveToDelete && saveToDelete !== chalk.bold('Cancel')) {
-        const confirmDelete = await prompt({
-            type: 'confirm',
-            name: 'confirm',
-            message: chalk.bold(chalk.red(`Are you sure you want to delete ${saveToDelete}?`)),
-            initial: false,
+/**
+ * Splits a comma-separated list of globs typed in a prompt.
+ */
+function parseGlobList(value) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Runs one management action on a save. Errors (e.g. a name that is taken) are printed, not thrown.
+ */
+async function runSaveAction(action, saveName, config = DEFAULT_CONFIG) {
+    const { savesDir } = getDirs(config);
+    try {
+        switch (action) {
+            case 'rename': {
+                const newName = await askSaveName(config, 'New name:', saveName);
+                if (newName) {
+                    await copySave(savesDir, saveName, newName);
+                    await renameManifest(getDirs(config).manifestsDir, saveName, newName);
+                    console.log(chalk.green(`Renamed ${saveName} to ${newName}`));
+                }
+                break;
+            }
+            case 'duplicate': {
+                const newName = await askSaveName(config, 'Name of the copy:', `${saveName}-copy`);
+                if (newName) {
+                    await copySave(savesDir, saveName, newName, { keep: true });
+                    console.log(chalk.green(`Copied ${saveName} to ${newName}`));
+                }
+                break;
+            }
+            case 'edit': {
+                const { save, files } = await readSave(saveName, config);
+                const levels = { ...save.levels };
+                const selectedFiles = await editSaveSelection(files, config, levels);
+                if (selectedFiles) await updateSaveSelection(saveName, save, selectedFiles, config, levels);
+                break;
+            }
+            case 'details': {
+                const save = await loadSaveFile(savesDir, saveName);
+                const answers = await prompt([
+                    { type: 'input', name: 'description', message: chalk.bold('Description:'), initial: save.description },
+                    { type: 'input', name: 'include', message: chalk.bold('Include globs (comma-separated):'), initial: save.include.join(', ') },
+                    { type: 'input', name: 'exclude', message: chalk.bold('Exclude globs (comma-separated):'), initial: save.exclude.join(', ') },
+                ]);
+                const savePath = await writeSaveFile(savesDir, saveName, {
+                    ...save,
+                    description: answers.description.trim(),
+                    include: parseGlobList(answers.include),
+                    exclude: parseGlobList(answers.exclude)
+                });
+                console.log(chalk.green(`Updated ${savePath}`));
+                break;
+            }
+            case 'template': {
+                const save = await loadSaveFile(savesDir, saveName);
+                const current = save.output ? save.output.template || null : null;
+                const template = await chooseTemplate(config, current, `Default prompt template of ${saveName}:`);
+                const savePath = await writeSaveFile(savesDir, saveName, { ...save, output: { ...save.output, template } });
+                console.log(chalk.green(`Updated ${savePath}`));
+                break;
+            }
+            case 'export': {
+                const targetPrompt = new Input({
+                    name: 'target',
+                    message: chalk.bold('Export to file:'),
+                    initial: `${saveName}.json`,
+                    validate: (value) => value.trim().length > 0,
+                });
+                const target = await exportSave(savesDir, saveName, (await targetPrompt.run()).trim());
+                console.log(chalk.green(`Exported ${saveName} to ${target}`));
+                break;
+            }
+            case 'delete': {
+                const confirmDelete = await prompt({
+                    type: 'confirm',
+                    name: 'confirm',
+                    message: chalk.bold(chalk.red(`Are you sure you want to delete ${saveName}?`)),
+                    initial: false,
+                });
+                if (confirmDelete.confirm) {
+                    await fs.remove(getSavePath(savesDir, saveName));
+                    await removeManifest(getDirs(config).manifestsDir, saveName);
+                    console.log(chalk.green(`Deleted save: ${saveName}`));
+                } else {
+                    console.log(chalk.gray('Delete cancelled.'));
+                }
+                break;
+            }
+        }
+    } catch (error) {
+        console.error(chalk.red(error.message));
+    }
+}
+
+async function manageSaves(saveNames, config = DEFAULT_CONFIG) {
+    const { savesDir } = getDirs(config);
+    for (;;) {
+        const choices = await listSaveChoices(savesDir, saveNames);
+        const managePrompt = new Select({
+            name: 'saveAction',
+            message: chalk.bold(saveNames.length > 0 ? 'Manage saved selections:' : 'No saved selections yet:'),
+            choices: [
+                ...choices,
+                { name: 'import', message: chalk.cyan('Import a save from a file') },
+                { name: 'back', message: 'Back to main menu' },
+            ],
         });
 
-        if (confirmDelete.confirm) {
-            const savePath = path.join(SAVES_DIR, saveToDelete);
-            await fs.remove(savePath);
-            console.log(chalk.green(`Deleted save: ${saveToDelete}`));
-            const updatedSaveFiles = await fs.readdir(SAVES_DIR);
-            if (updatedSaveFiles.length > 0) {
-                await manageSaves(updatedSaveFiles);
-            } else {
-                console.log(chalk.yellow('No saved selections left.'));
+        const selected = await managePrompt.run();
+        if (selected === 'back') return;
+        if (selected === 'import') {
+            const sourcePrompt = new Input({
+                name: 'source',
+                message: chalk.bold('File to import:'),
+                validate: (value) => value.trim().length > 0,
+            });
+            try {
+                const imported = await importSave(savesDir, (await sourcePrompt.run()).trim());
+                console.log(chalk.green(`Imported save: ${imported}`));
+            } catch (error) {
+                console.error(chalk.red(error.message));
             }
         } else {
-            console.log(chalk.gray('Delete cancelled.'));
-            await manageSaves(saveFiles);
+            const { action } = await prompt({
+                type: 'select',
+                name: 'action',
+                message: chalk.bold(`${selected}:`),
+                choices: [
+                    { name: 'edit', message: 'Edit the selection in the selector' },
+                    { name: 'details', message: 'Edit the description and globs' },
+                    { name: 'template', message: 'Set the default prompt template' },
+                    { name: 'rename', message: 'Rename' },
+                    { name: 'duplicate', message: 'Duplicate' },
+                    { name: 'export', message: 'Export to a file' },
+                    { name: 'delete', message: chalk.red('Delete') },
+                    { name: 'back', message: 'Back' },
+                ],
+            });
+            await runSaveAction(action, selected, config);
         }
-    } else if (saveToDelete !== chalk.bold('Cancel')) {
-        await manageSaves(saveFiles);
+        saveNames = await listSaves(savesDir);
     }
 }
 
-async function interactiveSelect(filePaths) {
+/**
+ * Shows the file selector and returns the selected files (in list order).
+ * `options.selected` preselects files; with `options.askToSave` (default true) the user is offered to save the selection.
+ * `options.levels` (path -> "outline" or "path") holds the inclusion levels of the files; it is updated in place
+ * with the levels chosen with "o", so the caller can bundle the selection at those levels.
+ * In a monorepo the files take the color of their workspace package, the package view groups them by package
+ * and "p" selects a package with the workspace packages it depends on.
+ */
+async function interactiveSelect(filePaths, config = DEFAULT_CONFIG, options = {}) {
+    const { selected = [], askToSave = true, levels = {} } = options;
+    const workspace = await getWorkspace(config);
+    // Files of each package for the package view, the files outside the packages last
+    const groups = workspace ? groupByPackage(workspace, filePaths).map(group => ({
+        path: group.package ? group.package.dir : '',
+        name: group.package ? group.package.name : '(outside the packages)',
+        package: group.package,
+        files: group.files
+    })) : [];
+    const views = workspace ? ['list', 'tree', 'packages'] : ['list', 'tree'];
+    const tokenOptions = getTokenOptions(config);
+    const importOptions = getImportOptions(config);
+    const counter = createTokenCounter(config);
+    const resolver = new ImportResolver(process.cwd(), { tsconfig: importOptions.tsconfig });
+    const pulled = new Map(); // Files added by "d" / "r" -> why they were added
+    // Per-file counts are shown next to each file; they also warm the cache for the totals
+    const { files: fileCounts } = await counter.countFiles(filePaths, levels);
+
+    // Binary, huge and generated files are dimmed and tagged; "a" and the other bulk keys leave them out
     const choices = filePaths.map((filePath) => {
-        const firstDir = filePath.split('/')[0];
-        let color;
-        switch (firstDir) {
-            case 'src': color = chalk.blue; break;
-            case 'server': color = chalk.magenta; break;
-            case 'supabase': color = chalk.yellow; break;
-            case 'DOCUMENTATION': color = chalk.cyan; break;
-            case 'alerts': color = chalk.green; break;
-            case 'docs': color = chalk.redBright; break;
-            case 'grafana': color = chalk.blueBright; break;
-            case 'logs': color = chalk.magentaBright; break;
-            case 'loki': color = chalk.yellowBright; break;
-            case 'promtail': color = chalk.cyanBright; break;
-            case 'prometheus': color = chalk.greenBright; break;
-            case 'public': color = chalk.red; break;
-            default: color = chalk.white;
-        }
-        return { name: filePath, message: color(filePath) };
+        const { tokens, classification } = fileCounts.get(filePath);
+        const kind = classification ? classification.kind : 'text';
+        if (kind === 'text') {
+            return { name: filePath, tokens, message: filePath };
+        }
+        const tag = kind === 'huge' ? `huge ${formatSize(classification.size)}` : kind;
+        return { name: filePath, omitted: true, tag, message: filePath };
     });
 
+    // Label of a file: its path (the file name in the tree view) with the matches of the filter highlighted,
+    // its tokens at its inclusion level and the level when it is not "full"
+    const formatLabel = (choice, text, positions = []) => {
+        const offset = choice.name.length - text.length;
+        const color = choice.omitted ? chalk.dim : getPathColor(choice.name, config, workspace);
+        const label = highlightMatches(text, positions.map(position => position - offset), color);
+        const level = getLevel(levels, choice.name);
+        const levelTag = level === 'full' ? '' : ` ${chalk.cyan(`[${level}]`)}`;
+        return `${label} ${chalk.gray(choice.omitted ? `[${choice.tag}]` : `~${formatTokenCount(choice.tokens)}`)}${levelTag}`;
+    };
+
     class CustomSelect extends Select {
         constructor(options) {
             super(options);
-            this.currentColumn = 0; // 0-based index of current column
             this.maxColumns = 5;
-            this.totalCharacters = 0;
-            this.selectedFilesCount = 0;
-            this.selectedFilesGitignore = '';
-            this.gitignorePatterns = [];
+            this.notice = '';
+            this.counter = counter;
+            this.budget = tokenOptions.budget;
+            this.priority = tokenOptions.priority;
+            this.gitignore = new GitignoreMatcher(process.cwd());
+            // Totals follow every change of the selection instead of recounting the selected files
+            this.stats = new SelectionStats(fileCounts, (filePath) => this.isPathIgnored(filePath));
+            this.viewMode = 'list';
+            this.tree = buildTree(filePaths);
+            // The tree view starts with every folder collapsed
+            this.collapsed = new Set(flattenTree(this.tree).filter(row => row.type === 'dir').map(row => row.path));
+            // So does the package view
+            this.collapsedPackages = new Set(groups.map(group => group.path));
+            this.query = '';
+            this.filtering = false;
+            this.cursor = 0;
             this.visibleStart = 0;
             this.updateTerminalDimensions();
-            this.loadGitignore();
+            this.refreshView();
 
             process.stdout.on('resize', () => {
                 this.updateTerminalDimensions();
@@ -200,203 +1109,437 @@ async function interactiveSelect(filePaths) {
         updateTerminalDimensions() {
             this.terminalHeight = process.stdout.rows || 24;
             this.terminalWidth = process.stdout.columns || 80;
-            this.visibleRows = Math.max(1, this.terminalHeight - 4);
-            // Calculate number of columns based on width (minimum 100 characters per column)
-            this.activeColumns = Math.min(
+            // Borders, header, stats and status lines
+            this.visibleRows = Math.max(1, this.terminalHeight - 5);
+            // Calculate number of columns based on width (minimum 100 characters per column); the tree and package views have one
+            this.activeColumns = this.viewMode !== 'list' ? 1 : Math.min(
                 this.maxColumns,
                 Math.max(1, Math.floor(this.terminalWidth / 100))
             );
         }
 
-        async loadGitignore() {
+        isPathIgnored(filePath) {
+            return this.gitignore.isIgnored(filePath);
+        }
+
+        // Rebuilds the listed rows after the filter, the view or a folder changed; the cursor stays on the same row
+        refreshView() {
+            const current = this.rows && this.rows[this.cursor];
+            const matches = filterPaths(filePaths, this.query, this.viewMode === 'list');
+            this.positions = new Map(matches.map(match => [match.path, match.positions]));
+            this.listed = matches.map(match => match.path);
+            const visible = this.query.trim() ? new Set(this.listed) : null;
+            if (this.viewMode === 'list') {
+                this.rows = matches.map(match => ({ type: 'file', path: match.path, depth: 0 }));
+            } else if (this.viewMode === 'packages') {
+                this.rows = flattenGroups(groups, this.collapsedPackages, visible);
+            } else {
+                this.rows = flattenTree(this.tree, this.collapsed, visible);
+            }
+            const index = current ? this.rows.findIndex(row => row.path === current.path) : -1;
+            this.cursor = index !== -1 ? index : Math.max(0, Math.min(this.cursor, this.rows.length - 1));
+        }
+
+        // Recalculates the stats line from the enabled choices (used once the preselected files are enabled)
+        async updateStats() {
+            this.stats.reset(this.choices.filter(c => c.enabled).map(c => c.name));
+        }
+
+        // Returns the choice of a file (choices are created when the prompt starts)
+        choiceOf(filePath) {
+            if (!this.byName) this.byName = new Map(this.choices.map(choice => [choice.name, choice]));
+            return this.byName.get(filePath);
+        }
+
+        setEnabled(choice, enabled) {
+            choice.enabled = enabled;
+            this.stats.set(choice.name, enabled);
+        }
+
+        // Selects the given files, or deselects them if they are all selected already
+        toggleFiles(files) {
+            const targets = files.map(file => this.choiceOf(file));
+            const selectable = targets.filter(choice => !choice.omitted);
+            const allSelected = selectable.every(choice => choice.enabled);
+            (allSelected ? targets : selectable).forEach(choice => this.setEnabled(choice, !allSelected));
+            return !allSelected;
+        }
+
+        // Selects the listed files with the extension of the file under the cursor (or deselects them)
+        toggleExtension() {
+            const row = this.rows[this.cursor];
+            if (!row || row.type !== 'file') {
+                this.notice = 'Move to a file to select its extension';
+                return;
+            }
+            const extension = path.extname(row.path);
+            const files = this.listed.filter(file => path.extname(file) === extension);
+            const selected = this.toggleFiles(files);
+            const what = extension ? `${extension} files` : 'files without extension';
+            this.notice = `${selected ? 'Selected' : 'Deselected'} ${files.length} ${what}`;
+        }
+
+        // Inverts the selection of the listed files (binary, huge and generated files are only deselected)
+        invertSelection() {
+            this.listed.forEach((file) => {
+                const choice = this.choiceOf(file);
+                this.setEnabled(choice, !choice.enabled && !choice.omitted);
+            });
+            this.notice = `Inverted the selection of ${this.listed.length} file(s)`;
+        }
+
+        // Switches to the next view: list, tree, then packages (in a monorepo)
+        toggleView() {
+            this.viewMode = views[(views.indexOf(this.viewMode) + 1) % views.length];
+            const current = this.rows[this.cursor];
+            // The folders (or the package) of the current file are opened so it stays under the cursor
+            if (current && this.viewMode === 'tree') {
+                let dir = path.posix.dirname(current.path);
+                while (dir !== '.') {
+                    this.collapsed.delete(dir);
+                    dir = path.posix.dirname(dir);
+                }
+            } else if (current && current.type === 'file' && this.viewMode === 'packages') {
+                const pkg = findPackage(workspace, current.path);
+                this.collapsedPackages.delete(pkg ? pkg.dir : '');
+            }
+            this.updateTerminalDimensions();
+            this.refreshView();
+        }
+
+        // Left/right in the tree and package views: collapse/expand a folder or package, or move to the
+        // parent folder (or package)/first child
+        moveInTree(direction) {
+            const row = this.rows[this.cursor];
+            if (!row) return;
+            const canFold = row.type !== 'file' && !this.query.trim();
+            const collapsed = row.type === 'package' ? this.collapsedPackages : this.collapsed;
+            if (direction === 'right') {
+                if (canFold && row.collapsed) {
+                    collapsed.delete(row.path);
+                    this.refreshView();
+                } else if (row.type !== 'file') {
+                    this.cursor = Math.min(this.cursor + 1, this.rows.length - 1);
+                }
+                return;
+            }
+            if (canFold && !row.collapsed) {
+                collapsed.add(row.path);
+                this.refreshView();
+                return;
+            }
+            if (row.type === 'package') return;
+            const parent = path.posix.dirname(row.path);
+            const index = this.viewMode === 'packages'
+                ? this.rows.slice(0, this.cursor).map(item => item.type).lastIndexOf('package')
+                : this.rows.findIndex(item => item.type === 'dir' && item.path === parent);
+            if (index !== -1) this.cursor = index;
+        }
+
+        // Selects the files of the package under the cursor and of the workspace packages it depends on
+        selectPackage() {
+            const row = this.rows[this.cursor];
+            const pkg = row && (row.type === 'package' ? row.group.package : findPackage(workspace, row.path));
+            if (!pkg) {
+                this.notice = 'Move to a file or a package of the workspace';
+                return;
+            }
+            const packages = withWorkspaceDependencies(workspace, [pkg.name]);
+            const dirs = new Set(packages.map(item => item.dir));
+            const files = filePaths.filter(file => {
+                const owner = findPackage(workspace, file);
+                return owner && dirs.has(owner.dir) && !this.choiceOf(file).omitted;
+            });
+            files.forEach(file => this.setEnabled(this.choiceOf(file), true));
+            const dependencies = packages.slice(1).map(item => item.name);
+            const what = dependencies.length > 0 ? `${pkg.name} and its workspace dependencies (${dependencies.join(', ')})` : pkg.name;
+            this.notice = `Selected ${files.length} file(s) of ${what}`;
+        }
+
+        // Selects the files imported by the selection ("dependencies") or importing it ("dependents")
+        async addRelated(kind) {
+            const enabled = this.choices.filter(c => c.enabled).map(c => c.name);
+            if (enabled.length === 0) {
+                this.notice = 'Select files first';
+                return;
+            }
+            let result;
             try {
-                const ignoreContent = await fs.readFile(GITIGNORE_PATH, 'utf-8');
-                this.gitignorePatterns = ignoreContent
-                    .split('\n')
-                    .map(line => line.trim())
-                    .filter(line => line && !line.startsWith('#'));
+                result = kind === 'dependencies'
+                    ? await expandDependencies(enabled, resolver, importOptions.depth)
+                    : await findDependents(enabled, filePaths, resolver, importOptions.depth);
             } catch (error) {
-                if (error.code !== 'ENOENT') {
-                    console.error(chalk.yellow(`Warning: Could not read .gitignore: ${error.message}`));
+                this.notice = error.message;
+                return;
+            }
+            // Only files of the structure can be selected
+            const added = result.added.filter(item => this.choiceOf(item.path));
+            added.forEach(item => {
+                this.setEnabled(this.choiceOf(item.path), true);
+                pulled.set(item.path, describeImport(item, kind));
+            });
+            const what = kind === 'dependencies' ? 'imported' : 'importing';
+            this.notice = added.length > 0 ? `Added ${added.length} ${what} file(s)` : `No ${what} files to add`;
+        }
+
+        // Moves the file under the cursor (or the files of a folder) to the next inclusion level:
+        // full -> outline -> path only; files that cannot be outlined go from full to path only
+        async cycleLevel() {
+            const row = this.rows[this.cursor];
+            if (!row) return;
+            const files = (row.type !== 'file' ? row.files : [row.path]).filter(file => !this.choiceOf(file).omitted);
+            if (files.length === 0) {
+                this.notice = 'Binary, huge and generated files are always bundled as placeholders';
+                return;
+            }
+            const current = getLevel(levels, files[0]);
+            const next = INCLUSION_LEVELS[(INCLUSION_LEVELS.indexOf(current) + 1) % INCLUSION_LEVELS.length];
+            const applied = { full: 0, outline: 0, path: 0 };
+            for (const file of files) {
+                const level = next === 'outline' && !canOutline(file) ? 'path' : next;
+                applied[level]++;
+                if (level === 'full') {
+                    delete levels[file];
+                } else {
+                    levels[file] = level;
                 }
-                this.gitignorePatterns = [];
+                const counts = await this.counter.countFile(file, level);
+                this.choiceOf(file).tokens = counts.tokens;
+                this.stats.update(file, counts);
             }
+            const folder = row.type === 'package' ? row.name : `${row.path}/`;
+            const what = row.type !== 'file' ? `${files.length} file(s) of ${folder}` : row.path;
+            // The levels actually applied: files that cannot be outlined went to path only
+            const labels = { full: 'in full', outline: 'outlined', path: 'path only' };
+            const summary = Object.keys(applied).filter(level => applied[level] > 0)
+                .map(level => row.type !== 'file' ? `${applied[level]} ${labels[level]}` : labels[level]);
+            this.notice = `${what}: ${summary.join(', ')}${next === 'outline' && applied.path > 0 ? ' (cannot be outlined)' : ''}`;
         }
 
-        isPathIgnored(filePath) {
-            return this.gitignorePatterns.some(pattern => {
-                const regexPattern = new RegExp('^' + pattern.replace(/\./g, '\\.').replace(/\*/g, '.*') + '$');
-                return regexPattern.test(filePath);
-            });
+        // Deselects files by priority until the selection fits the token budget
+        async trimSelection() {
+            const enabled = this.choices.filter(c => c.enabled).map(c => c.name);
+            const { files } = await this.counter.countFiles(enabled, levels);
+            const { removed } = trimToBudget(enabled, files, this.budget, this.priority);
+            removed.forEach(file => this.setEnabled(this.choiceOf(file), false));
+        }
+
+        // Rows shown per column: the whole height, or less if the rows fit
+        getListHeight() {
+            return Math.max(1, Math.min(this.visibleRows, Math.ceil(this.rows.length / this.activeColumns)));
+        }
+
+        renderRow(row, width, isActive) {
+            const indent = '  '.repeat(row.depth);
+            let text;
+            if (row.type === 'dir') {
+                const selected = this.stats.countIn(row.path);
+                const indicator = selected === 0 ? '[ ]' : chalk.green(selected === row.total ? '[x]' : '[-]');
+                const label = chalk.bold(`${row.collapsed ? '▸' : '▾'} ${row.name}/`);
+                text = `${indent}${indicator} ${label} ${chalk.gray(`${selected}/${row.total}`)}`;
+            } else if (row.type === 'package') {
+                // A package shows its folder and the workspace packages it depends on
+                const { package: pkg, files } = row.group;
+                const selected = files.filter(file => this.choiceOf(file).enabled).length;
+                const indicator = selected === 0 ? '[ ]' : chalk.green(selected === row.total ? '[x]' : '[-]');
+                const color = pkg ? getPathColor(files[0], config, workspace) : chalk.white;
+                const folder = pkg ? chalk.gray(` ${pkg.dir}/`) : '';
+                const dependencies = pkg && pkg.dependencies.length > 0 ? chalk.gray(` -> ${pkg.dependencies.join(', ')}`) : '';
+                text = `${indicator} ${chalk.bold(color(`${row.collapsed ? '▸' : '▾'} ${row.name}`))}${folder} ${chalk.gray(`${selected}/${row.total}`)}${dependencies}`;
+            } else {
+                const choice = this.choiceOf(row.path);
+                const indicator = choice.enabled ?
+                    (this.isPathIgnored(choice.name) ? chalk.red('[x]') : chalk.green('[x]')) :
+                    '[ ]';
+                const name = this.viewMode === 'list' ? row.path : row.name;
+                text = `${indent}${indicator} ${formatLabel(choice, name, this.positions.get(row.path))}`;
+            }
+            text = truncateAnsi(text, width);
+            const display = isActive ? chalk.bgWhite.black(text) : text;
+            return display + ' '.repeat(Math.max(0, width - stripAnsi(display).length));
         }
 
         async render() {
             this.updateTerminalDimensions();
             const innerWidth = this.terminalWidth - 2;
-            const headerHeight = 2;
 
             process.stdout.write('\x1B[2J\x1B[H');
 
             const topBorder = cliBoxes.round.topLeft + cliBoxes.round.top.repeat(innerWidth) + cliBoxes.round.topRight;
             const bottomBorder = cliBoxes.round.bottomLeft + cliBoxes.round.bottom.repeat(innerWidth) + cliBoxes.round.bottomRight;
             const sideBorder = cliBoxes.round.right;
+            const padLine = (line) => sideBorder + ' ' + line + ' '.repeat(Math.max(0, innerWidth - 2 - stripAnsi(line).length)) + ' ' + sideBorder;
 
             let output = [topBorder];
 
-            const header = chalk.bold('Select files to minify (Use "Space" to select; "a" to select all; "right/left" arrows to switch columns; "Enter" to confirm):');
-            const stats = chalk.blue(`Total characters in selected files: ${this.totalCharacters} ; selected files: ${this.selectedFilesCount}`);
-            const gitignoreWarning = this.selectedFilesGitignore ? chalk.yellow　　　　　(` ; Attention file selected from .gitignore: ${this.selectedFilesGitignore}`) : '';
-            const fullStats = stats + gitignoreWarning;
-
-            const padHeader = sideBorder + ' ' + header + ' '.repeat(Math.max(0, innerWidth - 2 - stripAnsi(header).length)) + ' ' + sideBorder;
-            const padStats = sideBorder + ' ' + fullStats + ' '.repeat(Math.max(0, innerWidth - 2 - stripAnsi(fullStats).length)) + ' ' + sideBorder;
-
-            output.push(padHeader);
-            output.push(padStats);
-
-            const itemsPerColumn = Math.ceil(this.choices.length / this.activeColumns);
-            const columns = Array(this.activeColumns).fill().map((_, i) =>
-                this.choices.slice(i * itemsPerColumn, (i + 1) * itemsPerColumn)
-            );
-            const columnWidths = Array(this.activeColumns).fill(Math.floor(innerWidth / this.activeColumns) - 2);
-
-            // Определяем максимальную высоту колонок
-            const maxColumnHeight = Math.max(...columns.map(col => col.length));
-            const listHeight = Math.min(maxColumnHeight, this.visibleRows);
+            const trimHint = this.budget ? ' "t" trim to the token budget;' : '';
+            const viewHint = workspace ? '"v" list/tree/package view; "p" package + its workspace dependencies;' : '"v" tree/list view;';
+            const header = chalk.bold(truncateAnsi(`Select files to minify ("Space" to select, a folder selects its files; "/" filter; ${viewHint} "a" all text files; "e" same extension; "i" invert; "d"/"r" add imported/importing files; "o" full/outline/path only;${trimHint} arrows, PgUp/PgDn, Home/End to move; "Enter" to confirm):`, innerWidth - 2));
+            let stats = chalk.blue(`Total characters in selected files: ${this.stats.characters} ; tokens: ~${formatTokenCount(this.stats.tokens)} (${this.counter.model}) ; selected files: ${this.stats.count}`);
+            if (this.budget) {
+                const budgetText = ` ; budget: ~${formatTokenCount(this.stats.tokens)} / ${formatTokenCount(this.budget)}`;
+                stats += this.stats.tokens > this.budget ? chalk.red(`${budgetText} (over budget)`) : chalk.green(budgetText);
+            }
+            const selectedFilesGitignore = this.stats.lastIgnored;
+            const gitignoreWarning = selectedFilesGitignore ? chalk.yellow(` ; Attention file selected from .gitignore: ${selectedFilesGitignore}`) : '';
+            const fullStats = truncateAnsi(stats + gitignoreWarning, innerWidth - 2);
 
-            const currentColumnChoices = columns[this.currentColumn];
-            const maxRows = currentColumnChoices.length;
+            const listHeight = this.getListHeight();
+            const pageSize = listHeight * this.activeColumns;
+            if (this.activeColumns === 1) {
+                // One column scrolls with the cursor
+                if (this.cursor < this.visibleStart) {
+                    this.visibleStart = this.cursor;
+                } else if (this.cursor >= this.visibleStart + listHeight) {
+                    this.visibleStart = this.cursor - listHeight + 1;
+                }
+                this.visibleStart = Math.max(0, Math.min(this.visibleStart, this.rows.length - listHeight));
+            } else {
+                // Several columns show whole pages, filled column by column
+                this.visibleStart = Math.floor(this.cursor / pageSize) * pageSize;
+            }
 
-            if (this.state.index >= this.choices.length) {
-                this.state.index = this.choices.length - 1;
+            // View, filter, position and the result of the last action
+            const status = [`View: ${this.viewMode}`];
+            if (this.filtering) {
+                status.push(chalk.cyan(`Filter: /${this.query}█ ("Enter" to apply, "Esc" to clear)`));
+            } else if (this.query) {
+                status.push(chalk.cyan(`Filter: ${this.query} ("/" to edit, "Esc" to clear)`));
             }
-            const localIndex = this.state.index % itemsPerColumn;
-            if (localIndex < this.visibleStart) {
-                this.visibleStart = localIndex;
-            } else if (localIndex >= this.visibleStart + listHeight) {
-                this.visibleStart = localIndex - listHeight + 1;
+            if (this.query) status.push(`${this.listed.length} match(es)`);
+            if (this.rows.length > pageSize) {
+                const last = Math.min(this.rows.length, this.visibleStart + pageSize);
+                status.push(`rows ${this.visibleStart + 1}-${last} of ${this.rows.length}`);
             }
-            this.visibleStart = Math.max(0, Math.min(this.visibleStart, maxRows - listHeight));
+            if (this.notice) status.push(chalk.cyan(this.notice));
 
-            for (let i = 0; i < listHeight; i++) {
-                const rowIndex = this.visibleStart + i;
+            output.push(padLine(header));
+            output.push(padLine(fullStats));
+            output.push(padLine(truncateAnsi(status.join(' ; '), innerWidth - 2)));
+
+            const columnWidth = Math.floor(innerWidth / this.activeColumns) - 2;
+            if (this.rows.length === 0) {
+                output.push(padLine(chalk.yellow(this.query ? 'No files match the filter' : 'No files')));
+            }
+            for (let i = 0; i < listHeight && this.rows.length > 0; i++) {
                 let row = sideBorder + ' ';
-                
                 for (let col = 0; col < this.activeColumns; col++) {
-                    const columnChoices = columns[col];
-                    const choice = columnChoices[rowIndex] || { message: '', enabled: false, name: '' };
-                    const indicator = choice.enabled ? 
-                        (this.isPathIgnored(choice.name) ? chalk.red('[x]') : chalk.green('[x]')) : 
-                        '[ ]';
-                    
-                    const colIndex = col * itemsPerColumn + rowIndex;
-                    const isActive = col === this.currentColumn && 
-                                   colIndex === this.state.index;
-                    const text = `${indicator} ${choice.message || ''}`.slice(0, columnWidths[col]);
-                    const display = isActive ? chalk.bgWhite.black(text) : text;
-                    
-                    row += display + ' '.repeat(Math.max(0, columnWidths[col] - stripAnsi(display).length));
+                    const index = this.visibleStart + col * listHeight + i;
+                    const item = this.activeColumns === 1 || index < this.visibleStart + pageSize ? this.rows[index] : null;
+                    row += item ? this.renderRow(item, columnWidth, index === this.cursor) : ' '.repeat(columnWidth);
                     if (col < this.activeColumns - 1) row += '  ';
                 }
-                
-                row += ' ' + sideBorder;
+                row += ' '.repeat(Math.max(0, innerWidth + 1 - stripAnsi(row).length)) + sideBorder;
                 output.push(row);
             }
 
-            // Добавляем нижнюю границу сразу после последней строки колонок
             output.push(bottomBorder);
 
             this.write(output.join('\n'));
         }
 
+        // Typing a filter: printable keys edit it, "Enter" applies it, "Esc" clears it; returns true if the key was used
+        editFilter(input, key) {
+            if (key.name === 'return') {
+                this.filtering = false;
+            } else if (key.name === 'escape') {
+                this.filtering = false;
+                this.query = '';
+            } else if (key.name === 'backspace') {
+                this.query = this.query.slice(0, -1);
+            } else if (input && input.length === 1 && input >= ' ' && !key.ctrl && !key.meta) {
+                this.query += input;
+            } else {
+                return false;
+            }
+            this.refreshView();
+            return true;
+        }
+
+        // Moves the cursor; returns true if the key was a navigation key
+        moveCursor(key) {
+            const last = this.rows.length - 1;
+            const listHeight = this.getListHeight();
+            const pageSize = this.activeColumns === 1 ? listHeight : listHeight * this.activeColumns;
+            switch (key.name) {
+                case 'down':
+                    this.cursor = Math.min(this.cursor + 1, last);
+                    return true;
+                case 'up':
+                    this.cursor = Math.max(this.cursor - 1, 0);
+                    return true;
+                case 'pagedown':
+                    this.cursor = Math.min(this.cursor + pageSize, last);
+                    return true;
+                case 'pageup':
+                    this.cursor = Math.max(this.cursor - pageSize, 0);
+                    return true;
+                case 'home':
+                    this.cursor = 0;
+                    return true;
+                case 'end':
+                    this.cursor = Math.max(last, 0);
+                    return true;
+                case 'right':
+                case 'left':
+                    if (this.viewMode !== 'list') {
+                        this.moveInTree(key.name);
+                    } else {
+                        // Next/previous column
+                        const step = key.name === 'right' ? listHeight : -listHeight;
+                        const target = this.cursor + step;
+                        if (target >= 0 && target <= last) this.cursor = target;
+                    }
+                    return true;
+                default:
+                    return false;
+            }
+        }
+
         async keypress(input, key) {
-            const itemsPerColumn = Math.ceil(this.choices.length / this.activeColumns);
-            const listHeight = Math.max(1, this.terminalHeight - 4);
-            const currentColumnStart = this.currentColumn * itemsPerColumn;
-            const currentRow = this.state.index % itemsPerColumn;
-
-            if (key.name === 'down') {
-                if (this.state.index < currentColumnStart + itemsPerColumn - 1 && 
-                    this.state.index < this.choices.length - 1) {
-                    this.state.index++;
-                }
+            if (this.filtering && this.editFilter(input, key)) {
                 await this.render();
                 return;
-            } else if (key.name === 'up') {
-                if (this.state.index > currentColumnStart) {
-                    this.state.index--;
-                }
+            }
+            if (this.moveCursor(key)) {
                 await this.render();
                 return;
-            } else if (key.name === 'right') {
-                if (this.currentColumn < this.activeColumns - 1) {
-                    this.currentColumn++;
-                    const newColumnStart = this.currentColumn * itemsPerColumn;
-                    this.state.index = Math.min(
-                        newColumnStart + currentRow,
-                        this.choices.length - 1
-                    );
-                    await this.render();
-                }
-                return;
-            } else if (key.name === 'left') {
-                if (this.currentColumn > 0) {
-                    this.currentColumn--;
-                    const newColumnStart = this.currentColumn * itemsPerColumn;
-                    this.state.index = Math.min(
-                        newColumnStart + currentRow,
-                        this.choices.length - 1
-                    );
-                    await this.render();
-                }
-                return;
-            } else if (key.name === 'space') {
-                const choice = this.choices[this.state.index];
-                if (choice) {
-                    choice.enabled = !choice.enabled;
-                    this.totalCharacters = 0;
-                    this.selectedFilesCount = this.choices.filter(c => c.enabled).length;
-                    this.selectedFilesGitignore = '';
-                    for (const c of this.choices) {
-                        if (c.enabled) {
-                            if (this.isPathIgnored(c.name)) {
-                                this.selectedFilesGitignore = c.name;
-                            }
-                            try {
-                                const content = await fs.readFile(c.name, 'utf-8');
-                                this.totalCharacters += content.length;
-                            } catch (err) {
-                                console.error(chalk.red(`Error reading file: ${c.name}`), err);
-                            }
-                        }
-                    }
-                    await this.render();
+            }
+            const row = this.rows[this.cursor];
+            if (key.name === 'space') {
+                if (row && row.type !== 'file') {
+                    this.toggleFiles(row.files);
+                } else if (row) {
+                    const choice = this.choiceOf(row.path);
+                    this.setEnabled(choice, !choice.enabled);
                 }
-                return;
+            } else if (input === '/') {
+                this.filtering = true;
+            } else if (key.name === 'escape' && this.query) {
+                this.query = '';
+                this.refreshView();
+            } else if (input === 'v') {
+                this.toggleView();
             } else if (input === 'a') {
-                const allSelected = this.choices.every(choice => choice.enabled);
-                this.choices.forEach(choice => (choice.enabled = !allSelected));
-                this.totalCharacters = 0;
-                this.selectedFilesCount = this.choices.filter(c => c.enabled).length;
-                this.selectedFilesGitignore = '';
-                for (const c of this.choices) {
-                    if (c.enabled) {
-                        if (this.isPathIgnored(c.name)) {
-                            this.selectedFilesGitignore = c.name;
-                        }
-                        try {
-                            const content = await fs.readFile(c.name, 'utf-8');
-                            this.totalCharacters += content.length;
-                        } catch (err) {
-                            console.error(chalk.red(`Error reading file: ${c.name}`), err);
-                        }
-                    }
-                }
-                await this.render();
+                // Binary, huge and generated files can only be selected one by one
+                this.toggleFiles(this.listed);
+            } else if (input === 'e') {
+                this.toggleExtension();
+            } else if (input === 'i') {
+                this.invertSelection();
+            } else if (input === 'd' || input === 'r') {
+                await this.addRelated(input === 'd' ? 'dependencies' : 'dependents');
+            } else if (input === 'p' && workspace) {
+                this.selectPackage();
+            } else if (input === 'o') {
+                await this.cycleLevel();
+            } else if (input === 't' && this.budget) {
+                await this.trimSelection();
+            } else {
+                await super.keypress(input, key);
                 return;
             }
-
-            await super.keypress(input, key);
+            await this.render();
         }
     }
 
@@ -405,6 +1548,11 @@ async function interactiveSelect(filePaths) {
         message: chalk.bold('Select files to minify:'),
         choices: choices,
         multiple: true,
+        initial: selected.filter(file => filePaths.includes(file)),
+        // Stats of the preselected files, before the first full render
+        async onRun() {
+            await this.updateStats();
+        },
         async indicator(state, choice) {
             return choice.enabled ? (this.isPathIgnored(choice.name) ? chalk.red('[x]') : chalk.green('[x]')) : '[ ]';
         },
@@ -414,8 +1562,9 @@ async function interactiveSelect(filePaths) {
     });
 
     const selectedFiles = await selectPrompt.run();
+    reportAddedFiles((selectedFiles || []).filter(file => pulled.has(file)).map(file => ({ path: file, reason: pulled.get(file) })));
 
-    if (selectedFiles && selectedFiles.length > 0) {
+    if (askToSave && selectedFiles && selectedFiles.length > 0) {
         const confirmSave = new Confirm({
             name: 'saveSelection',
             message: chalk.bold('Do you want to save this selection?'),
@@ -424,27 +1573,63 @@ async function interactiveSelect(filePaths) {
 
         const shouldSave = await confirmSave.run();
         if (shouldSave) {
-            await saveSelectionToFile(selectedFiles);
+            await saveSelectionToFile(selectedFiles, config, levels, workspace);
         }
     }
 
     return selectedFiles;
 }
 
-async function saveSelectionToFile(selectedFiles) {
-    const saveNamePrompt = new Input({
-        name: 'saveName',
-        message: chalk.bold('Enter save name:'),
-        validate: (value) => value.length > 0,
-    });
+/**
+ * Saves a selection under a name with a description, the inclusion levels of its files and the current output settings.
+ * An existing save of the same name is replaced after confirmation (its creation date is kept).
+ * A selection of one workspace package (with or without its workspace dependencies) is saved as a selection of that package.
+ */
+async function saveSelectionToFile(selectedFiles, config = DEFAULT_CONFIG, levels = {}, workspace = null) {
+    const { savesDir } = getDirs(config);
+    const answers = await prompt([
+        { type: 'input', name: 'saveName', message: chalk.bold('Enter save name:'), validate: (value) => value.trim().length > 0 && !/[\\/]/.test(value) },
+        { type: 'input', name: 'description', message: chalk.bold('Description (optional):') },
+    ]);
+    const saveName = answers.saveName.trim().replace(/\.json$/i, '');
 
-    const saveName = await saveNamePrompt.run();
-    const savePath = path.join(SAVES_DIR, `${saveName}.json`);
-    await fs.writeJson(savePath, selectedFiles);
+    let createdAt = null;
+    if ((await listSaves(savesDir)).includes(saveName)) {
+        const confirmReplace = new Confirm({
+            name: 'replace',
+            message: chalk.bold(`A save named "${saveName}" exists. Replace it?`),
+            initial: false,
+        });
+        if (!(await confirmReplace.run())) {
+            console.log(chalk.gray('Selection not saved.'));
+            return null;
+        }
+        createdAt = (await loadSaveFile(savesDir, saveName).catch(() => ({}))).createdAt;
+    }
+
+    const { format, includeStructure, template } = getOutputOptions(config);
+    const owner = workspace ? findSelectionPackage(workspace, selectedFiles) : null;
+    const savePath = await writeSaveFile(savesDir, saveName, {
+        description: answers.description.trim(),
+        createdAt,
+        files: selectedFiles,
+        output: { format, includeStructure, template },
+        levels: pickLevels(levels, selectedFiles),
+        package: owner ? owner.name : null
+    });
     console.log(chalk.green(`Selection saved to ${savePath}`));
+    return saveName;
 }
 
+/**
+ * Lists the file paths of a project structure. Accepts both structure modes:
+ * compact (a file is its relative path) and rich (a file is { type: "file", path, ... },
+ * a directory is { type: "directory", ..., children }).
+ */
 function getFilePaths(structure, base = '') {
+    if (structure.type === 'directory' && structure.children && typeof structure.children === 'object') {
+        return getFilePaths(structure.children, base);
+    }
     let files = [];
     let directories = [];
     for (const key in structure) {
@@ -452,6 +1637,8 @@ function getFilePaths(structure, base = '') {
         const currentPath = base ? `${base}/${key}` : key;
         if (typeof value === 'string') {
             files.push(value);
+        } else if (value.type === 'file' && typeof value.path === 'string') {
+            files.push(value.path);
         } else {
             directories = directories.concat(getFilePaths(value, currentPath));
         }
@@ -459,17 +1646,22 @@ function getFilePaths(structure, base = '') {
     return files.concat(directories);
 }
 
-async function readFiles(filePaths) {
-    const code = {};
-    for (const filePath of filePaths) {
-        try {
-            const fileContent = await fs.readFile(filePath, 'utf-8');
-            code[filePath] = fileContent;
-        } catch (error) {
-            console.error(chalk.red(`Error reading file: ${filePath}`), error);
+/**
+ * Reads the selected files for the bundle. Binary, huge and generated files are replaced by a placeholder
+ * or skipped according to the content settings of the config; the omitted files are listed.
+ * Returns the result of readSelection: { code, placeholders, omitted, errors }.
+ */
+async function readFiles(filePaths, config = DEFAULT_CONFIG) {
+    const selection = await readSelection(filePaths, getContentOptions(config));
+    selection.errors.forEach(({ filePath, error }) => console.error(chalk.red(`Error reading file: ${filePath}`), error));
+    if (selection.omitted.length > 0) {
+        console.log(chalk.yellow(`${selection.omitted.length} file(s) not bundled as text:`));
+        for (const file of selection.omitted) {
+            const reason = file.reason ? `, ${file.reason}` : '';
+            console.log(chalk.gray(`  ${file.path}: ${file.kind} ${formatSize(file.size)}${reason} (${file.skipped ? 'skipped' : 'placeholder'})`));
         }
     }
-    return code;
+    return selection;
 }
 
-export { minifyCode, interactiveSelect, minifyAndSave, getFilePaths, saveSelectionToFile };
\ No newline at end of file
+export { minifyCode, interactiveSelect, minifyAndSave, addImportedFiles, getFilePaths, saveSelectionToFile, calculateTotalCharacters, reportTotals, reportSelection, readSave };
\ No newline at end of file
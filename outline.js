@@ -0,0 +1,308 @@
+import path from 'path';
+import { parse } from '@babel/parser';
+
+// How much of a file goes into the bundle: everything, its outline, or only its path
+const INCLUSION_LEVELS = ['full', 'outline', 'path'];
+
+// Files that can be outlined (other files stay in full at the outline level)
+const OUTLINE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.mts', '.cts', '.tsx'];
+
+// First line of an outline and contents of a path-only file, in the style of the other placeholders
+const OUTLINE_HEADER = '[outline: bodies elided]';
+const PATH_ONLY_PLACEHOLDER = '[path only: contents omitted]';
+
+// Initializers up to this length (on one line) are kept, e.g. `const PORT = 3000`; longer ones are elided
+const MAX_VALUE_LENGTH = 80;
+
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'];
+const CLASS_TYPES = ['ClassDeclaration', 'ClassExpression'];
+
+// Statements kept as they are: imports, re-exports and type declarations
+const KEPT_TYPES = [
+    'ImportDeclaration', 'ExportAllDeclaration', 'TSImportEqualsDeclaration', 'TSExportAssignment',
+    'TSNamespaceExportDeclaration', 'TSInterfaceDeclaration', 'TSTypeAliasDeclaration', 'TSEnumDeclaration',
+    'TSDeclareFunction'
+];
+
+/**
+ * Returns true if the file can be outlined (JavaScript or TypeScript).
+ */
+function canOutline(filePath) {
+    return OUTLINE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Returns the parser plugins for a file: TypeScript for .ts files, JSX for .js and .tsx files.
+ */
+function getParserPlugins(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    if (extension === '.tsx') return ['typescript', 'jsx', 'decorators-legacy'];
+    if (['.ts', '.mts', '.cts'].includes(extension)) return ['typescript', 'decorators-legacy'];
+    return ['jsx', 'decorators-legacy'];
+}
+
+/**
+ * Builds the outline of a parsed module from its syntax tree, slicing the signatures out of the source.
+ */
+class Outliner {
+    constructor(source) {
+        this.source = source;
+    }
+
+    slice(start, end) {
+        return this.source.slice(start, end);
+    }
+
+    text(node) {
+        return this.slice(node.start, node.end);
+    }
+
+    /**
+     * Returns where a node starts, including its parentheses, e.g. `({ ... })` in `() => ({ ... })`.
+     */
+    startOf(node) {
+        return node.extra && node.extra.parenthesized ? node.extra.parenStart : node.start;
+    }
+
+    /**
+     * Prefixes an outlined node with its JSDoc comment (the last one right before it), indented.
+     */
+    withDoc(node, outline, indent) {
+        const docs = (node.leadingComments || []).filter(comment => comment.type === 'CommentBlock' && comment.value.startsWith('*'));
+        const doc = docs.length > 0 ? `${this.text(docs[docs.length - 1])}\n${indent}` : '';
+        return `${indent}${doc}${outline}`;
+    }
+
+    /**
+     * Outlines the top-level statements of a module (or namespace); other statements (calls, loops, ...) are left out.
+     */
+    statements(nodes, indent = '') {
+        const lines = [];
+        for (const node of nodes) {
+            const outline = this.statement(node, indent);
+            if (outline !== null) lines.push(this.withDoc(node, outline, indent));
+        }
+        return lines;
+    }
+
+    statement(node, indent) {
+        if (KEPT_TYPES.includes(node.type)) return this.text(node);
+        switch (node.type) {
+            case 'ExportNamedDeclaration':
+                if (!node.declaration) return this.text(node);
+                return this.slice(node.start, node.declaration.start) + this.declaration(node.declaration, indent);
+            case 'ExportDefaultDeclaration': {
+                const prefix = this.slice(node.start, this.startOf(node.declaration));
+                const isDeclaration = [...FUNCTION_TYPES, ...CLASS_TYPES].includes(node.declaration.type) || node.declaration.type.startsWith('TS');
+                return prefix + (isDeclaration ? this.declaration(node.declaration, indent) : `${this.value(node.declaration, indent)};`);
+            }
+            case 'FunctionDeclaration':
+            case 'ClassDeclaration':
+            case 'VariableDeclaration':
+            case 'TSModuleDeclaration':
+                return this.declaration(node, indent);
+            case 'ExpressionStatement': {
+                // CommonJS exports: module.exports = ..., exports.name = ...
+                const { expression } = node;
+                if (expression.type !== 'AssignmentExpression' || expression.left.type !== 'MemberExpression') return null;
+                const target = this.text(expression.left);
+                if (!/^(module\.exports|exports)\b/.test(target)) return null;
+                return `${target} = ${this.value(expression.right, indent)};`;
+            }
+            default:
+                return null;
+        }
+    }
+
+    declaration(node, indent) {
+        if (FUNCTION_TYPES.includes(node.type)) return this.func(node);
+        if (CLASS_TYPES.includes(node.type)) return this.classBody(node, indent);
+        if (node.type === 'VariableDeclaration') {
+            const declarators = node.declarations.map(declarator => {
+                const id = this.text(declarator.id);
+                return declarator.init ? `${id} = ${this.value(declarator.init, indent)}` : id;
+            });
+            return `${this.slice(node.start, node.declarations[0].start)}${declarators.join(', ')};`;
+        }
+        if (node.type === 'TSModuleDeclaration' && node.body && node.body.type === 'TSModuleBlock') {
+            const members = this.statements(node.body.body, `${indent}    `);
+            return `${this.slice(node.start, node.body.start)}{${members.length > 0 ? `\n${members.join('\n')}\n${indent}` : ''}}`;
+        }
+        return this.text(node);
+    }
+
+    /**
+     * Returns the signature of a function with its body elided.
+     */
+    func(node) {
+        if (!node.body) return this.text(node);
+        const signature = this.slice(node.start, this.startOf(node.body));
+        return signature + (node.body.type === 'BlockStatement' ? '{ ... }' : '...');
+    }
+
+    classBody(node, indent) {
+        const inner = `${indent}    `;
+        const members = [];
+        for (const member of node.body.body) {
+            const outline = this.member(member, inner);
+            if (outline !== null) members.push(this.withDoc(member, outline, inner));
+        }
+        return `${this.slice(node.start, node.body.start)}{${members.length > 0 ? `\n${members.join('\n')}\n${indent}` : ''}}`;
+    }
+
+    member(node, indent) {
+        switch (node.type) {
+            case 'ClassMethod':
+            case 'ClassPrivateMethod':
+            case 'ObjectMethod':
+                return this.func(node);
+            case 'ClassProperty':
+            case 'ClassPrivateProperty':
+            case 'ClassAccessorProperty': {
+                if (!node.value) return this.text(node);
+                const end = this.text(node).endsWith(';') ? ';' : '';
+                return `${this.slice(node.start, this.startOf(node.value))}${this.value(node.value, indent)}${end}`;
+            }
+            case 'ObjectProperty':
+                if (node.shorthand) return this.text(node);
+                return `${this.slice(node.start, this.startOf(node.value))}${this.value(node.value, indent)}`;
+            case 'StaticBlock':
+                return 'static { ... }';
+            default:
+                return this.text(node);
+        }
+    }
+
+    /**
+     * Outlines a value: functions and classes keep their signatures, objects with methods their members,
+     * short values stay as they are and long ones are elided.
+     */
+    value(node, indent) {
+        if (FUNCTION_TYPES.includes(node.type)) return this.func(node);
+        if (CLASS_TYPES.includes(node.type)) return this.classBody(node, indent);
+        if (node.type === 'ObjectExpression' && node.properties.some(property => property.type === 'ObjectMethod'
+            || (property.type === 'ObjectProperty' && [...FUNCTION_TYPES, ...CLASS_TYPES].includes(property.value.type)))) {
+            const inner = `${indent}    `;
+            const members = node.properties.map(property => this.withDoc(property, this.member(property, inner), inner));
+            return `{\n${members.join(',\n')}\n${indent}}`;
+        }
+        const end = node.extra && node.extra.parenthesized ? this.source.indexOf(')', node.end) + 1 : node.end;
+        const text = this.slice(this.startOf(node), end);
+        if (text.length <= MAX_VALUE_LENGTH && !text.includes('\n')) return text;
+        if (node.type === 'ObjectExpression') return '{ ... }';
+        if (node.type === 'ArrayExpression') return '[ ... ]';
+        return '...';
+    }
+}
+
+/**
+ * Outlines a JavaScript or TypeScript module: imports, exports, function/class/method signatures, types
+ * and interfaces, and top-level constants, with function bodies and long values elided as `{ ... }` / `...`.
+ * JSDoc comments of the outlined declarations are kept.
+ *
+ * @param {string} source - Module source
+ * @param {string} filePath - File path (the extension chooses the TypeScript and JSX syntax)
+ * @returns {string} - The outline, starting with an "[outline: ...]" line
+ * @throws {SyntaxError} - If the module does not parse
+ */
+function outlineCode(source, filePath) {
+    const ast = parse(source, {
+        sourceType: 'unambiguous',
+        plugins: getParserPlugins(filePath),
+        allowReturnOutsideFunction: true,
+        allowImportExportEverywhere: true,
+        allowUndeclaredExports: true,
+        // Checks that are not about the syntax (e.g. duplicate declarations) do not stop the outline
+        errorRecovery: true
+    });
+    const lines = new Outliner(source).statements(ast.program.body);
+    return [OUTLINE_HEADER, ...lines].join('\n');
+}
+
+/**
+ * Returns the inclusion level of a file ("full" unless `levels` says otherwise).
+ *
+ * @param {object} levels - File path -> "full", "outline" or "path"
+ * @param {string} filePath - File path
+ */
+function getLevel(levels, filePath) {
+    const level = levels && levels[filePath];
+    return INCLUSION_LEVELS.includes(level) ? level : 'full';
+}
+
+/**
+ * Returns the levels of the given files that are not "full", e.g. to store them with a selection.
+ *
+ * @param {object} levels - File path -> "full", "outline" or "path"
+ * @param {string[]} filePaths - Files to keep
+ * @returns {object}
+ */
+function pickLevels(levels, filePaths) {
+    const picked = {};
+    for (const filePath of filePaths) {
+        const level = getLevel(levels, filePath);
+        if (level !== 'full') picked[filePath] = level;
+    }
+    return picked;
+}
+
+/**
+ * Returns what goes into the bundle for a file at an inclusion level. Files that cannot be outlined
+ * (other languages, syntax errors) stay in full.
+ *
+ * @param {string} content - File contents
+ * @param {string} filePath - File path
+ * @param {string} level - "full", "outline" or "path"
+ * @returns {{text: string, level: string, error?: Error}} - The text and the level actually applied;
+ *   `error` is the parse error of a file that could not be outlined
+ */
+function applyLevel(content, filePath, level = 'full') {
+    if (level === 'path') return { text: PATH_ONLY_PLACEHOLDER, level };
+    if (level !== 'outline' || !canOutline(filePath)) return { text: content, level: 'full' };
+    try {
+        return { text: outlineCode(content, filePath), level };
+    } catch (error) {
+        return { text: content, level: 'full', error };
+    }
+}
+
+/**
+ * Applies the inclusion levels to the contents read for a bundle: outlined files are replaced by their outline
+ * and path-only files move to the placeholders.
+ *
+ * @param {object} code - Bundled contents (path -> text)
+ * @param {object} levels - File path -> "full", "outline" or "path"
+ * @returns {{code: object, placeholders: object, outlined: string[], failed: {filePath: string, error: Error}[]}} -
+ *   `failed` lists the files that stayed in full because they did not parse
+ */
+function applyLevels(code, levels = {}) {
+    const result = {};
+    const placeholders = {};
+    const outlined = [];
+    const failed = [];
+    for (const [filePath, content] of Object.entries(code)) {
+        const level = getLevel(levels, filePath);
+        const { text, level: applied, error } = applyLevel(content, filePath, level);
+        if (error) failed.push({ filePath, error });
+        if (applied === 'path') {
+            placeholders[filePath] = text;
+            continue;
+        }
+        if (applied === 'outline') outlined.push(filePath);
+        result[filePath] = text;
+    }
+    return { code: result, placeholders, outlined, failed };
+}
+
+export {
+    INCLUSION_LEVELS,
+    OUTLINE_EXTENSIONS,
+    OUTLINE_HEADER,
+    PATH_ONLY_PLACEHOLDER,
+    canOutline,
+    outlineCode,
+    getLevel,
+    pickLevels,
+    applyLevel,
+    applyLevels
+};
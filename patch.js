@@ -0,0 +1,512 @@
+// Formats `apply-code` reads: the output formats of the bundle, and unified diffs
+const BUNDLE_FORMATS = ['json', 'markdown', 'xml', 'txt', 'diff'];
+
+// Sections of a bundle that are not files
+const NON_FILE_SECTIONS = /^(Project structure|Part \d+ of \d+|Changes since .+)$/;
+
+// Edit distance above which the preview diff gives up on aligning lines and replaces the changed block as a whole
+const MAX_EDIT_DISTANCE = 4000;
+
+/**
+ * Removes a code fence around the whole text (chats often wrap the returned bundle in one).
+ */
+function unwrapFence(text) {
+    const match = text.trim().match(/^(`{3,}|~{3,})[^\n]*\n([\s\S]*)\n\1\s*$/);
+    return match ? `${match[2]}\n` : text;
+}
+
+// Where each format shows first: the earliest match wins, so files of one format quoted inside a bundle of another
+// (e.g. a pom.xml starting with <project> in a Markdown bundle) do not decide
+const FORMAT_MARKERS = {
+    xml: /^<(project|file)[\s>]/m,
+    markdown: /^#{1,6}[ \t]+\S.*\n(?:[ \t]*\n)*[ \t]*(`{3,}|~{3,})/m,
+    diff: /^(diff --git |--- \S.*\n\+\+\+ )/m,
+    txt: /^=== .+ ===$/m
+};
+
+/**
+ * Detects the format of a bundle from its first significant lines.
+ *
+ * @param {string} text - Bundle text
+ * @returns {string} - One of BUNDLE_FORMATS
+ * @throws {Error} - If the text does not look like a bundle
+ */
+function detectFormat(text) {
+    const trimmed = text.trimStart();
+    if (trimmed.startsWith('{')) return 'json';
+    let found = null;
+    for (const [format, marker] of Object.entries(FORMAT_MARKERS)) {
+        const match = marker.exec(trimmed);
+        if (match && (!found || match.index < found.index)) found = { format, index: match.index };
+    }
+    if (!found) throw new Error(`Unrecognized bundle format (expected ${BUNDLE_FORMATS.join(', ')})`);
+    return found.format;
+}
+
+/**
+ * Removes the markup chats put around a path in a heading: backticks, bold and a trailing colon.
+ */
+function cleanPath(value) {
+    return value.trim().replace(/^\*\*(.*)\*\*$/, '$1').replace(/^`(.*)`$/, '$1').replace(/:$/, '').trim();
+}
+
+function parseJsonBundle(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`The bundle is not valid JSON: ${error.message}`);
+    }
+    // Bundles with a structure or of several parts keep the files under "files"
+    const files = data && typeof data.files === 'object' && !Array.isArray(data.files) ? data.files : data;
+    if (!files || typeof files !== 'object' || Array.isArray(files)) {
+        throw new Error('The JSON bundle is not an object of path -> contents');
+    }
+    return Object.entries(files)
+        .filter(([, content]) => typeof content === 'string')
+        .map(([filePath, content]) => ({ path: filePath, content }));
+}
+
+function parseMarkdownBundle(text) {
+    const files = [];
+    const lines = text.split('\n');
+    let i = 0;
+    while (i < lines.length) {
+        const heading = lines[i].match(/^#{1,6}[ \t]+(.+?)[ \t]*#*[ \t]*$/);
+        i++;
+        if (!heading) continue;
+        let next = i;
+        while (next < lines.length && lines[next].trim() === '') next++;
+        const open = next < lines.length && lines[next].match(/^[ \t]*(`{3,}|~{3,})/);
+        if (!open) continue;
+        // The block ends at a fence of the same character that is at least as long
+        const close = new RegExp(`^[ \\t]*${open[1][0] === '`' ? '`' : '~'}{${open[1].length},}[ \\t]*$`);
+        let end = next + 1;
+        while (end < lines.length && !close.test(lines[end])) end++;
+        const name = cleanPath(heading[1]);
+        if (!NON_FILE_SECTIONS.test(name)) {
+            files.push({ path: name, content: lines.slice(next + 1, end).join('\n') });
+        }
+        i = end + 1;
+    }
+    return files;
+}
+
+function unescapeAttribute(value) {
+    return value.replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+/**
+ * Reads the CDATA sections starting at `start` (a `]]>` of the contents is split across two of them).
+ *
+ * @returns {{content: string, end: number}|null} - Their text and the index after them, null if they are not closed
+ */
+function readCdata(text, start) {
+    let content = '';
+    let index = start;
+    while (text.startsWith('<![CDATA[', index)) {
+        const close = text.indexOf(']]>', index + 9);
+        if (close === -1) return null;
+        content += text.slice(index + 9, close);
+        index = close + 3;
+    }
+    return { content, end: index };
+}
+
+/**
+ * Reads the <file> elements of an XML bundle. Their contents are CDATA sections (see formatBundle); contents
+ * written without one, as chats may do, end at the first `</file>`, so an entry whose `</file>` is not followed by
+ * the next element (while more follow), or whose path appears more than once, gets an `error` instead of being
+ * applied cut short.
+ */
+function parseXmlBundle(text) {
+    const files = [];
+    const opening = /<file path="([^"]*)">/g;
+    const cdataStart = /\s*(?=<!\[CDATA\[)/y;
+    const closing = /\s*<\/file>/y;
+    const following = /\s*(<file path="|<\/project>)/y;
+    let match;
+    while ((match = opening.exec(text)) !== null) {
+        const file = { path: unescapeAttribute(match[1]), content: '' };
+        files.push(file);
+        cdataStart.lastIndex = opening.lastIndex;
+        if (cdataStart.test(text)) {
+            const cdata = readCdata(text, cdataStart.lastIndex);
+            if (!cdata) {
+                file.error = 'the CDATA section is not closed';
+                break;
+            }
+            file.content = cdata.content.replace(/^\n/, '').replace(/\n$/, '');
+            closing.lastIndex = cdata.end;
+            if (closing.test(text)) {
+                opening.lastIndex = closing.lastIndex;
+            } else {
+                file.error = 'the <file> element does not end after its CDATA section';
+                opening.lastIndex = cdata.end;
+            }
+            continue;
+        }
+        const start = opening.lastIndex;
+        const close = text.indexOf('</file>', start);
+        const end = close === -1 ? text.length : close;
+        file.content = text.slice(start, end).replace(/^\n/, '').replace(/\n$/, '');
+        if (close === -1) {
+            file.error = 'the <file> element is not closed';
+        } else {
+            // Elements after this one must follow it right away, else the </file> was part of the contents
+            following.lastIndex = close + 7;
+            const more = text.includes('</file>', close + 7) || text.includes('<file path="', close + 7);
+            if (more && !following.test(text)) {
+                file.error = 'the contents hold </file>, so they would be cut short (bundle them as CDATA)';
+            }
+        }
+        opening.lastIndex = end;
+    }
+    const counts = new Map();
+    files.forEach(file => counts.set(file.path, (counts.get(file.path) || 0) + 1));
+    for (const file of files) {
+        if (counts.get(file.path) > 1 && !file.error) file.error = 'the path appears more than once in the bundle';
+    }
+    return files;
+}
+
+function parseTextBundle(text) {
+    const files = [];
+    const sections = text.split(/^=== (.+) ===$/m);
+    // sections: [before the first header, name, body, name, body, ...]
+    for (let i = 1; i < sections.length; i += 2) {
+        const name = sections[i].trim();
+        if (NON_FILE_SECTIONS.test(name)) continue;
+        // The header line ends with a newline, and sections are separated by a blank line
+        files.push({ path: name, content: sections[i + 1].replace(/^\n/, '').replace(/\n\n?$/, '') });
+    }
+    return files;
+}
+
+/**
+ * Strips the a/ and b/ prefixes git puts on the paths of a diff; /dev/null becomes null.
+ */
+function diffPath(value) {
+    const filePath = value.replace(/\t.*$/, '').trim().replace(/^"(.*)"$/, '$1');
+    if (filePath === '/dev/null') return null;
+    return filePath.replace(/^[ab]\//, '');
+}
+
+/**
+ * Parses a unified diff (as written by git diff or diff -u) into one patch per file.
+ *
+ * @param {string} text - Diff text
+ * @returns {object[]} - Patches: { path, oldPath, newPath, hunks: [{ oldStart, oldLines, newStart, newLines, lines }], error }
+ *   where `lines` keep their prefix (" ", "-", "+" or "\" for "No newline at end of file"); `oldPath` is null for new
+ *   files and `newPath` for deleted files; `path` is null for hunks without file headers
+ */
+function parseUnifiedDiff(text) {
+    const patches = [];
+    const lines = text.replace(/\r\n/g, '\n').split('\n');
+    let patch = null;
+    const startPatch = () => {
+        patch = { path: null, oldPath: undefined, newPath: undefined, hunks: [], error: null };
+        patches.push(patch);
+    };
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const git = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+        if (git) {
+            startPatch();
+            patch.oldPath = git[1];
+            patch.newPath = git[2];
+            continue;
+        }
+        if (line.startsWith('--- ') && i + 1 < lines.length && lines[i + 1].startsWith('+++ ')) {
+            // A "---" header after hunks starts the next file of a plain (non-git) diff
+            if (!patch || patch.hunks.length > 0) startPatch();
+            patch.oldPath = diffPath(line.slice(4));
+            patch.newPath = diffPath(lines[i + 1].slice(4));
+            i++;
+            continue;
+        }
+        // Hunks without file headers (e.g. a <path>.diff section) make a patch without a path
+        if (!patch && !line.startsWith('@@ ')) continue;
+        if (!patch) startPatch();
+        if (/^new file mode/.test(line)) patch.oldPath = null;
+        if (/^deleted file mode/.test(line)) patch.newPath = null;
+        if (/^Binary files .* differ$/.test(line) || line === 'GIT binary patch') patch.error = 'binary patches are not supported';
+        const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+        if (!header) continue;
+        const hunk = {
+            oldStart: Number(header[1]),
+            oldLines: header[2] === undefined ? 1 : Number(header[2]),
+            newStart: Number(header[3]),
+            newLines: header[4] === undefined ? 1 : Number(header[4]),
+            lines: []
+        };
+        let oldLeft = hunk.oldLines;
+        let newLeft = hunk.newLines;
+        // The counts of the header say where the hunk ends, an empty line within them being a context line whose
+        // space was trimmed; diffs written by hand or by a chat often have wrong counts, so later change lines count too
+        while (i + 1 < lines.length) {
+            const next = lines[i + 1];
+            const counted = oldLeft > 0 || newLeft > 0;
+            if (next === '' && !counted) break;
+            const kind = next === '' ? ' ' : next[0];
+            const isHeader = next.startsWith('@@ ') || next.startsWith('diff --git ')
+                || (next.startsWith('--- ') && (lines[i + 2] || '').startsWith('+++ '));
+            if (!' -+\\'.includes(kind) || isHeader) break;
+            hunk.lines.push(next === '' ? ' ' : next);
+            if (kind !== '+' && kind !== '\\') oldLeft--;
+            if (kind !== '-' && kind !== '\\') newLeft--;
+            i++;
+        }
+        patch.hunks.push(hunk);
+    }
+    for (const item of patches) {
+        item.path = item.newPath || item.oldPath || null;
+        if (!item.error && item.oldPath && item.newPath && item.oldPath !== item.newPath) {
+            item.error = `renames are not supported (${item.oldPath} -> ${item.newPath})`;
+        }
+        if (!item.error && item.hunks.length === 0 && item.newPath !== null) item.error = 'no hunks';
+    }
+    return patches;
+}
+
+/**
+ * Reads a bundle returned by a chat: files of any output format (JSON, Markdown, XML, plain text),
+ * or a unified diff. Files named `<path>.diff` holding a diff (the --diff bundles) become patches of `<path>`,
+ * unless the bundle also holds `<path>` itself (the diff is then already in its contents).
+ *
+ * @param {string} text - Bundle text
+ * @param {string|null} format - One of BUNDLE_FORMATS, or null to detect it
+ * @returns {{format: string, entries: object[]}} - Entries in bundle order: { path, content } for whole files,
+ *   { path, patch } for diffs (see parseUnifiedDiff); entries that cannot be read safely also have an `error`
+ * @throws {Error} - If the format is unknown or the bundle cannot be read
+ */
+function parseBundle(text, format = null) {
+    text = unwrapFence(text.replace(/^\uFEFF/, '').replace(/\r\n/g, '\n'));
+    const bundleFormat = format || detectFormat(text);
+    if (bundleFormat === 'diff') {
+        const patches = parseUnifiedDiff(text).filter(patch => patch.path);
+        return { format: bundleFormat, entries: patches.map(patch => ({ path: patch.path, patch })) };
+    }
+    const parsers = { json: parseJsonBundle, markdown: parseMarkdownBundle, xml: parseXmlBundle, txt: parseTextBundle };
+    if (!parsers[bundleFormat]) {
+        throw new Error(`Unknown bundle format "${bundleFormat}" (available: ${BUNDLE_FORMATS.join(', ')})`);
+    }
+    const entries = [];
+    for (const file of parsers[bundleFormat](text)) {
+        const patches = !file.error && file.path.endsWith('.diff') && /^@@ /m.test(file.content) ? parseUnifiedDiff(file.content) : [];
+        if (patches.length === 0) {
+            entries.push(file);
+            continue;
+        }
+        // A diff without file headers belongs to the file it is named after
+        patches.forEach(patch => entries.push({ path: patch.path || file.path.slice(0, -5), patch }));
+    }
+    // Bundles made with --diff hold both the file and its diff: the diff is already part of the file
+    const whole = new Set(entries.filter(entry => !entry.patch).map(entry => entry.path));
+    return { format: bundleFormat, entries: entries.filter(entry => !entry.patch || !whole.has(entry.path)) };
+}
+
+/**
+ * Splits a text into lines; a final newline does not make an empty last line.
+ */
+function splitLines(text) {
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+/**
+ * Finds where the old lines of a hunk are in the file, starting at the expected line and moving away from it.
+ * Lines are compared as they are first, then without trailing whitespace.
+ */
+function findHunk(lines, oldLines, expected, from) {
+    const matchesAt = (index, same) => oldLines.every((line, offset) => same(lines[index + offset], line));
+    const exact = (a, b) => a === b;
+    const loose = (a, b) => a !== undefined && a.trimEnd() === b.trimEnd();
+    const last = lines.length - oldLines.length;
+    for (const same of [exact, loose]) {
+        for (let distance = 0; expected - distance >= from || expected + distance <= last; distance++) {
+            if (expected + distance >= from && expected + distance <= last && matchesAt(expected + distance, same)) return expected + distance;
+            if (distance > 0 && expected - distance >= from && expected - distance <= last && matchesAt(expected - distance, same)) return expected - distance;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Applies a patch to the contents of a file. Hunks are located by their context, so line numbers
+ * that are off (as in diffs written by hand or by a chat) still apply.
+ *
+ * @param {string|null} content - Current contents (null if the file does not exist)
+ * @param {object} patch - Patch from parseUnifiedDiff
+ * @returns {string|null} - New contents, or null if the patch deletes the file
+ * @throws {Error} - If a hunk does not match the contents
+ */
+function applyPatch(content, patch) {
+    if (patch.error) throw new Error(patch.error);
+    if (patch.newPath === null) return null;
+    const lines = content === null ? [] : splitLines(content);
+    let finalNewline = content === null || content === '' || content.endsWith('\n');
+    let from = 0;
+    let delta = 0;
+    patch.hunks.forEach((hunk, index) => {
+        const oldLines = [];
+        const newLines = [];
+        let oldNoNewline = false;
+        let newNoNewline = false;
+        hunk.lines.forEach((line, position) => {
+            if (line[0] === '\\') {
+                // "\ No newline at end of file" refers to the line before it
+                const previous = (hunk.lines[position - 1] || ' ')[0];
+                if (previous !== '+') oldNoNewline = true;
+                if (previous !== '-') newNoNewline = true;
+                return;
+            }
+            if (line[0] !== '+') oldLines.push(line.slice(1));
+            if (line[0] !== '-') newLines.push(line.slice(1));
+        });
+        // A hunk that only adds lines is numbered after the line it follows
+        const base = oldLines.length === 0 ? hunk.oldStart : hunk.oldStart - 1;
+        const at = findHunk(lines, oldLines, Math.max(from, Math.min(base + delta, lines.length)), from);
+        if (at === -1) {
+            throw new Error(`hunk ${index + 1} of ${patch.hunks.length} (@@ -${hunk.oldStart},${hunk.oldLines} @@) does not match the file`);
+        }
+        lines.splice(at, oldLines.length, ...newLines);
+        from = at + newLines.length;
+        delta = at + newLines.length - (base + oldLines.length);
+        if (newNoNewline) finalNewline = false;
+        else if (oldNoNewline) finalNewline = true;
+    });
+    if (lines.length === 0) return '';
+    return lines.join('\n') + (finalNewline ? '\n' : '');
+}
+
+/**
+ * Aligns two lists of lines with the Myers algorithm.
+ *
+ * @returns {{type: string, line: string}[]} - Operations: " " (kept), "-" (removed) or "+" (added)
+ */
+function diffLines(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+    const keep = (line) => ({ type: ' ', line });
+    return [
+        ...a.slice(0, start).map(keep),
+        ...myers(a.slice(start, endA), b.slice(start, endB)),
+        ...a.slice(endA).map(keep)
+    ];
+}
+
+function myers(a, b) {
+    const removed = a.map(line => ({ type: '-', line }));
+    const added = b.map(line => ({ type: '+', line }));
+    if (a.length === 0 || b.length === 0) return [...removed, ...added];
+    const max = a.length + b.length;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    // Furthest reaching x of every diagonal after each step, kept for the way back
+    const trace = [];
+    for (let d = 0; d <= Math.min(max, MAX_EDIT_DISTANCE); d++) {
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < a.length && y < b.length && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= a.length && y >= b.length) {
+                trace.push(v.slice(offset - d, offset + d + 1));
+                return backtrack(trace, a, b);
+            }
+        }
+        trace.push(v.slice(offset - d, offset + d + 1));
+    }
+    return [...removed, ...added];
+}
+
+function backtrack(trace, a, b) {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+    for (let d = trace.length - 1; d > 0; d--) {
+        const previous = (k) => trace[d - 1][k + d - 1];
+        const k = x - y;
+        const prevK = k === -d || (k !== d && previous(k - 1) < previous(k + 1)) ? k + 1 : k - 1;
+        const prevX = previous(prevK);
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+            ops.push({ type: ' ', line: a[--x] });
+            y--;
+        }
+        if (x === prevX) {
+            ops.push({ type: '+', line: b[--y] });
+        } else {
+            ops.push({ type: '-', line: a[--x] });
+        }
+    }
+    while (x > 0 && y > 0) {
+        ops.push({ type: ' ', line: a[--x] });
+        y--;
+    }
+    return ops.reverse();
+}
+
+/**
+ * Writes a unified diff between two versions of a file.
+ *
+ * @param {string} filePath - Path shown in the headers
+ * @param {string|null} before - Current contents (null for a new file)
+ * @param {string|null} after - New contents (null for a deleted file)
+ * @param {number} context - Unchanged lines shown around each change
+ * @returns {{diff: string, added: number, removed: number}} - `diff` is empty when the lines are the same
+ */
+function createUnifiedDiff(filePath, before, after, context = 3) {
+    const ops = diffLines(before === null ? [] : splitLines(before), after === null ? [] : splitLines(after));
+    const changes = ops.map((op, index) => op.type === ' ' ? -1 : index).filter(index => index !== -1);
+    if (changes.length === 0) return { diff: '', added: 0, removed: 0 };
+
+    // Line numbers before each operation
+    const oldNumbers = [];
+    const newNumbers = [];
+    let oldLine = 1;
+    let newLine = 1;
+    for (const op of ops) {
+        oldNumbers.push(oldLine);
+        newNumbers.push(newLine);
+        if (op.type !== '+') oldLine++;
+        if (op.type !== '-') newLine++;
+    }
+
+    const output = [`--- ${before === null ? '/dev/null' : `a/${filePath}`}`, `+++ ${after === null ? '/dev/null' : `b/${filePath}`}`];
+    let index = 0;
+    while (index < changes.length) {
+        // Changes closer than twice the context share a hunk
+        let last = index;
+        while (last + 1 < changes.length && changes[last + 1] - changes[last] <= context * 2 + 1) last++;
+        const start = Math.max(0, changes[index] - context);
+        const end = Math.min(ops.length, changes[last] + context + 1);
+        const hunk = ops.slice(start, end);
+        const oldCount = hunk.filter(op => op.type !== '+').length;
+        const newCount = hunk.filter(op => op.type !== '-').length;
+        // An empty side is numbered after the line it follows, as git does
+        const oldStart = oldCount === 0 ? oldNumbers[start] - 1 : oldNumbers[start];
+        const newStart = newCount === 0 ? newNumbers[start] - 1 : newNumbers[start];
+        output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        hunk.forEach(op => output.push(`${op.type}${op.line}`));
+        index = last + 1;
+    }
+    return {
+        diff: output.join('\n'),
+        added: ops.filter(op => op.type === '+').length,
+        removed: ops.filter(op => op.type === '-').length
+    };
+}
+
+export { BUNDLE_FORMATS, detectFormat, parseBundle, parseUnifiedDiff, applyPatch, diffLines, createUnifiedDiff };
@@ -0,0 +1,290 @@
+import path from 'path';
+import { getLanguageTag } from './formatters.js';
+import { formatSize } from './classify.js';
+import { formatTokenCount } from './tokens.js';
+
+// Formats of the report file, by extension
+const REPORT_FORMATS = {
+    markdown: { extensions: ['.md', '.markdown'], label: 'Markdown' },
+    html: { extensions: ['.html', '.htm'], label: 'HTML (standalone page)' }
+};
+
+/**
+ * Returns the report format for a file name from its extension.
+ *
+ * @param {string} filePath - Report file
+ * @returns {string} - Key of REPORT_FORMATS
+ * @throws {Error} - If the extension is not one of REPORT_FORMATS
+ */
+function getReportFormat(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    const format = Object.keys(REPORT_FORMATS).find(key => REPORT_FORMATS[key].extensions.includes(extension));
+    if (!format) {
+        const extensions = Object.values(REPORT_FORMATS).flatMap(item => item.extensions);
+        throw new Error(`Unknown report file type "${extension || filePath}" (use ${extensions.join(', ')})`);
+    }
+    return format;
+}
+
+/**
+ * Returns the language of a file for the breakdown: the language tag of its extension (as in Markdown bundles),
+ * else the extension itself, else "other".
+ */
+function getLanguage(filePath) {
+    return getLanguageTag(filePath) || path.extname(filePath).slice(1).toLowerCase() || 'other';
+}
+
+function percent(part, total) {
+    return total > 0 ? (part / total) * 100 : 0;
+}
+
+/**
+ * Adds up characters, tokens and sizes of files into groups (directories, languages).
+ */
+function sumInto(groups, key, entry) {
+    const group = groups.get(key) || { files: 0, size: 0, characters: 0, tokens: 0 };
+    group.files++;
+    group.size += entry.size;
+    group.characters += entry.characters;
+    group.tokens += entry.tokens;
+    groups.set(key, group);
+}
+
+/**
+ * Builds the analysis report of a selection: where the tokens go and what deserves a second look.
+ *
+ * @param {object[]} entries - One per selected file, in selection order: { path, size, kind, level, ignored, secrets,
+ *   original: { characters, tokens }, minified: { characters, tokens }, minifier } where `kind` is "text", "binary",
+ *   "huge" or "generated" (see classifyFile), `secrets` the rule ids of the suspected secrets, `original` the file as
+ *   read (or its placeholder) and `minified` as it goes into the bundle
+ * @param {object} options - { model, top: number of heaviest files listed (default 10) }
+ * @returns {object} - { model, createdAt, totals, files, heaviest, dirs, languages, flagged, minification }; rows
+ *   of files, directories and languages carry their `share` of the bundle tokens in percent
+ */
+function createReport(entries, options = {}) {
+    const { model = null, top = 10 } = options;
+    const files = entries.map(entry => ({
+        path: entry.path,
+        language: getLanguage(entry.path),
+        level: entry.level || 'full',
+        kind: entry.kind || 'text',
+        size: entry.size || 0,
+        characters: entry.minified.characters,
+        tokens: entry.minified.tokens,
+        original: entry.original,
+        minifier: entry.minifier || null,
+        ignored: Boolean(entry.ignored),
+        secrets: entry.secrets || []
+    }));
+    const totals = {
+        files: files.length,
+        size: files.reduce((sum, file) => sum + file.size, 0),
+        characters: files.reduce((sum, file) => sum + file.characters, 0),
+        tokens: files.reduce((sum, file) => sum + file.tokens, 0)
+    };
+    files.forEach(file => { file.share = percent(file.tokens, totals.tokens); });
+
+    // Every directory counts the files of its subtree
+    const dirGroups = new Map();
+    const languageGroups = new Map();
+    for (const file of files) {
+        let dir = path.posix.dirname(file.path);
+        while (dir !== '.') {
+            sumInto(dirGroups, dir, file);
+            dir = path.posix.dirname(dir);
+        }
+        sumInto(languageGroups, file.language, file);
+    }
+    const dirs = [...dirGroups]
+        .map(([dirPath, group]) => ({ path: dirPath, depth: dirPath.split('/').length, ...group, share: percent(group.tokens, totals.tokens) }))
+        .sort((a, b) => a.path.localeCompare(b.path));
+    const languages = [...languageGroups]
+        .map(([language, group]) => ({ language, ...group, share: percent(group.tokens, totals.tokens) }))
+        .sort((a, b) => b.tokens - a.tokens || a.language.localeCompare(b.language));
+
+    const flagged = [];
+    for (const file of files) {
+        const reasons = [];
+        if (file.ignored) reasons.push('ignored by git');
+        if (file.kind !== 'text') reasons.push(file.kind);
+        if (file.secrets.length > 0) {
+            const rules = [...new Set(file.secrets)];
+            reasons.push(`suspected secrets (${file.secrets.length}: ${rules.join(', ')})`);
+        }
+        if (reasons.length > 0) flagged.push({ path: file.path, reasons });
+    }
+
+    const before = {
+        characters: files.reduce((sum, file) => sum + file.original.characters, 0),
+        tokens: files.reduce((sum, file) => sum + file.original.tokens, 0)
+    };
+    const minification = {
+        before,
+        after: { characters: totals.characters, tokens: totals.tokens },
+        saved: percent(before.characters - totals.characters, before.characters),
+        // Files that lost the most tokens to the minifier
+        files: files.filter(file => file.original.tokens > file.tokens)
+            .sort((a, b) => (b.original.tokens - b.tokens) - (a.original.tokens - a.tokens))
+            .slice(0, top)
+    };
+
+    return {
+        model,
+        createdAt: new Date().toISOString(),
+        totals,
+        files,
+        heaviest: [...files].sort((a, b) => b.tokens - a.tokens || a.path.localeCompare(b.path)).slice(0, top),
+        dirs,
+        languages,
+        flagged,
+        minification
+    };
+}
+
+function formatShare(share) {
+    return `${share.toFixed(1)}%`;
+}
+
+function formatSaved(before, after) {
+    return `${before} -> ${after} (-${percent(before - after, before).toFixed(0)}%)`;
+}
+
+/**
+ * Returns the sections of a report as tables: { title, intro, headers, rows } with the cells as text.
+ */
+function reportSections(report) {
+    const { totals, minification } = report;
+    const fileLevel = (file) => file.level === 'full' ? '' : ` (${file.level === 'path' ? 'path only' : file.level})`;
+    return [
+        {
+            title: 'Totals',
+            headers: ['Files', 'Size', 'Characters', 'Tokens', 'Minification'],
+            rows: [[
+                String(totals.files),
+                formatSize(totals.size),
+                String(totals.characters),
+                `~${formatTokenCount(totals.tokens)}`,
+                `-${minification.saved.toFixed(0)}% characters`
+            ]]
+        },
+        {
+            title: `Heaviest files (top ${report.heaviest.length})`,
+            headers: ['#', 'File', 'Tokens', 'Share', 'Size'],
+            rows: report.heaviest.map((file, index) => [
+                String(index + 1), `${file.path}${fileLevel(file)}`, `~${formatTokenCount(file.tokens)}`, formatShare(file.share), formatSize(file.size)
+            ])
+        },
+        {
+            title: 'Directories',
+            intro: report.dirs.length === 0 ? 'Every file is in the project root.' : null,
+            headers: ['Directory', 'Files', 'Size', 'Tokens', 'Share'],
+            rows: report.dirs.map(dir => [`${dir.path}/`, String(dir.files), formatSize(dir.size), `~${formatTokenCount(dir.tokens)}`, formatShare(dir.share)])
+        },
+        {
+            title: 'Languages',
+            headers: ['Language', 'Files', 'Characters', 'Tokens', 'Share'],
+            rows: report.languages.map(item => [item.language, String(item.files), String(item.characters), `~${formatTokenCount(item.tokens)}`, formatShare(item.share)])
+        },
+        {
+            title: 'Flagged files',
+            intro: report.flagged.length === 0 ? 'No file is ignored by git, binary, huge, generated or holds suspected secrets.' : null,
+            headers: ['File', 'Why'],
+            rows: report.flagged.map(item => [item.path, item.reasons.join('; ')])
+        },
+        {
+            title: 'Minification',
+            intro: `Characters: ${formatSaved(minification.before.characters, minification.after.characters)}; `
+                + `tokens: ~${formatTokenCount(minification.before.tokens)} -> ~${formatTokenCount(minification.after.tokens)}.`,
+            headers: ['File', 'Minifier', 'Characters', 'Tokens saved'],
+            rows: minification.files.map(file => [
+                file.path,
+                file.minifier || '',
+                formatSaved(file.original.characters, file.characters),
+                `~${formatTokenCount(file.original.tokens - file.tokens)}`
+            ])
+        },
+        {
+            title: 'All files',
+            headers: ['File', 'Language', 'Size', 'Characters', 'Tokens', 'Share'],
+            rows: report.files.map(file => [
+                `${file.path}${fileLevel(file)}`, file.language, formatSize(file.size), String(file.characters), `~${formatTokenCount(file.tokens)}`, formatShare(file.share)
+            ])
+        }
+    ];
+}
+
+function reportSubtitle(report) {
+    return `${report.createdAt.slice(0, 19).replace('T', ' ')} UTC; tokens estimated${report.model ? ` with ${report.model}` : ''}, after minification.`;
+}
+
+function renderMarkdown(report) {
+    const cell = (text) => text.replace(/\|/g, '\\|');
+    const lines = ['# Bundle analysis', '', reportSubtitle(report)];
+    for (const section of reportSections(report)) {
+        lines.push('', `## ${section.title}`);
+        if (section.intro) lines.push('', section.intro);
+        if (section.rows.length === 0) continue;
+        lines.push('', `| ${section.headers.join(' | ')} |`, `| ${section.headers.map(() => '---').join(' | ')} |`);
+        section.rows.forEach(row => lines.push(`| ${row.map(cell).join(' | ')} |`));
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function renderHtml(report) {
+    const body = [];
+    for (const section of reportSections(report)) {
+        body.push(`<h2>${escapeHtml(section.title)}</h2>`);
+        if (section.intro) body.push(`<p>${escapeHtml(section.intro)}</p>`);
+        if (section.rows.length === 0) continue;
+        const shareColumn = section.headers.indexOf('Share');
+        const head = section.headers.map(header => `<th>${escapeHtml(header)}</th>`).join('');
+        const rows = section.rows.map(row => `<tr>${row.map((text, index) => {
+            // Shares get a bar behind the number
+            const bar = index === shareColumn ? `<span class="bar" style="width:${Math.min(100, parseFloat(text)).toFixed(1)}%"></span>` : '';
+            return `<td${index === shareColumn ? ' class="share"' : ''}>${bar}${escapeHtml(text)}</td>`;
+        }).join('')}</tr>`);
+        body.push(`<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${rows.join('\n')}\n</tbody>\n</table>`);
+    }
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Bundle analysis</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; margin-bottom: 1.5rem; }
+th, td { border: 1px solid #ddd; padding: 0.25rem 0.6rem; text-align: left; font-size: 0.9rem; }
+th { background: #f4f4f4; }
+td.share { position: relative; min-width: 6rem; }
+.bar { position: absolute; left: 0; top: 0; bottom: 0; background: #cfe3ff; z-index: -1; }
+td.share { z-index: 0; }
+</style>
+</head>
+<body>
+<h1>Bundle analysis</h1>
+<p>${escapeHtml(reportSubtitle(report))}</p>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders a report as a standalone file.
+ *
+ * @param {object} report - Result of createReport
+ * @param {string} format - Key of REPORT_FORMATS
+ * @returns {string}
+ */
+function renderReport(report, format = 'markdown') {
+    if (!REPORT_FORMATS[format]) {
+        throw new Error(`Unknown report format "${format}" (available: ${Object.keys(REPORT_FORMATS).join(', ')})`);
+    }
+    return format === 'html' ? renderHtml(report) : renderMarkdown(report);
+}
+
+export { REPORT_FORMATS, getReportFormat, getLanguage, createReport, renderReport };
@@ -0,0 +1,268 @@
+import fs from 'fs-extra';
+import path from 'path';
+import fg from 'fast-glob';
+import { matchesGlob } from './gitignore.js';
+import { pickLevels } from './outline.js';
+
+// Version of the saved selection format; saves of version 1 are bare arrays of paths
+const SAVE_SCHEMA_VERSION = 2;
+
+/**
+ * Checks a save name: it becomes the file name <name>.json in the saves directory.
+ *
+ * @param {string} name - Save name (a trailing .json is ignored)
+ * @returns {string} - The name without .json
+ * @throws {Error} - If the name is empty or contains path separators
+ */
+function checkSaveName(name) {
+    const saveName = String(name || '').trim().replace(/\.json$/i, '');
+    if (!saveName || /[\\/]/.test(saveName) || saveName === '.' || saveName === '..') {
+        throw new Error(`Invalid save name "${name}" (use a plain file name without slashes)`);
+    }
+    return saveName;
+}
+
+/**
+ * Creates a save of the current format.
+ *
+ * @param {object} fields - { files, include, exclude, description, output: { format, includeStructure, template } | null,
+ *   levels: { path: "outline" | "path" }, package: name of the workspace package the selection belongs to | null }
+ * @returns {object}
+ */
+function createSave(fields = {}) {
+    const now = new Date().toISOString();
+    return {
+        version: SAVE_SCHEMA_VERSION,
+        description: fields.description || '',
+        createdAt: fields.createdAt || now,
+        updatedAt: now,
+        files: fields.files || [],
+        include: fields.include || [],
+        exclude: fields.exclude || [],
+        output: fields.output || null,
+        levels: fields.levels || {},
+        package: fields.package || null
+    };
+}
+
+/**
+ * Converts a save read from disk to the current format: bare arrays of paths (version 1)
+ * become `files`, missing fields get their defaults.
+ *
+ * @param {*} data - Parsed save file
+ * @param {string} source - Where the save came from (used in error messages)
+ * @returns {object}
+ * @throws {Error} - If the data is not a save
+ */
+function normalizeSave(data, source = 'save') {
+    if (Array.isArray(data)) {
+        data = { version: 1, files: data };
+    }
+    const isStrings = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+    if (!data || typeof data !== 'object'
+        || (data.files !== undefined && !isStrings(data.files))
+        || (data.include !== undefined && !isStrings(data.include))
+        || (data.exclude !== undefined && !isStrings(data.exclude))) {
+        throw new Error(`${source} is not a saved selection (expected { files, include, exclude } or an array of paths)`);
+    }
+    if (data.version > SAVE_SCHEMA_VERSION) {
+        throw new Error(`${source} was written by a newer version (save format ${data.version}, supported: ${SAVE_SCHEMA_VERSION})`);
+    }
+    return {
+        version: SAVE_SCHEMA_VERSION,
+        description: typeof data.description === 'string' ? data.description : '',
+        createdAt: data.createdAt || null,
+        updatedAt: data.updatedAt || null,
+        files: data.files || [],
+        include: data.include || [],
+        exclude: data.exclude || [],
+        output: data.output && typeof data.output === 'object' ? data.output : null,
+        // Inclusion levels of files bundled as an outline or as a path only; unknown levels are dropped
+        levels: data.levels && typeof data.levels === 'object' ? pickLevels(data.levels, Object.keys(data.levels)) : {},
+        // Workspace package of a per-package selection
+        package: typeof data.package === 'string' && data.package ? data.package : null
+    };
+}
+
+/**
+ * Returns the path of a save file.
+ */
+function getSavePath(savesDir, name) {
+    return path.join(savesDir, `${checkSaveName(name)}.json`);
+}
+
+/**
+ * Lists the names of the saves (without .json), sorted.
+ *
+ * @param {string} savesDir - Saves directory
+ * @returns {Promise<string[]>}
+ */
+async function listSaves(savesDir) {
+    if (!(await fs.pathExists(savesDir))) return [];
+    return (await fs.readdir(savesDir))
+        .filter(fileName => fileName.toLowerCase().endsWith('.json'))
+        .map(fileName => fileName.slice(0, -5))
+        .sort();
+}
+
+/**
+ * Reads a save by name (with or without the .json extension).
+ *
+ * @param {string} savesDir - Saves directory
+ * @param {string} name - Save name
+ * @returns {Promise<object>} - The save in the current format
+ * @throws {Error} - If the save does not exist or is not valid
+ */
+async function loadSaveFile(savesDir, name) {
+    const savePath = getSavePath(savesDir, name);
+    if (!(await fs.pathExists(savePath))) {
+        throw new Error(`Saved selection not found: ${savePath}`);
+    }
+    let data;
+    try {
+        data = await fs.readJson(savePath);
+    } catch (error) {
+        throw new Error(`Cannot read ${savePath}: ${error.message}`);
+    }
+    return normalizeSave(data, savePath);
+}
+
+/**
+ * Writes a save; `updatedAt` is set to now (and `createdAt` for a new save).
+ *
+ * @param {string} savesDir - Saves directory
+ * @param {string} name - Save name
+ * @param {object} save - Save fields
+ * @returns {Promise<string>} - Path of the written file
+ */
+async function writeSaveFile(savesDir, name, save) {
+    const savePath = getSavePath(savesDir, name);
+    await fs.ensureDir(savesDir);
+    await fs.writeJson(savePath, createSave(save), { spaces: 2 });
+    return savePath;
+}
+
+/**
+ * Renames a save, or copies it to a new name with `keep`.
+ *
+ * @param {string} savesDir - Saves directory
+ * @param {string} name - Existing save
+ * @param {string} newName - New name
+ * @param {object} options - { keep: true to duplicate instead of renaming }
+ * @returns {Promise<string>} - Path of the new file
+ * @throws {Error} - If a save with the new name already exists
+ */
+async function copySave(savesDir, name, newName, options = {}) {
+    const target = getSavePath(savesDir, newName);
+    if (await fs.pathExists(target)) {
+        throw new Error(`A save named "${checkSaveName(newName)}" already exists`);
+    }
+    const save = await loadSaveFile(savesDir, name);
+    // A duplicate is a new save; a renamed one keeps its history
+    await writeSaveFile(savesDir, newName, options.keep ? { ...save, createdAt: null } : save);
+    if (!options.keep) {
+        await fs.remove(getSavePath(savesDir, name));
+    }
+    return target;
+}
+
+/**
+ * Exports a save to another location (in the current format), e.g. to share it.
+ *
+ * @param {string} savesDir - Saves directory
+ * @param {string} name - Save name
+ * @param {string} targetPath - File to write
+ * @returns {Promise<string>} - Path of the written file
+ */
+async function exportSave(savesDir, name, targetPath) {
+    const save = await loadSaveFile(savesDir, name);
+    await fs.ensureDir(path.dirname(path.resolve(targetPath)));
+    await fs.writeJson(targetPath, save, { spaces: 2 });
+    return targetPath;
+}
+
+/**
+ * Imports a save file from another location (e.g. exported from another machine).
+ *
+ * @param {string} savesDir - Saves directory
+ * @param {string} sourcePath - File to import
+ * @param {string|null} name - Save name (default: the file name)
+ * @returns {Promise<string>} - Name of the imported save
+ * @throws {Error} - If the file is not a save or the name is taken
+ */
+async function importSave(savesDir, sourcePath, name = null) {
+    const saveName = checkSaveName(name || path.basename(sourcePath));
+    if (await fs.pathExists(getSavePath(savesDir, saveName))) {
+        throw new Error(`A save named "${saveName}" already exists`);
+    }
+    const save = normalizeSave(await fs.readJson(sourcePath), sourcePath);
+    await writeSaveFile(savesDir, saveName, save);
+    return saveName;
+}
+
+/**
+ * Resolves a save against the current tree: its files that still exist, plus the files matching
+ * its include globs, minus the files matching its exclude globs (or exact paths).
+ *
+ * @param {object} save - Save in the current format
+ * @param {string} rootDir - Project root
+ * @param {string[]} ignore - Globs never matched by include globs (e.g. excludedDirs and the output directory)
+ * @returns {Promise<{files: string[], missing: string[]}>} - Files in save order (glob matches sorted, after the
+ *   listed files) and the listed files that no longer exist
+ */
+async function resolveSave(save, rootDir, ignore = []) {
+    const files = [];
+    const missing = [];
+    for (const filePath of save.files) {
+        if (await fs.pathExists(path.join(rootDir, filePath))) {
+            files.push(filePath);
+        } else {
+            missing.push(filePath);
+        }
+    }
+    if (save.include.length > 0) {
+        const matches = await fg(save.include, { cwd: rootDir, dot: true, onlyFiles: true, ignore });
+        files.push(...matches.sort());
+    }
+    const isExcluded = (filePath) => save.exclude.some(pattern => matchesGlob(pattern, filePath));
+    return { files: [...new Set(files)].filter(filePath => !isExcluded(filePath)), missing };
+}
+
+/**
+ * Updates a save from a selection edited by hand: files matched by the include globs stay covered by them,
+ * deselected glob matches are added to `exclude`, and the other selected files are listed in `files`.
+ * Only the inclusion levels of selected files are kept.
+ *
+ * @param {object} save - Save in the current format
+ * @param {string[]} selectedFiles - The edited selection
+ * @param {string[]} globFiles - Files currently matched by the include globs of the save
+ * @param {object} levels - Inclusion levels of the selection (default: the levels of the save)
+ * @returns {object} - The updated save
+ */
+function applySelection(save, selectedFiles, globFiles, levels = save.levels) {
+    const selected = new Set(selectedFiles);
+    const matched = new Set(globFiles);
+    const deselected = globFiles.filter(filePath => !selected.has(filePath) && !save.exclude.includes(filePath));
+    return {
+        ...save,
+        files: selectedFiles.filter(filePath => !matched.has(filePath)),
+        exclude: [...save.exclude, ...deselected],
+        levels: pickLevels(levels || {}, selectedFiles)
+    };
+}
+
+export {
+    SAVE_SCHEMA_VERSION,
+    checkSaveName,
+    createSave,
+    normalizeSave,
+    getSavePath,
+    listSaves,
+    loadSaveFile,
+    writeSaveFile,
+    copySave,
+    exportSave,
+    importSave,
+    resolveSave,
+    applySelection
+};
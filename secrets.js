@@ -0,0 +1,319 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { matchesGlob } from './gitignore.js';
+
+// Policies applied when secrets are found in the selected files
+const SECRET_POLICIES = ['block', 'redact', 'confirm', 'off'];
+
+// Key names that usually hold credentials in assignments like `API_KEY = "..."`
+const SENSITIVE_KEY = /(secret|passw(or)?d|passwd|pwd|token|api[_-]?key|access[_-]?key|private[_-]?key|client[_-]?secret|auth|credential|dsn)/i;
+
+// Values that are clearly not real secrets (empty, placeholders, references to other variables)
+const PLACEHOLDER_VALUE = /^(|null|none|undefined|true|false|changeme|change-me|example|xxx+|\*+|<[^>]*>|\$\{[^}]*\}|\$[A-Z_][A-Z0-9_]*|process\.env\..*|your[_-].*)$/i;
+
+/**
+ * Content rules. Each rule has an id, a description and a global regex; if the regex has
+ * a named group `secret`, only that part of the match is reported and redacted.
+ */
+const SECRET_RULES = [
+    {
+        id: 'private-key',
+        description: 'Private key block',
+        regex: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/g
+    },
+    {
+        id: 'aws-access-key-id',
+        description: 'AWS access key ID',
+        regex: /\b(?<secret>(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[0-9A-Z]{16})\b/g
+    },
+    {
+        id: 'aws-secret-access-key',
+        description: 'AWS secret access key',
+        regex: /aws_?secret_?access_?key["']?\s*[:=]\s*["']?(?<secret>[A-Za-z0-9/+=]{40})\b/gi
+    },
+    {
+        id: 'gcp-api-key',
+        description: 'Google Cloud API key',
+        regex: /\b(?<secret>AIza[0-9A-Za-z_-]{35})\b/g
+    },
+    {
+        id: 'gcp-service-account',
+        description: 'Google Cloud service account key',
+        regex: /"private_key_id"\s*:\s*"(?<secret>[0-9a-f]{40})"/g
+    },
+    {
+        id: 'github-token',
+        description: 'GitHub token',
+        regex: /\b(?<secret>(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255}))\b/g
+    },
+    {
+        id: 'stripe-key',
+        description: 'Stripe secret or restricted key',
+        regex: /\b(?<secret>(?:sk|rk)_(?:live|test)_[0-9A-Za-z]{24,})\b/g
+    },
+    {
+        id: 'slack-token',
+        description: 'Slack token',
+        regex: /\b(?<secret>xox[abposr]-[0-9A-Za-z-]{10,})\b/g
+    },
+    {
+        id: 'jwt',
+        description: 'JSON Web Token',
+        regex: /\b(?<secret>eyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})\b/g
+    }
+];
+
+// Whole private key block, from the BEGIN header to the END footer (or the end of the text)
+const PRIVATE_KEY_BLOCK = /-----BEGIN ((?:[A-Z0-9]+ )*)PRIVATE KEY(?: BLOCK)?-----[\s\S]*?(?:-----END \1PRIVATE KEY(?: BLOCK)?-----|$(?![\s\S]))/g;
+
+/**
+ * Calculates the Shannon entropy of a string in bits per character.
+ */
+function shannonEntropy(value) {
+    const counts = new Map();
+    for (const char of value) counts.set(char, (counts.get(char) || 0) + 1);
+    let entropy = 0;
+    for (const count of counts.values()) {
+        const p = count / value.length;
+        entropy -= p * Math.log2(p);
+    }
+    return entropy;
+}
+
+/**
+ * Checks whether a quoted or assigned token looks like a random secret (high entropy).
+ * Hex strings use a lower threshold because their alphabet is smaller.
+ */
+function isHighEntropy(value) {
+    if (value.length < 20) return false;
+    if (!/[0-9]/.test(value) || !/[A-Za-z]/.test(value)) return false;
+    if (/^[0-9a-f]+$/i.test(value)) return value.length >= 32 && shannonEntropy(value) > 3.0;
+    return shannonEntropy(value) > 4.5;
+}
+
+/**
+ * Checks whether a file is a dotenv file (.env, .env.local, production.env ...).
+ */
+function isEnvFile(filePath) {
+    const baseName = path.basename(filePath);
+    return baseName === '.env' || baseName.startsWith('.env.') || baseName.endsWith('.env');
+}
+
+/**
+ * Scans a single line with the assignment and entropy heuristics.
+ */
+function scanLineHeuristics(line, envFile, onMatch) {
+    // `KEY=value` lines: every non-empty value in dotenv files, sensitive key names elsewhere
+    const assignment = line.match(/^\s*(?:export\s+|(?:const|let|var)\s+)?["']?(?<key>[A-Za-z_][A-Za-z0-9_.-]*)["']?\s*[:=]\s*(?<value>.*?)\s*[,;]?\s*$/);
+    if (assignment) {
+        const { key } = assignment.groups;
+        const value = assignment.groups.value.replace(/^(["'`])(.*)\1$/, '$2');
+        if (!PLACEHOLDER_VALUE.test(value) && (envFile || (SENSITIVE_KEY.test(key) && value.length >= 8 && /^["'`]/.test(assignment.groups.value)))) {
+            const start = line.indexOf(value, line.indexOf(key) + key.length);
+            if (envFile) {
+                onMatch('env-assignment', 'Value in a dotenv file', start, value);
+            } else {
+                onMatch('secret-assignment', `Hard-coded value for "${key}"`, start, value);
+            }
+            return;
+        }
+    }
+
+    // High-entropy strings inside quotes or after `=` / `:`
+    const tokenRegex = /(?:["'`]|[:=]\s*)(?<token>[A-Za-z0-9+/_=.-]{20,})/g;
+    let match;
+    while ((match = tokenRegex.exec(line)) !== null) {
+        const { token } = match.groups;
+        // Paths, file names and subresource integrity hashes are not secrets
+        const isPath = token.includes('/') || /\.(js|ts|json|css|html|md|png|jpg|svg)$/i.test(token);
+        const isIntegrity = /^sha(1|256|384|512)-/.test(token);
+        if (isHighEntropy(token) && !isPath && !isIntegrity) {
+            onMatch('high-entropy-string', 'High-entropy string', match.index + match[0].length - token.length, token);
+        }
+    }
+}
+
+/**
+ * Creates a stable fingerprint of a finding, used to allow a single known false positive.
+ */
+function fingerprint(filePath, ruleId, value) {
+    return crypto.createHash('sha1').update(`${filePath}\0${ruleId}\0${value}`).digest('hex').slice(0, 12);
+}
+
+/**
+ * Scans the content of a file for secrets.
+ *
+ * @param {string} filePath - Relative path of the file (used for reporting and dotenv detection)
+ * @param {string} content - File content
+ * @param {object} options - Optional settings
+ * @param {boolean} options.entropy - Report high-entropy strings (default true)
+ * @returns {object[]} - Findings: { file, line, column, rule, description, value, fingerprint }
+ */
+function scanContent(filePath, content, options = {}) {
+    const { entropy = true } = options;
+    const envFile = isEnvFile(filePath);
+    const findings = [];
+    const seen = new Set(); // "line:column" of already reported values, so one value is reported once
+
+    content.split('\n').forEach((line, index) => {
+        const onMatch = (rule, description, column, value) => {
+            const key = `${index}:${column}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            findings.push({
+                file: filePath,
+                line: index + 1,
+                column: column + 1,
+                rule,
+                description,
+                value,
+                fingerprint: fingerprint(filePath, rule, value)
+            });
+        };
+
+        for (const rule of SECRET_RULES) {
+            rule.regex.lastIndex = 0;
+            let match;
+            while ((match = rule.regex.exec(line)) !== null) {
+                const value = match.groups && match.groups.secret ? match.groups.secret : match[0];
+                onMatch(rule.id, rule.description, match.index + match[0].indexOf(value), value);
+            }
+        }
+
+        if (entropy || envFile) {
+            const before = findings.length;
+            scanLineHeuristics(line, envFile, (rule, description, column, value) => {
+                if (rule === 'high-entropy-string' && !entropy) return;
+                // Skip heuristic hits that overlap a value already reported by a specific rule
+                const overlaps = findings.slice(0, before).some(f => f.line === index + 1 &&
+                    column + 1 < f.column + f.value.length && f.column < column + 1 + value.length);
+                if (!overlaps) onMatch(rule, description, column, value);
+            });
+        }
+    });
+
+    return findings;
+}
+
+/**
+ * Reads an allowlist file. Each non-comment line is one of:
+ *   <glob>              - ignore all findings in matching files
+ *   <glob>:<rule-id>    - ignore one rule in matching files
+ *   fingerprint:<hash>  - ignore a single finding (the hash is printed in the report)
+ *
+ * @param {string} allowlistPath - Path of the allowlist file
+ * @returns {Promise<object[]>} - Parsed entries
+ */
+async function loadAllowlist(allowlistPath) {
+    if (!allowlistPath || !(await fs.pathExists(allowlistPath))) return [];
+    const content = await fs.readFile(allowlistPath, 'utf-8');
+    return content
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map((line) => {
+            if (line.startsWith('fingerprint:')) {
+                return { fingerprint: line.slice('fingerprint:'.length).trim() };
+            }
+            const separator = line.lastIndexOf(':');
+            const hasRule = separator > 0 && /^[a-z0-9-]+$/.test(line.slice(separator + 1));
+            return {
+                glob: hasRule ? line.slice(0, separator) : line,
+                rule: hasRule ? line.slice(separator + 1) : null
+            };
+        });
+}
+
+/**
+ * Checks whether a finding is covered by the allowlist.
+ */
+function isAllowed(finding, allowlist) {
+    return allowlist.some((entry) => {
+        if (entry.fingerprint) return entry.fingerprint === finding.fingerprint;
+        if (entry.rule && entry.rule !== finding.rule) return false;
+        return matchesGlob(entry.glob, finding.file);
+    });
+}
+
+/**
+ * Scans a set of files (path -> content) and drops findings covered by the allowlist.
+ *
+ * @param {object} code - Map of relative file path to content
+ * @param {object} options - Optional settings
+ * @param {object[]} options.allowlist - Entries returned by loadAllowlist
+ * @param {boolean} options.entropy - Report high-entropy strings (default true)
+ * @returns {object[]} - Findings sorted by file and line
+ */
+function scanFiles(code, options = {}) {
+    const { allowlist = [] } = options;
+    const findings = [];
+    for (const [filePath, content] of Object.entries(code)) {
+        findings.push(...scanContent(filePath, content, options).filter(finding => !isAllowed(finding, allowlist)));
+    }
+    return findings;
+}
+
+/**
+ * Replaces every reported value with a placeholder like `[REDACTED:aws-access-key-id]`.
+ *
+ * @param {object} code - Map of relative file path to content
+ * @param {object[]} findings - Findings returned by scanFiles
+ * @returns {object} - New map with redacted contents
+ */
+function redactSecrets(code, findings) {
+    const redacted = { ...code };
+    const byFile = new Map();
+    for (const finding of findings) {
+        if (!byFile.has(finding.file)) byFile.set(finding.file, []);
+        byFile.get(finding.file).push(finding);
+    }
+
+    for (const [filePath, fileFindings] of byFile) {
+        const lines = redacted[filePath].split('\n');
+        // Replace from the end of each line so earlier columns stay valid
+        fileFindings
+            .filter(({ rule }) => rule !== 'private-key')
+            .sort((a, b) => a.line - b.line || b.column - a.column)
+            .forEach(({ line, column, value, rule }) => {
+                const text = lines[line - 1];
+                lines[line - 1] = text.slice(0, column - 1) + `[REDACTED:${rule}]` + text.slice(column - 1 + value.length);
+            });
+        let content = lines.join('\n');
+        // Private keys span several lines (or escaped "\n" in JSON), so the whole block is replaced
+        if (fileFindings.some(({ rule }) => rule === 'private-key')) {
+            content = content.replace(PRIVATE_KEY_BLOCK, '[REDACTED:private-key]');
+        }
+        redacted[filePath] = content;
+    }
+    return redacted;
+}
+
+/**
+ * Masks a secret for display, keeping only its first characters.
+ */
+function maskValue(value) {
+    const visible = Math.min(4, Math.floor(value.length / 4));
+    return `${value.slice(0, visible)}${'*'.repeat(Math.min(8, value.length - visible))} (${value.length} chars)`;
+}
+
+/**
+ * Formats findings as report lines: file:line:column, rule, masked value and fingerprint.
+ *
+ * @param {object[]} findings - Findings returned by scanFiles
+ * @returns {string[]}
+ */
+function formatSecretReport(findings) {
+    return findings.map(f => `${f.file}:${f.line}:${f.column}  ${f.rule}  ${maskValue(f.value)}  fingerprint:${f.fingerprint}`);
+}
+
+export {
+    SECRET_POLICIES,
+    SECRET_RULES,
+    scanContent,
+    scanFiles,
+    loadAllowlist,
+    redactSecrets,
+    formatSecretReport,
+    shannonEntropy
+};
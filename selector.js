@@ -0,0 +1,272 @@
+import path from 'path';
+
+// Characters after which a match starts a new word: path separators and name delimiters
+const WORD_BOUNDARIES = '/\\._- ';
+
+/**
+ * Matches one search term against a path as a fuzzy subsequence. A contiguous match wins over a
+ * scattered one, matches in the file name over matches in the directories, and characters at word
+ * starts (after "/", ".", "_", "-") or next to each other score higher.
+ * Case-insensitive unless the term contains an uppercase letter.
+ *
+ * @param {string} term - Search term
+ * @param {string} text - Path to match
+ * @returns {{score: number, positions: number[]}|null} - Score and matched character indexes, or null
+ */
+function matchTerm(term, text) {
+    const caseSensitive = term !== term.toLowerCase();
+    const haystack = caseSensitive ? text : text.toLowerCase();
+    const needle = caseSensitive ? term : term.toLowerCase();
+    const nameStart = text.lastIndexOf('/') + 1;
+    const isBoundary = (index) => index === 0 || WORD_BOUNDARIES.includes(text[index - 1]);
+
+    // Contiguous match, preferably in the file name
+    const substring = haystack.lastIndexOf(needle);
+    if (substring !== -1) {
+        const positions = Array.from(needle, (_, i) => substring + i);
+        const score = needle.length * 4 + (substring >= nameStart ? 10 : 0) + (isBoundary(substring) ? 5 : 0);
+        return { score, positions };
+    }
+
+    // Subsequence match, scanning from the left
+    const positions = [];
+    let score = 0;
+    let from = 0;
+    for (const char of needle) {
+        const index = haystack.indexOf(char, from);
+        if (index === -1) return null;
+        score += 1;
+        if (positions.length > 0 && index === positions[positions.length - 1] + 1) score += 2;
+        if (isBoundary(index)) score += 3;
+        if (index >= nameStart) score += 1;
+        positions.push(index);
+        from = index + 1;
+    }
+    return { score, positions };
+}
+
+/**
+ * Matches a query against a path; every space-separated term has to match.
+ *
+ * @param {string} query - Search query, e.g. "api handler" or "srcutl"
+ * @param {string} text - Path to match
+ * @returns {{score: number, positions: number[]}|null} - Total score and matched character indexes (sorted), or null
+ */
+function fuzzyMatch(query, text) {
+    const terms = query.trim().split(/\s+/).filter(Boolean);
+    let score = 0;
+    const positions = new Set();
+    for (const term of terms) {
+        const match = matchTerm(term, text);
+        if (!match) return null;
+        score += match.score;
+        match.positions.forEach(position => positions.add(position));
+    }
+    return { score, positions: [...positions].sort((a, b) => a - b) };
+}
+
+/**
+ * Filters paths by a fuzzy query.
+ *
+ * @param {string[]} filePaths - Paths to filter
+ * @param {string} query - Search query (an empty query keeps every path)
+ * @param {boolean} rank - Sort the matches by score (best first) instead of keeping the order of `filePaths`
+ * @returns {{path: string, positions: number[]}[]}
+ */
+function filterPaths(filePaths, query, rank = true) {
+    if (!query.trim()) return filePaths.map(filePath => ({ path: filePath, positions: [] }));
+    const matches = [];
+    filePaths.forEach((filePath, index) => {
+        const match = fuzzyMatch(query, filePath);
+        if (match) matches.push({ path: filePath, positions: match.positions, score: match.score, index });
+    });
+    if (rank) matches.sort((a, b) => b.score - a.score || a.index - b.index);
+    return matches.map(({ path: filePath, positions }) => ({ path: filePath, positions }));
+}
+
+/**
+ * Builds a directory tree from file paths. Directories and files keep the order in which they first appear.
+ *
+ * @param {string[]} filePaths - Relative file paths ("/"-separated)
+ * @returns {object} - Root directory: { name, path, depth, dirs: Map<name, dir>, files: string[], total }, where
+ *   `total` is the number of files in the subtree
+ */
+function buildTree(filePaths) {
+    const root = { name: '', path: '', depth: -1, dirs: new Map(), files: [], total: 0 };
+    for (const filePath of filePaths) {
+        const parts = filePath.split('/');
+        let dir = root;
+        dir.total++;
+        for (const part of parts.slice(0, -1)) {
+            if (!dir.dirs.has(part)) {
+                const dirPath = dir.path ? `${dir.path}/${part}` : part;
+                dir.dirs.set(part, { name: part, path: dirPath, depth: dir.depth + 1, dirs: new Map(), files: [], total: 0 });
+            }
+            dir = dir.dirs.get(part);
+            dir.total++;
+        }
+        dir.files.push(filePath);
+    }
+    return root;
+}
+
+/**
+ * Lists the rows of a tree view: directories (before the files of the same folder) and files,
+ * without the contents of collapsed directories.
+ *
+ * @param {object} root - Root directory from buildTree
+ * @param {Set<string>} collapsed - Paths of collapsed directories
+ * @param {Set<string>|null} visible - Files to show (e.g. the matches of a filter), null for all;
+ *   directories without visible files are left out and nothing is collapsed
+ * @returns {object[]} - Rows: { type: "dir", path, name, depth, total, collapsed, files } (`files`: visible files of
+ *   the subtree, `total`: number of files of the subtree) and { type: "file", path, name, depth }
+ */
+function flattenTree(root, collapsed = new Set(), visible = null) {
+    const rows = [];
+    // Adds the rows of a directory and returns its visible files
+    const walk = (dir) => {
+        const files = [];
+        for (const child of dir.dirs.values()) {
+            const isCollapsed = !visible && collapsed.has(child.path);
+            const row = { type: 'dir', path: child.path, name: child.name, depth: child.depth, total: child.total, collapsed: isCollapsed, files: [] };
+            const index = rows.length;
+            rows.push(row);
+            row.files = isCollapsed ? collectFiles(child, visible) : walk(child);
+            if (row.files.length === 0) {
+                rows.splice(index);
+            }
+            files.push(...row.files);
+        }
+        for (const filePath of dir.files) {
+            if (visible && !visible.has(filePath)) continue;
+            rows.push({ type: 'file', path: filePath, name: path.posix.basename(filePath), depth: dir.depth + 1 });
+            files.push(filePath);
+        }
+        return files;
+    };
+    walk(root);
+    return rows;
+}
+
+/**
+ * Lists the rows of the package view: a row per workspace package followed by its files (their paths
+ * relative to the package folder), without the files of collapsed packages.
+ *
+ * @param {object[]} groups - Packages and their files: { path, name, files } (`path`: folder of the package,
+ *   "" for the files outside the packages)
+ * @param {Set<string>} collapsed - Folders of collapsed packages
+ * @param {Set<string>|null} visible - Files to show (e.g. the matches of a filter), null for all;
+ *   packages without visible files are left out and nothing is collapsed
+ * @returns {object[]} - Rows: { type: "package", path, name, depth, total, collapsed, files, group } and
+ *   { type: "file", path, name, depth }
+ */
+function flattenGroups(groups, collapsed = new Set(), visible = null) {
+    const rows = [];
+    for (const group of groups) {
+        const files = visible ? group.files.filter(filePath => visible.has(filePath)) : group.files;
+        if (files.length === 0) continue;
+        const isCollapsed = !visible && collapsed.has(group.path);
+        rows.push({ type: 'package', path: group.path, name: group.name, depth: 0, total: group.files.length, collapsed: isCollapsed, files, group });
+        if (isCollapsed) continue;
+        for (const filePath of files) {
+            const name = group.path ? filePath.slice(group.path.length + 1) : filePath;
+            rows.push({ type: 'file', path: filePath, name, depth: 1 });
+        }
+    }
+    return rows;
+}
+
+/**
+ * Lists the files of a directory subtree (only the visible ones if `visible` is given).
+ */
+function collectFiles(dir, visible = null) {
+    const files = [];
+    for (const child of dir.dirs.values()) {
+        files.push(...collectFiles(child, visible));
+    }
+    for (const filePath of dir.files) {
+        if (!visible || visible.has(filePath)) files.push(filePath);
+    }
+    return files;
+}
+
+/**
+ * Keeps the totals of a selection up to date as files are selected and deselected, from per-file counts,
+ * instead of recounting every selected file. Also counts the selected files of each directory.
+ */
+class SelectionStats {
+    /**
+     * @param {Map<string, {characters: number, tokens: number}>} counts - Counts per file (from TokenCounter.countFiles)
+     * @param {function(string): boolean} isIgnored - Returns true for files ignored by git (they are reported)
+     */
+    constructor(counts, isIgnored = () => false) {
+        this.counts = counts;
+        this.isIgnored = isIgnored;
+        this.reset([]);
+    }
+
+    /**
+     * Starts over from a selection.
+     */
+    reset(filePaths) {
+        this.characters = 0;
+        this.tokens = 0;
+        this.selected = new Set();
+        this.ignored = new Set();
+        this.dirs = new Map();
+        filePaths.forEach(filePath => this.set(filePath, true));
+    }
+
+    get count() {
+        return this.selected.size;
+    }
+
+    /**
+     * Returns the number of selected files in a directory subtree.
+     */
+    countIn(dirPath) {
+        return this.dirs.get(dirPath) || 0;
+    }
+
+    /**
+     * Returns the last selected file that is ignored by git, or "".
+     */
+    get lastIgnored() {
+        return [...this.ignored].pop() || '';
+    }
+
+    /**
+     * Selects or deselects a file; does nothing if it already is.
+     */
+    set(filePath, enabled) {
+        if (enabled === this.selected.has(filePath)) return;
+        const counts = this.counts.get(filePath) || { characters: 0, tokens: 0 };
+        const sign = enabled ? 1 : -1;
+        this.characters += sign * counts.characters;
+        this.tokens += sign * counts.tokens;
+        if (enabled) {
+            this.selected.add(filePath);
+            if (this.isIgnored(filePath)) this.ignored.add(filePath);
+        } else {
+            this.selected.delete(filePath);
+            this.ignored.delete(filePath);
+        }
+        let dir = path.posix.dirname(filePath);
+        while (dir !== '.') {
+            this.dirs.set(dir, this.countIn(dir) + sign);
+            dir = path.posix.dirname(dir);
+        }
+    }
+
+    /**
+     * Replaces the counts of a file (e.g. after its inclusion level changed); the totals follow if it is selected.
+     */
+    update(filePath, counts) {
+        const selected = this.selected.has(filePath);
+        this.set(filePath, false);
+        this.counts.set(filePath, counts);
+        this.set(filePath, selected);
+    }
+}
+
+export { fuzzyMatch, filterPaths, buildTree, flattenTree, flattenGroups, collectFiles, SelectionStats };
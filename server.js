@@ -0,0 +1,560 @@
+import fs from 'fs-extra';
+import path from 'path';
+import http from 'http';
+import readline from 'readline';
+import { DEFAULT_CONFIG } from './config.js';
+import { GitignoreMatcher, matchesGlob } from './gitignore.js';
+import { parseStructure, createStructureWalker, createScanFilter } from './build-structure.js';
+import { renderStructure, STRUCTURE_FORMATS } from './tree.js';
+import { getFilePaths } from './minify-code.js';
+import { readFileForBundle, readSelection, mergePlaceholders } from './classify.js';
+import { scanFiles, loadAllowlist, redactSecrets, formatSecretReport } from './secrets.js';
+import { listSaves, loadSaveFile, resolveSave } from './saves.js';
+import { bundleCode } from './api.js';
+import { OUTPUT_FORMATS, formatBundle } from './formatters.js';
+import { resolveTarget } from './apply.js';
+import { estimateTokens, formatTokenCount } from './tokens.js';
+import { detectWorkspaces } from './workspaces.js';
+
+// Versions of the Model Context Protocol the server speaks, the latest first
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+// Default port of the HTTP endpoint and the largest request body it accepts
+const DEFAULT_HTTP_PORT = 3917;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Search results returned when the call does not set maxResults, and the longest line shown per result
+const DEFAULT_MAX_RESULTS = 100;
+const MAX_RESULT_LINE = 200;
+
+// Host names the HTTP endpoint answers to (other hosts could be a DNS rebinding attack from a web page)
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Error answered as a JSON-RPC error object.
+ */
+class RpcError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'RpcError';
+        this.code = code;
+    }
+}
+
+// Tools offered to the clients: name, description and JSON schema of the arguments
+const TOOLS = [
+    {
+        name: 'get_structure',
+        description: 'Returns the structure of the project (or of one of its directories) as JSON, an ASCII tree, '
+            + 'a Markdown list or a path list (the text formats of the whole project list each workspace package in a section '
+            + 'of its own). Files ignored by git, excludedDirs and the output directory are left out.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                path: { type: 'string', description: 'Directory relative to the project root (default: the whole project)' },
+                format: { type: 'string', enum: Object.keys(STRUCTURE_FORMATS), description: 'Output format (default: structure.format of the config)' },
+                depth: { type: 'integer', minimum: 1, description: 'Deepest level listed by the text formats' },
+                collapse: { type: 'integer', minimum: 1, description: 'Files listed per folder by the text formats before "... N more files"' }
+            }
+        }
+    },
+    {
+        name: 'read_files',
+        description: 'Returns the contents of project files. Files ignored by git or outside the project are refused, '
+            + 'binary, huge and generated files get a placeholder, and secrets are handled by the secrets policy of the project.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                paths: { type: 'array', items: { type: 'string' }, minItems: 1, description: 'File paths relative to the project root' },
+                format: { type: 'string', enum: Object.keys(OUTPUT_FORMATS), description: 'Output format (default: markdown)' }
+            },
+            required: ['paths']
+        }
+    },
+    {
+        name: 'search',
+        description: 'Searches the text files of the project for a string or a regular expression and returns the '
+            + 'matching lines as path:line: text. Secrets in the results are redacted.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', minLength: 1, description: 'Text (or regular expression) to find' },
+                regex: { type: 'boolean', description: 'Treat the query as a JavaScript regular expression (default false)' },
+                caseSensitive: { type: 'boolean', description: 'Match case (default false)' },
+                glob: { type: 'array', items: { type: 'string' }, description: 'Only search files matching these globs, e.g. ["src/**/*.ts"]' },
+                maxResults: { type: 'integer', minimum: 1, description: `Stop after this many matching lines (default ${DEFAULT_MAX_RESULTS})` }
+            },
+            required: ['query']
+        }
+    },
+    {
+        name: 'list_selections',
+        description: 'Lists the saved selections of the project with their descriptions and file counts.',
+        inputSchema: { type: 'object', properties: {} }
+    },
+    {
+        name: 'bundle_selection',
+        description: 'Bundles the files of a saved selection (minified, with its outline and path-only levels) '
+            + 'in the format stored in the save, like minify-code --save.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', minLength: 1, description: 'Name of the saved selection' },
+                format: { type: 'string', enum: Object.keys(OUTPUT_FORMATS), description: 'Output format (default: the format of the save)' }
+            },
+            required: ['name']
+        }
+    }
+];
+
+/**
+ * Checks the arguments of a tool call against the simple schemas of TOOLS.
+ *
+ * @throws {RpcError} - INVALID_PARAMS with every problem found
+ */
+function checkArguments(tool, args) {
+    if (!args || typeof args !== 'object' || Array.isArray(args)) {
+        throw new RpcError(INVALID_PARAMS, `${tool.name}: arguments must be an object`);
+    }
+    const { properties, required = [] } = tool.inputSchema;
+    const problems = [];
+    for (const key of required) {
+        if (args[key] === undefined) problems.push(`"${key}" is required`);
+    }
+    for (const [key, value] of Object.entries(args)) {
+        const schema = properties[key];
+        if (!schema) {
+            problems.push(`unknown argument "${key}"`);
+            continue;
+        }
+        const valid = {
+            string: () => typeof value === 'string' && value.length >= (schema.minLength || 0) && (!schema.enum || schema.enum.includes(value)),
+            integer: () => Number.isInteger(value) && value >= (schema.minimum ?? -Infinity),
+            boolean: () => typeof value === 'boolean',
+            array: () => Array.isArray(value) && value.every(item => typeof item === 'string') && value.length >= (schema.minItems || 0)
+        }[schema.type]();
+        if (!valid) {
+            problems.push(`"${key}" must be ${schema.enum ? `one of: ${schema.enum.join(', ')}` : `a${schema.type === 'integer' ? 'n' : ''} ${schema.type}`}`);
+        }
+    }
+    if (problems.length > 0) {
+        throw new RpcError(INVALID_PARAMS, `${tool.name}: ${problems.join('; ')}`);
+    }
+}
+
+/**
+ * Answers JSON-RPC requests of AI tools (Model Context Protocol) about one project: its structure, file contents,
+ * text search and the bundles of saved selections. Every path stays inside the project root, files ignored by git
+ * are never read, and secrets are blocked or redacted as set by secrets.policy ("confirm" blocks, as there is
+ * nobody to ask).
+ */
+class ProjectServer {
+    /**
+     * @param {object} options - Settings
+     * @param {string} options.rootDir - Project root
+     * @param {object} options.config - Resolved config (from loadConfig)
+     * @param {string} options.version - Server version reported to the clients
+     * @param {Function} options.log - log(message) for diagnostics (default: nothing)
+     */
+    constructor(options = {}) {
+        this.rootDir = path.resolve(options.rootDir || process.cwd());
+        this.config = options.config || DEFAULT_CONFIG;
+        this.version = options.version || '0.0.0';
+        this.log = options.log || (() => {});
+        const secrets = { ...DEFAULT_CONFIG.secrets, ...this.config.secrets };
+        this.secrets = { ...secrets, policy: secrets.policy === 'confirm' ? 'block' : secrets.policy };
+        this.handlers = {
+            get_structure: (args) => this.getStructure(args),
+            read_files: (args) => this.readFiles(args),
+            search: (args) => this.search(args),
+            list_selections: () => this.listSelections(),
+            bundle_selection: (args) => this.bundleSelection(args)
+        };
+    }
+
+    /**
+     * Handles one JSON-RPC message.
+     *
+     * @param {*} message - Parsed message
+     * @returns {Promise<object|null>} - The response, or null for notifications
+     */
+    async handle(message) {
+        const isObject = message && typeof message === 'object' && !Array.isArray(message);
+        const id = isObject && (typeof message.id === 'string' || typeof message.id === 'number') ? message.id : null;
+        try {
+            if (!isObject || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+                throw new RpcError(INVALID_REQUEST, 'Invalid JSON-RPC 2.0 request');
+            }
+            const result = await this.dispatch(message.method, message.params || {});
+            // Notifications (no id) get no response
+            if (message.id === undefined) return null;
+            return { jsonrpc: '2.0', id, result };
+        } catch (error) {
+            if (isObject && message.id === undefined && message.jsonrpc === '2.0') return null;
+            if (!(error instanceof RpcError)) this.log(`Internal error: ${error.stack || error.message}`);
+            const code = error instanceof RpcError ? error.code : INTERNAL_ERROR;
+            return { jsonrpc: '2.0', id, error: { code, message: error.message } };
+        }
+    }
+
+    async dispatch(method, params) {
+        switch (method) {
+            case 'initialize': {
+                const requested = params.protocolVersion;
+                return {
+                    protocolVersion: PROTOCOL_VERSIONS.includes(requested) ? requested : PROTOCOL_VERSIONS[0],
+                    capabilities: { tools: {} },
+                    serverInfo: { name: 'project-minifier', version: this.version }
+                };
+            }
+            case 'ping':
+                return {};
+            case 'tools/list':
+                return { tools: TOOLS };
+            case 'tools/call':
+                return this.callTool(params.name, params.arguments || {});
+            default:
+                if (method.startsWith('notifications/')) return {};
+                throw new RpcError(METHOD_NOT_FOUND, `Unknown method "${method}"`);
+        }
+    }
+
+    /**
+     * Runs a tool. Failures of the tool itself (a missing save, a refused path) are answered as a result
+     * with `isError`, so the model can read them; unknown tools and bad arguments are protocol errors.
+     *
+     * @returns {Promise<{content: {type: string, text: string}[], isError?: boolean}>}
+     */
+    async callTool(name, args) {
+        const tool = TOOLS.find(item => item.name === name);
+        if (!tool) {
+            throw new RpcError(INVALID_PARAMS, `Unknown tool "${name}" (available: ${TOOLS.map(item => item.name).join(', ')})`);
+        }
+        checkArguments(tool, args);
+        this.log(`${name} ${JSON.stringify(args)}`);
+        try {
+            const texts = await this.handlers[name](args);
+            return { content: [].concat(texts).map(text => ({ type: 'text', text })) };
+        } catch (error) {
+            return { content: [{ type: 'text', text: error.message }], isError: true };
+        }
+    }
+
+    /**
+     * Resolves a path given by a client inside the project root and refuses files ignored by git.
+     *
+     * @returns {Promise<string>} - The path relative to the root
+     * @throws {Error} - If the path leaves the root, is inside .git or is ignored by git
+     */
+    async checkPath(filePath, isDirectory = false) {
+        let relPath;
+        try {
+            ({ relPath } = await resolveTarget(this.rootDir, filePath));
+        } catch (error) {
+            throw new Error(`${filePath}: ${error.message}`);
+        }
+        if (new GitignoreMatcher(this.rootDir).isIgnored(relPath, isDirectory)) {
+            throw new Error(`${filePath}: ignored by git`);
+        }
+        return relPath;
+    }
+
+    /**
+     * Scans the project (or a directory of it) like the full scan of build-structure, always without
+     * the files ignored by git. Returns the structure, the walker and the workspace packages (or null).
+     */
+    async scan(relDir = '') {
+        const workspace = this.config.workspaces ? await detectWorkspaces(this.rootDir) : null;
+        const packageDirs = workspace ? workspace.packages.map(pkg => pkg.dir) : [];
+        const walker = createStructureWalker(this.rootDir, {
+            gitignore: new GitignoreMatcher(this.rootDir),
+            rich: this.config.structure.mode === 'rich',
+            filter: createScanFilter(this.rootDir, true, { ...this.config, packageDirs }),
+            walk: this.config.structure
+        });
+        const structure = await parseStructure(path.join(this.rootDir, relDir), this.rootDir, { walker });
+        return { structure, walker, workspace };
+    }
+
+    async getStructure(args) {
+        let relDir = '';
+        if (args.path !== undefined && args.path.replace(/^\.\/?/, '') !== '') {
+            relDir = await this.checkPath(args.path, true);
+            const stat = await fs.stat(path.join(this.rootDir, relDir)).catch(() => null);
+            if (!stat || !stat.isDirectory()) throw new Error(`${args.path}: not a directory`);
+        }
+        const { structure, walker, workspace } = await this.scan(relDir);
+        const { format, depth, collapse } = { ...this.config.structure, ...args };
+        // Package folders are relative to the project root, so only the whole project gets package sections
+        const packages = workspace && !relDir ? workspace.packages : [];
+        const text = renderStructure(structure, { format, depth, collapse, packages });
+        return walker.truncated ? [text, 'The structure is incomplete: the scan reached structure.maxDepth or structure.maxFiles.'] : text;
+    }
+
+    /**
+     * Scans contents for secrets (nothing is found with the "off" policy), without the allowlisted findings.
+     */
+    async findSecrets(code) {
+        if (this.secrets.policy === 'off') return [];
+        const allowlistPath = this.secrets.allowlistFile ? path.resolve(this.rootDir, this.secrets.allowlistFile) : null;
+        return scanFiles(code, { allowlist: await loadAllowlist(allowlistPath), entropy: this.secrets.entropy });
+    }
+
+    /**
+     * Scans contents for secrets and applies the policy: "block" replaces files with findings by a note,
+     * "redact" replaces the values.
+     *
+     * @returns {Promise<{code: object, blocked: object}>} - The contents to return and the notes of blocked files
+     */
+    async protectSecrets(code) {
+        const findings = await this.findSecrets(code);
+        if (findings.length === 0) return { code, blocked: {} };
+        if (this.secrets.policy === 'redact') return { code: redactSecrets(code, findings), blocked: {} };
+
+        const blocked = {};
+        const allowed = { ...code };
+        for (const filePath of new Set(findings.map(finding => finding.file))) {
+            const report = formatSecretReport(findings.filter(finding => finding.file === filePath));
+            blocked[filePath] = `[blocked: possible secrets found; set secrets.policy to "redact" or add them to the allowlist file]\n${report.join('\n')}`;
+            delete allowed[filePath];
+        }
+        return { code: allowed, blocked };
+    }
+
+    async readFiles(args) {
+        const refused = [];
+        const filePaths = [];
+        for (const filePath of args.paths) {
+            try {
+                filePaths.push(await this.checkPath(filePath));
+            } catch (error) {
+                refused.push(error.message);
+            }
+        }
+        const content = { ...DEFAULT_CONFIG.content, ...this.config.content };
+        const selection = await readSelection(filePaths, content, this.rootDir);
+        selection.errors.forEach(({ filePath, error }) => refused.push(`${filePath}: ${error.code === 'ENOENT' ? 'not found' : error.message}`));
+        const { code, blocked } = await this.protectSecrets(selection.code);
+        const files = mergePlaceholders(filePaths, code, { ...selection.placeholders, ...blocked });
+
+        const texts = [];
+        if (Object.keys(files).length > 0) texts.push(formatBundle(files, { format: args.format || 'markdown' }));
+        if (refused.length > 0) texts.push(`Not read:\n${refused.join('\n')}`);
+        if (texts.length === 0) throw new Error('No files read.');
+        return texts;
+    }
+
+    async search(args) {
+        let pattern;
+        try {
+            const source = args.regex ? args.query : args.query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            pattern = new RegExp(source, args.caseSensitive ? '' : 'i');
+        } catch (error) {
+            throw new Error(`Invalid regular expression: ${error.message}`);
+        }
+        const maxResults = args.maxResults || DEFAULT_MAX_RESULTS;
+        const { structure } = await this.scan();
+        const filePaths = getFilePaths(structure)
+            .filter(filePath => !args.glob || args.glob.some(glob => matchesGlob(glob, filePath)));
+        const content = { ...DEFAULT_CONFIG.content, ...this.config.content, binary: 'skip', huge: 'skip', generated: 'skip' };
+
+        const results = [];
+        let searched = 0;
+        for (const filePath of filePaths) {
+            if (results.length >= maxResults) break;
+            const file = await readFileForBundle(path.join(this.rootDir, filePath), content).catch(() => null);
+            if (!file || file.content === null || !pattern.test(file.content)) continue;
+            searched++;
+            // Files with matches are checked for secrets, and matched lines are shown redacted (also with "block");
+            // lines are matched before the redaction, unless it removed lines (private key blocks)
+            const findings = await this.findSecrets({ [filePath]: file.content });
+            const shown = (findings.length > 0 ? redactSecrets({ [filePath]: file.content }, findings)[filePath] : file.content).split('\n');
+            const original = file.content.split('\n');
+            const lines = original.length === shown.length ? original : shown;
+            for (let index = 0; index < lines.length && results.length < maxResults; index++) {
+                if (!pattern.test(lines[index])) continue;
+                const line = shown[index].trim();
+                results.push(`${filePath}:${index + 1}: ${line.length > MAX_RESULT_LINE ? `${line.slice(0, MAX_RESULT_LINE)}...` : line}`);
+            }
+        }
+        if (results.length === 0) return `No matches in ${filePaths.length} file(s).`;
+        const stopped = results.length >= maxResults ? ` (stopped at ${maxResults}; use maxResults or glob for more)` : '';
+        return `${results.length} matching line(s) in ${searched} file(s)${stopped}:\n${results.join('\n')}`;
+    }
+
+    get savesDir() {
+        return path.resolve(this.rootDir, this.config.savesDir || path.join(this.config.outputDir, 'minify-saves'));
+    }
+
+    async listSelections() {
+        const names = await listSaves(this.savesDir);
+        if (names.length === 0) return 'No saved selections.';
+        const lines = [];
+        for (const name of names) {
+            try {
+                const save = await loadSaveFile(this.savesDir, name);
+                const globs = save.include.length > 0 ? `, globs: ${save.include.join(', ')}` : '';
+                const pkg = save.package ? ` [${save.package}]` : '';
+                lines.push(`${name}${pkg}: ${save.files.length} file(s)${globs}${save.description ? ` - ${save.description}` : ''}`);
+            } catch (error) {
+                lines.push(`${name}: ${error.message}`);
+            }
+        }
+        return lines.join('\n');
+    }
+
+    async bundleSelection(args) {
+        const save = await loadSaveFile(this.savesDir, args.name);
+        const ignore = [...this.config.excludedDirs, this.config.outputDir].map(dir => `${dir}/**`);
+        const { files: resolved, missing } = await resolveSave(save, this.rootDir, ignore);
+        const files = [];
+        const notes = missing.map(filePath => `${filePath}: not found`);
+        for (const filePath of resolved) {
+            try {
+                files.push(await this.checkPath(filePath));
+            } catch (error) {
+                notes.push(error.message);
+            }
+        }
+        if (files.length === 0) {
+            throw new Error(`The selection "${args.name}" has no files to bundle.${notes.length > 0 ? `\n${notes.join('\n')}` : ''}`);
+        }
+
+        const format = args.format || (save.output && save.output.format) || this.config.output.format;
+        const result = await bundleCode({
+            files,
+            root: this.rootDir,
+            config: this.config,
+            format,
+            secrets: this.secrets.policy,
+            levels: save.levels,
+            splitLimit: null
+        });
+        if (result.blocked) {
+            throw new Error(`The selection "${args.name}" was not bundled: possible secrets found; set secrets.policy to "redact" or add them to the allowlist file.\n`
+                + formatSecretReport(result.secrets).join('\n'));
+        }
+        const summary = [
+            `${args.name}: ${result.stats.files} file(s), ${result.bundle.length} characters, ~${formatTokenCount(estimateTokens(result.bundle, result.stats.model))} tokens (${format})`,
+            ...notes,
+            ...result.warnings
+        ];
+        return [summary.join('\n'), result.bundle];
+    }
+}
+
+/**
+ * Serves JSON-RPC over stdio: one message per line on stdin, one response per line on stdout.
+ * Nothing else may be written to stdout; diagnostics go to the server's log.
+ *
+ * @param {ProjectServer} server - Server answering the messages
+ * @param {object} streams - { input, output } (default: process.stdin and process.stdout)
+ * @returns {Promise<void>} - Resolves when the input ends
+ */
+function serveStdio(server, streams = {}) {
+    const input = streams.input || process.stdin;
+    const output = streams.output || process.stdout;
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    const write = (response) => output.write(`${JSON.stringify(response)}\n`);
+    // Messages are answered in order, one at a time
+    let queue = Promise.resolve();
+    lines.on('line', (line) => {
+        if (!line.trim()) return;
+        queue = queue.then(async () => {
+            let message;
+            try {
+                message = JSON.parse(line);
+            } catch (error) {
+                write({ jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: `Parse error: ${error.message}` } });
+                return;
+            }
+            const response = Array.isArray(message)
+                ? (await Promise.all(message.map(item => server.handle(item)))).filter(Boolean)
+                : await server.handle(message);
+            if (response && (!Array.isArray(response) || response.length > 0)) write(response);
+        });
+    });
+    return new Promise(resolve => lines.once('close', () => queue.then(resolve)));
+}
+
+/**
+ * Returns true if a Host or Origin header names this machine.
+ */
+function isLocalAddress(value) {
+    try {
+        return LOCAL_HOSTS.includes(new URL(value.includes('://') ? value : `http://${value}`).hostname);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Serves JSON-RPC over HTTP on the loopback interface: POST a message (or a batch) to / or /mcp.
+ * Requests from other hosts or from web pages of other origins are refused.
+ *
+ * @param {ProjectServer} server - Server answering the messages
+ * @param {object} options - { port (default 3917), host (default "127.0.0.1") }
+ * @returns {Promise<http.Server>} - The listening server
+ */
+function serveHttp(server, options = {}) {
+    const { port = DEFAULT_HTTP_PORT, host = '127.0.0.1' } = options;
+    const send = (res, status, body) => {
+        res.writeHead(status, body === null ? {} : { 'Content-Type': 'application/json' });
+        res.end(body === null ? undefined : JSON.stringify(body));
+    };
+    const httpServer = http.createServer((req, res) => {
+        if (!isLocalAddress(req.headers.host || '') || (req.headers.origin && !isLocalAddress(req.headers.origin))) {
+            send(res, 403, { error: 'Only local clients are served' });
+            return;
+        }
+        const url = new URL(req.url, 'http://localhost');
+        if (!['/', '/mcp'].includes(url.pathname)) {
+            send(res, 404, { error: 'Not found (POST JSON-RPC messages to /mcp)' });
+            return;
+        }
+        if (req.method !== 'POST') {
+            res.setHeader('Allow', 'POST');
+            send(res, 405, { error: 'Use POST with a JSON-RPC message' });
+            return;
+        }
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                send(res, 413, { error: 'Request too large' });
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', async () => {
+            let message;
+            try {
+                message = JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+            } catch (error) {
+                send(res, 400, { jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: `Parse error: ${error.message}` } });
+                return;
+            }
+            const response = Array.isArray(message)
+                ? (await Promise.all(message.map(item => server.handle(item)))).filter(Boolean)
+                : await server.handle(message);
+            // Notifications are accepted without a body
+            if (!response || (Array.isArray(response) && response.length === 0)) send(res, 202, null);
+            else send(res, 200, response);
+        });
+    });
+    return new Promise((resolve, reject) => {
+        httpServer.once('error', reject);
+        httpServer.listen(port, host, () => resolve(httpServer));
+    });
+}
+
+export { PROTOCOL_VERSIONS, DEFAULT_HTTP_PORT, ProjectServer, serveStdio, serveHttp };
@@ -0,0 +1,165 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+// Variables filled in by minify-code; every other variable of a template is asked for at bundle time
+const TEMPLATE_VARIABLES = {
+    structure: 'project structure (in the structure format of the config)',
+    files: 'the bundled files (in the output format)',
+    fileCount: 'number of bundled files',
+    tokens: 'estimated tokens of the bundled files',
+    gitBranch: 'current git branch (empty outside a repository)'
+};
+
+// Extensions of template files, in the order they are looked up; the prompt is written with the same extension
+const TEMPLATE_EXTENSIONS = ['.md', '.txt'];
+
+// Template written when the user asks for an example
+const EXAMPLE_TEMPLATE = `Here is my project (branch {{gitBranch}}, {{fileCount}} files, ~{{tokens}} tokens).
+
+Project structure:
+{{structure}}
+
+Files:
+{{files}}
+
+Review the code for {{focus|bugs, security issues and dead code}}.
+Answer with a list of findings (file, line, problem, suggested fix), the most important first.
+`;
+
+// {{name}} or {{name|default}}; names start with a letter or "_"
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w.-]*)\s*(?:\|([^}]*))?\}\}/g;
+
+/**
+ * Checks a template name: it becomes the file name <name>.md (or .txt) in the templates directory.
+ *
+ * @param {string} name - Template name (a trailing .md or .txt is ignored)
+ * @returns {string} - The name without the extension
+ * @throws {Error} - If the name is empty or contains path separators
+ */
+function checkTemplateName(name) {
+    const templateName = String(name || '').trim().replace(/\.(md|txt)$/i, '');
+    if (!templateName || /[\\/]/.test(templateName) || templateName === '.' || templateName === '..') {
+        throw new Error(`Invalid template name "${name}" (use a plain file name without slashes)`);
+    }
+    return templateName;
+}
+
+/**
+ * Lists the names of the templates (without extension), sorted.
+ *
+ * @param {string} templatesDir - Templates directory
+ * @returns {Promise<string[]>}
+ */
+async function listTemplates(templatesDir) {
+    if (!(await fs.pathExists(templatesDir))) return [];
+    const names = (await fs.readdir(templatesDir))
+        .filter(fileName => TEMPLATE_EXTENSIONS.includes(path.extname(fileName).toLowerCase()))
+        .map(fileName => fileName.slice(0, -path.extname(fileName).length));
+    return [...new Set(names)].sort();
+}
+
+/**
+ * Reads a template by name.
+ *
+ * @param {string} templatesDir - Templates directory
+ * @param {string} name - Template name (with or without its extension)
+ * @returns {Promise<{name: string, path: string, extension: string, content: string}>}
+ * @throws {Error} - If the template does not exist
+ */
+async function loadTemplate(templatesDir, name) {
+    const templateName = checkTemplateName(name);
+    for (const extension of TEMPLATE_EXTENSIONS) {
+        const templatePath = path.join(templatesDir, `${templateName}${extension}`);
+        if (await fs.pathExists(templatePath)) {
+            return { name: templateName, path: templatePath, extension, content: await fs.readFile(templatePath, 'utf-8') };
+        }
+    }
+    const available = await listTemplates(templatesDir);
+    throw new Error(`Prompt template not found: ${path.join(templatesDir, `${templateName}.md`)}`
+        + (available.length > 0 ? ` (templates: ${available.join(', ')})` : ''));
+}
+
+/**
+ * Writes EXAMPLE_TEMPLATE to <templatesDir>/<name>.md unless a template of that name exists.
+ *
+ * @returns {Promise<string>} - Path of the template
+ */
+async function writeExampleTemplate(templatesDir, name = 'review') {
+    const templatePath = path.join(templatesDir, `${checkTemplateName(name)}.md`);
+    await fs.ensureDir(templatesDir);
+    if (!(await fs.pathExists(templatePath))) {
+        await fs.writeFile(templatePath, EXAMPLE_TEMPLATE);
+    }
+    return templatePath;
+}
+
+/**
+ * Returns true if a template uses a variable.
+ */
+function usesVariable(content, name) {
+    return [...content.matchAll(VARIABLE_PATTERN)].some(match => match[1] === name);
+}
+
+/**
+ * Lists the variables of a template that are not TEMPLATE_VARIABLES: the inputs asked for at bundle time.
+ *
+ * @param {string} content - Template text
+ * @returns {{name: string, default: string|null}[]} - In order of first use; the default is the text after "|"
+ */
+function findTemplateInputs(content) {
+    const inputs = new Map();
+    for (const [, name, fallback] of content.matchAll(VARIABLE_PATTERN)) {
+        if (Object.prototype.hasOwnProperty.call(TEMPLATE_VARIABLES, name)) continue;
+        const input = inputs.get(name);
+        if (!input) {
+            inputs.set(name, { name, default: fallback === undefined ? null : fallback.trim() });
+        } else if (input.default === null && fallback !== undefined) {
+            input.default = fallback.trim();
+        }
+    }
+    return [...inputs.values()];
+}
+
+/**
+ * Fills in the variables of a template. Values are inserted as they are (variables inside them are not
+ * replaced). A template without {{files}} gets the files after its text.
+ *
+ * @param {string} content - Template text
+ * @param {object} values - Variable name -> value; variables without a value take their default
+ * @returns {string}
+ * @throws {Error} - If a variable has neither a value nor a default
+ */
+function renderTemplate(content, values = {}) {
+    const text = usesVariable(content, 'files') ? content : `${content.replace(/\s*$/, '')}\n\n{{files}}\n`;
+    return text.replace(VARIABLE_PATTERN, (match, name, fallback) => {
+        const value = values[name];
+        if (value !== undefined && value !== null) return String(value);
+        if (fallback !== undefined) return fallback.trim();
+        throw new Error(`Missing value for the template variable "${name}" (use --var ${name}=<value>)`);
+    });
+}
+
+/**
+ * Returns the function that wraps a bundle in a template (the `wrap` option of renderBundle): `{{files}}` becomes
+ * the bundle, or its first part for a split bundle (the other parts are left as they are).
+ *
+ * @param {string} content - Template text
+ * @param {object} values - Values of the other variables (see renderTemplate)
+ * @returns {Function} - Bundle text -> prompt text
+ */
+function createTemplateWrapper(content, values = {}) {
+    return (files) => renderTemplate(content, { ...values, files });
+}
+
+export {
+    TEMPLATE_VARIABLES,
+    TEMPLATE_EXTENSIONS,
+    EXAMPLE_TEMPLATE,
+    listTemplates,
+    loadTemplate,
+    writeExampleTemplate,
+    usesVariable,
+    findTemplateInputs,
+    renderTemplate,
+    createTemplateWrapper
+};
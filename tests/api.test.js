@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { buildStructure, getFilePaths } from '../index.js';
+
+test('buildStructure matches exclude globs against the path from the root', async () => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'api-'));
+    try {
+        for (const filePath of ['src/generated/a.js', 'src/b.js', 'src/c.log', 'root.log', 'lib/generated/d.js']) {
+            await fs.outputFile(path.join(root, filePath), 'x');
+        }
+        const { structure } = await buildStructure({ root, gitignore: false, exclude: ['src/generated/**', '*.log'] });
+        assert.deepEqual(getFilePaths(structure).sort(), ['lib/generated/d.js', 'src/b.js', 'src/c.log']);
+        assert.equal('generated' in structure.src, false);
+    } finally {
+        await fs.remove(root);
+    }
+});
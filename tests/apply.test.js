@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { resolveTarget, planApply, writeChanges, undoApply } from '../apply.js';
+import { parseBundle } from '../patch.js';
+
+async function withProject(files, run) {
+    const dir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'apply-')));
+    try {
+        for (const [filePath, content] of Object.entries(files)) {
+            await fs.outputFile(path.join(dir, filePath), content);
+        }
+        return await run(dir);
+    } finally {
+        await fs.remove(dir);
+    }
+}
+
+test('resolveTarget keeps paths inside the project', async () => {
+    await withProject({ 'src/a.js': 'a' }, async (dir) => {
+        assert.deepEqual(await resolveTarget(dir, './src//a.js'), { relPath: 'src/a.js', absPath: path.join(dir, 'src/a.js') });
+        assert.equal((await resolveTarget(dir, 'src\\new\\b.js')).relPath, 'src/new/b.js');
+    });
+});
+
+test('resolveTarget refuses paths that leave the project or touch .git and the backups', async () => {
+    await withProject({ 'src/a.js': 'a' }, async (dir) => {
+        const refused = async (filePath, reason, protectedDirs = []) => {
+            await assert.rejects(resolveTarget(dir, filePath, protectedDirs), { message: reason });
+        };
+        await refused('..', 'outside the project root');
+        await refused('../outside.js', 'outside the project root');
+        await refused('src/../../outside.js', 'outside the project root');
+        await refused('/etc/passwd', 'absolute path');
+        await refused('C:/Windows/win.ini', 'absolute path');
+        await refused('.git/config', 'inside .git');
+        await refused('./.git', 'inside .git');
+        await refused('', 'invalid path');
+        await refused('backups/1/manifest.json', 'inside the apply-code backups', [path.join(dir, 'backups')]);
+    });
+});
+
+test('resolveTarget refuses symbolic links that point out of the project', async () => {
+    const outside = await fs.mkdtemp(path.join(os.tmpdir(), 'apply-outside-'));
+    try {
+        await withProject({}, async (dir) => {
+            await fs.symlink(outside, path.join(dir, 'linked'));
+            await assert.rejects(resolveTarget(dir, 'linked/new.js'), { message: 'outside the project root (symbolic link)' });
+            await fs.symlink(path.join(dir, 'missing'), path.join(dir, 'broken'));
+            await assert.rejects(resolveTarget(dir, 'broken'), { message: 'broken symbolic link' });
+        });
+    } finally {
+        await fs.remove(outside);
+    }
+});
+
+test('planApply refuses stand-ins and unsafe entries, and applies diffs', async () => {
+    await withProject({ 'a.txt': 'one\ntwo\n', 'b.txt': 'b\n' }, async (dir) => {
+        const entries = [
+            ...parseBundle('--- a/a.txt\n+++ b/a.txt\n@@ -1,2 +1,2 @@\n one\n-two\n+2\n').entries,
+            { path: 'b.txt', content: '[binary 2KB omitted]' },
+            { path: '../c.txt', content: 'c' },
+            { path: 'd.txt', content: 'cut', error: 'the path appears more than once in the bundle' }
+        ];
+        const changes = await planApply(entries, { rootDir: dir });
+        assert.deepEqual(changes.map(change => [change.path, change.action]), [
+            ['a.txt', 'modify'], ['b.txt', 'refused'], ['../c.txt', 'refused'], ['d.txt', 'refused']
+        ]);
+        assert.equal(changes[0].after, 'one\n2\n');
+        assert.equal(changes[3].reason, 'the path appears more than once in the bundle');
+    });
+});
+
+test('undoApply restores the files, but not over changes made since the apply', async () => {
+    await withProject({ 'a.txt': 'old\n' }, async (dir) => {
+        const backupsDir = 'backups';
+        const apply = async () => {
+            const changes = await planApply([{ path: 'a.txt', content: 'new' }, { path: 'b.txt', content: 'created' }], { rootDir: dir });
+            return writeChanges(changes, { rootDir: dir, backupsDir, source: 'test' });
+        };
+
+        await apply();
+        assert.equal(await fs.readFile(path.join(dir, 'a.txt'), 'utf-8'), 'new\n');
+        const undone = await undoApply({ rootDir: dir, backupsDir });
+        assert.deepEqual([undone.restored, undone.removed], [['a.txt'], ['b.txt']]);
+        assert.equal(await fs.readFile(path.join(dir, 'a.txt'), 'utf-8'), 'old\n');
+        assert.equal(await fs.pathExists(path.join(dir, 'b.txt')), false);
+
+        await apply();
+        await fs.writeFile(path.join(dir, 'a.txt'), 'edited by hand\n');
+        await assert.rejects(undoApply({ rootDir: dir, backupsDir }), /Changed since the apply: a\.txt/);
+        assert.equal(await fs.readFile(path.join(dir, 'a.txt'), 'utf-8'), 'edited by hand\n');
+        await undoApply({ rootDir: dir, backupsDir, force: true });
+        assert.equal(await fs.readFile(path.join(dir, 'a.txt'), 'utf-8'), 'old\n');
+    });
+});
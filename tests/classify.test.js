@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { classifyFile } from '../classify.js';
+
+async function classifyText(name, text) {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'classify-'));
+    try {
+        await fs.writeFile(path.join(dir, name), text);
+        return await classifyFile(path.join(dir, name));
+    } finally {
+        await fs.remove(dir);
+    }
+}
+
+test('generated marker in the leading comment', async () => {
+    const result = await classifyText('api.pb.ts', '// Code generated by protoc-gen-ts. DO NOT EDIT.\nexport const x = 1;\n');
+    assert.equal(result.kind, 'generated');
+    assert.equal(result.reason, 'generated marker');
+});
+
+test('generated marker in code or a later comment does not count', async () => {
+    const source = 'export const isGenerated = (s) => s.includes("@generated");\n// DO NOT EDIT without a test\n';
+    assert.equal((await classifyText('gen.js', source)).kind, 'text');
+});
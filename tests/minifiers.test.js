@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { minifyContent } from '../minifiers.js';
+
+test('jsx: comment markers in JSX text are kept', () => {
+    const source = [
+        'export const Link = () => (',
+        '    <div>',
+        '        <p>Visit https://example.com today</p>',
+        '        <a>/* x */</a>',
+        '        {/* removed */}',
+        '    </div>',
+        '); // removed'
+    ].join('\n');
+    const { content, minifier } = minifyContent('src/Link.jsx', source);
+    assert.equal(minifier, 'js');
+    assert.match(content, /<p>Visit https:\/\/example\.com today<\/p>/);
+    assert.match(content, /<a>\/\* x \*\/<\/a>/);
+    assert.doesNotMatch(content, /removed/);
+});
+
+test('tsx: comments are stripped, template literals are untouched', () => {
+    const source = 'const f = <T,>(a: T): T => a; // note\nconst s = `a\n    b`; /* inline */ f(s);\n';
+    const { content } = minifyContent('src/f.tsx', source);
+    assert.equal(content, 'const f = <T,>(a: T): T => a;\nconst s = `a\n    b`; f(s);');
+});
+
+test('shell: heredoc bodies are kept as they are', () => {
+    const source = [
+        '#!/bin/sh',
+        '# removed',
+        'cat > app.conf <<EOF # removed',
+        '# kept: part of the file',
+        '',
+        '  key=value',
+        'EOF',
+        'cat <<-\'END\'',
+        '\t# kept too',
+        '\tEND',
+        'echo $((1 << 2)) # removed'
+    ].join('\n');
+    const { content } = minifyContent('setup.sh', source);
+    assert.equal(content, [
+        '#!/bin/sh',
+        'cat > app.conf <<EOF',
+        '# kept: part of the file',
+        '',
+        '  key=value',
+        'EOF',
+        'cat <<-\'END\'',
+        '\t# kept too',
+        '\tEND',
+        'echo $((1 << 2))'
+    ].join('\n'));
+});
+
+test('js: JSX in .js files keeps its text, .ts casts still parse', () => {
+    const { content, minifier } = minifyContent('src/App.js', 'export const App = () => <p>See http://example.com now</p>; // removed\n');
+    assert.equal(minifier, 'js');
+    assert.equal(content, 'export const App = () => <p>See http://example.com now</p>;');
+    const cast = minifyContent('src/cast.ts', 'const n = <number>value; // removed\n');
+    assert.deepEqual(cast, { content: 'const n = <number>value;', minifier: 'js' });
+});
+
+test('css and scss: url() is not a comment', () => {
+    const scss = minifyContent('a.scss', '.a { background: url(http://example.com/a.png); color: red; } // removed\n');
+    assert.equal(scss.content, '.a { background: url(http://example.com/a.png); color: red; }');
+    const less = minifyContent('a.less', '.b { background: url(//cdn.example.com/b.png) no-repeat; }\n');
+    assert.equal(less.content, '.b { background: url(//cdn.example.com/b.png) no-repeat; }');
+    const css = minifyContent('a.css', '.c { background: URL("a/*b*/.png"); } /* removed */\n');
+    assert.equal(css.content, '.c { background: URL("a/*b*/.png"); }');
+});
+
+test('hash: Ruby heredocs are kept as they are, shifts are not heredocs', () => {
+    const source = [
+        'sql = <<~SQL # removed',
+        '  # kept',
+        '  SELECT 1',
+        '  SQL',
+        'mask = 1<<FLAG # removed'
+    ].join('\n');
+    assert.equal(minifyContent('query.rb', source).content, [
+        'sql = <<~SQL',
+        '  # kept',
+        '  SELECT 1',
+        '  SQL',
+        'mask = 1<<FLAG'
+    ].join('\n'));
+});
+
+test('c-like: PHP heredocs and Java text blocks are kept as they are', () => {
+    const php = [
+        '$text = <<<EOT',
+        '// kept',
+        '# kept',
+        '    EOT;',
+        'echo $text;'
+    ].join('\n');
+    assert.equal(minifyContent('page.php', php).content, [
+        '$text = <<<EOT',
+        '// kept',
+        '# kept',
+        '    EOT;',
+        'echo $text;'
+    ].join('\n'));
+    const java = [
+        'String json = """',
+        '    // kept',
+        '    {"a": 1}',
+        '    """; // removed'
+    ].join('\n');
+    assert.equal(minifyContent('Main.java', java).content, [
+        'String json = """',
+        '    // kept',
+        '    {"a": 1}',
+        '    """;'
+    ].join('\n'));
+});
+
+test('ini: only whole lines are comments', () => {
+    const source = '; removed\n[theme]\ncolor = #fff\n  # removed\nfont = a;b\n';
+    assert.deepEqual(minifyContent('settings.ini', source), { content: '[theme]\ncolor = #fff\nfont = a;b', minifier: 'ini' });
+});
+
+test('markdown: two trailing spaces of a hard line break are kept', () => {
+    assert.equal(minifyContent('README.md', 'first line  \nsecond line   \nthird\t\n').content, 'first line  \nsecond line  \nthird');
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { formatBundle } from '../formatters.js';
+import { BUNDLE_FORMATS, parseBundle, parseUnifiedDiff, applyPatch, createUnifiedDiff } from '../patch.js';
+
+const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+const FILES = {
+    'src/index.js': 'export const a = 1;\n\nconsole.log(`<file path="x">${a}</file>`);\n',
+    'docs/guide.md': '# Guide\n\n```js\nrun();\n```\n',
+    'data/strange.xml': '<file path="fake">]]></file>\n<![CDATA[ x ]]>'
+};
+
+for (const format of BUNDLE_FORMATS.filter(item => item !== 'diff')) {
+    test(`${format} bundles round-trip`, () => {
+        const bundle = formatBundle(FILES, { format, structure: { src: { 'index.js': 'src/index.js' } } });
+        const { format: detected, entries } = parseBundle(bundle);
+        assert.equal(detected, format);
+        assert.deepEqual(Object.fromEntries(entries.map(entry => [entry.path, entry.content])), FILES);
+        assert.ok(entries.every(entry => !entry.error));
+    });
+}
+
+test('xml bundles round-trip a file holding </file>', async () => {
+    const content = await fs.readFile(path.join(ROOT, 'formatters.js'), 'utf-8');
+    const { entries } = parseBundle(formatBundle({ 'formatters.js': content }, { format: 'xml' }));
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].content, content);
+});
+
+test('xml entries that may be cut short are marked', () => {
+    const cut = parseBundle('<project>\n<file path="a.js">\nconst s = "</file>";\n</file>\n<file path="b.js">\nb\n</file>\n</project>\n');
+    assert.match(cut.entries[0].error, /<\/file>/);
+    assert.equal(cut.entries[1].error, undefined);
+    const twice = parseBundle('<file path="a.js">\none\n</file>\n<file path="a.js">\ntwo\n</file>\n');
+    assert.ok(twice.entries.every(entry => /more than once/.test(entry.error)));
+});
+
+test('diff bundles round-trip', () => {
+    const before = 'one\ntwo\nthree\nfour\nfive\nsix\nseven\neight\n';
+    const after = 'one\n2\nthree\nfour\nfive\nsix\nseven\neight\nnine\n';
+    const { diff } = createUnifiedDiff('src/list.txt', before, after);
+    const { format, entries } = parseBundle(diff);
+    assert.equal(format, 'diff');
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].path, 'src/list.txt');
+    assert.equal(applyPatch(before, entries[0].patch), after);
+});
+
+test('hunks are found away from their line numbers and with trailing spaces', () => {
+    const content = ['header', 'added above', 'more above', 'a', 'b  ', 'c', 'd', 'tail'].join('\n') + '\n';
+    // Numbered as if the three lines were at the top of the file, with wrong counts and without the trailing spaces
+    const [patch] = parseUnifiedDiff('--- a/f.txt\n+++ b/f.txt\n@@ -1,2 +1,2 @@\n a\n-b\n+B\n c\n');
+    assert.equal(applyPatch(content, patch), ['header', 'added above', 'more above', 'a', 'B', 'c', 'd', 'tail'].join('\n') + '\n');
+});
+
+test('hunks that do not match are reported', () => {
+    const [patch] = parseUnifiedDiff('--- a/f.txt\n+++ b/f.txt\n@@ -1,1 +1,1 @@\n-missing\n+found\n');
+    assert.throws(() => applyPatch('other\n', patch), /hunk 1 of 1 .* does not match/);
+});
+
+test('patches of <path>.diff sections are skipped when the bundle holds <path>', () => {
+    const bundle = formatBundle({
+        'a.txt': 'new\n',
+        'a.txt.diff': '--- a/a.txt\n+++ b/a.txt\n@@ -1 +1 @@\n-old\n+new\n'
+    }, { format: 'markdown' });
+    const { entries } = parseBundle(bundle);
+    assert.deepEqual(entries.map(entry => [entry.path, Boolean(entry.patch)]), [['a.txt', false]]);
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { DirectoryWalker } from '../walker.js';
+
+test('FIFOs are skipped, also behind symbolic links', { skip: process.platform === 'win32' }, async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'walker-'));
+    try {
+        await fs.outputFile(path.join(dir, 'src/a.js'), 'a');
+        execFileSync('mkfifo', [path.join(dir, 'src/pipe')]);
+        await fs.symlink(path.join(dir, 'src/pipe'), path.join(dir, 'pipe-link'));
+        for (const statFiles of [true, false]) {
+            // Opening a FIFO without a writer would never return
+            const walker = new DirectoryWalker(dir, { statFiles, createFile: async (filePath) => fs.readFile(filePath, 'utf-8') });
+            assert.deepEqual(await walker.walkDirectory(dir), { src: { 'a.js': 'a' } });
+            assert.deepEqual(walker.errors, []);
+        }
+    } finally {
+        await fs.remove(dir);
+    }
+});
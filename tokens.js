@@ -0,0 +1,245 @@
+import fs from 'fs-extra';
+import { matchesGlob } from './gitignore.js';
+import { readFileForBundle, truncateContent } from './classify.js';
+import { PATH_ONLY_PLACEHOLDER, getLevel, applyLevel } from './outline.js';
+import { minifyContent, getOutlineMinifyOptions } from './minifiers.js';
+
+/**
+ * Model profiles for the token estimate. The estimate mimics a BPE tokenizer: the text is split
+ * with the GPT-style pre-tokenizer, then each piece is priced by its kind (word, number,
+ * punctuation, whitespace) using the average piece length of the profile's vocabulary.
+ */
+const TOKEN_MODELS = {
+    cl100k: {
+        label: 'OpenAI cl100k (GPT-4, GPT-3.5)',
+        wordChars: 4.2, // Average characters per token inside long latin words and identifiers
+        nonLatinChars: 1.8, // Average characters per token for Cyrillic, Greek, etc.
+        cjkChars: 1.1, // Average characters per token for CJK text
+        digitsPerToken: 3,
+        punctuationChars: 2.2
+    },
+    o200k: {
+        label: 'OpenAI o200k (GPT-4o, o1, o3)',
+        wordChars: 4.6,
+        nonLatinChars: 3.2,
+        cjkChars: 1.4,
+        digitsPerToken: 3,
+        punctuationChars: 2.5
+    },
+    claude: {
+        label: 'Anthropic Claude',
+        wordChars: 3.8,
+        nonLatinChars: 1.8,
+        cjkChars: 1.0,
+        digitsPerToken: 3,
+        punctuationChars: 2.0
+    },
+    llama3: {
+        label: 'Meta Llama 3',
+        wordChars: 4.4,
+        nonLatinChars: 2.4,
+        cjkChars: 1.2,
+        digitsPerToken: 3,
+        punctuationChars: 2.3
+    }
+};
+
+const DEFAULT_TOKEN_MODEL = 'cl100k';
+
+// GPT-style pre-tokenizer: contractions, words with an optional leading symbol, numbers of up to 3 digits,
+// punctuation runs, newlines and other whitespace
+const PRE_TOKENIZER = /'(?:[sdmt]|ll|ve|re)|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/gu;
+const CJK = /[぀-ヿ㐀-䶿一-鿿가-힯]/u;
+const NON_LATIN = /[^\u0000-ɏ]/u;
+
+/**
+ * Estimates the number of tokens of a single pre-tokenized piece.
+ */
+function estimatePieceTokens(piece, model) {
+    const firstLetter = piece.search(/\p{L}/u);
+    if (firstLetter !== -1) {
+        const word = piece.slice(firstLetter);
+        if (CJK.test(word)) return Math.ceil(word.length / model.cjkChars);
+        if (NON_LATIN.test(word)) return Math.max(1, Math.ceil(word.length / model.nonLatinChars));
+        // Short words (with their leading space) are almost always a single token
+        if (piece.length <= 8) return 1;
+        // Long identifiers are split at case changes, so each camelCase part costs at least one token
+        const parts = word.split(/(?<=[a-z])(?=[A-Z])/).length;
+        return Math.max(parts, Math.ceil(word.length / model.wordChars));
+    }
+    if (/^\p{N}+$/u.test(piece)) return Math.ceil(piece.length / model.digitsPerToken);
+    if (/^\s+$/.test(piece)) return 1;
+    return Math.max(1, Math.ceil(piece.trim().length / model.punctuationChars));
+}
+
+/**
+ * Estimates the number of tokens in a text for a model profile.
+ *
+ * @param {string} text - Text to measure
+ * @param {string} modelName - Key of TOKEN_MODELS
+ * @returns {number}
+ */
+function estimateTokens(text, modelName = DEFAULT_TOKEN_MODEL) {
+    const model = TOKEN_MODELS[modelName] || TOKEN_MODELS[DEFAULT_TOKEN_MODEL];
+    let tokens = 0;
+    for (const match of text.matchAll(PRE_TOKENIZER)) {
+        tokens += estimatePieceTokens(match[0], model);
+    }
+    return tokens;
+}
+
+/**
+ * Parses a token count like 100000, "100k", "1.5m" or "200K".
+ *
+ * @param {string|number} value - Token count
+ * @returns {number|null} - Number of tokens, or null if the value is not a valid count
+ */
+function parseTokenCount(value) {
+    if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? Math.floor(value) : null;
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([km]?)$/i);
+    if (!match) return null;
+    const multiplier = { '': 1, k: 1000, m: 1000000 }[match[2].toLowerCase()];
+    const count = Math.floor(parseFloat(match[1]) * multiplier);
+    return count > 0 ? count : null;
+}
+
+/**
+ * Formats a token count in a short form: 950, 12.3k, 1.2m.
+ */
+function formatTokenCount(count) {
+    if (count < 1000) return String(count);
+    if (count < 1000000) return `${(count / 1000).toFixed(count < 10000 ? 1 : 0)}k`;
+    return `${(count / 1000000).toFixed(1)}m`;
+}
+
+/**
+ * Counting service shared by the selector, the totals line and the budget check.
+ * File counts are cached by path and invalidated when the file's size or mtime changes,
+ * so repeated totals only read files that changed.
+ */
+class TokenCounter {
+    /**
+     * @param {object} options - { model: key of TOKEN_MODELS, content: content settings of the config,
+     *   minify: minify settings of the config ({ mode, languages }), null to count the files as they are }
+     */
+    constructor(options = {}) {
+        this.model = TOKEN_MODELS[options.model] ? options.model : DEFAULT_TOKEN_MODEL;
+        // Binary, huge and generated files count as what goes into the bundle (placeholder or text)
+        this.content = options.content || {};
+        // Files count minified, as minifyAndSave bundles them
+        this.minify = options.minify || null;
+        this.cache = new Map(); // File path (or "<level>:<path>" for outline counts) -> { size, mtimeMs, characters, tokens }
+    }
+
+    /**
+     * Counts characters and estimated tokens of a text.
+     */
+    countText(text) {
+        return { characters: text.length, tokens: estimateTokens(text, this.model) };
+    }
+
+    /**
+     * Counts a single file as it will appear in the bundle at an inclusion level (see outline.js): minified with the
+     * `minify` settings, then truncated. Unreadable files count as zero and get an `error`.
+     *
+     * @param {string} filePath - File path
+     * @param {string} level - "full", "outline" or "path"
+     * @returns {Promise<{characters: number, tokens: number, original: {characters: number, tokens: number},
+     *   classification?: object, error?: Error}>} - `original` counts the file at its level before minification;
+     *   `classification` tells whether the file is text, binary, huge or generated (see classify.js)
+     */
+    async countFile(filePath, level = 'full') {
+        if (level === 'path') {
+            const counts = this.countText(PATH_ONLY_PLACEHOLDER);
+            return { ...counts, original: counts };
+        }
+        const key = level === 'full' ? filePath : `${level}:${filePath}`;
+        try {
+            const stat = await fs.stat(filePath);
+            const cached = this.cache.get(key);
+            if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs) {
+                return cached;
+            }
+            const { content, placeholder, classification } = await readFileForBundle(filePath, this.content);
+            let original = placeholder || '';
+            let text = original;
+            if (content !== null) {
+                const leveled = applyLevel(content, filePath, level);
+                original = leveled.text;
+                const minifyOptions = this.minify && leveled.level === 'outline' ? getOutlineMinifyOptions(this.minify) : this.minify;
+                text = truncateContent(minifyOptions ? minifyContent(filePath, original, minifyOptions).content : original, this.content.truncate);
+            }
+            const counts = { size: stat.size, mtimeMs: stat.mtimeMs, classification, ...this.countText(text), original: this.countText(original) };
+            this.cache.set(key, counts);
+            return counts;
+        } catch (error) {
+            return { characters: 0, tokens: 0, original: { characters: 0, tokens: 0 }, error };
+        }
+    }
+
+    /**
+     * Counts a list of files.
+     *
+     * @param {string[]} filePaths - File paths
+     * @param {object} levels - Inclusion levels of the files (path -> "full", "outline" or "path"; default "full")
+     * @returns {Promise<{characters: number, tokens: number, files: Map<string, object>, errors: object[]}>}
+     */
+    async countFiles(filePaths, levels = {}) {
+        const files = new Map();
+        const errors = [];
+        let characters = 0;
+        let tokens = 0;
+        for (const filePath of filePaths) {
+            const counts = await this.countFile(filePath, getLevel(levels, filePath));
+            files.set(filePath, counts);
+            if (counts.error) errors.push({ filePath, error: counts.error });
+            characters += counts.characters;
+            tokens += counts.tokens;
+        }
+        return { characters, tokens, files, errors };
+    }
+}
+
+/**
+ * Returns the priority of a file: the index of the first matching priority glob
+ * (lower is more important), or the number of globs if none matches.
+ */
+function getPriority(filePath, priority = []) {
+    const index = priority.findIndex(pattern => matchesGlob(pattern, filePath));
+    return index === -1 ? priority.length : index;
+}
+
+/**
+ * Drops files from a selection until it fits the token budget. Files with the lowest priority
+ * go first (see getPriority); among files of the same priority, the largest go first.
+ *
+ * @param {string[]} filePaths - Selected files, in selection order
+ * @param {Map<string, {tokens: number}>} counts - Token counts per file (from TokenCounter.countFiles)
+ * @param {number} budget - Maximum number of tokens
+ * @param {string[]} priority - Globs from the most to the least important
+ * @returns {{kept: string[], removed: string[], tokens: number}}
+ */
+function trimToBudget(filePaths, counts, budget, priority = []) {
+    const tokensOf = (filePath) => (counts.get(filePath) || { tokens: 0 }).tokens;
+    let tokens = filePaths.reduce((sum, filePath) => sum + tokensOf(filePath), 0);
+    const candidates = [...filePaths].sort((a, b) =>
+        getPriority(b, priority) - getPriority(a, priority) || tokensOf(b) - tokensOf(a));
+
+    const removed = new Set();
+    for (const filePath of candidates) {
+        if (tokens <= budget) break;
+        removed.add(filePath);
+        tokens -= tokensOf(filePath);
+    }
+    return { kept: filePaths.filter(filePath => !removed.has(filePath)), removed: [...removed], tokens };
+}
+
+export {
+    TOKEN_MODELS,
+    DEFAULT_TOKEN_MODEL,
+    TokenCounter,
+    estimateTokens,
+    parseTokenCount,
+    formatTokenCount,
+    trimToBudget
+};
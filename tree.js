@@ -0,0 +1,212 @@
+// Formats of the project structure and the files they are written to. The JSON file is always written
+// (minify-code reads it); the other formats are written next to it, for chats
+const STRUCTURE_FORMATS = {
+    json: { fileName: 'project-structure.min.json', label: 'JSON (nested objects, files as their paths)' },
+    tree: { fileName: 'project-structure.txt', label: 'ASCII tree, like the tree command' },
+    markdown: { fileName: 'project-structure.md', label: 'Markdown (indented list)' },
+    paths: { fileName: 'project-structure.paths.txt', label: 'Path list (one file per line)' }
+};
+
+/**
+ * Returns true for the node of a directory (compact: an object of children, rich: { type: "directory" }).
+ */
+function isDirectory(node) {
+    return typeof node === 'object' && node !== null && node.type !== 'file';
+}
+
+/**
+ * Returns the children of a directory node in both structure modes.
+ */
+function getChildren(node) {
+    return node.type === 'directory' && node.children && typeof node.children === 'object' ? node.children : node;
+}
+
+/**
+ * Counts the files under a directory node.
+ */
+function countFiles(node) {
+    if (node.type === 'directory' && typeof node.files === 'number') return node.files;
+    return Object.values(getChildren(node)).reduce((total, child) => total + (isDirectory(child) ? countFiles(child) : 1), 0);
+}
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Returns the details shown after a file of a rich structure, e.g. "58 lines" or "binary".
+ */
+function describeFile(node) {
+    if (typeof node !== 'object' || node === null) return null;
+    if (node.binary) return 'binary';
+    return typeof node.lines === 'number' ? plural(node.lines, 'line') : null;
+}
+
+/**
+ * Finds the node of a directory by its path, or returns null. Keys may hold several levels
+ * (the selective scan stores e.g. "supabase/migrations" as one key).
+ */
+function findNode(node, dirPath) {
+    if (!dirPath) return node;
+    for (const [name, child] of Object.entries(getChildren(node))) {
+        if (!isDirectory(child)) continue;
+        if (dirPath === name) return child;
+        if (dirPath.startsWith(`${name}/`)) {
+            const found = findNode(child, dirPath.slice(name.length + 1));
+            if (found) return found;
+        }
+    }
+    return null;
+}
+
+/**
+ * Lists the entries of a directory for the text formats: directories first, then files, both by name.
+ * Directories at the depth limit are not opened (`files` counts what they hold), and the files of a folder
+ * over the collapse limit end with a "more" entry. Folders of workspace packages are not opened either:
+ * they get a section of their own.
+ *
+ * @returns {object[]} - Entries: { type: "directory", name, path, files, entries, package }, { type: "file", name, path, detail }
+ *   or { type: "more", path, count }; `entries` is null for directories that are not opened, `package` is the name
+ *   of the package of a package folder
+ */
+function listEntries(node, base, level, options) {
+    const children = Object.entries(getChildren(node)).sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }));
+    const entries = [];
+    for (const [name, child] of children.filter(([, child]) => isDirectory(child))) {
+        const dirPath = base ? `${base}/${name}` : name;
+        const pkg = options.packages && options.packages.get(dirPath);
+        if (pkg) {
+            entries.push({ type: 'directory', name, path: dirPath, files: countFiles(child), entries: null, package: pkg.name });
+            continue;
+        }
+        const opened = !options.depth || level < options.depth;
+        entries.push({
+            type: 'directory',
+            name,
+            path: dirPath,
+            files: countFiles(child),
+            entries: opened ? listEntries(child, dirPath, level + 1, options) : null
+        });
+    }
+    const files = children.filter(([, child]) => !isDirectory(child));
+    const listed = options.collapse ? files.slice(0, options.collapse) : files;
+    for (const [name, child] of listed) {
+        const filePath = typeof child === 'string' ? child : child.path;
+        entries.push({ type: 'file', name, path: filePath || (base ? `${base}/${name}` : name), detail: describeFile(child) });
+    }
+    if (listed.length < files.length) {
+        entries.push({ type: 'more', path: base, count: files.length - listed.length });
+    }
+    return entries;
+}
+
+/**
+ * Returns the text of an entry in the tree and Markdown formats.
+ */
+function entryLabel(entry) {
+    if (entry.type === 'more') return `... ${plural(entry.count, 'more file')}`;
+    if (entry.package) return `${entry.name}/ [${entry.package}, ${plural(entry.files, 'file')}]`;
+    if (entry.type === 'directory') return entry.entries ? `${entry.name}/` : `${entry.name}/ (${plural(entry.files, 'file')})`;
+    return entry.detail ? `${entry.name} (${entry.detail})` : entry.name;
+}
+
+function renderTree(entries, prefix = '') {
+    const lines = [];
+    entries.forEach((entry, index) => {
+        const last = index === entries.length - 1;
+        lines.push(`${prefix}${last ? '`-- ' : '|-- '}${entryLabel(entry)}`);
+        if (entry.type === 'directory' && entry.entries) {
+            lines.push(...renderTree(entry.entries, `${prefix}${last ? '    ' : '|   '}`));
+        }
+    });
+    return lines;
+}
+
+function renderMarkdown(entries, indent = '') {
+    const lines = [];
+    for (const entry of entries) {
+        lines.push(`${indent}- ${entryLabel(entry)}`);
+        if (entry.type === 'directory' && entry.entries) {
+            lines.push(...renderMarkdown(entry.entries, `${indent}  `));
+        }
+    }
+    return lines;
+}
+
+function renderPaths(entries) {
+    const lines = [];
+    for (const entry of entries) {
+        if (entry.type === 'file') {
+            lines.push(entry.path);
+        } else if (entry.type === 'more') {
+            lines.push(`${entry.path ? `${entry.path}/` : ''}... ${plural(entry.count, 'more file')}`);
+        } else if (entry.entries) {
+            lines.push(...renderPaths(entry.entries));
+        } else if (entry.package) {
+            lines.push(`${entry.path}/ [${entry.package}, ${plural(entry.files, 'file')}]`);
+        } else {
+            lines.push(`${entry.path}/ (${plural(entry.files, 'file')})`);
+        }
+    }
+    return lines;
+}
+
+/**
+ * Renders the entries of one section in a text format.
+ */
+function renderEntries(entries, format, root) {
+    if (format === 'tree') return [root, ...renderTree(entries)];
+    if (format === 'markdown') return renderMarkdown(entries);
+    return renderPaths(entries);
+}
+
+/**
+ * Renders a project structure (compact or rich) in one of STRUCTURE_FORMATS. The text formats list
+ * directories before files and can stop at a depth and collapse long folders; JSON is the structure as it is.
+ * With workspace packages, the text formats list the folder of each package as one entry and add a section per
+ * package after the project root, with the depth counted from the package folder.
+ *
+ * @param {object} structure - Project structure
+ * @param {object} options - Optional settings
+ * @param {string} options.format - Key of STRUCTURE_FORMATS (default "json")
+ * @param {number|null} options.depth - Deepest level listed, 1 = entries of the root only; deeper folders show
+ *   their file count (default: no limit)
+ * @param {number|null} options.collapse - Files listed per folder before the rest become "... N more files"
+ *   (default: all files)
+ * @param {object[]} options.packages - Workspace packages: { name, dir } (e.g. from detectWorkspaces, default: none)
+ * @returns {string}
+ */
+function renderStructure(structure, options = {}) {
+    const { format = 'json', depth = null, collapse = null, packages = [] } = options;
+    if (!STRUCTURE_FORMATS[format]) {
+        throw new Error(`Unknown structure format "${format}" (available: ${Object.keys(STRUCTURE_FORMATS).join(', ')})`);
+    }
+    if (format === 'json') return JSON.stringify(structure);
+    const listOptions = { depth, collapse, packages: new Map(packages.map(pkg => [pkg.dir, pkg])) };
+    const sections = [{ heading: './', lines: renderEntries(listEntries(structure, '', 1, listOptions), format, '.') }];
+    for (const pkg of packages) {
+        const node = findNode(structure, pkg.dir);
+        if (!node) continue;
+        const heading = `${pkg.dir}/ [${pkg.name}]`;
+        sections.push({ heading, lines: renderEntries(listEntries(node, pkg.dir, 1, listOptions), format, heading) });
+    }
+    if (sections.length === 1) return sections[0].lines.join('\n');
+    // The tree names its root on its first line; the other formats get a heading per section
+    const prefix = { tree: null, markdown: '## ', paths: '# ' }[format];
+    return sections.map(({ heading, lines }) => (prefix ? [`${prefix}${heading}`, ...lines] : lines).join('\n')).join('\n\n');
+}
+
+/**
+ * Returns the structure to embed at the top of a bundle: the structure itself for the JSON format,
+ * or its text in the configured structure format.
+ *
+ * @param {object} structure - Project structure
+ * @param {object} options - Structure settings of the config: { format, depth, collapse }
+ * @returns {object|string}
+ */
+function getEmbeddedStructure(structure, options = {}) {
+    const { format = 'json' } = options;
+    return format === 'json' ? structure : renderStructure(structure, options);
+}
+
+export { STRUCTURE_FORMATS, renderStructure, getEmbeddedStructure };
@@ -0,0 +1,202 @@
+import fs from 'fs';
+import path from 'path';
+
+// What to do with symbolic links: "follow" (scan the target, loops are detected) or "skip"
+const SYMLINK_MODES = ['follow', 'skip'];
+
+const DEFAULT_CONCURRENCY = 32;
+
+/**
+ * Creates a limiter that runs at most `concurrency` tasks at a time; the others wait in a queue.
+ *
+ * @param {number} concurrency - Maximum number of running tasks
+ * @returns {Function} - limit(task) runs the async task when a slot is free and returns its result
+ */
+function createLimiter(concurrency) {
+    // Array with a moving head: shift() would be O(n) for the long queues of a large scan
+    let queue = [];
+    let head = 0;
+    let running = 0;
+
+    const next = () => {
+        if (running >= concurrency || head === queue.length) return;
+        running++;
+        const { task, resolve, reject } = queue[head++];
+        if (head > 1024 && head * 2 > queue.length) {
+            queue = queue.slice(head);
+            head = 0;
+        }
+        task().then(resolve, reject).finally(() => {
+            running--;
+            next();
+        });
+    };
+
+    return (task) => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+}
+
+/**
+ * Directory walker used by build-structure. Directories are read in parallel (file system calls are
+ * limited to `concurrency` at a time), symbolic links are followed or skipped with loop detection,
+ * entries that cannot be read are collected in `errors` instead of aborting the scan, and FIFOs, sockets and
+ * devices are left out.
+ *
+ * The walker builds a tree: every file becomes the node returned by `createFile`, every directory
+ * the node returned by `createDirectory` for its children (in directory listing order).
+ */
+class DirectoryWalker {
+    /**
+     * @param {string} basePath - Project root; paths in nodes, filters and errors are relative to it
+     * @param {object} options - Optional settings
+     * @param {number} options.concurrency - Maximum number of parallel file system calls (default 32)
+     * @param {string} options.symlinks - "follow" (default) or "skip"
+     * @param {number|null} options.maxDepth - Deepest level scanned (1 = entries of the project root only), null for no limit
+     * @param {number|null} options.maxFiles - Maximum number of files in the tree, null for no limit
+     * @param {Function} options.filter - filter(relativePath, isDirectory) returns false to skip an entry
+     * @param {Function} options.createFile - createFile(filePath, stat) returns the node of a file (default: the relative path)
+     * @param {boolean} options.statFiles - Read the stats of every file for createFile (default true); without it
+     *   `stat` is only passed for symbolic links, which saves a system call per file
+     * @param {Function} options.createDirectory - createDirectory(children) returns the node of a directory (default: the children)
+     * @param {Function} options.onEntry - onEntry({ path, type, depth }) is called for every entry as soon as it is found
+     */
+    constructor(basePath, options = {}) {
+        this.basePath = path.resolve(basePath);
+        this.symlinks = SYMLINK_MODES.includes(options.symlinks) ? options.symlinks : 'follow';
+        this.maxDepth = options.maxDepth || null;
+        this.maxFiles = options.maxFiles || null;
+        this.filter = options.filter || (() => true);
+        this.createFile = options.createFile || ((filePath) => this.relative(filePath));
+        this.createDirectory = options.createDirectory || ((children) => children);
+        this.statFiles = options.statFiles !== false;
+        this.onEntry = options.onEntry || null;
+        this.limit = createLimiter(options.concurrency || DEFAULT_CONCURRENCY);
+        this.errors = []; // { path, code, message } of entries that could not be read
+        this.fileCount = 0;
+        this.truncated = false; // Set when maxDepth or maxFiles left entries out
+    }
+
+    /**
+     * Returns the path relative to the project root, with forward slashes.
+     */
+    relative(filePath) {
+        return path.relative(this.basePath, filePath).replace(/\\/g, '/');
+    }
+
+    addError(filePath, error) {
+        this.errors.push({ path: this.relative(filePath), code: error.code || 'ERROR', message: error.message });
+    }
+
+    /**
+     * Returns the stats of an entry, following a symbolic link when the walker follows them.
+     * Returns null (and records an error) if the entry cannot be read or is a skipped or broken link.
+     */
+    async statEntry(filePath) {
+        try {
+            const stat = await this.limit(() => fs.promises.lstat(filePath));
+            if (!stat.isSymbolicLink()) return stat;
+            if (this.symlinks === 'skip') return null;
+            return await this.limit(() => fs.promises.stat(filePath));
+        } catch (error) {
+            this.addError(filePath, error);
+            return null;
+        }
+    }
+
+    /**
+     * Creates the node of a single file, or returns undefined if the file is skipped.
+     *
+     * @param {string} filePath - Full path to the file
+     * @param {fs.Stats|null} stat - File stats (read when not given and statFiles is on)
+     * @returns {Promise<*>}
+     */
+    async walkFile(filePath, stat = null) {
+        if (!stat && this.statFiles) {
+            stat = await this.statEntry(filePath);
+            if (!stat) return undefined;
+        }
+        if (this.maxFiles && this.fileCount >= this.maxFiles) {
+            this.truncated = true;
+            return undefined;
+        }
+        this.fileCount++;
+        try {
+            return await this.limit(() => this.createFile(filePath, stat));
+        } catch (error) {
+            this.fileCount--;
+            this.addError(filePath, error);
+            return undefined;
+        }
+    }
+
+    /**
+     * Recursively walks a directory and returns its node.
+     *
+     * @param {string} dir - Full path to the directory
+     * @param {Set<string>} ancestors - Real paths of the directories above (used to detect symlink loops)
+     * @param {string|null} realDir - Real path of the directory, if already known
+     * @returns {Promise<*>}
+     */
+    async walkDirectory(dir, ancestors = new Set(), realDir = null) {
+        const children = {};
+        let entries;
+        try {
+            realDir = realDir || await this.limit(() => fs.promises.realpath(dir));
+            entries = await this.limit(() => fs.promises.readdir(dir, { withFileTypes: true }));
+        } catch (error) {
+            this.addError(dir, error);
+            return this.createDirectory(children);
+        }
+        const branch = new Set(ancestors).add(realDir);
+
+        const nodes = await Promise.all(entries.map(async (entry) => {
+            const entryPath = path.join(dir, entry.name);
+            const relativePath = this.relative(entryPath);
+            const depth = relativePath.split('/').length;
+            if (this.maxDepth && depth > this.maxDepth) {
+                this.truncated = true;
+                return undefined;
+            }
+
+            // The directory listing already tells the type; only links (and files that need stats) are stat'ed
+            const isLink = entry.isSymbolicLink();
+            // FIFOs, sockets and devices are no files: reading a FIFO without a writer would block the scan
+            if (!isLink && !entry.isFile() && !entry.isDirectory()) return undefined;
+            let stat = null;
+            if (isLink || (this.statFiles && !entry.isDirectory())) {
+                stat = await this.statEntry(entryPath);
+                if (!stat || (!stat.isFile() && !stat.isDirectory())) return undefined;
+            }
+            const isDirectory = stat ? stat.isDirectory() : entry.isDirectory();
+            if (!this.filter(relativePath, isDirectory)) return undefined;
+            if (this.onEntry) this.onEntry({ path: relativePath, type: isDirectory ? 'directory' : 'file', depth });
+
+            if (!isDirectory) return this.walkFile(entryPath, stat);
+
+            // A directory that is already one of its own ancestors is a symlink loop
+            let realPath = path.join(realDir, entry.name);
+            if (isLink) {
+                try {
+                    realPath = await this.limit(() => fs.promises.realpath(entryPath));
+                } catch (error) {
+                    this.addError(entryPath, error);
+                    return undefined;
+                }
+                if (branch.has(realPath)) {
+                    this.errors.push({ path: relativePath, code: 'ELOOP', message: `Symbolic link loop: ${relativePath} -> ${this.relative(realPath) || '.'}` });
+                    return undefined;
+                }
+            }
+            return this.walkDirectory(entryPath, branch, realPath);
+        }));
+
+        entries.forEach((entry, index) => {
+            if (nodes[index] !== undefined) children[entry.name] = nodes[index];
+        });
+        return this.createDirectory(children);
+    }
+}
+
+export { SYMLINK_MODES, DirectoryWalker, createLimiter };
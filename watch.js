@@ -0,0 +1,334 @@
+import fs from 'fs-extra';
+import path from 'path';
+import fg from 'fast-glob';
+import chalk from 'chalk';
+import { GitignoreMatcher } from './gitignore.js';
+import { createScanFilter, writeStructure } from './build-structure.js';
+import { detectWorkspaces } from './workspaces.js';
+import { getFilePaths } from './minify-code.js';
+import { loadSaveFile, resolveSave, getSavePath } from './saves.js';
+import { bundleCode } from './api.js';
+import { OUTPUT_FORMATS } from './formatters.js';
+import { formatTokenCount } from './tokens.js';
+import { getEmbeddedStructure } from './tree.js';
+
+// Milliseconds without file events before the outputs are regenerated
+const DEFAULT_DEBOUNCE = 300;
+
+// Changed paths listed in a log line before "and N more"
+const LOGGED_CHANGES = 5;
+
+/**
+ * Watches directories and files of a project and reports batches of changes.
+ * Events are collected until no event arrived for `debounce` milliseconds; a batch that arrives
+ * while the previous one is being handled waits for it.
+ */
+class ProjectWatcher {
+    /**
+     * @param {string} rootDir - Project root
+     * @param {object} options - Settings
+     * @param {string[]|null} options.roots - Directories and files to watch, relative to rootDir (null: the whole project)
+     * @param {string[]} options.files - Files that exist at the start, to tell added files from changed ones
+     * @param {Function} options.ignore - ignore(relativePath) returns true for entries of watched directories to skip
+     * @param {number} options.debounce - Quiet period in milliseconds
+     * @param {Function} options.onChange - async onChange(changes) with changes [{ path, type: "added" | "changed" | "removed" }]
+     * @param {Function} options.onError - onError(error) for watcher errors (default: print them)
+     */
+    constructor(rootDir, options = {}) {
+        this.rootDir = path.resolve(rootDir);
+        this.roots = options.roots || null;
+        this.known = new Set(options.files || []);
+        this.ignore = options.ignore || (() => false);
+        this.debounce = options.debounce ?? DEFAULT_DEBOUNCE;
+        this.onChange = options.onChange || (async () => {});
+        this.onError = options.onError || ((error) => console.error(chalk.red(`Watch error: ${error.message}`)));
+        this.watchers = new Map(); // Watched folder ("tree:" or "dir:" + absolute path) -> fs.FSWatcher
+        this.fileNames = new Map(); // Watched parent directory -> names of the watched files in it
+        this.pending = new Set();
+        this.timer = null;
+        this.running = null;
+    }
+
+    /**
+     * Starts watching. The whole project is watched as its root (new top-level files and folders)
+     * plus every top-level folder that is not ignored.
+     */
+    async start() {
+        const roots = this.roots || ['.', ...(await fs.readdir(this.rootDir, { withFileTypes: true }))
+            .filter(entry => entry.isDirectory() && !this.ignore(entry.name))
+            .map(entry => entry.name)];
+        for (const root of roots) {
+            await this.add(root);
+        }
+    }
+
+    /**
+     * Watches one more directory (recursively, except the project root) or file, relative to the root.
+     */
+    async add(relativePath) {
+        const target = path.resolve(this.rootDir, relativePath);
+        const stat = await fs.stat(target).catch(() => null);
+        if (stat && stat.isDirectory()) {
+            const recursive = target !== this.rootDir;
+            this.watch(target, { recursive }, (name) => this.queue(path.relative(this.rootDir, path.join(target, name)), true));
+            return;
+        }
+        // Files are watched through their folder: editors often save by replacing the file
+        const dir = path.dirname(target);
+        if (!this.fileNames.has(dir)) {
+            this.fileNames.set(dir, new Set());
+            this.watch(dir, { recursive: false }, (name) => {
+                if (this.fileNames.get(dir).has(name)) this.queue(path.relative(this.rootDir, path.join(dir, name)), false);
+            });
+        }
+        this.fileNames.get(dir).add(path.basename(target));
+    }
+
+    watch(target, options, listener) {
+        // A folder can be watched both for its files and as a directory of the project
+        const key = `${options.recursive ? 'tree' : 'dir'}:${target}`;
+        if (this.watchers.has(key)) return;
+        try {
+            const watcher = fs.watch(target, options, (eventType, name) => {
+                if (name) listener(name.toString());
+            });
+            watcher.on('error', this.onError);
+            this.watchers.set(key, watcher);
+        } catch (error) {
+            this.onError(error);
+        }
+    }
+
+    /**
+     * Adds a path to the next batch. Paths from watched directories (`filtered`) go through the ignore filter;
+     * a new top-level folder of the project is watched from now on.
+     */
+    queue(relativePath, filtered) {
+        const filePath = relativePath.replace(/\\/g, '/');
+        if (filtered && this.ignore(filePath)) return;
+        if (!this.roots && !filePath.includes('/')) {
+            fs.stat(path.join(this.rootDir, filePath))
+                .then(stat => stat.isDirectory() && this.add(filePath))
+                .catch(() => {});
+        }
+        this.pending.add(filePath);
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.flush(), this.debounce);
+    }
+
+    /**
+     * Turns the queued paths into changes and hands them to onChange.
+     */
+    async flush() {
+        this.timer = null;
+        if (this.running) {
+            // The next batch starts when the current one is done
+            await this.running;
+            if (this.pending.size > 0 && !this.timer) this.timer = setTimeout(() => this.flush(), this.debounce);
+            return;
+        }
+        const paths = [...this.pending];
+        this.pending.clear();
+        this.running = this.collectChanges(paths)
+            .then(changes => (changes.length > 0 ? this.onChange(changes) : null))
+            .catch(this.onError)
+            .finally(() => {
+                this.running = null;
+            });
+        await this.running;
+    }
+
+    /**
+     * Checks the queued paths: existing files are added or changed; a folder that appeared (e.g. moved in)
+     * adds its files; a path that is gone removes the known files at or under it. Folders without files
+     * are reported with a trailing slash ("src/empty/"), as they are part of the structure too.
+     */
+    async collectChanges(paths) {
+        const changes = new Map();
+        // A file can be queued both by itself and as part of a new folder: "added" is kept
+        const record = (filePath, type) => {
+            if (!changes.has(filePath)) changes.set(filePath, type);
+        };
+        for (const filePath of paths) {
+            const stat = await fs.stat(path.join(this.rootDir, filePath)).catch(() => null);
+            if (stat && stat.isFile()) {
+                record(filePath, this.known.has(filePath) ? 'changed' : 'added');
+                this.known.add(filePath);
+            } else if (stat && stat.isDirectory()) {
+                const files = (await fg('**', { cwd: path.join(this.rootDir, filePath), dot: true, onlyFiles: true }))
+                    .map(file => `${filePath}/${file}`)
+                    .filter(file => !this.known.has(file) && !this.ignore(file));
+                files.forEach((file) => {
+                    record(file, 'added');
+                    this.known.add(file);
+                });
+                if (files.length === 0) record(`${filePath}/`, 'added');
+            } else {
+                const gone = this.known.has(filePath) ? [filePath] : [...this.known].filter(file => file.startsWith(`${filePath}/`));
+                gone.forEach((file) => {
+                    record(file, 'removed');
+                    this.known.delete(file);
+                });
+                if (gone.length === 0) record(`${filePath}/`, 'removed');
+            }
+        }
+        return [...changes].map(([filePath, type]) => ({ path: filePath, type }));
+    }
+
+    /**
+     * Stops watching.
+     */
+    close() {
+        clearTimeout(this.timer);
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers.clear();
+    }
+}
+
+/**
+ * Formats a batch of changes for the log: "~ src/a.js, + src/b.js, - src/c.js and 3 more".
+ */
+function describeChanges(changes) {
+    const marks = { added: '+', changed: '~', removed: '-' };
+    const listed = changes.slice(0, LOGGED_CHANGES).map(change => `${marks[change.type]} ${change.path}`).join(', ');
+    return changes.length > LOGGED_CHANGES ? `${listed} and ${changes.length - LOGGED_CHANGES} more` : listed;
+}
+
+/**
+ * Formats the difference to the previous value for the log: " (+120)", " (-3)" or "".
+ */
+function formatDelta(value, previous, format = String) {
+    if (previous === null || value === previous) return '';
+    return chalk.gray(value > previous ? ` (+${format(value - previous)})` : ` (-${format(previous - value)})`);
+}
+
+/**
+ * Keeps project-structure.min.json, and the bundle of a saved selection, up to date while files change.
+ * The structure is rescanned when files are added or removed (on every change in rich mode); the bundle is
+ * rebuilt when one of its files changes or the selection resolves to other files (globs, edited save).
+ *
+ * @param {object} options - Settings
+ * @param {string} options.rootDir - Project root
+ * @param {object} options.config - Resolved config (scan, content, minify, secrets and output settings)
+ * @param {string[]} options.dirs - Directories of a selective scan (with `files`; both empty for a full scan)
+ * @param {string[]} options.files - Files of a selective scan
+ * @param {boolean} options.scanAll - Scan the whole project
+ * @param {string|null} options.save - Saved selection to bundle (optional)
+ * @param {number} options.debounce - Quiet period in milliseconds
+ * @returns {Promise<ProjectWatcher>} - The started watcher; close() stops it
+ */
+async function watchProject(options) {
+    const { rootDir, config, dirs = [], files = [], scanAll = false, save: saveName = null, debounce = DEFAULT_DEBOUNCE } = options;
+    const workspace = config.workspaces ? await detectWorkspaces(rootDir) : null;
+    const scanFilter = createScanFilter(rootDir, scanAll, { ...config, packageDirs: workspace ? workspace.packages.map(pkg => pkg.dir) : [] });
+    const gitignore = config.respectGitignore ? new GitignoreMatcher(rootDir) : null;
+    const rich = config.structure && config.structure.mode === 'rich';
+    const scanRoots = scanAll ? null : [...dirs, ...files];
+    const savePath = saveName ? path.relative(rootDir, getSavePath(config.savesDir, saveName)).replace(/\\/g, '/') : null;
+    const saveIgnore = [...config.excludedDirs, config.outputDir].map(dir => `${dir}/**`);
+    const time = () => chalk.gray(`[${new Date().toLocaleTimeString()}]`);
+
+    // Skips what the scan skips: the output directory, excludedDirs (full scan) and files ignored by git
+    const ignore = (relativePath) => {
+        const parts = relativePath.split('/');
+        return parts.some((part, index) => !scanFilter(parts.slice(0, index + 1).join('/'))) ||
+            Boolean(gitignore && gitignore.isIgnored(relativePath));
+    };
+    const inScanRoots = (filePath) => !scanRoots || scanRoots.some(root => filePath === root || filePath.startsWith(`${root}/`));
+
+    let structure = null;
+    let packages = [];
+    let structureFiles = null;
+    const rebuildStructure = async () => {
+        const result = await writeStructure(rootDir, dirs, files, scanAll, config);
+        structure = result.structure;
+        packages = result.workspace ? result.workspace.packages : [];
+        const delta = formatDelta(result.files, structureFiles);
+        structureFiles = result.files;
+        const problems = result.errors.length > 0 ? chalk.yellow(` ; ${result.errors.length} entries could not be scanned`) : '';
+        console.log(`${time()} ${chalk.green(result.outFiles.join(', '))}: ${result.files} file(s)${delta}${problems}`);
+        result.warnings.forEach(warning => console.log(chalk.yellow(`  ${warning}`)));
+    };
+
+    let save = null;
+    let bundleFiles = [];
+    let lastTokens = null;
+    const resolveBundle = async () => {
+        save = await loadSaveFile(config.savesDir, saveName);
+        const { files: resolved, missing } = await resolveSave(save, rootDir, saveIgnore);
+        if (missing.length > 0) {
+            console.log(chalk.yellow(`  ${missing.length} file(s) of the save "${saveName}" no longer exist: ${missing.join(', ')}`));
+        }
+        return resolved;
+    };
+    const rebuildBundle = async () => {
+        const output = { ...config.output, ...(save.output || {}) };
+        const outFile = path.join(config.outputDir, OUTPUT_FORMATS[output.format].fileName);
+        const result = await bundleCode({
+            files: bundleFiles,
+            root: rootDir,
+            config,
+            format: output.format,
+            structure: output.includeStructure ? getEmbeddedStructure(structure, { ...config.structure, packages }) : null,
+            splitLimit: output.splitLimit,
+            splitUnit: output.splitUnit,
+            levels: save.levels,
+            outFile
+        });
+        if (result.blocked) {
+            console.log(`${time()} ${chalk.red(`${path.basename(outFile)} not updated: possible secrets found (${result.secrets.length}); set secrets.policy to "redact" or add them to the allowlist file`)}`);
+            return;
+        }
+        const { stats } = result;
+        const delta = formatDelta(stats.tokens, lastTokens, formatTokenCount);
+        lastTokens = stats.tokens;
+        const written = result.outFiles.length > 1 ? `${result.outFiles.length} parts` : path.basename(outFile);
+        console.log(`${time()} ${chalk.green(written)}: ${stats.files} file(s), ${stats.characters} characters, ~${formatTokenCount(stats.tokens)} tokens (${stats.model})${delta}`);
+        result.warnings.forEach(warning => console.log(chalk.yellow(`  ${warning}`)));
+    };
+
+    await rebuildStructure();
+    if (saveName) {
+        bundleFiles = await resolveBundle();
+        await rebuildBundle();
+    }
+
+    const onChange = async (changes) => {
+        console.log(`${time()} ${describeChanges(changes)}`);
+        const scanned = changes.filter(change => inScanRoots(change.path) && change.path !== savePath);
+        const structureChanged = scanned.some(change => rich || change.type !== 'changed');
+        if (structureChanged) {
+            await rebuildStructure();
+        }
+        if (!saveName) return;
+
+        let selectionChanged = false;
+        // Added and removed files can change what the globs match; an edited save is read again
+        if (changes.some(change => change.type !== 'changed' || change.path === savePath)) {
+            const resolved = await resolveBundle();
+            selectionChanged = resolved.join('\n') !== bundleFiles.join('\n');
+            bundleFiles = resolved;
+            await Promise.all(bundleFiles.filter(file => !inScanRoots(file)).map(file => watcher.add(file)));
+        }
+        const bundled = new Set(bundleFiles);
+        const includeStructure = { ...config.output, ...(save.output || {}) }.includeStructure;
+        if (selectionChanged || changes.some(change => bundled.has(change.path)) || (includeStructure && structureChanged)) {
+            await rebuildBundle();
+        }
+    };
+
+    const known = structure ? getFilePaths(structure) : [];
+    const watcher = new ProjectWatcher(rootDir, { roots: scanRoots, files: [...known, ...bundleFiles, ...(savePath ? [savePath] : [])], ignore, debounce, onChange });
+    await watcher.start();
+    // Files of the selection outside the scanned roots, and the save itself, are watched one by one
+    for (const file of bundleFiles.filter(file => !inScanRoots(file))) {
+        await watcher.add(file);
+    }
+    if (savePath) {
+        await watcher.add(savePath);
+    }
+    console.log(chalk.blue(`Watching ${scanRoots ? scanRoots.join(', ') : 'the project'}${saveName ? ` and the save "${saveName}"` : ''} (Ctrl+C to stop)`));
+    return watcher;
+}
+
+export { DEFAULT_DEBOUNCE, ProjectWatcher, describeChanges, watchProject };
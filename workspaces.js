@@ -0,0 +1,239 @@
+import fs from 'fs-extra';
+import path from 'path';
+import fg from 'fast-glob';
+
+// Fields of package.json whose packages count as dependencies between workspace packages
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'];
+
+// Package folders are never looked up inside installed dependencies
+const IGNORED_PACKAGE_DIRS = ['**/node_modules/**'];
+
+/**
+ * Reads the package globs of pnpm-workspace.yaml: the items of its `packages` list,
+ * as a block (`- "packages/*"` lines) or a flow sequence (`packages: ["packages/*"]`).
+ *
+ * @param {string} content - Contents of pnpm-workspace.yaml
+ * @returns {string[]}
+ */
+function parsePnpmWorkspace(content) {
+    const unquote = (value) => value.trim().replace(/^(['"])(.*)\1$/, '$2');
+    const lines = content.split(/\r?\n/).map(line => line.replace(/\s+#.*$/, ''));
+    const patterns = [];
+    const start = lines.findIndex(line => /^packages\s*:/.test(line));
+    if (start === -1) return patterns;
+    const inline = lines[start].replace(/^packages\s*:/, '').trim();
+    if (inline.startsWith('[')) {
+        return inline.replace(/^\[|\]$/g, '').split(',').map(unquote).filter(Boolean);
+    }
+    for (const line of lines.slice(start + 1)) {
+        if (!line.trim() || line.trim().startsWith('#')) continue;
+        // The list ends at the next top-level key
+        if (!/^\s/.test(line) && !line.startsWith('-')) break;
+        const item = line.trim().match(/^-\s*(.+)$/);
+        if (item) patterns.push(unquote(item[1]));
+    }
+    return patterns.filter(Boolean);
+}
+
+/**
+ * Reads a JSON file, or returns null if it does not exist or does not parse.
+ */
+async function readJsonFile(filePath) {
+    try {
+        return await fs.readJson(filePath);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Finds the package globs of the project and the tool that declares them:
+ * pnpm-workspace.yaml (pnpm), the `workspaces` of package.json (yarn when yarn.lock exists, npm otherwise)
+ * and the `packages` of lerna.json (lerna). The globs of every source are used.
+ *
+ * @param {string} rootDir - Project root
+ * @returns {Promise<{manager: string, patterns: string[]}|null>} - null if the project has no workspaces
+ */
+async function readWorkspacePatterns(rootDir) {
+    const sources = [];
+    const pnpmPath = path.join(rootDir, 'pnpm-workspace.yaml');
+    if (await fs.pathExists(pnpmPath)) {
+        sources.push({ manager: 'pnpm', patterns: parsePnpmWorkspace(await fs.readFile(pnpmPath, 'utf-8')) });
+    }
+    const packageJson = await readJsonFile(path.join(rootDir, 'package.json'));
+    if (packageJson && packageJson.workspaces) {
+        // Yarn also accepts { packages: [...], nohoist: [...] }
+        const patterns = Array.isArray(packageJson.workspaces) ? packageJson.workspaces : packageJson.workspaces.packages;
+        if (Array.isArray(patterns)) {
+            const manager = (await fs.pathExists(path.join(rootDir, 'yarn.lock'))) ? 'yarn' : 'npm';
+            sources.push({ manager, patterns });
+        }
+    }
+    const lernaJson = await readJsonFile(path.join(rootDir, 'lerna.json'));
+    if (lernaJson && Array.isArray(lernaJson.packages)) {
+        sources.push({ manager: 'lerna', patterns: lernaJson.packages });
+    }
+    const patterns = [...new Set(sources.flatMap(source => source.patterns.filter(pattern => typeof pattern === 'string' && pattern.trim())))];
+    return patterns.length > 0 ? { manager: sources[0].manager, patterns } : null;
+}
+
+/**
+ * Detects the workspace packages of a monorepo: npm and yarn workspaces, pnpm-workspace.yaml and lerna.json.
+ * A package is a folder matching one of the globs with a package.json; its dependencies are the other workspace
+ * packages it depends on (in any of the dependency fields).
+ *
+ * @param {string} rootDir - Project root
+ * @returns {Promise<{manager: string, packages: object[]}|null>} - Packages sorted by folder:
+ *   { name, dir, version, dependencies: string[] } (`dir` relative to the root, "/"-separated;
+ *   `name` is the folder when package.json has no name); null if the project has no workspace packages
+ */
+async function detectWorkspaces(rootDir = process.cwd()) {
+    const declared = await readWorkspacePatterns(rootDir);
+    if (!declared) return null;
+
+    const clean = (pattern) => pattern.trim().replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '');
+    const included = declared.patterns.filter(pattern => !pattern.startsWith('!')).map(clean);
+    const excluded = declared.patterns.filter(pattern => pattern.startsWith('!')).map(pattern => clean(pattern.slice(1)));
+    const manifests = await fg(included.map(pattern => `${pattern}/package.json`), {
+        cwd: rootDir,
+        onlyFiles: true,
+        ignore: [...IGNORED_PACKAGE_DIRS, ...excluded, ...excluded.map(pattern => `${pattern}/package.json`)]
+    });
+
+    const packages = [];
+    for (const manifest of manifests) {
+        const dir = path.posix.dirname(manifest);
+        const packageJson = await readJsonFile(path.join(rootDir, manifest));
+        if (dir === '.' || !packageJson) continue;
+        packages.push({
+            name: typeof packageJson.name === 'string' && packageJson.name ? packageJson.name : dir,
+            dir,
+            version: typeof packageJson.version === 'string' ? packageJson.version : null,
+            dependencies: DEPENDENCY_FIELDS.flatMap(field => Object.keys(packageJson[field] || {}))
+        });
+    }
+    if (packages.length === 0) return null;
+
+    const names = new Set(packages.map(pkg => pkg.name));
+    for (const pkg of packages) {
+        pkg.dependencies = [...new Set(pkg.dependencies)].filter(name => names.has(name) && name !== pkg.name).sort();
+    }
+    packages.sort((a, b) => a.dir.localeCompare(b.dir));
+    return { manager: declared.manager, packages };
+}
+
+/**
+ * Returns the package a file belongs to: the package with the deepest folder holding the file, or null for files
+ * outside the packages.
+ *
+ * @param {object|null} workspace - Result of detectWorkspaces
+ * @param {string} filePath - File path relative to the root
+ * @returns {object|null}
+ */
+function findPackage(workspace, filePath) {
+    if (!workspace) return null;
+    let found = null;
+    for (const pkg of workspace.packages) {
+        if (filePath.startsWith(`${pkg.dir}/`) && (!found || pkg.dir.length > found.dir.length)) found = pkg;
+    }
+    return found;
+}
+
+/**
+ * Finds a package by name or by folder.
+ *
+ * @param {object} workspace - Result of detectWorkspaces
+ * @param {string} nameOrDir - Package name (e.g. "@acme/api") or folder (e.g. "packages/api")
+ * @returns {object}
+ * @throws {Error} - If no package has this name or folder
+ */
+function resolvePackage(workspace, nameOrDir) {
+    const dir = nameOrDir.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '');
+    const pkg = workspace.packages.find(item => item.name === nameOrDir || item.dir === dir);
+    if (!pkg) {
+        throw new Error(`Unknown workspace package "${nameOrDir}" (packages: ${workspace.packages.map(item => item.name).join(', ')})`);
+    }
+    return pkg;
+}
+
+/**
+ * Returns packages with the workspace packages they depend on, directly or through other packages.
+ *
+ * @param {object} workspace - Result of detectWorkspaces
+ * @param {string[]} names - Names or folders of the packages
+ * @returns {object[]} - The packages first, then their dependencies in the order they were reached
+ * @throws {Error} - If a package is unknown
+ */
+function withWorkspaceDependencies(workspace, names) {
+    const queue = names.map(name => resolvePackage(workspace, name));
+    const found = new Map();
+    while (queue.length > 0) {
+        const pkg = queue.shift();
+        if (found.has(pkg.name)) continue;
+        found.set(pkg.name, pkg);
+        queue.push(...pkg.dependencies.map(name => resolvePackage(workspace, name)));
+    }
+    return [...found.values()];
+}
+
+/**
+ * Returns the package a selection belongs to: the package holding every file, or the package whose workspace
+ * dependencies hold the other files (e.g. a package selected with its dependencies).
+ *
+ * @param {object} workspace - Result of detectWorkspaces
+ * @param {string[]} filePaths - Selected files
+ * @returns {object|null} - null if a file is outside the packages or the files belong to unrelated packages
+ */
+function findSelectionPackage(workspace, filePaths) {
+    const owners = new Set(filePaths.map(filePath => findPackage(workspace, filePath)));
+    if (owners.size === 0 || owners.has(null)) return null;
+    return [...owners].find(pkg => {
+        const covered = new Set(withWorkspaceDependencies(workspace, [pkg.name]));
+        return [...owners].every(owner => covered.has(owner));
+    }) || null;
+}
+
+/**
+ * Returns the globs of the files of packages (for fast-glob and the include globs of saves): everything under
+ * the package folders except installed dependencies and the other packages nested in them.
+ *
+ * @param {object} workspace - Result of detectWorkspaces
+ * @param {object[]} packages - Packages of the workspace
+ * @returns {string[]} - Globs, the excluded ones starting with "!"
+ */
+function getPackageGlobs(workspace, packages) {
+    const dirs = new Set(packages.map(pkg => pkg.dir));
+    const nested = workspace.packages.filter(other => !dirs.has(other.dir) && packages.some(pkg => other.dir.startsWith(`${pkg.dir}/`)));
+    return [
+        ...packages.map(pkg => `${pkg.dir}/**`),
+        ...packages.map(pkg => `!${pkg.dir}/**/node_modules/**`),
+        ...nested.map(pkg => `!${pkg.dir}/**`)
+    ];
+}
+
+/**
+ * Groups files by package, in package order; files outside the packages come last.
+ *
+ * @param {object} workspace - Result of detectWorkspaces
+ * @param {string[]} filePaths - File paths relative to the root
+ * @returns {{package: object|null, files: string[]}[]} - Only groups with files
+ */
+function groupByPackage(workspace, filePaths) {
+    const groups = new Map([...workspace.packages, null].map(pkg => [pkg, []]));
+    for (const filePath of filePaths) {
+        groups.get(findPackage(workspace, filePath)).push(filePath);
+    }
+    return [...groups].filter(([, files]) => files.length > 0).map(([pkg, files]) => ({ package: pkg, files }));
+}
+
+export {
+    DEPENDENCY_FIELDS,
+    parsePnpmWorkspace,
+    detectWorkspaces,
+    findPackage,
+    resolvePackage,
+    withWorkspaceDependencies,
+    findSelectionPackage,
+    getPackageGlobs,
+    groupByPackage
+};